@@ -0,0 +1,279 @@
+/**
+ * API KEYS MODULE
+ *
+ * Stores and checks the API keys banks use to authenticate. A bank can have several
+ * named keys, each with its own scopes, so a reporting system can get a read-only key
+ * while the payments system gets a key that can initiate transfers.
+ *
+ * KEY STORAGE:
+ * - Keys are only shown once, when they are created; the api_keys table stores a
+ *   SHA-256 hash of the key, never the key itself
+ * - The first characters of the key (key_prefix) are kept so banks can tell keys apart
+ *
+ * KEY LIFECYCLE:
+ * - Create: a new key with a name, scopes and an optional expiry date
+ * - Rotate: creates a replacement key with the same name and scopes; the old key keeps
+ *   working for an overlap window (24 hours by default) so clients can switch over
+ * - Revoke: the key stops working immediately
+ * - Expire: a key past its expires_at stops working
+ * - last_used_at is updated when a key is used (at most once a minute)
+ *
+ * SCOPES:
+ * - read: all GET endpoints (checked by authenticateBank)
+ * - transfers:initiate: initiate and cancel transfers
+ * - transfers:approve: approve and reject transfers
+ * - wallets:manage: create wallets, deposit, manage subwallets
+ * - users:manage: create, update and deactivate users
+ * - admin: API keys, signing policy, approval rules, webhooks and team integrations
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const crypto = require('crypto'); // Key generation and hashing
+const db = require('./database/connection'); // Database connection for the api_keys table
+
+// Scopes a key can be given
+const API_KEY_SCOPES = [
+  'read',
+  'transfers:initiate',
+  'transfers:approve',
+  'wallets:manage',
+  'users:manage',
+  'admin'
+];
+
+// Default overlap window when a key is rotated
+const DEFAULT_ROTATION_OVERLAP_SECONDS = 24 * 60 * 60;
+const MAX_ROTATION_OVERLAP_SECONDS = 30 * 24 * 60 * 60;
+
+// last_used_at is only written when it is older than this, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash an API key for storage and lookup.
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Return an error message when a list of scopes is not valid, otherwise null.
+ */
+function getScopesError(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`;
+  }
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(', ')}. Valid scopes: ${API_KEY_SCOPES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Shape an api_keys row for API responses (never includes the hash).
+ */
+function formatApiKey(row) {
+  return {
+    key_id: row.key_id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: row.scopes.split(','),
+    status: row.status,
+    expires_at: row.expires_at,
+    last_used_at: row.last_used_at,
+    created_at: row.created_at,
+    revoked_at: row.revoked_at,
+    rotated_from: row.rotated_from
+  };
+}
+
+/**
+ * Generate a new API key (shown to the bank once, then only its hash is kept).
+ */
+function generateApiKey() {
+  return `sk_${crypto.randomBytes(16).toString('hex')}`; // 32-character secure key
+}
+
+/**
+ * Store an API key for a bank.
+ *
+ * @param {number} bankId
+ * @param {string} apiKey - Plain key (only its hash and prefix are stored)
+ * @param {object} options
+ * @param {string} options.name - Name of the key (e.g. 'payments-system')
+ * @param {string[]} options.scopes - Scopes of the key
+ * @param {string} [options.expiresAt] - ISO date after which the key stops working
+ * @param {string} [options.rotatedFrom] - key_id of the key this one replaces
+ * @returns {object} The stored api_keys row
+ */
+function storeApiKey(bankId, apiKey, { name, scopes, expiresAt = null, rotatedFrom = null }) {
+  const keyId = `key_${crypto.randomBytes(8).toString('hex')}`;
+
+  const insertStmt = db.prepare(`
+    INSERT INTO api_keys (key_id, bank_id, name, key_prefix, key_hash, scopes, status, expires_at, rotated_from, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'active', ?, ?, ?)
+  `);
+  insertStmt.run(
+    keyId, bankId, name, apiKey.slice(0, 10), hashApiKey(apiKey), scopes.join(','),
+    expiresAt, rotatedFrom, new Date().toISOString()
+  );
+
+  return getApiKey(bankId, keyId);
+}
+
+/**
+ * Create a new API key for a bank.
+ *
+ * @param {number} bankId
+ * @param {object} options - Same as storeApiKey
+ * @returns {{ apiKey: string, record: object }} The plain key (shown once) and the stored key
+ */
+function createApiKey(bankId, options) {
+  const apiKey = generateApiKey();
+  return { apiKey, record: storeApiKey(bankId, apiKey, options) };
+}
+
+/**
+ * Get one of a bank's keys by key_id.
+ */
+function getApiKey(bankId, keyId) {
+  const keyStmt = db.prepare('SELECT * FROM api_keys WHERE bank_id = ? AND key_id = ?');
+  return keyStmt.get(bankId, keyId);
+}
+
+/**
+ * List a bank's keys (newest first).
+ */
+function listApiKeys(bankId) {
+  const keysStmt = db.prepare('SELECT * FROM api_keys WHERE bank_id = ? ORDER BY created_at DESC, id DESC');
+  return keysStmt.all(bankId);
+}
+
+/**
+ * Find the key a request was made with.
+ *
+ * @param {string} apiKey - Plain key from the request
+ * @returns {object} { record, error, code }: record when the key can be used,
+ *                   otherwise an error message and code
+ */
+function findApiKey(apiKey) {
+  const keyStmt = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?');
+  const record = keyStmt.get(hashApiKey(apiKey));
+
+  if (!record) {
+    return { error: "Invalid API key" };
+  }
+  const statusError = getApiKeyStatusError(record);
+  return statusError || { record };
+}
+
+/**
+ * Check whether a stored key can still be used.
+ *
+ * @returns {object|null} { error, code } for revoked or expired keys, otherwise null
+ */
+function getApiKeyStatusError(record) {
+  if (record.status === 'revoked') {
+    return { error: "API key has been revoked", code: "API_KEY_REVOKED" };
+  }
+  if (record.expires_at && new Date(record.expires_at) <= new Date()) {
+    return { error: "API key has expired", code: "API_KEY_EXPIRED" };
+  }
+  return null;
+}
+
+/**
+ * Record that a key was used.
+ */
+function touchApiKey(record) {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - LAST_USED_RESOLUTION_MS).toISOString();
+  const touchStmt = db.prepare(`
+    UPDATE api_keys SET last_used_at = ? WHERE id = ? AND (last_used_at IS NULL OR last_used_at < ?)
+  `);
+  touchStmt.run(now.toISOString(), record.id, cutoff);
+}
+
+/**
+ * Rotate a key: create a replacement with the same name and scopes and let the old key
+ * expire after the overlap window.
+ *
+ * @param {object} record - The key being rotated
+ * @param {number} overlapSeconds - How long the old key keeps working
+ * @param {string} [expiresAt] - Expiry of the new key
+ * @returns {{ apiKey: string, record: object, previous: object }}
+ */
+const rotateApiKey = db.transaction((record, overlapSeconds, expiresAt = null) => {
+  const created = createApiKey(record.bank_id, {
+    name: record.name,
+    scopes: record.scopes.split(','),
+    expiresAt,
+    rotatedFrom: record.key_id
+  });
+
+  // The old key never lives longer than it already would have
+  let oldExpiry = new Date(Date.now() + overlapSeconds * 1000).toISOString();
+  if (record.expires_at && record.expires_at < oldExpiry) {
+    oldExpiry = record.expires_at;
+  }
+  db.prepare('UPDATE api_keys SET expires_at = ? WHERE id = ?').run(oldExpiry, record.id);
+
+  return { ...created, previous: getApiKey(record.bank_id, record.key_id) };
+});
+
+/**
+ * Revoke a key immediately.
+ */
+function revokeApiKey(record) {
+  const revokeStmt = db.prepare(`
+    UPDATE api_keys SET status = 'revoked', revoked_at = ? WHERE id = ? AND status = 'active'
+  `);
+  revokeStmt.run(new Date().toISOString(), record.id);
+  return getApiKey(record.bank_id, record.key_id);
+}
+
+/**
+ * Create middleware that rejects requests made with a key that lacks a scope.
+ * Must run after authenticateBank.
+ *
+ * @param {string} scope - One of API_KEY_SCOPES
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && req.apiKey.scopes.includes(scope)) {
+      return next();
+    }
+    res.status(403).json({
+      error: `This API key does not have the ${scope} scope`,
+      code: "INSUFFICIENT_SCOPE"
+    });
+  };
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_ROTATION_OVERLAP_SECONDS,
+  MAX_ROTATION_OVERLAP_SECONDS,
+  hashApiKey,
+  getScopesError,
+  formatApiKey,
+  generateApiKey,
+  storeApiKey,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  findApiKey,
+  getApiKeyStatusError,
+  touchApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  requireScope
+};
@@ -0,0 +1,345 @@
+/**
+ * APPROVAL RULES MODULE
+ *
+ * Decides which approval rule applies to a transfer amount, and keeps a bank's rules
+ * consistent. Each rule covers an amount range (min_amount to max_amount, both
+ * included; a missing max_amount means no upper limit).
+ *
+ * CONSISTENCY RULES:
+ * - Ranges of a bank's rules must not overlap, so every amount matches at most one rule
+ * - Ranges may leave gaps; amounts in a gap match no rule and are auto-approved.
+ *   getCoverageGaps() lists them so banks can close them
+ * - Amounts are compared in whole cents, both when checking ranges and when matching a
+ *   transfer (49,999.995 is matched as 50,000.00), so 0-9,999.99 and 10,000-49,999.99 leave no gap
+ *
+ * VERSIONS:
+ * - Every rule has a version that goes up on each change; each version (and the deletion)
+ *   is kept in approval_rule_versions, so the rule in force at any time can be rebuilt
+ * - A transfer stores the rule ID, version, required role level and required approvals it
+ *   matched when it was initiated, and is approved or rejected against that snapshot, so
+ *   editing a rule does not change what already pending transfers need
+ *
+ * SEGREGATION OF DUTIES (per-bank approval policy, maker-checker):
+ * - block_self_approval (default on): the initiator cannot approve their own transfer
+ * - require_distinct_approvers (default on): each approval comes from a different user
+ * - require_distinct_departments (default off): each approval comes from a different
+ *   bank_users.department, and approvers need a department
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const db = require('./database/connection'); // Database connection for approval rules
+
+// What an amount gets when no rule covers it
+const NO_RULE_REQUIREMENTS = { auto_approve: true, required_approvals: 0, required_role_level: 1 };
+
+// Approval policy of banks that have not changed it
+const APPROVAL_POLICY_DEFAULTS = {
+  block_self_approval: true,
+  require_distinct_approvers: true,
+  require_distinct_departments: false
+};
+const APPROVAL_POLICY_SETTINGS = Object.keys(APPROVAL_POLICY_DEFAULTS);
+
+// Convert an amount to whole cents (ranges are compared in cents)
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+// Upper end of a rule's range in cents (Infinity when there is no max_amount)
+function maxCents(rule) {
+  return rule.max_amount === null || rule.max_amount === undefined ? Infinity : toCents(rule.max_amount);
+}
+
+/**
+ * List a bank's approval rules by amount.
+ */
+function listApprovalRules(bankId) {
+  const rulesStmt = db.prepare('SELECT * FROM approval_rules WHERE bank_id = ? ORDER BY min_amount ASC, id ASC');
+  return rulesStmt.all(bankId);
+}
+
+/**
+ * Find the approval rule covering an amount.
+ * The amount is rounded to whole cents first, like the ranges in the overlap and gap checks,
+ * so an amount such as 49,999.995 cannot fall between two adjacent rules.
+ *
+ * @returns {object|undefined} The approval_rules row, or undefined when no rule covers the amount
+ */
+function findApprovalRule(bankId, amount) {
+  const ruleStmt = db.prepare(`
+    SELECT * FROM approval_rules
+    WHERE bank_id = ? AND ROUND(min_amount * 100) <= ? AND (max_amount IS NULL OR ROUND(max_amount * 100) >= ?)
+    ORDER BY min_amount DESC
+    LIMIT 1
+  `);
+  const cents = toCents(amount);
+  return ruleStmt.get(bankId, cents, cents);
+}
+
+/**
+ * Get the approval requirements for a transfer amount: the covering rule, or
+ * auto-approval when no rule covers it.
+ */
+function getApprovalRequirements(bankId, amount) {
+  return findApprovalRule(bankId, amount) || NO_RULE_REQUIREMENTS;
+}
+
+/**
+ * Take the approval requirements of an amount as they are now, for storing on a transfer.
+ *
+ * @returns {object} { approval_rule_id, approval_rule_version, required_role_level,
+ *                   required_approvals, auto_approve } (rule ID and version are null when
+ *                   no rule covers the amount)
+ */
+function snapshotApprovalRequirements(bankId, amount) {
+  const rule = findApprovalRule(bankId, amount);
+  const requirements = rule || NO_RULE_REQUIREMENTS;
+  return {
+    approval_rule_id: rule ? rule.id : null,
+    approval_rule_version: rule ? rule.version : null,
+    required_role_level: requirements.required_role_level,
+    required_approvals: requirements.required_approvals || 0,
+    auto_approve: Boolean(requirements.auto_approve)
+  };
+}
+
+/**
+ * Get the approval requirements of a transfer: the snapshot taken at initiation, or the
+ * current rules for transfers initiated before snapshots were stored.
+ *
+ * @param {object} transfer - transaction_records row
+ * @returns {object} { required_role_level, required_approvals }
+ */
+function getTransferApprovalRequirements(transfer) {
+  if (transfer.required_role_level !== null && transfer.required_role_level !== undefined) {
+    return {
+      required_role_level: transfer.required_role_level,
+      required_approvals: transfer.required_approvals
+    };
+  }
+  const requirements = getApprovalRequirements(transfer.bank_id, transfer.amount);
+  return {
+    required_role_level: requirements.required_role_level,
+    required_approvals: transfer.required_approvals
+  };
+}
+
+/**
+ * Store a version of a rule in its history.
+ *
+ * @param {object} rule - approval_rules row (as it is after the change)
+ * @param {string} changeType - 'created', 'updated' or 'deleted'
+ * @param {string} changedBy - user_id of the acting user, or 'system'
+ */
+function recordRuleVersion(rule, changeType, changedBy) {
+  const versionStmt = db.prepare(`
+    INSERT INTO approval_rule_versions (
+      rule_id, bank_id, version, rule_name, min_amount, max_amount,
+      required_role_level, required_approvals, auto_approve, change_type, changed_by, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  versionStmt.run(
+    rule.id, rule.bank_id, rule.version, rule.rule_name, rule.min_amount, rule.max_amount,
+    rule.required_role_level, rule.required_approvals, rule.auto_approve ? 1 : 0,
+    changeType, changedBy, new Date().toISOString()
+  );
+}
+
+/**
+ * List every version of a bank's rule (oldest first), including its deletion.
+ */
+function listRuleVersions(bankId, ruleId) {
+  const versionsStmt = db.prepare(`
+    SELECT * FROM approval_rule_versions WHERE bank_id = ? AND rule_id = ? ORDER BY version ASC
+  `);
+  return versionsStmt.all(bankId, ruleId).map(version => ({
+    version: version.version,
+    change_type: version.change_type,
+    changed_by: version.changed_by,
+    created_at: version.created_at,
+    rule_name: version.rule_name,
+    min_amount: version.min_amount,
+    max_amount: version.max_amount,
+    required_role_level: version.required_role_level,
+    required_approvals: version.required_approvals,
+    auto_approve: Boolean(version.auto_approve)
+  }));
+}
+
+/**
+ * Check the amount range of a rule.
+ *
+ * @returns {string|null} Error message, or null when the range is valid
+ */
+function getRangeError(minAmount, maxAmount) {
+  if (typeof minAmount !== 'number' || minAmount < 0) {
+    return "min_amount must be a number of 0 or more";
+  }
+  if (maxAmount !== null && maxAmount !== undefined && (typeof maxAmount !== 'number' || maxAmount < minAmount)) {
+    return "max_amount must be a number not below min_amount (or null for no upper limit)";
+  }
+  return null;
+}
+
+/**
+ * Find the bank's rules whose range overlaps a range.
+ *
+ * @param {number} bankId
+ * @param {number} minAmount
+ * @param {number|null} maxAmount - null for no upper limit
+ * @param {number} [ignoreRuleId] - Rule being updated (not compared with itself)
+ * @returns {object[]} Overlapping rules
+ */
+function findOverlappingRules(bankId, minAmount, maxAmount, ignoreRuleId = null) {
+  const range = { min_amount: minAmount, max_amount: maxAmount };
+  return listApprovalRules(bankId).filter(rule =>
+    rule.id !== Number(ignoreRuleId) &&
+    toCents(rule.min_amount) <= maxCents(range) &&
+    toCents(minAmount) <= maxCents(rule)
+  );
+}
+
+/**
+ * List the amount ranges no rule covers (amounts there are auto-approved).
+ *
+ * @returns {object[]} Gaps as { from, to } (to is null for "and above")
+ */
+function getCoverageGaps(bankId) {
+  const gaps = [];
+  let nextUncovered = 0; // First cent not covered by the rules seen so far
+
+  for (const rule of listApprovalRules(bankId)) {
+    const ruleMin = toCents(rule.min_amount);
+    if (ruleMin > nextUncovered) {
+      gaps.push({ from: nextUncovered / 100, to: (ruleMin - 1) / 100 });
+    }
+    nextUncovered = Math.max(nextUncovered, maxCents(rule) + 1);
+  }
+
+  if (nextUncovered !== Infinity) {
+    gaps.push({ from: nextUncovered / 100, to: null });
+  }
+  return gaps;
+}
+
+/**
+ * Get a bank's approval policy (the defaults until the bank changes it).
+ *
+ * @returns {object} { block_self_approval, require_distinct_approvers, require_distinct_departments }
+ */
+function getApprovalPolicy(bankId) {
+  const policyStmt = db.prepare('SELECT * FROM approval_policies WHERE bank_id = ?');
+  const row = policyStmt.get(bankId);
+
+  const policy = {};
+  for (const setting of APPROVAL_POLICY_SETTINGS) {
+    policy[setting] = row ? Boolean(row[setting]) : APPROVAL_POLICY_DEFAULTS[setting];
+  }
+  return policy;
+}
+
+/**
+ * Update a bank's approval policy. Settings left out keep their current value.
+ *
+ * @param {number} bankId
+ * @param {object} changes - e.g. { require_distinct_departments: true }
+ * @param {string} updatedBy - user_id of the acting user
+ * @returns {object} The updated policy
+ */
+function setApprovalPolicy(bankId, changes, updatedBy) {
+  const policy = { ...getApprovalPolicy(bankId), ...changes };
+  const upsertStmt = db.prepare(`
+    INSERT INTO approval_policies (bank_id, block_self_approval, require_distinct_approvers, require_distinct_departments, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(bank_id) DO UPDATE SET
+      block_self_approval = excluded.block_self_approval,
+      require_distinct_approvers = excluded.require_distinct_approvers,
+      require_distinct_departments = excluded.require_distinct_departments,
+      updated_by = excluded.updated_by, updated_at = excluded.updated_at
+  `);
+  upsertStmt.run(
+    bankId, policy.block_self_approval ? 1 : 0, policy.require_distinct_approvers ? 1 : 0,
+    policy.require_distinct_departments ? 1 : 0, updatedBy, new Date().toISOString()
+  );
+  return getApprovalPolicy(bankId);
+}
+
+/**
+ * Check an approval (or a rejection, which needs the same independence) against the bank's
+ * approval policy.
+ *
+ * @param {object} policy - From getApprovalPolicy()
+ * @param {object} transfer - transaction_records row
+ * @param {object} approver - bank_users row of the approving user
+ * @param {object[]} priorApprovals - Earlier approvals as { approver_user_id, on_behalf_of, department }
+ * @param {object} [principal] - bank_users row of the approver acted for (delegated approvals);
+ *                               both people count as the approver
+ * @param {string} [decision] - 'approve' or 'reject' (used in the error messages)
+ * @returns {object|null} { status, error, code } when the decision is not allowed, otherwise null
+ */
+function getSegregationError(policy, transfer, approver, priorApprovals, principal = null, decision = 'approve') {
+  const approverIds = principal ? [approver.user_id, principal.user_id] : [approver.user_id];
+
+  if (policy.block_self_approval && approverIds.includes(transfer.initiated_by)) {
+    return { status: 403, error: `The initiator of a transfer cannot ${decision} it`, code: "SELF_APPROVAL" };
+  }
+  if (policy.require_distinct_approvers && priorApprovals.some(approval =>
+    approverIds.includes(approval.approver_user_id) || approverIds.includes(approval.on_behalf_of))) {
+    return { status: 400, error: "User has already approved this transfer", code: "ALREADY_APPROVED" };
+  }
+  if (policy.require_distinct_departments) {
+    if (!approver.department) {
+      return {
+        status: 403,
+        error: "Approvers need a department under this bank's approval policy",
+        code: "DEPARTMENT_REQUIRED"
+      };
+    }
+    if (priorApprovals.some(approval => approval.department === approver.department)) {
+      return {
+        status: 403,
+        error: `This transfer already has an approval from the ${approver.department} department`,
+        code: "SAME_DEPARTMENT"
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Shape a rule for API responses (overlap and coverage errors).
+ */
+function summarizeRule(rule) {
+  return {
+    id: rule.id,
+    rule_name: rule.rule_name,
+    min_amount: rule.min_amount,
+    max_amount: rule.max_amount,
+    version: rule.version
+  };
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  APPROVAL_POLICY_SETTINGS,
+  listApprovalRules,
+  findApprovalRule,
+  getApprovalRequirements,
+  snapshotApprovalRequirements,
+  getTransferApprovalRequirements,
+  recordRuleVersion,
+  listRuleVersions,
+  getApprovalPolicy,
+  setApprovalPolicy,
+  getSegregationError,
+  getRangeError,
+  findOverlappingRules,
+  getCoverageGaps,
+  summarizeRule
+};
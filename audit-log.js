@@ -0,0 +1,95 @@
+/**
+ * AUDIT LOG MODULE
+ *
+ * Records who changed what in a bank's configuration. Every entry is kept in the
+ * audit_log table with the bank, the kind of thing that changed (e.g. 'role'), the
+ * action, the acting user and a JSON snapshot of the values before and after.
+ *
+ * ENTRIES:
+ * - entity_type / entity_id: what changed (e.g. 'role', 12)
+ * - action: 'created', 'updated' or 'deleted'
+ * - actor: user_id of the signed-in user, or 'api' for API-key-only requests
+ * - before / after: the record before and after the change (null when it did not exist)
+ *
+ * Entries are never updated or deleted.
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const db = require('./database/connection'); // Database connection for the audit_log table
+
+/**
+ * Add an entry to the audit log.
+ *
+ * @param {object} entry
+ * @param {number} entry.bankId
+ * @param {string} entry.entityType - e.g. 'role'
+ * @param {string|number} entry.entityId
+ * @param {string} entry.action - 'created', 'updated' or 'deleted'
+ * @param {object} [entry.req] - Express request; the actor and IP address are taken from it
+ * @param {object} [entry.before] - Record before the change
+ * @param {object} [entry.after] - Record after the change
+ * @returns {number} Audit entry ID
+ */
+function recordAuditEvent({ bankId, entityType, entityId, action, req, before = null, after = null }) {
+  const insertStmt = db.prepare(`
+    INSERT INTO audit_log (bank_id, entity_type, entity_id, action, actor, ip_address, before_state, after_state, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const result = insertStmt.run(
+    bankId, entityType, String(entityId), action,
+    req && req.user ? req.user.user_id : 'api', req ? req.ip : null,
+    before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null,
+    new Date().toISOString()
+  );
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * List a bank's audit entries (newest first).
+ *
+ * @param {number} bankId
+ * @param {object} [filters]
+ * @param {string} [filters.entityType]
+ * @param {string|number} [filters.entityId]
+ * @param {number} [filters.limit] - Default 100
+ * @returns {object[]} Entries with before/after parsed
+ */
+function listAuditEvents(bankId, { entityType, entityId, limit = 100 } = {}) {
+  const conditions = ['bank_id = ?'];
+  const params = [bankId];
+  if (entityType) {
+    conditions.push('entity_type = ?');
+    params.push(entityType);
+  }
+  if (entityId !== undefined) {
+    conditions.push('entity_id = ?');
+    params.push(String(entityId));
+  }
+
+  const listStmt = db.prepare(`
+    SELECT * FROM audit_log WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?
+  `);
+  return listStmt.all(...params, limit).map(entry => ({
+    id: entry.id,
+    entity_type: entry.entity_type,
+    entity_id: entry.entity_id,
+    action: entry.action,
+    actor: entry.actor,
+    ip_address: entry.ip_address,
+    before: entry.before_state ? JSON.parse(entry.before_state) : null,
+    after: entry.after_state ? JSON.parse(entry.after_state) : null,
+    created_at: entry.created_at
+  }));
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  recordAuditEvent,
+  listAuditEvents
+};
@@ -0,0 +1,669 @@
+/**
+ * USER AUTHENTICATION MODULE
+ *
+ * The bank's API key proves which bank is calling, but not which person at the bank is
+ * acting. This module lets bank users sign in with their password and get a short-lived
+ * session token. Transfer initiation, approval, rejection and cancellation take the
+ * acting user from that session instead of trusting a user ID in the request body.
+ *
+ * HOW IT WORKS:
+ * - A password is set when the user is created (or later with POST /api/users/:userId/password)
+ * - POST /api/auth/login (with the bank's API key) checks username and password and returns
+ *   an opaque session token; bank_users.last_login is updated
+ * - The token is sent in the X-Session-Token header together with the API key
+ * - POST /api/auth/logout ends the session
+ * - Users can add a TOTP authenticator (POST /api/auth/mfa/enroll, see mfa.js); sensitive
+ *   actions then need a fresh code in the X-MFA-Code header (requireStepUp)
+ *
+ * SECURITY FEATURES:
+ * - Passwords are hashed with scrypt and a random salt
+ * - Session tokens are stored as SHA-256 hashes, like API keys
+ * - Sessions expire after USER_SESSION_TTL_MS (default 1 hour)
+ * - A session only works with an API key of the same bank, and only while the user is active
+ * - Changing a user's password ends all of their sessions
+ * - Unknown usernames are checked against a dummy hash, so they take as long as wrong passwords
+ * - After LOGIN_MAX_FAILURES failed sign-ins for a username, or LOGIN_MAX_FAILURES_PER_IP from
+ *   one IP address, within LOGIN_LOCKOUT_MS, sign-in is refused with 429 LOGIN_LOCKED until the
+ *   oldest failure is out of the window (unknown usernames lock out the same way). A successful
+ *   sign-in or a password reset clears the username's failures
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const express = require('express'); // Web framework for creating API endpoints
+const crypto = require('crypto'); // Password hashing and session tokens
+const db = require('./database/connection'); // Database connection for users and sessions
+const { authenticateBank } = require('./banks'); // Bank authentication middleware
+const mfa = require('./mfa'); // TOTP enrollment and step-up codes
+const router = express.Router(); // Router for login and logout endpoints
+
+// How long a session lasts
+const SESSION_TTL_MS = Number(process.env.USER_SESSION_TTL_MS) || 60 * 60 * 1000;
+
+// Shortest password we accept
+const MIN_PASSWORD_LENGTH = 8;
+
+// scrypt output length in bytes
+const PASSWORD_KEY_LENGTH = 64;
+
+// Failed sign-in limits (per bank)
+const LOGIN_LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_MAX_FAILURES_PER_IP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+
+/**
+ * Hash a password for storage ("scrypt$<salt>$<hash>").
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, PASSWORD_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against a stored hash.
+ */
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked instead of a real hash when the user does not exist or has no password
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Return an error message when a password is too weak, otherwise null.
+ */
+function getPasswordError(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Hash a session token for storage and lookup
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check whether sign-in is locked for a username or IP address of a bank.
+ *
+ * @returns {number|null} Seconds until the next attempt is allowed, or null when not locked
+ */
+function getLoginLockout(bankId, username, ipAddress) {
+  const since = new Date(Date.now() - LOGIN_LOCKOUT_MS).toISOString();
+  const byUsernameStmt = db.prepare(`
+    SELECT COUNT(*) AS count, MIN(attempted_at) AS oldest FROM failed_logins
+    WHERE bank_id = ? AND username = ? AND attempted_at > ?
+  `);
+  const byIpStmt = db.prepare(`
+    SELECT COUNT(*) AS count, MIN(attempted_at) AS oldest FROM failed_logins
+    WHERE bank_id = ? AND ip_address = ? AND attempted_at > ?
+  `);
+  const checks = [
+    [byUsernameStmt.get(bankId, username, since), LOGIN_MAX_FAILURES],
+    [byIpStmt.get(bankId, ipAddress, since), LOGIN_MAX_FAILURES_PER_IP]
+  ];
+
+  for (const [failures, limit] of checks) {
+    if (failures.count >= limit) {
+      const unlockAt = new Date(failures.oldest).getTime() + LOGIN_LOCKOUT_MS;
+      return Math.max(1, Math.ceil((unlockAt - Date.now()) / 1000));
+    }
+  }
+  return null;
+}
+
+// Record a failed sign-in (and drop failures that are out of the lockout window)
+function recordFailedLogin(bankId, username, ipAddress) {
+  const now = new Date();
+  db.transaction(() => {
+    const pruneStmt = db.prepare('DELETE FROM failed_logins WHERE attempted_at <= ?');
+    pruneStmt.run(new Date(now.getTime() - LOGIN_LOCKOUT_MS).toISOString());
+    const failedStmt = db.prepare(`
+      INSERT INTO failed_logins (bank_id, username, ip_address, attempted_at) VALUES (?, ?, ?, ?)
+    `);
+    failedStmt.run(bankId, username, ipAddress, now.toISOString());
+  })();
+}
+
+/**
+ * Forget the failed sign-ins of a username (after a successful sign-in or a password reset).
+ */
+function clearFailedLogins(bankId, username) {
+  const clearStmt = db.prepare('DELETE FROM failed_logins WHERE bank_id = ? AND username = ?');
+  clearStmt.run(bankId, username);
+}
+
+/**
+ * End every open session of a user (e.g. after a password change).
+ */
+function revokeUserSessions(userId) {
+  const revokeStmt = db.prepare(`
+    UPDATE user_sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL
+  `);
+  revokeStmt.run(new Date().toISOString(), userId);
+}
+
+/**
+ * Look up the session for a token and mark it as used.
+ *
+ * @param {string} token - Session token sent by the client
+ * @param {number|null} bankId - Bank of the API key used; the session must belong to it
+ *                               (null when the token is the only credential, e.g. WebSockets)
+ * @returns {object} { user, session } for a valid session, otherwise { error, code }
+ */
+function findUserSession(token, bankId) {
+  const sessionStmt = db.prepare(`
+    SELECT s.*, u.status AS user_status
+    FROM user_sessions s
+    JOIN bank_users u ON u.user_id = s.user_id
+    WHERE s.token_hash = ?
+  `);
+  const session = sessionStmt.get(hashSessionToken(token));
+
+  // Sessions only work with an API key of the same bank, and only for active users
+  if (!session || session.revoked_at || (bankId !== null && session.bank_id !== bankId) || session.user_status !== 'active') {
+    return { error: "Invalid user session", code: "SESSION_INVALID" };
+  }
+  if (new Date(session.expires_at) <= new Date()) {
+    return { error: "User session has expired", code: "SESSION_EXPIRED" };
+  }
+
+  db.prepare('UPDATE user_sessions SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), session.id);
+
+  const userStmt = db.prepare('SELECT * FROM bank_users WHERE user_id = ?');
+  return { user: userStmt.get(session.user_id), session };
+}
+
+/**
+ * USER AUTHENTICATION MIDDLEWARE
+ *
+ * Checks the X-Session-Token header and puts the signed-in user on req.user.
+ * Must run after authenticateBank.
+ *
+ * @param {object} [options]
+ * @param {string} [options.bodyField] - Request body field that used to name the acting user
+ *                                       (e.g. 'initiated_by'); if a client still sends it, it
+ *                                       must match the signed-in user
+ * @param {boolean} [options.optional] - Let requests without X-Session-Token through
+ *                                       (req.user stays unset); a token that is sent must be valid
+ * @returns {Function} Express middleware
+ */
+function authenticateUser(options = {}) {
+  return (req, res, next) => {
+    const token = req.headers['x-session-token'];
+
+    if (!token && options.optional) {
+      return next();
+    }
+    if (!token) {
+      return res.status(401).json({
+        error: "User session required (X-Session-Token header)",
+        code: "SESSION_REQUIRED"
+      });
+    }
+
+    try {
+      const { user, session, error, code } = findUserSession(token, req.bank.id);
+      if (error) {
+        return res.status(401).json({ error, code });
+      }
+
+      if (options.bodyField && req.body && req.body[options.bodyField] !== undefined &&
+          req.body[options.bodyField] !== user.user_id) {
+        return res.status(403).json({
+          error: `${options.bodyField} does not match the signed-in user`,
+          code: "USER_MISMATCH"
+        });
+      }
+
+      req.user = user; // The bank user acting in this request
+      req.session = { sessionId: session.session_id, expiresAt: session.expires_at };
+      next();
+    } catch (error) {
+      console.error('User authentication error:', error);
+      res.status(500).json({ error: "User authentication failed" });
+    }
+  };
+}
+
+/**
+ * STEP-UP MIDDLEWARE
+ *
+ * Requires a fresh one-time code from the signed-in user in the X-MFA-Code header and
+ * puts the kind of code used ('totp' or 'recovery_code') on req.mfaMethod.
+ * Must run after authenticateUser.
+ *
+ * @returns {Function} Express middleware
+ */
+function requireStepUp() {
+  return (req, res, next) => {
+    try {
+      const result = mfa.verifyStepUp(req.user, req.headers['x-mfa-code']);
+      if (result.error) {
+        if (result.retry_after_seconds) {
+          res.set('Retry-After', String(result.retry_after_seconds));
+        }
+        return res.status(result.status).json({
+          error: result.error,
+          code: result.code,
+          retry_after_seconds: result.retry_after_seconds
+        });
+      }
+
+      req.mfaMethod = result.method;
+      next();
+    } catch (error) {
+      console.error('Step-up authentication error:', error);
+      res.status(500).json({ error: "Failed to check one-time code" });
+    }
+  };
+}
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Sign in a bank user
+ *     description: |
+ *       Checks the user's username and password and returns a session token. Send it in the
+ *       X-Session-Token header (together with the bank's API key) to act as this user.
+ *     tags: [Auth]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: "jdoe"
+ *               password:
+ *                 type: string
+ *                 example: "correct horse battery"
+ *     responses:
+ *       200:
+ *         description: Signed in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 session_token:
+ *                   type: string
+ *                   example: "ses_4f1c..."
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                 user:
+ *                   $ref: '#/components/schemas/BankUser'
+ *       400:
+ *         description: Missing username or password
+ *       401:
+ *         description: Invalid API key, or invalid username or password
+ *       429:
+ *         description: Too many failed sign-ins for this username or IP address (LOGIN_LOCKED, with retry_after_seconds and a Retry-After header)
+ */
+router.post('/login', authenticateBank, async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({
+      error: "Missing required fields",
+      required: ["username", "password"]
+    });
+  }
+
+  try {
+    const retryAfter = getLoginLockout(req.bank.id, String(username), req.ip);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: "Too many failed sign-in attempts, try again later",
+        code: "LOGIN_LOCKED",
+        retry_after_seconds: retryAfter
+      });
+    }
+
+    const userStmt = db.prepare('SELECT * FROM bank_users WHERE bank_id = ? AND username = ?');
+    const user = userStmt.get(req.bank.id, username);
+
+    // Same answer, and the same scrypt work, for unknown users, wrong passwords and inactive users
+    const passwordValid = verifyPassword(String(password), (user && user.password_hash) || DUMMY_PASSWORD_HASH);
+    if (!user || !user.password_hash || user.status !== 'active' || !passwordValid) {
+      recordFailedLogin(req.bank.id, String(username), req.ip);
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    clearFailedLogins(req.bank.id, user.username);
+
+    const token = `ses_${crypto.randomBytes(32).toString('hex')}`;
+    const sessionId = `session_${crypto.randomBytes(8).toString('hex')}`;
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + SESSION_TTL_MS).toISOString();
+
+    db.transaction(() => {
+      const sessionStmt = db.prepare(`
+        INSERT INTO user_sessions (session_id, token_hash, bank_id, user_id, created_at, expires_at, ip_address, user_agent)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      sessionStmt.run(
+        sessionId, hashSessionToken(token), req.bank.id, user.user_id, now.toISOString(), expiresAt,
+        req.ip, req.headers['user-agent'] || null
+      );
+      db.prepare('UPDATE bank_users SET last_login = ? WHERE user_id = ?').run(now.toISOString(), user.user_id);
+    })();
+
+    res.json({
+      message: "Signed in",
+      session_token: token,
+      expires_at: expiresAt,
+      user: {
+        user_id: user.user_id,
+        username: user.username,
+        email: user.email,
+        full_name: user.full_name,
+        role: user.role,
+        department: user.department,
+        status: user.status,
+        last_login: now.toISOString(),
+        mfa_enabled: Boolean(user.mfa_enabled)
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: "Failed to sign in"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/session:
+ *   get:
+ *     summary: Get the current user session
+ *     tags: [Auth]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     responses:
+ *       200:
+ *         description: Signed-in user and session expiry
+ *       401:
+ *         description: Missing, invalid or expired session (SESSION_REQUIRED, SESSION_INVALID, SESSION_EXPIRED)
+ */
+router.get('/session', authenticateBank, authenticateUser(), async (req, res) => {
+  res.json({
+    session_id: req.session.sessionId,
+    expires_at: req.session.expiresAt,
+    user: {
+      user_id: req.user.user_id,
+      username: req.user.username,
+      full_name: req.user.full_name,
+      role: req.user.role,
+      last_login: req.user.last_login,
+      mfa_enabled: Boolean(req.user.mfa_enabled)
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: End the current user session
+ *     tags: [Auth]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     responses:
+ *       200:
+ *         description: Signed out
+ *       401:
+ *         description: Missing, invalid or expired session
+ */
+router.post('/logout', authenticateBank, authenticateUser(), async (req, res) => {
+  try {
+    const revokeStmt = db.prepare('UPDATE user_sessions SET revoked_at = ? WHERE session_id = ?');
+    revokeStmt.run(new Date().toISOString(), req.session.sessionId);
+
+    res.json({ message: "Signed out" });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: "Failed to sign out"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/enroll:
+ *   post:
+ *     summary: Start TOTP enrollment
+ *     description: |
+ *       Creates a new authenticator secret for the signed-in user. Show otpauth_uri as a QR code
+ *       (or enter the secret by hand), then confirm with a first code. MFA is not active until
+ *       it is confirmed.
+ *     tags: [Auth]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     responses:
+ *       200:
+ *         description: Secret created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                 otpauth_uri:
+ *                   type: string
+ *                   example: "otpauth://totp/Stablecoin%20Banking%20API%3Ajdoe?secret=JBSWY3DPEHPK3PXP..."
+ *       401:
+ *         description: Missing, invalid or expired session
+ *       409:
+ *         description: MFA is already enabled (code MFA_ALREADY_ENABLED)
+ */
+router.post('/mfa/enroll', authenticateBank, authenticateUser(), async (req, res) => {
+  if (req.user.mfa_enabled) {
+    return res.status(409).json({
+      error: "Multi-factor authentication is already enabled; disable it first to enroll a new authenticator",
+      code: "MFA_ALREADY_ENABLED"
+    });
+  }
+
+  try {
+    const { secret, otpauthUri } = mfa.startEnrollment(req.user);
+
+    res.json({
+      message: "Scan the otpauth URI with an authenticator app and confirm with a code",
+      secret: secret,
+      otpauth_uri: otpauthUri
+    });
+  } catch (error) {
+    console.error('MFA enrollment error:', error);
+    res.status(500).json({
+      error: "Failed to start MFA enrollment"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/confirm:
+ *   post:
+ *     summary: Confirm TOTP enrollment
+ *     description: Switches MFA on with a first code from the authenticator app and returns recovery codes (shown once).
+ *     tags: [Auth]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *     responses:
+ *       200:
+ *         description: MFA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recovery_codes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["3f9a1-0c2de", "b71e4-9a0f3"]
+ *       400:
+ *         description: Missing code or enrollment not started
+ *       401:
+ *         description: Wrong code (code MFA_INVALID)
+ *       409:
+ *         description: MFA is already enabled (code MFA_ALREADY_ENABLED)
+ */
+router.post('/mfa/confirm', authenticateBank, authenticateUser(), async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({
+      error: "Missing required fields",
+      required: ["code"]
+    });
+  }
+  if (req.user.mfa_enabled) {
+    return res.status(409).json({ error: "Multi-factor authentication is already enabled", code: "MFA_ALREADY_ENABLED" });
+  }
+  if (!req.user.mfa_secret) {
+    return res.status(400).json({ error: "Start enrollment first (POST /api/auth/mfa/enroll)" });
+  }
+
+  try {
+    const recoveryCodes = mfa.confirmEnrollment(req.user, code);
+    if (!recoveryCodes) {
+      return res.status(401).json({ error: "Invalid one-time code", code: "MFA_INVALID" });
+    }
+
+    res.json({
+      message: "Multi-factor authentication enabled. Store the recovery codes safely; they are shown only once.",
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('MFA confirmation error:', error);
+    res.status(500).json({
+      error: "Failed to confirm MFA enrollment"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes
+ *     description: Issues a new set of recovery codes; the old ones stop working. Needs a step-up code.
+ *     tags: [Auth]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MfaCode'
+ *     responses:
+ *       200:
+ *         description: New recovery codes (shown once)
+ *       401:
+ *         description: Missing or invalid one-time code (MFA_REQUIRED, MFA_INVALID)
+ *       403:
+ *         description: MFA is not enabled (code MFA_NOT_ENROLLED)
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
+ */
+router.post('/mfa/recovery-codes', authenticateBank, authenticateUser(), requireStepUp(), async (req, res) => {
+  try {
+    res.json({
+      message: "New recovery codes issued; the old ones no longer work",
+      recovery_codes: mfa.issueRecoveryCodes(req.user.user_id)
+    });
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    res.status(500).json({
+      error: "Failed to issue recovery codes"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     summary: Turn off TOTP
+ *     description: Removes the authenticator and recovery codes. Needs a step-up code.
+ *     tags: [Auth]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MfaCode'
+ *     responses:
+ *       200:
+ *         description: MFA disabled
+ *       401:
+ *         description: Missing or invalid one-time code (MFA_REQUIRED, MFA_INVALID)
+ *       403:
+ *         description: MFA is not enabled (code MFA_NOT_ENROLLED)
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
+ */
+router.post('/mfa/disable', authenticateBank, authenticateUser(), requireStepUp(), async (req, res) => {
+  try {
+    mfa.disableMfa(req.user.user_id);
+
+    res.json({ message: "Multi-factor authentication disabled" });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      error: "Failed to disable MFA"
+    });
+  }
+});
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = router;
+module.exports.authenticateUser = authenticateUser;
+module.exports.requireStepUp = requireStepUp;
+module.exports.hashPassword = hashPassword;
+module.exports.verifyPassword = verifyPassword;
+module.exports.getPasswordError = getPasswordError;
+module.exports.revokeUserSessions = revokeUserSessions;
+module.exports.clearFailedLogins = clearFailedLogins;
+module.exports.findUserSession = findUserSession;
@@ -0,0 +1,206 @@
+/**
+ * AUTHORIZATION MODULE
+ *
+ * Enforces what a bank user's role allows. Every role in the roles table has a list of
+ * permissions, a maximum transfer amount and three flags; this module resolves the role
+ * of the signed-in user (req.user) and checks them before a route runs.
+ *
+ * PERMISSIONS CHECKED:
+ * - transfers:initiate: the role's permissions include 'transfers' (or 'all')
+ * - transfers:approve: can_approve_transfers is set
+ * - users:manage: can_create_users is set
+ * - settings:modify: can_modify_settings is set (approval rules)
+ *
+ * ROLE GRANTS:
+ * - A user can only give other users roles up to their own role level
+ *
+ * TRANSFER LIMITS:
+ * - max_transfer_amount caps the transfers a user can initiate, approve or reject;
+ *   routes call getTransferLimitError() once they know the amount
+ *
+ * REQUESTS WITHOUT A USER:
+ * - Profile updates (without a role change) and a bank's very first user also accept the
+ *   bank's API key alone. Such requests act for the bank itself and are only limited by the
+ *   API key's scopes; as soon as a session is sent, the user's role is enforced.
+ *   Creating and deactivating users otherwise needs a signed-in user (users.js).
+ *
+ * ERROR CODES (403):
+ * - PERMISSION_DENIED: the role does not allow the action
+ * - TRANSFER_LIMIT_EXCEEDED: the amount is above the role's max_transfer_amount
+ * - ROLE_NOT_FOUND: the user's role no longer exists for the bank
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const db = require('./database/connection'); // Database connection for role lookups
+
+// Permission names a role can list ('all' grants every permission)
+const ROLE_PERMISSIONS = ['all', 'transfers', 'approvals', 'reports'];
+
+// Permission -> check on the role row
+const PERMISSION_CHECKS = {
+  'transfers:initiate': role => hasRolePermission(role, 'transfers'),
+  'transfers:approve': role => Boolean(role.can_approve_transfers),
+  'users:manage': role => Boolean(role.can_create_users),
+  'settings:modify': role => Boolean(role.can_modify_settings)
+};
+
+/**
+ * Read the permission names of a role. Roles store them either as a JSON array
+ * (roles created at registration) or as comma-separated text (sample data).
+ */
+function getRolePermissions(role) {
+  const raw = role.permissions || '';
+  try {
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (error) {
+    // Not JSON - fall through to comma-separated text
+  }
+  return raw.split(',').map(permission => permission.trim()).filter(Boolean);
+}
+
+/**
+ * Check whether a role has a named permission ('all' grants every permission).
+ */
+function hasRolePermission(role, permission) {
+  const permissions = getRolePermissions(role);
+  return permissions.includes('all') || permissions.includes(permission);
+}
+
+/**
+ * Look up a role of a bank by name.
+ */
+function getRole(bankId, roleName) {
+  const roleStmt = db.prepare('SELECT * FROM roles WHERE bank_id = ? AND role_name = ?');
+  return roleStmt.get(bankId, roleName);
+}
+
+/**
+ * Check an amount against a role's transfer limit.
+ *
+ * @returns {object|null} { error, code, max_transfer_amount } when the amount is too large, otherwise null
+ */
+function getTransferLimitError(role, amount) {
+  if (role.max_transfer_amount !== null && amount > role.max_transfer_amount) {
+    return {
+      error: `Amount exceeds the ${role.role_name} role's transfer limit`,
+      code: "TRANSFER_LIMIT_EXCEEDED",
+      max_transfer_amount: role.max_transfer_amount
+    };
+  }
+  return null;
+}
+
+/**
+ * Check that the acting role may give a role to a user: nobody can grant a role above
+ * their own level.
+ *
+ * @param {object|undefined} actingRole - req.role (undefined only when a bank's first user is
+ *                                        created with the API key alone)
+ * @param {object} grantedRole - Role being given
+ * @returns {object|null} { error, code } when not allowed, otherwise null
+ */
+function getRoleGrantError(actingRole, grantedRole) {
+  if (actingRole && grantedRole.role_level > actingRole.role_level) {
+    return {
+      error: `The ${actingRole.role_name} role cannot grant the higher-level ${grantedRole.role_name} role`,
+      code: "PERMISSION_DENIED"
+    };
+  }
+  return null;
+}
+
+/**
+ * Check that the acting role may give a role these permissions, flags and transfer limit:
+ * nobody can grant a permission or flag they do not have, or a limit above their own.
+ *
+ * @param {object} actingRole - req.role
+ * @param {object} fields - The role fields being set (permissions, max_transfer_amount and the
+ *                          can_* flags); fields that are left out are not checked
+ * @returns {object|null} { error, code } when not allowed, otherwise null
+ */
+function getRoleEscalationError(actingRole, fields) {
+  const denied = error => ({ error, code: "PERMISSION_DENIED" });
+
+  const missingPermission = (fields.permissions || []).find(permission => !hasRolePermission(actingRole, permission));
+  if (missingPermission) {
+    return denied(`The ${actingRole.role_name} role cannot grant the ${missingPermission} permission it does not have`);
+  }
+
+  const missingFlag = ['can_approve_transfers', 'can_create_users', 'can_modify_settings']
+    .find(flag => fields[flag] && !actingRole[flag]);
+  if (missingFlag) {
+    return denied(`The ${actingRole.role_name} role cannot grant ${missingFlag} because it does not have it`);
+  }
+
+  if (fields.max_transfer_amount !== undefined && actingRole.max_transfer_amount !== null &&
+      (fields.max_transfer_amount === null || fields.max_transfer_amount > actingRole.max_transfer_amount)) {
+    return denied(`The ${actingRole.role_name} role cannot grant a transfer limit above its own (${actingRole.max_transfer_amount})`);
+  }
+  return null;
+}
+
+/**
+ * Create middleware that rejects users whose role does not allow an action, and
+ * puts the role on req.role. Must run after authenticateUser.
+ *
+ * @param {string} permission - One of the keys of PERMISSION_CHECKS
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission) {
+  const check = PERMISSION_CHECKS[permission];
+  if (!check) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    // No signed-in user: the request acts for the bank (see REQUESTS WITHOUT A USER)
+    if (!req.user) {
+      return next();
+    }
+
+    try {
+      const role = getRole(req.bank.id, req.user.role);
+      if (!role) {
+        return res.status(403).json({
+          error: `Role ${req.user.role} does not exist for this bank`,
+          code: "ROLE_NOT_FOUND"
+        });
+      }
+
+      if (!check(role)) {
+        return res.status(403).json({
+          error: `The ${role.role_name} role is not allowed to do this`,
+          code: "PERMISSION_DENIED",
+          required_permission: permission
+        });
+      }
+
+      req.role = role; // Role of the acting user
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      res.status(500).json({ error: "Failed to check permissions" });
+    }
+  };
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  ROLE_PERMISSIONS,
+  requirePermission,
+  getTransferLimitError,
+  getRoleGrantError,
+  getRoleEscalationError,
+  getRolePermissions,
+  hasRolePermission,
+  getRole
+};
@@ -34,6 +34,10 @@ const crypto = require('crypto'); // Cryptography library for generating secure
 const db = require('./database/connection'); // Database connection for storing bank data
 const router = express.Router(); // Router for organizing bank-related endpoints
 const { randomUUID } = require('crypto');
+const requestSigning = require('./request-signing'); // HMAC request signatures and signing policies
+const apiKeys = require('./api-keys'); // Hashed, scoped API keys
+const { recordRuleVersion } = require('./approval-rules'); // Version history of approval rules
+const { requireScope } = apiKeys;
 
 /**
  * SWAGGER API DOCUMENTATION - BANK DATA STRUCTURES
@@ -79,6 +83,18 @@ const { randomUUID } = require('crypto');
  *         status:
  *           type: string
  *           description: Bank status
+ *     SigningPolicy:
+ *       type: object
+ *       description: Operations that require requests signed with the bank's api_secret
+ *       properties:
+ *         transfer_initiate:
+ *           type: boolean
+ *           description: POST /api/transfers/initiate must be signed
+ *           example: true
+ *         transfer_approve:
+ *           type: boolean
+ *           description: POST /api/transfers/{transferId}/approve must be signed
+ *           example: true
  */
 
 /**
@@ -128,9 +144,13 @@ const { randomUUID } = require('crypto');
  *                 api_credentials:
  *                   type: object
  *                   properties:
+ *                     key_id:
+ *                       type: string
+ *                       description: Identifier of the API key (used to rotate or revoke it)
+ *                       example: "key_3f9a1c2b4d5e6f70"
  *                     api_key:
  *                       type: string
- *                       description: API key for authentication
+ *                       description: API key for authentication (shown only once)
  *                       example: "sk_1234567890abcdef"
  *                     api_secret:
  *                       type: string
@@ -206,20 +226,26 @@ router.post('/register', async (req, res) => {
   try {
     // Generate secure API credentials for the bank
     // These will be used to authenticate all future API requests
-    const api_key = `sk_${crypto.randomBytes(16).toString('hex')}`; // 32-character secure key
+    const api_key = apiKeys.generateApiKey(); // 32-character secure key
     const api_secret = crypto.randomBytes(32).toString('hex'); // 64-character secret for enhanced security
 
     // Insert the bank into the database
-    // This creates the bank record with all provided information
+    // This creates the bank record with all provided information (only a hash of the key is stored)
     const stmt = db.prepare(`
       INSERT INTO banks (bank_name, bank_code, api_key, api_secret, contact_email, country)
       VALUES (?, ?, ?, ?, ?, ?)
     `);
-    const result = stmt.run(bank_name, bank_code, api_key, api_secret, contact_email, country);
+    const result = stmt.run(bank_name, bank_code, apiKeys.hashApiKey(api_key), api_secret, contact_email, country);
     
     // Get the unique ID assigned to this bank
     const bank_id = result.lastInsertRowid;
 
+    // Store the first API key with every scope; more keys can be created later
+    const { key_id } = apiKeys.storeApiKey(bank_id, api_key, {
+      name: 'default',
+      scopes: apiKeys.API_KEY_SCOPES
+    });
+
     /**
      * DEFAULT ROLE CREATION
      * 
@@ -282,9 +308,9 @@ router.post('/register', async (req, res) => {
     console.log('Creating approval rules for bank_id:', bank_id);
     const defaultRules = [
       [bank_id, 'Small Transfers', 0, 9999.99, 1, 0, 1], // Auto-approved, no approval needed
-      [bank_id, 'Medium Transfers', 10000, 49999.99, 2, 1, 0], // Need 1 approval from Manager+
-      [bank_id, 'Large Transfers', 50000, 249999.99, 3, 1, 0], // Need 1 approval from Manager+
-      [bank_id, 'Very Large Transfers', 250000, null, 4, 2, 0] // Need 2 approvals from Admin
+      [bank_id, 'Medium Transfers', 10000, 49999.99, 7, 1, 0], // Need 1 approval from Manager+
+      [bank_id, 'Large Transfers', 50000, 249999.99, 7, 1, 0], // Need 1 approval from Manager+
+      [bank_id, 'Very Large Transfers', 250000, null, 10, 2, 0] // Need 2 approvals from Admin
     ];
 
     // Create each approval rule in the database
@@ -296,7 +322,7 @@ router.post('/register', async (req, res) => {
         `);
         // Handle null values properly - ensure explicit null handling for unlimited amounts
         const [bankId, ruleName, minAmount, maxAmount, requiredRoleLevel, requiredApprovals, autoApprove] = rule;
-        ruleStmt.run(
+        const ruleResult = ruleStmt.run(
           bankId, 
           ruleName, 
           minAmount, 
@@ -305,6 +331,9 @@ router.post('/register', async (req, res) => {
           requiredApprovals, 
           autoApprove
         );
+        // Start the rule's version history
+        const createdRule = db.prepare('SELECT * FROM approval_rules WHERE id = ?').get(ruleResult.lastInsertRowid);
+        recordRuleVersion(createdRule, 'created', 'system');
         console.log('Created approval rule:', ruleName, 'for bank_id:', bankId);
       } catch (ruleError) {
         console.error('Error creating approval rule:', rule[1], 'Error:', ruleError.message);
@@ -320,6 +349,7 @@ router.post('/register', async (req, res) => {
       message: "Bank registered successfully",
       bank: bank,
       api_credentials: {
+        key_id: key_id,
         api_key: api_key,
         api_secret: api_secret
       },
@@ -398,9 +428,9 @@ router.get('/profile', authenticateBank, async (req, res) => {
   try {
     const bankStmt = db.prepare(`
       SELECT id, bank_name, bank_code, contact_email, country, status, created_at
-      FROM banks WHERE api_key = ?
+      FROM banks WHERE id = ?
     `);
-    const bank = bankStmt.get(req.apiKey);
+    const bank = bankStmt.get(req.bank.id);
 
     if (!bank) {
       return res.status(404).json({ error: "Bank not found" });
@@ -410,9 +440,9 @@ router.get('/profile', authenticateBank, async (req, res) => {
     const userCountStmt = db.prepare('SELECT COUNT(*) as count FROM bank_users WHERE bank_id = ?');
     const userCount = userCountStmt.get(bank.id);
     
-    // Get wallet count (using fbo_wallets for now)
-    const walletCountStmt = db.prepare('SELECT COUNT(*) as count FROM fbo_wallets');
-    const walletCount = walletCountStmt.get();
+    // Get wallet count (wallets owned by this bank)
+    const walletCountStmt = db.prepare('SELECT COUNT(*) as count FROM fbo_wallets WHERE bank_id = ?');
+    const walletCount = walletCountStmt.get(bank.id);
 
     res.json({
       bank: bank,
@@ -429,6 +459,470 @@ router.get('/profile', authenticateBank, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/banks/signing-policy:
+ *   get:
+ *     summary: Get request signing policy
+ *     description: Shows which operations require requests signed with the bank's api_secret
+ *     tags: [Banks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Signing policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 signing_policy:
+ *                   $ref: '#/components/schemas/SigningPolicy'
+ *       401:
+ *         description: Invalid or missing API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/signing-policy', authenticateBank, async (req, res) => {
+  try {
+    res.json({ signing_policy: requestSigning.getSigningPolicy(req.bank.id) });
+  } catch (error) {
+    console.error('Error getting signing policy:', error);
+    res.status(500).json({
+      error: "Failed to get signing policy"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/banks/signing-policy:
+ *   put:
+ *     summary: Update request signing policy
+ *     description: |
+ *       Choose which operations require signed requests. This request must itself be
+ *       signed, which proves the bank can sign before signatures are enforced.
+ *       Operations left out keep their current setting.
+ *     tags: [Banks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SignatureHeader'
+ *       - $ref: '#/components/parameters/SignatureTimestamp'
+ *       - $ref: '#/components/parameters/SignatureNonce'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SigningPolicy'
+ *     responses:
+ *       200:
+ *         description: Signing policy updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 signing_policy:
+ *                   $ref: '#/components/schemas/SigningPolicy'
+ *       400:
+ *         description: Unknown operation or value is not a boolean
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid API key, or the request is not signed (SIGNATURE_REQUIRED) or wrongly signed
+ *       403:
+ *         description: API key lacks the admin scope (code INSUFFICIENT_SCOPE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/signing-policy', authenticateBank, requireScope('admin'), async (req, res) => {
+  if (!req.signatureVerified) {
+    return res.status(401).json({
+      error: "Changing the signing policy requires a signed request",
+      code: "SIGNATURE_REQUIRED"
+    });
+  }
+
+  const changes = req.body || {};
+  const operations = Object.keys(changes);
+  if (operations.length === 0) {
+    return res.status(400).json({
+      error: `Provide at least one of: ${requestSigning.SIGNED_OPERATIONS.join(', ')}`
+    });
+  }
+  for (const operation of operations) {
+    if (!requestSigning.SIGNED_OPERATIONS.includes(operation)) {
+      return res.status(400).json({
+        error: `Unknown operation ${operation}. Valid operations: ${requestSigning.SIGNED_OPERATIONS.join(', ')}`
+      });
+    }
+    if (typeof changes[operation] !== 'boolean') {
+      return res.status(400).json({ error: `${operation} must be true or false` });
+    }
+  }
+
+  try {
+    res.json({
+      message: "Signing policy updated",
+      signing_policy: requestSigning.setSigningPolicy(req.bank.id, changes)
+    });
+  } catch (error) {
+    console.error('Error updating signing policy:', error);
+    res.status(500).json({
+      error: "Failed to update signing policy"
+    });
+  }
+});
+
+// Returns an error message when expires_at is given but is not a future date, otherwise null.
+function getExpiryError(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null) {
+    return null;
+  }
+  const expiry = new Date(expiresAt);
+  if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+    return "expires_at must be a date in the future";
+  }
+  return null;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         key_id:
+ *           type: string
+ *           example: "key_3f9a1c2b4d5e6f70"
+ *         name:
+ *           type: string
+ *           example: "reporting"
+ *         key_prefix:
+ *           type: string
+ *           description: First characters of the key, to tell keys apart
+ *           example: "sk_1a2b3c4"
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [read, "transfers:initiate", "transfers:approve", "wallets:manage", "users:manage", admin]
+ *         status:
+ *           type: string
+ *           enum: [active, revoked]
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         rotated_from:
+ *           type: string
+ *           nullable: true
+ *           description: key_id of the key this one replaced
+ */
+
+/**
+ * @swagger
+ * /api/banks/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Lists the bank's API keys. The keys themselves are never returned, only their prefix.
+ *     tags: [Banks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 api_keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Invalid, revoked or expired API key
+ *       403:
+ *         description: API key lacks the admin scope (code INSUFFICIENT_SCOPE)
+ */
+router.get('/api-keys', authenticateBank, requireScope('admin'), async (req, res) => {
+  try {
+    res.json({ api_keys: apiKeys.listApiKeys(req.bank.id).map(apiKeys.formatApiKey) });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      error: "Failed to list API keys"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/banks/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: Creates a named API key with the given scopes. The key is returned only in this response.
+ *     tags: [Banks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "reporting"
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["read"]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional date after which the key stops working
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 api_key:
+ *                   type: string
+ *                   description: The new key (shown only once)
+ *                 key:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Missing name, unknown scopes or invalid expires_at
+ *       403:
+ *         description: API key lacks the admin scope (code INSUFFICIENT_SCOPE)
+ */
+router.post('/api-keys', authenticateBank, requireScope('admin'), async (req, res) => {
+  const { name, scopes, expires_at } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: "name is required" });
+  }
+  const validationError = apiKeys.getScopesError(scopes) || getExpiryError(expires_at);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const { apiKey, record } = apiKeys.createApiKey(req.bank.id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expires_at ? new Date(expires_at).toISOString() : null
+    });
+
+    res.status(201).json({
+      message: "API key created. Store it securely - it will not be shown again",
+      api_key: apiKey,
+      key: apiKeys.formatApiKey(record)
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      error: "Failed to create API key"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/banks/api-keys/{keyId}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: |
+ *       Creates a replacement key with the same name and scopes. The old key keeps working
+ *       for overlap_seconds (default 24 hours, at most 30 days; 0 stops it immediately).
+ *     tags: [Banks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overlap_seconds:
+ *                 type: integer
+ *                 example: 86400
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiry of the new key
+ *     responses:
+ *       201:
+ *         description: Replacement key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 api_key:
+ *                   type: string
+ *                   description: The new key (shown only once)
+ *                 key:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *                 previous_key:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid overlap_seconds or expires_at
+ *       403:
+ *         description: API key lacks the admin scope (code INSUFFICIENT_SCOPE)
+ *       404:
+ *         description: API key not found
+ *       409:
+ *         description: Key is revoked or expired
+ */
+router.post('/api-keys/:keyId/rotate', authenticateBank, requireScope('admin'), async (req, res) => {
+  const { overlap_seconds, expires_at } = req.body || {};
+  const overlapSeconds = overlap_seconds === undefined ? apiKeys.DEFAULT_ROTATION_OVERLAP_SECONDS : overlap_seconds;
+
+  if (!Number.isInteger(overlapSeconds) || overlapSeconds < 0 || overlapSeconds > apiKeys.MAX_ROTATION_OVERLAP_SECONDS) {
+    return res.status(400).json({
+      error: `overlap_seconds must be a whole number between 0 and ${apiKeys.MAX_ROTATION_OVERLAP_SECONDS}`
+    });
+  }
+  const expiryError = getExpiryError(expires_at);
+  if (expiryError) {
+    return res.status(400).json({ error: expiryError });
+  }
+
+  try {
+    const record = apiKeys.getApiKey(req.bank.id, req.params.keyId);
+    if (!record) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    const statusError = apiKeys.getApiKeyStatusError(record);
+    if (statusError) {
+      return res.status(409).json({ error: "Only active keys can be rotated", code: statusError.code });
+    }
+
+    const rotated = apiKeys.rotateApiKey(record, overlapSeconds, expires_at ? new Date(expires_at).toISOString() : null);
+
+    res.status(201).json({
+      message: "API key rotated. Store the new key securely - it will not be shown again",
+      api_key: rotated.apiKey,
+      key: apiKeys.formatApiKey(rotated.record),
+      previous_key: apiKeys.formatApiKey(rotated.previous)
+    });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({
+      error: "Failed to rotate API key"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/banks/api-keys/{keyId}/revoke:
+ *   post:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately. The key used to make this request cannot revoke itself.
+ *     tags: [Banks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 key:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Tried to revoke the key used for this request (code CANNOT_REVOKE_CURRENT_KEY)
+ *       403:
+ *         description: API key lacks the admin scope (code INSUFFICIENT_SCOPE)
+ *       404:
+ *         description: API key not found
+ */
+router.post('/api-keys/:keyId/revoke', authenticateBank, requireScope('admin'), async (req, res) => {
+  try {
+    const record = apiKeys.getApiKey(req.bank.id, req.params.keyId);
+    if (!record) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    if (record.key_id === req.apiKey.keyId) {
+      return res.status(400).json({
+        error: "An API key cannot revoke itself; use another key with the admin scope",
+        code: "CANNOT_REVOKE_CURRENT_KEY"
+      });
+    }
+
+    res.json({
+      message: "API key revoked",
+      key: apiKeys.formatApiKey(apiKeys.revokeApiKey(record))
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      error: "Failed to revoke API key"
+    });
+  }
+});
+
 /**
  * BANK AUTHENTICATION MIDDLEWARE
  * 
@@ -439,9 +933,14 @@ router.get('/profile', authenticateBank, async (req, res) => {
  * HOW AUTHENTICATION WORKS:
  * 1. Bank includes their API key in the request headers
  * 2. This middleware extracts the API key from the request
- * 3. It looks up the API key in the database
- * 4. If found and bank is active, the request proceeds
- * 5. If not found or bank is inactive, request is rejected
+ * 3. It looks up the hash of the API key in the api_keys table (see api-keys.js)
+ * 4. Revoked and expired keys are rejected, and the key's last use is recorded
+ * 5. If the request is signed (X-Signature headers), the signature is checked
+ *    with the bank's api_secret (see request-signing.js)
+ * 6. GET requests need the key's 'read' scope; other endpoints check their own
+ *    scope with requireScope()
+ * 7. If found and bank is active, the request proceeds
+ * 8. If not found, inactive or wrongly signed, the request is rejected
  * 
  * SECURITY FEATURES:
  * - Validates API key against database
@@ -465,20 +964,45 @@ function authenticateBank(req, res, next) {
   }
 
   try {
-    // Look up the bank in the database using the API key
+    // Look up the API key (stored hashed) and reject revoked or expired keys
+    const { record, error, code } = apiKeys.findApiKey(apiKey);
+    if (!record) {
+      return res.status(401).json(code ? { error, code } : { error });
+    }
+
+    // Look up the bank that owns the key
     // Only return banks that are currently active
-    const authStmt = db.prepare('SELECT * FROM banks WHERE api_key = ? AND status = ?');
-    const bank = authStmt.get(apiKey, 'active');
+    const authStmt = db.prepare('SELECT * FROM banks WHERE id = ? AND status = ?');
+    const bank = authStmt.get(record.bank_id, 'active');
     
-    // If no bank found with this API key, reject the request
+    // If no active bank owns this API key, reject the request
     if (!bank) {
       return res.status(401).json({ error: "Invalid API key" });
     }
+    apiKeys.touchApiKey(record);
+
+    // Signed request: the signature must be valid, otherwise reject the request
+    if (requestSigning.isSignedRequest(req)) {
+      const signatureError = requestSigning.verifyRequestSignature(req, bank);
+      if (signatureError) {
+        return res.status(401).json(signatureError);
+      }
+      req.signatureVerified = true;
+    }
+    
+    // Reading data needs the 'read' scope
+    const scopes = record.scopes.split(',');
+    if ((req.method === 'GET' || req.method === 'HEAD') && !scopes.includes('read')) {
+      return res.status(403).json({
+        error: "This API key does not have the read scope",
+        code: "INSUFFICIENT_SCOPE"
+      });
+    }
     
     // If bank found, attach bank information to the request
     // This makes the bank data available to the endpoint handlers
     req.bank = bank; // Full bank object with all bank information
-    req.apiKey = apiKey; // API key for logging or additional validation
+    req.apiKey = { keyId: record.key_id, name: record.name, scopes }; // Key used, for scope checks and logging
     next(); // Allow the request to proceed to the actual endpoint
   } catch (error) {
     console.error('Authentication error:', error);
@@ -495,6 +1019,8 @@ function authenticateBank(req, res, next) {
  * EXPORTS:
  * - router: Contains all bank-related API endpoints
  * - authenticateBank: Middleware function for bank authentication
+ * - requireScope: Middleware factory that checks the API key has a scope
  */
 module.exports = router;
-module.exports.authenticateBank = authenticateBank; 
\ No newline at end of file
+module.exports.authenticateBank = authenticateBank;
+module.exports.requireScope = requireScope; 
\ No newline at end of file
@@ -21,6 +21,7 @@
  * - schema.sql: Core banking tables (wallets, transfers, etc.)
  * - user-management-schema.sql: Bank and user management tables
  * - notifications-schema.sql: Notification and webhook tables
+ * - migrations.js: Column changes for tables created by earlier versions
  * 
  * SECURITY FEATURES:
  * - Foreign key constraints prevent orphaned data
@@ -36,6 +37,7 @@
 const Database = require('better-sqlite3'); // High-performance SQLite library for Node.js
 const fs = require('fs'); // File system operations
 const path = require('path'); // Path manipulation utilities
+const { runMigrations } = require('./migrations'); // Column changes for tables that already exist
 
 /**
  * DATABASE DIRECTORY SETUP
@@ -64,8 +66,10 @@ if (!fs.existsSync(dbDir)) {
  * - Location: database/stablecoin.db
  * - Type: SQLite database file
  * - Size: Grows as data is added
+ * - DATABASE_PATH overrides the location (the test suite uses this to run the job queue
+ *   against a throwaway database)
  */
-const dbPath = path.join(dbDir, 'stablecoin.db'); // Full path to database file
+const dbPath = process.env.DATABASE_PATH || path.join(dbDir, 'stablecoin.db'); // Full path to database file
 const db = new Database(dbPath); // Create database connection
 
 /**
@@ -92,6 +96,7 @@ db.pragma('foreign_keys = ON'); // Enable foreign key constraints
  * 1. Load core banking schema (wallets, transfers, etc.)
  * 2. Load user management schema (banks, users, roles, etc.)
  * 3. Load notifications schema (notifications, webhooks, etc.)
+ * 4. Apply pending migrations (new columns on existing tables)
  * 
  * ERROR HANDLING:
  * - Catches and logs any schema loading errors
@@ -121,6 +126,9 @@ function initializeDatabase() {
       db.exec(notificationsSchema); // Execute the SQL to create tables
     }
 
+    // Apply migrations (must run after the schema files so the tables exist)
+    runMigrations(db);
+
     console.log('Database initialized successfully'); // Confirm successful initialization
   } catch (error) {
     console.error('Database initialization error:', error); // Log any errors
@@ -0,0 +1,347 @@
+/**
+ * DATABASE MIGRATIONS MODULE
+ *
+ * This file keeps existing databases in step with the code. The .sql schema files only
+ * use "CREATE TABLE IF NOT EXISTS", so they can add new tables but can never add a new
+ * column to a table that already exists. Column changes to existing tables live here.
+ *
+ * HOW MIGRATIONS WORK:
+ * - Each migration has a unique, ordered ID and an "up" function
+ * - Applied migrations are recorded in the schema_migrations table
+ * - On startup, every migration that has not been applied yet runs once, in order
+ * - Each migration runs inside a database transaction, so it either fully applies or not at all
+ *
+ * ADDING A NEW MIGRATION:
+ * - Append a new entry to the end of the list (never edit or reorder applied migrations)
+ * - Use addColumnIfMissing() so the migration is safe on both new and old databases
+ * - Put indexes on new columns here too, because the .sql files run before migrations
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+const crypto = require('crypto'); // Used to hash API keys moved into api_keys
+
+/**
+ * Add a column to a table only if it is not already there.
+ * SQLite has no "ADD COLUMN IF NOT EXISTS", so we check the table structure first.
+ *
+ * @param {object} db - Database connection
+ * @param {string} table - Table to change
+ * @param {string} column - New column name
+ * @param {string} definition - Column type and constraints (e.g. "INTEGER DEFAULT 0")
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Point a table's user_id column at bank_users(user_id). The notification tables were
+ * created with "user_id INTEGER REFERENCES users(id)", but there is no users table, so
+ * every insert with a user failed. SQLite cannot change a foreign key in place, so the
+ * table is rebuilt with the same definition and rows (user IDs that match no bank user
+ * are cleared).
+ *
+ * @param {object} db - Database connection
+ * @param {string} table - Table with a user_id column
+ */
+function repointUserReference(db, table) {
+  const references = db.prepare(`PRAGMA foreign_key_list(${table})`).all();
+  if (!references.some(ref => ref.from === 'user_id' && ref.table === 'users')) {
+    return;
+  }
+
+  const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+  const indexes = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL").all(table);
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+  const copyColumns = columns.map(column => column === 'user_id'
+    ? 'CASE WHEN user_id IN (SELECT user_id FROM bank_users) THEN user_id END'
+    : column);
+
+  db.exec(`ALTER TABLE ${table} RENAME TO ${table}_old`);
+  db.exec(sql
+    .replace(/user_id INTEGER/, 'user_id TEXT')
+    .replace(/REFERENCES users\s*\(id\)/, 'REFERENCES bank_users(user_id)'));
+  db.exec(`INSERT INTO ${table} (${columns.join(', ')}) SELECT ${copyColumns.join(', ')} FROM ${table}_old`);
+  db.exec(`DROP TABLE ${table}_old`);
+  for (const index of indexes) {
+    db.exec(index.sql);
+  }
+}
+
+/**
+ * MIGRATION LIST
+ *
+ * Ordered list of schema changes. Each entry is applied exactly once per database.
+ */
+const migrations = [
+  {
+    id: '001_transfer_wallets',
+    description: 'Store source and destination wallets and failure reason on transfers',
+    up(db) {
+      // Which wallet pays and which wallet receives - needed to post ledger entries on completion
+      addColumnIfMissing(db, 'transaction_records', 'from_wallet_id', 'INTEGER REFERENCES fbo_wallets(wallet_id)');
+      addColumnIfMissing(db, 'transaction_records', 'to_wallet_id', 'INTEGER REFERENCES fbo_wallets(wallet_id)');
+      // Why a transfer failed (for example, insufficient funds at settlement time)
+      addColumnIfMissing(db, 'transaction_records', 'failure_reason', 'TEXT');
+      addColumnIfMissing(db, 'transaction_records', 'completed_at', 'TIMESTAMP');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_transaction_records_from_wallet ON transaction_records(from_wallet_id)');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_transaction_records_to_wallet ON transaction_records(to_wallet_id)');
+    }
+  },
+  {
+    id: '002_transfer_details',
+    description: 'Store currency, fee, reason and owning bank on transfers',
+    up(db) {
+      addColumnIfMissing(db, 'transaction_records', 'currency', "TEXT DEFAULT 'USDC'");
+      addColumnIfMissing(db, 'transaction_records', 'fees', 'DECIMAL(20,8) DEFAULT 0');
+      addColumnIfMissing(db, 'transaction_records', 'reason', 'TEXT');
+      addColumnIfMissing(db, 'transaction_records', 'bank_id', 'INTEGER REFERENCES banks(id)');
+
+      // Backfill older transfers: the owning bank is the bank of the user who initiated it,
+      // and the fee was always 0.1% of the amount
+      db.exec(`
+        UPDATE transaction_records
+        SET bank_id = (SELECT bank_id FROM bank_users WHERE bank_users.user_id = transaction_records.initiated_by)
+        WHERE bank_id IS NULL
+      `);
+      db.exec('UPDATE transaction_records SET fees = ROUND(amount * 0.001, 8) WHERE fees IS NULL OR fees = 0');
+      db.exec("UPDATE transaction_records SET currency = 'USDC' WHERE currency IS NULL");
+      db.exec('CREATE INDEX IF NOT EXISTS idx_transaction_records_bank_id ON transaction_records(bank_id)');
+    }
+  },
+  {
+    id: '003_approval_decisions',
+    description: 'Record approve/reject/cancel decisions on transfer_approvals',
+    up(db) {
+      // 'approved', 'rejected' or 'cancelled' - the comments column holds the reason
+      addColumnIfMissing(db, 'transfer_approvals', 'decision', "TEXT DEFAULT 'approved'");
+
+      // transfer_id references transaction_records(transaction_id), so it must hold the
+      // numeric transfer ID ("5"), not the API form ("transfer_5")
+      db.exec(`
+        UPDATE transfer_approvals
+        SET transfer_id = REPLACE(transfer_id, 'transfer_', '')
+        WHERE transfer_id LIKE 'transfer_%'
+      `);
+    }
+  },
+  {
+    id: '004_wallet_ownership',
+    description: 'Link wallets to their owning bank and store subsidiary name and currency',
+    up(db) {
+      // Wallets created before this migration have no owner and cannot be debited by any bank
+      addColumnIfMissing(db, 'fbo_wallets', 'bank_id', 'INTEGER REFERENCES banks(id)');
+      addColumnIfMissing(db, 'fbo_wallets', 'subsidiary_name', 'TEXT');
+      addColumnIfMissing(db, 'fbo_wallets', 'currency', "TEXT DEFAULT 'USDC'");
+      db.exec("UPDATE fbo_wallets SET currency = 'USDC' WHERE currency IS NULL");
+      db.exec('CREATE INDEX IF NOT EXISTS idx_fbo_wallets_bank_id ON fbo_wallets(bank_id)');
+    }
+  },
+  {
+    id: '005_subwallets',
+    description: 'Add name, status and timestamps to subwallets and link ledger postings to subwallets',
+    up(db) {
+      addColumnIfMissing(db, 'subwallets', 'name', 'TEXT');
+      // 'active', 'frozen' (no money in or out) or 'closed' (permanently, only when empty)
+      addColumnIfMissing(db, 'subwallets', 'status', "TEXT DEFAULT 'active'");
+      addColumnIfMissing(db, 'subwallets', 'created_at', 'TIMESTAMP');
+      addColumnIfMissing(db, 'subwallets', 'closed_at', 'TIMESTAMP');
+      db.exec("UPDATE subwallets SET status = 'active' WHERE status IS NULL");
+
+      // Postings with a subwallet_id belong to that subwallet inside their wallet
+      addColumnIfMissing(db, 'ledger_postings', 'subwallet_id', 'INTEGER REFERENCES subwallets(subwallet_id)');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_ledger_postings_subwallet_id ON ledger_postings(subwallet_id)');
+    }
+  },
+  {
+    id: '006_settlement',
+    description: 'Track on-chain settlement (block, confirmations, adapter) on transfers',
+    up(db) {
+      addColumnIfMissing(db, 'transaction_records', 'block_number', 'INTEGER');
+      addColumnIfMissing(db, 'transaction_records', 'confirmations', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'transaction_records', 'required_confirmations', 'INTEGER');
+      addColumnIfMissing(db, 'transaction_records', 'broadcast_at', 'TIMESTAMP');
+      addColumnIfMissing(db, 'transaction_records', 'settlement_adapter', 'TEXT');
+
+      // Settled transfers are now 'confirmed' instead of 'completed'
+      db.exec("UPDATE transaction_records SET status = 'confirmed' WHERE status = 'completed'");
+    }
+  },
+  {
+    id: '007_api_keys',
+    description: 'Move bank API keys into api_keys (hashed, with all scopes) and stop storing them in plain text',
+    up(db) {
+      // Keep in step with API_KEY_SCOPES in api-keys.js
+      const allScopes = 'read,transfers:initiate,transfers:approve,wallets:manage,users:manage,admin';
+      const banks = db.prepare('SELECT id, api_key FROM banks').all();
+      const insertStmt = db.prepare(`
+        INSERT OR IGNORE INTO api_keys (key_id, bank_id, name, key_prefix, key_hash, scopes, status, created_at)
+        VALUES (?, ?, 'default', ?, ?, ?, 'active', ?)
+      `);
+      const hashStmt = db.prepare('UPDATE banks SET api_key = ? WHERE id = ?');
+
+      for (const bank of banks) {
+        const keyHash = crypto.createHash('sha256').update(bank.api_key).digest('hex');
+        insertStmt.run(
+          `key_${crypto.randomBytes(8).toString('hex')}`, bank.id, bank.api_key.slice(0, 10),
+          keyHash, allScopes, new Date().toISOString()
+        );
+        // banks.api_key keeps only the hash of the bank's first key
+        hashStmt.run(keyHash, bank.id);
+      }
+    }
+  },
+  {
+    id: '008_user_passwords',
+    description: 'Store password hashes so bank users can sign in',
+    up(db) {
+      // Users created before this migration need a password set before they can sign in
+      addColumnIfMissing(db, 'bank_users', 'password_hash', 'TEXT');
+      addColumnIfMissing(db, 'bank_users', 'password_updated_at', 'TIMESTAMP');
+    }
+  },
+  {
+    id: '009_user_mfa',
+    description: 'Store TOTP secrets for multi-factor step-up',
+    up(db) {
+      addColumnIfMissing(db, 'bank_users', 'mfa_secret', 'TEXT');
+      addColumnIfMissing(db, 'bank_users', 'mfa_enabled', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'bank_users', 'mfa_enrolled_at', 'TIMESTAMP');
+      addColumnIfMissing(db, 'bank_users', 'mfa_last_used_step', 'INTEGER');
+    }
+  },
+  {
+    id: '010_approval_rule_versions',
+    description: 'Version approval rules and snapshot the matched rule onto transfers',
+    up(db) {
+      addColumnIfMissing(db, 'approval_rules', 'version', 'INTEGER DEFAULT 1');
+      // The rule a transfer matched when it was initiated; approvals are checked against it
+      addColumnIfMissing(db, 'transaction_records', 'approval_rule_id', 'INTEGER');
+      addColumnIfMissing(db, 'transaction_records', 'approval_rule_version', 'INTEGER');
+      addColumnIfMissing(db, 'transaction_records', 'required_role_level', 'INTEGER');
+      // Existing rules start their history at version 1
+      db.exec(`
+        INSERT OR IGNORE INTO approval_rule_versions (
+          rule_id, bank_id, version, rule_name, min_amount, max_amount,
+          required_role_level, required_approvals, auto_approve, change_type, changed_by, created_at
+        )
+        SELECT id, bank_id, 1, rule_name, min_amount, max_amount,
+               required_role_level, COALESCE(required_approvals, 1), COALESCE(auto_approve, 0),
+               'created', COALESCE(created_by, 'system'), COALESCE(created_at, CURRENT_TIMESTAMP)
+        FROM approval_rules
+      `);
+    }
+  },
+  {
+    id: '011_approval_delegations',
+    description: 'Record decisions made on behalf of another approver',
+    up(db) {
+      // Approver the decision was made for, and the delegation that allowed it
+      addColumnIfMissing(db, 'transfer_approvals', 'on_behalf_of', 'TEXT REFERENCES bank_users(user_id)');
+      addColumnIfMissing(db, 'transfer_approvals', 'delegation_id', 'INTEGER REFERENCES approval_delegations(id)');
+    }
+  },
+  {
+    id: '012_notification_user_refs',
+    description: 'Reference bank_users from notification tables (users does not exist)',
+    up(db) {
+      repointUserReference(db, 'notifications');
+      repointUserReference(db, 'notification_preferences');
+      repointUserReference(db, 'websocket_connections');
+    }
+  },
+  {
+    id: '013_user_phone',
+    description: 'Store bank user phone numbers for SMS notifications',
+    up(db) {
+      addColumnIfMissing(db, 'bank_users', 'phone', 'TEXT');
+    }
+  },
+  {
+    id: '014_websocket_subscriptions',
+    description: 'Record how WebSocket connections authenticated and what they subscribe to',
+    up(db) {
+      addColumnIfMissing(db, 'websocket_connections', 'auth_method', 'TEXT'); // 'api_key' or 'session'
+      addColumnIfMissing(db, 'websocket_connections', 'subscriptions', "TEXT DEFAULT '[]'"); // JSON array of topics
+    }
+  },
+  {
+    id: '015_webhook_delivery_retries',
+    description: 'Track webhook delivery attempts and disable endpoints that keep failing',
+    up(db) {
+      // 'pending', 'retrying', 'delivered' or 'failed' (no attempts left)
+      addColumnIfMissing(db, 'webhook_deliveries', 'status', "TEXT DEFAULT 'pending'");
+      addColumnIfMissing(db, 'webhook_deliveries', 'attempts', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'webhook_deliveries', 'next_attempt_at', 'TIMESTAMP');
+      addColumnIfMissing(db, 'webhook_deliveries', 'last_attempt_at', 'TIMESTAMP');
+      addColumnIfMissing(db, 'webhook_deliveries', 'error', 'TEXT');
+      // Delivery a manual redelivery replays
+      addColumnIfMissing(db, 'webhook_deliveries', 'redelivery_of', 'INTEGER REFERENCES webhook_deliveries(id)');
+      addColumnIfMissing(db, 'webhook_endpoints', 'disabled_at', 'TIMESTAMP');
+      addColumnIfMissing(db, 'webhook_endpoints', 'disabled_reason', 'TEXT');
+      // Deliveries logged before this migration were single attempts
+      db.exec(`
+        UPDATE webhook_deliveries
+        SET status = CASE WHEN success = 1 THEN 'delivered' ELSE 'failed' END,
+            attempts = 1,
+            last_attempt_at = created_at
+        WHERE attempts = 0
+      `);
+    }
+  },
+  {
+    id: '016_webhook_signing',
+    description: 'Give webhook deliveries event IDs and let webhook secrets be rotated',
+    up(db) {
+      addColumnIfMissing(db, 'webhook_deliveries', 'event_id', 'TEXT'); // Sent as X-Webhook-Id
+      db.exec(`
+        UPDATE webhook_deliveries SET event_id = 'evt_' || lower(hex(randomblob(16))) WHERE event_id IS NULL;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_deliveries_event_id ON webhook_deliveries(event_id);
+      `);
+      // The secret a rotation replaced keeps signing deliveries until it expires
+      addColumnIfMissing(db, 'webhook_endpoints', 'previous_secret_key', 'TEXT');
+      addColumnIfMissing(db, 'webhook_endpoints', 'previous_secret_expires_at', 'TIMESTAMP');
+      addColumnIfMissing(db, 'webhook_endpoints', 'secret_rotated_at', 'TIMESTAMP');
+    }
+  }
+];
+
+/**
+ * Apply every migration that has not been applied to this database yet.
+ *
+ * @param {object} db - Database connection
+ */
+function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id TEXT PRIMARY KEY,
+      description TEXT,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const appliedStmt = db.prepare('SELECT id FROM schema_migrations');
+  const applied = new Set(appliedStmt.all().map(row => row.id));
+  const recordStmt = db.prepare('INSERT INTO schema_migrations (id, description) VALUES (?, ?)');
+
+  for (const migration of migrations) {
+    if (applied.has(migration.id)) continue;
+
+    // Run the migration and record it in one transaction
+    db.transaction(() => {
+      migration.up(db);
+      recordStmt.run(migration.id, migration.description);
+    })();
+    console.log(`Applied migration ${migration.id}: ${migration.description}`);
+  }
+}
+
+module.exports = {
+  runMigrations,
+  addColumnIfMissing
+};
@@ -5,21 +5,21 @@ CREATE TABLE IF NOT EXISTS websocket_connections (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     connection_id TEXT UNIQUE NOT NULL,
     bank_id INTEGER,
-    user_id INTEGER,
+    user_id TEXT, -- bank_users.user_id
     ip_address TEXT,
     user_agent TEXT,
     connected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     last_activity DATETIME DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT 1,
     FOREIGN KEY (bank_id) REFERENCES banks(id),
-    FOREIGN KEY (user_id) REFERENCES users(id)
+    FOREIGN KEY (user_id) REFERENCES bank_users(user_id)
 );
 
 -- Notifications table
 CREATE TABLE IF NOT EXISTS notifications (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     bank_id INTEGER,
-    user_id INTEGER,
+    user_id TEXT, -- bank_users.user_id
     type TEXT NOT NULL, -- 'transfer', 'approval', 'system', 'security'
     title TEXT NOT NULL,
     message TEXT NOT NULL,
@@ -29,7 +29,7 @@ CREATE TABLE IF NOT EXISTS notifications (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     read_at DATETIME,
     FOREIGN KEY (bank_id) REFERENCES banks(id),
-    FOREIGN KEY (user_id) REFERENCES users(id)
+    FOREIGN KEY (user_id) REFERENCES bank_users(user_id)
 );
 
 -- Webhook endpoints table
@@ -86,7 +86,7 @@ CREATE TABLE IF NOT EXISTS sms_templates (
 -- Notification preferences
 CREATE TABLE IF NOT EXISTS notification_preferences (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER,
+    user_id TEXT, -- bank_users.user_id
     email_enabled BOOLEAN DEFAULT 1,
     sms_enabled BOOLEAN DEFAULT 0,
     push_enabled BOOLEAN DEFAULT 1,
@@ -97,7 +97,7 @@ CREATE TABLE IF NOT EXISTS notification_preferences (
     system_notifications BOOLEAN DEFAULT 0,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
+    FOREIGN KEY (user_id) REFERENCES bank_users(user_id)
 );
 
 -- Slack/Teams integration settings
@@ -100,6 +100,34 @@ CREATE TABLE IF NOT EXISTS subwallets (
     FOREIGN KEY (wallet_id) REFERENCES fbo_wallets(wallet_id)
 );
 
+-- 11. LEDGER_JOURNAL_ENTRIES (one balanced double-entry booking per money movement)
+CREATE TABLE IF NOT EXISTS ledger_journal_entries (
+    entry_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_type VARCHAR(30) NOT NULL, -- 'transfer', 'deposit'
+    transaction_id INTEGER, -- transfer settled by this entry (NULL for deposits)
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (transaction_id) REFERENCES transaction_records(transaction_id)
+);
+
+-- 12. LEDGER_POSTINGS (debit/credit lines of a journal entry; the lines of an entry sum to zero)
+CREATE TABLE IF NOT EXISTS ledger_postings (
+    posting_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_id INTEGER NOT NULL,
+    wallet_id INTEGER NOT NULL,
+    amount DECIMAL(20,8) NOT NULL, -- positive = credit (money in), negative = debit (money out)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (entry_id) REFERENCES ledger_journal_entries(entry_id),
+    FOREIGN KEY (wallet_id) REFERENCES fbo_wallets(wallet_id)
+);
+
+-- 13. LEDGER_SYSTEM_WALLETS (platform-owned wallets: transfer fees and stablecoin issuance)
+CREATE TABLE IF NOT EXISTS ledger_system_wallets (
+    purpose VARCHAR(30) PRIMARY KEY, -- 'fees', 'issuance'
+    wallet_id INTEGER NOT NULL UNIQUE,
+    FOREIGN KEY (wallet_id) REFERENCES fbo_wallets(wallet_id)
+);
+
 -- Insert initial data for the core system
 INSERT OR IGNORE INTO nexora_core_system (system_id, bank_name, version) 
 VALUES (1, 'Nexora', '1.0.0');
@@ -125,6 +153,9 @@ CREATE INDEX IF NOT EXISTS idx_user_accounts_system_id ON user_accounts(system_i
 CREATE INDEX IF NOT EXISTS idx_transaction_records_logic_id ON transaction_records(logic_id);
 CREATE INDEX IF NOT EXISTS idx_fbo_wallets_vault_id ON fbo_wallets(vault_id);
 CREATE INDEX IF NOT EXISTS idx_subwallets_wallet_id ON subwallets(wallet_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_wallet_id ON ledger_postings(wallet_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_entry_id ON ledger_postings(entry_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_journal_entries_transaction_id ON ledger_journal_entries(transaction_id);
 
 -- ========================================
 -- ENHANCED BANKING MANAGEMENT TABLES
@@ -135,7 +166,7 @@ CREATE TABLE IF NOT EXISTS banks (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     bank_name TEXT UNIQUE NOT NULL,
     bank_code TEXT UNIQUE NOT NULL,
-    api_key TEXT UNIQUE NOT NULL,
+    api_key TEXT UNIQUE NOT NULL, -- SHA-256 of the bank's first API key (keys live in api_keys)
     api_secret TEXT NOT NULL,
     contact_email TEXT NOT NULL,
     country TEXT NOT NULL,
@@ -209,6 +240,188 @@ CREATE TABLE IF NOT EXISTS transfer_approvals (
     FOREIGN KEY (approver_user_id) REFERENCES bank_users(user_id)
 );
 
+-- Idempotency keys table (stored responses of POST requests sent with an Idempotency-Key header)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bank_id INTEGER NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    request_method TEXT NOT NULL,
+    request_path TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'processing', -- 'processing' or 'completed'
+    response_status INTEGER,
+    response_body TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    FOREIGN KEY (bank_id) REFERENCES banks(id),
+    UNIQUE(bank_id, idempotency_key)
+);
+
+-- Background jobs table (durable job queue, see job-queue.js)
+CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_type TEXT NOT NULL, -- e.g. 'settle_transfer'
+    payload TEXT, -- JSON
+    dedupe_key TEXT, -- at most one unfinished job per key
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'leased', 'completed' or 'dead'
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 5,
+    run_at TIMESTAMP NOT NULL,
+    leased_until TIMESTAMP,
+    lease_owner TEXT,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- API keys table (hashed keys with scopes, see api-keys.js)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key_id TEXT UNIQUE NOT NULL, -- public identifier, e.g. key_3f9a1c2b4d5e6f70
+    bank_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL, -- first characters of the key, to tell keys apart
+    key_hash TEXT UNIQUE NOT NULL, -- SHA-256 of the key; the key itself is never stored
+    scopes TEXT NOT NULL, -- comma-separated, e.g. 'read,transfers:initiate'
+    status TEXT NOT NULL DEFAULT 'active', -- 'active' or 'revoked'
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    rotated_from TEXT, -- key_id of the key this one replaced
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+    FOREIGN KEY (bank_id) REFERENCES banks(id)
+);
+
+-- User sessions table (sign-in sessions of bank users, see auth.js)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT UNIQUE NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL, -- SHA-256 of the session token; the token itself is never stored
+    bank_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    ip_address TEXT,
+    user_agent TEXT,
+    FOREIGN KEY (bank_id) REFERENCES banks(id),
+    FOREIGN KEY (user_id) REFERENCES bank_users(user_id)
+);
+
+-- Audit log table (who changed what in a bank's configuration, see audit-log.js)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bank_id INTEGER NOT NULL,
+    entity_type TEXT NOT NULL, -- e.g. 'role'
+    entity_id TEXT NOT NULL,
+    action TEXT NOT NULL, -- 'created', 'updated' or 'deleted'
+    actor TEXT NOT NULL, -- user_id of the signed-in user, or 'api'
+    ip_address TEXT,
+    before_state TEXT, -- JSON snapshot before the change
+    after_state TEXT, -- JSON snapshot after the change
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (bank_id) REFERENCES banks(id)
+);
+
+-- Approval rule versions table (every version of every approval rule, see approval-rules.js)
+CREATE TABLE IF NOT EXISTS approval_rule_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL, -- approval_rules.id (kept after the rule is deleted)
+    bank_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    rule_name TEXT NOT NULL,
+    min_amount DECIMAL(15,2) NOT NULL,
+    max_amount DECIMAL(15,2),
+    required_role_level INTEGER NOT NULL,
+    required_approvals INTEGER NOT NULL,
+    auto_approve BOOLEAN NOT NULL,
+    change_type TEXT NOT NULL, -- 'created', 'updated' or 'deleted'
+    changed_by TEXT, -- user_id of the signed-in user, or 'system'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (bank_id) REFERENCES banks(id),
+    UNIQUE(rule_id, version)
+);
+
+-- Approval policies table (per-bank maker-checker settings, see approval-rules.js)
+CREATE TABLE IF NOT EXISTS approval_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bank_id INTEGER NOT NULL UNIQUE,
+    block_self_approval BOOLEAN DEFAULT TRUE, -- the initiator cannot approve their own transfer
+    require_distinct_approvers BOOLEAN DEFAULT TRUE, -- each approval must come from a different user
+    require_distinct_departments BOOLEAN DEFAULT FALSE, -- each approval must come from a different department
+    updated_by TEXT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (bank_id) REFERENCES banks(id)
+);
+
+-- Approval delegations table (approvers handing their authority to a colleague, see delegations.js)
+CREATE TABLE IF NOT EXISTS approval_delegations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bank_id INTEGER NOT NULL,
+    delegator_user_id TEXT NOT NULL, -- approver whose authority is delegated
+    delegate_user_id TEXT NOT NULL, -- user who acts for them
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    reason TEXT,
+    status TEXT DEFAULT 'active', -- 'active' or 'revoked'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+    FOREIGN KEY (bank_id) REFERENCES banks(id),
+    FOREIGN KEY (delegator_user_id) REFERENCES bank_users(user_id),
+    FOREIGN KEY (delegate_user_id) REFERENCES bank_users(user_id)
+);
+
+-- User recovery codes table (one-time MFA codes for a lost authenticator, see mfa.js)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    code_hash TEXT NOT NULL, -- SHA-256 of the code; the code itself is only shown once
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    used_at TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES bank_users(user_id)
+);
+
+-- Failed logins table (recent failed sign-ins, used to lock out password guessing; see auth.js)
+CREATE TABLE IF NOT EXISTS failed_logins (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bank_id INTEGER NOT NULL,
+    username TEXT NOT NULL, -- as sent, so unknown usernames lock out too
+    ip_address TEXT,
+    attempted_at TIMESTAMP NOT NULL,
+    FOREIGN KEY (bank_id) REFERENCES banks(id)
+);
+
+-- Failed MFA attempts table (wrong step-up codes, counted to lock out guessing; see mfa.js)
+CREATE TABLE IF NOT EXISTS failed_mfa_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    attempted_at TIMESTAMP NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES bank_users(user_id)
+);
+
+-- Request nonces table (nonces of signed requests, kept to reject replays; see request-signing.js)
+CREATE TABLE IF NOT EXISTS request_nonces (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bank_id INTEGER NOT NULL,
+    nonce TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (bank_id) REFERENCES banks(id),
+    UNIQUE(bank_id, nonce)
+);
+
+-- Bank signing policies table (operations a bank requires signed requests for)
+CREATE TABLE IF NOT EXISTS bank_signing_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bank_id INTEGER NOT NULL,
+    operation TEXT NOT NULL, -- 'transfer_initiate' or 'transfer_approve'
+    require_signature BOOLEAN DEFAULT FALSE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (bank_id) REFERENCES banks(id),
+    UNIQUE(bank_id, operation)
+);
+
 -- Approval columns are now included in the transaction_records table definition above
 
 -- Create indexes for new tables
@@ -218,8 +431,21 @@ CREATE INDEX IF NOT EXISTS idx_roles_bank_id ON roles(bank_id);
 CREATE INDEX IF NOT EXISTS idx_approval_rules_bank_id ON approval_rules(bank_id);
 CREATE INDEX IF NOT EXISTS idx_transfer_approvals_transfer_id ON transfer_approvals(transfer_id);
 CREATE INDEX IF NOT EXISTS idx_transfer_approvals_approver_id ON transfer_approvals(approver_user_id);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe_key ON jobs(dedupe_key) WHERE status IN ('pending', 'leased');
+CREATE INDEX IF NOT EXISTS idx_request_nonces_created_at ON request_nonces(created_at);
+CREATE INDEX IF NOT EXISTS idx_failed_logins_bank_username ON failed_logins(bank_id, username);
+CREATE INDEX IF NOT EXISTS idx_failed_logins_bank_ip ON failed_logins(bank_id, ip_address);
+CREATE INDEX IF NOT EXISTS idx_failed_mfa_attempts_user_id ON failed_mfa_attempts(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_bank_id ON api_keys(bank_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_bank_entity ON audit_log(bank_id, entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_approval_rule_versions_bank_id ON approval_rule_versions(bank_id);
+CREATE INDEX IF NOT EXISTS idx_approval_delegations_delegator ON approval_delegations(bank_id, delegator_user_id);
 
--- Insert sample bank data
+-- Insert sample bank data (migration 007 moves its API key into api_keys and hashes it)
 INSERT OR IGNORE INTO banks (id, bank_name, bank_code, api_key, api_secret, contact_email, country, status)
 VALUES (1, 'Nexora Bank', 'NEX001', 'nexora_api_key_123', 'nexora_secret_456', 'admin@nexora.com', 'United States', 'active');
 
@@ -23,11 +23,27 @@ function showDatabaseStats() {
       'custody_vault',
       'fbo_wallets',
       'subwallets',
+      'ledger_journal_entries',
+      'ledger_postings',
+      'ledger_system_wallets',
       'banks',
       'bank_users',
       'roles',
       'approval_rules',
-      'transfer_approvals'
+      'transfer_approvals',
+      'idempotency_keys',
+      'api_keys',
+      'user_sessions',
+      'failed_logins',
+      'failed_mfa_attempts',
+      'user_recovery_codes',
+      'audit_log',
+      'approval_rule_versions',
+      'approval_policies',
+      'approval_delegations',
+      'request_nonces',
+      'bank_signing_policies',
+      'jobs'
     ];
     
     for (const table of tables) {
@@ -74,13 +90,30 @@ function resetDatabase() {
   try {
     console.log('Resetting database...');
     
-    // Drop all tables
+    // Drop all tables (including the migration log, so migrations re-run on next startup)
     const tables = [
+      'schema_migrations',
+      'jobs',
+      'bank_signing_policies',
+      'request_nonces',
+      'api_keys',
+      'audit_log',
+      'approval_rule_versions',
+      'approval_policies',
+      'approval_delegations',
+      'user_recovery_codes',
+      'failed_mfa_attempts',
+      'failed_logins',
+      'user_sessions',
+      'idempotency_keys',
       'transfer_approvals',
       'approval_rules',
       'roles',
       'bank_users',
       'banks',
+      'ledger_system_wallets',
+      'ledger_postings',
+      'ledger_journal_entries',
       'subwallets',
       'fbo_wallets', 
       'custody_vault',
@@ -130,11 +163,27 @@ function showTableStructure() {
       'custody_vault',
       'fbo_wallets',
       'subwallets',
+      'ledger_journal_entries',
+      'ledger_postings',
+      'ledger_system_wallets',
       'banks',
       'bank_users',
       'roles',
       'approval_rules',
-      'transfer_approvals'
+      'transfer_approvals',
+      'idempotency_keys',
+      'api_keys',
+      'user_sessions',
+      'failed_logins',
+      'failed_mfa_attempts',
+      'user_recovery_codes',
+      'audit_log',
+      'approval_rule_versions',
+      'approval_policies',
+      'approval_delegations',
+      'request_nonces',
+      'bank_signing_policies',
+      'jobs'
     ];
     
     for (const table of tables) {
@@ -0,0 +1,411 @@
+/**
+ * APPROVAL DELEGATION MODULE
+ *
+ * Lets an approver hand their approval authority to a colleague for a period, for example
+ * while on leave, so transfers do not stall in pending_approval.
+ *
+ * HOW IT WORKS:
+ * - The approver (signed in) creates a delegation to another active user of the same bank
+ *   whose role level is equal or higher, with a start and end time
+ * - While the delegation is active, the delegate can approve or reject transfers on the
+ *   approver's behalf by sending on_behalf_of with the approver's user_id; the approver's
+ *   role (level, transfer limit) is used, and the decision is recorded in transfer_approvals
+ *   with on_behalf_of and delegation_id
+ * - approval_required notifications for the approver go to the delegate instead
+ * - The approver (or a user who can manage users) can revoke a delegation at any time
+ *
+ * RULES:
+ * - Only users whose role can approve transfers can delegate
+ * - A user can have only one delegation at a time (periods cannot overlap)
+ * - Delegations are not passed on: a delegate cannot delegate authority they received
+ *
+ * ERROR CODES:
+ * - DELEGATE_LEVEL_TOO_LOW (400): the delegate's role level is below the approver's
+ * - DELEGATION_OVERLAP (409): the approver already delegates during that period
+ * - DELEGATION_NOT_FOUND (403): on_behalf_of was sent without an active delegation
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const express = require('express'); // Web framework for creating API endpoints
+const db = require('./database/connection'); // Database connection for delegations
+const { authenticateBank, requireScope } = require('./banks'); // Bank authentication middleware
+const { authenticateUser } = require('./auth'); // Signed-in user sessions
+const { requirePermission, getRole } = require('./authorization'); // Role checks
+const router = express.Router(); // Router for delegation endpoints
+
+// Shape an approval_delegations row for API responses
+function formatDelegation(delegation) {
+  return {
+    id: delegation.id,
+    delegator_user_id: delegation.delegator_user_id,
+    delegate_user_id: delegation.delegate_user_id,
+    starts_at: delegation.starts_at,
+    ends_at: delegation.ends_at,
+    reason: delegation.reason,
+    status: delegation.status,
+    created_at: delegation.created_at,
+    revoked_at: delegation.revoked_at
+  };
+}
+
+/**
+ * Find the active delegation from one user to another at a time (defaults to now).
+ */
+function findActiveDelegation(bankId, delegatorUserId, delegateUserId, at = new Date()) {
+  const delegationStmt = db.prepare(`
+    SELECT * FROM approval_delegations
+    WHERE bank_id = ? AND delegator_user_id = ? AND delegate_user_id = ?
+      AND status = 'active' AND starts_at <= ? AND ends_at > ?
+  `);
+  const now = at.toISOString();
+  return delegationStmt.get(bankId, delegatorUserId, delegateUserId, now, now);
+}
+
+/**
+ * Get the user an approver's authority is delegated to right now.
+ *
+ * @returns {object|undefined} The active delegation, or undefined when the approver has not delegated
+ */
+function getActiveDelegation(bankId, delegatorUserId, at = new Date()) {
+  const delegationStmt = db.prepare(`
+    SELECT * FROM approval_delegations
+    WHERE bank_id = ? AND delegator_user_id = ? AND status = 'active' AND starts_at <= ? AND ends_at > ?
+  `);
+  const now = at.toISOString();
+  return delegationStmt.get(bankId, delegatorUserId, now, now);
+}
+
+/**
+ * Work out who should be asked to approve a transfer: every active user whose role can
+ * approve it, with users who have delegated replaced by their delegate. The initiator is
+ * never asked.
+ *
+ * @param {number} bankId
+ * @param {object} transfer - transaction_records row
+ * @param {number} requiredRoleLevel - Minimum approver role level
+ * @returns {object[]} Recipients as { user_id, on_behalf_of: [delegator user_ids] }
+ */
+function getApprovalRecipients(bankId, transfer, requiredRoleLevel) {
+  const approversStmt = db.prepare(`
+    SELECT bu.user_id FROM bank_users bu
+    JOIN roles r ON r.bank_id = bu.bank_id AND r.role_name = bu.role
+    WHERE bu.bank_id = ? AND bu.status = 'active' AND r.can_approve_transfers = 1 AND r.role_level >= ?
+      AND (r.max_transfer_amount IS NULL OR r.max_transfer_amount >= ?)
+    ORDER BY r.role_level ASC, bu.user_id ASC
+  `);
+
+  const recipients = new Map(); // user_id -> delegators they are asked for
+  for (const approver of approversStmt.all(bankId, requiredRoleLevel, transfer.amount)) {
+    const delegation = getActiveDelegation(bankId, approver.user_id);
+    const recipientId = delegation ? delegation.delegate_user_id : approver.user_id;
+    if (recipientId === transfer.initiated_by) {
+      continue;
+    }
+    if (!recipients.has(recipientId)) {
+      recipients.set(recipientId, []);
+    }
+    if (delegation) {
+      recipients.get(recipientId).push(approver.user_id);
+    }
+  }
+
+  return Array.from(recipients, ([userId, onBehalfOf]) => ({ user_id: userId, on_behalf_of: onBehalfOf }));
+}
+
+/**
+ * Create middleware that checks the signed-in user may approve or reject transfers, either
+ * with their own role or, when the body has on_behalf_of, with the role of the approver who
+ * delegated to them. Sets req.role (the role whose authority is used) and, for delegated
+ * decisions, req.delegation and req.principal (the approver acted for).
+ * Must run after authenticateUser.
+ */
+function requireApprovalAuthority() {
+  const ownAuthority = requirePermission('transfers:approve');
+
+  return (req, res, next) => {
+    const onBehalfOf = req.body && req.body.on_behalf_of;
+    if (!onBehalfOf) {
+      return ownAuthority(req, res, next);
+    }
+
+    try {
+      const delegation = findActiveDelegation(req.bank.id, onBehalfOf, req.user.user_id);
+      const principalStmt = db.prepare(`SELECT * FROM bank_users WHERE user_id = ? AND bank_id = ? AND status = 'active'`);
+      const principal = delegation ? principalStmt.get(onBehalfOf, req.bank.id) : null;
+      if (!principal) {
+        return res.status(403).json({
+          error: `No active delegation from ${onBehalfOf} to you`,
+          code: "DELEGATION_NOT_FOUND"
+        });
+      }
+
+      const role = getRole(req.bank.id, principal.role);
+      if (!role || !role.can_approve_transfers) {
+        return res.status(403).json({
+          error: `The ${principal.role} role of ${onBehalfOf} is not allowed to approve transfers`,
+          code: "PERMISSION_DENIED",
+          required_permission: 'transfers:approve'
+        });
+      }
+
+      req.role = role; // Authority of the approver acted for
+      req.delegation = delegation;
+      req.principal = principal;
+      next();
+    } catch (error) {
+      console.error('Delegation check error:', error);
+      res.status(500).json({ error: "Failed to check delegation" });
+    }
+  };
+}
+
+/**
+ * @swagger
+ * /api/delegations/create:
+ *   post:
+ *     summary: Delegate approval authority
+ *     description: |
+ *       Hand the signed-in approver's authority to another user of the bank for a period (e.g. while
+ *       on leave). The delegate needs an equal or higher role level. During the period the delegate
+ *       receives the approver's approval_required notifications and can approve or reject with
+ *       on_behalf_of set to the approver's user_id.
+ *     tags: [Delegations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - delegate_user_id
+ *               - ends_at
+ *             properties:
+ *               delegate_user_id:
+ *                 type: string
+ *                 example: "user_4f1c2a9e"
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2025-08-22T00:00:00.000Z"
+ *               reason:
+ *                 type: string
+ *                 example: "Annual leave"
+ *     responses:
+ *       201:
+ *         description: Delegation created
+ *       400:
+ *         description: Invalid dates, unknown delegate, delegating to yourself, or delegate's role level too low (DELEGATE_LEVEL_TOO_LOW)
+ *       401:
+ *         description: Missing or invalid session
+ *       403:
+ *         description: The user's role cannot approve transfers (PERMISSION_DENIED)
+ *       409:
+ *         description: The user already delegates during this period (DELEGATION_OVERLAP)
+ */
+router.post('/create', authenticateBank, requireScope('transfers:approve'), authenticateUser(),
+  requirePermission('transfers:approve'), (req, res) => {
+  const { delegate_user_id, starts_at, ends_at, reason } = req.body;
+
+  if (!delegate_user_id || !ends_at) {
+    return res.status(400).json({
+      error: "Missing required fields",
+      required: ["delegate_user_id", "ends_at"]
+    });
+  }
+
+  const startsAt = starts_at ? new Date(starts_at) : new Date();
+  const endsAt = new Date(ends_at);
+  if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+    return res.status(400).json({ error: "starts_at and ends_at must be dates" });
+  }
+  if (endsAt <= startsAt || endsAt <= new Date()) {
+    return res.status(400).json({ error: "ends_at must be in the future and after starts_at" });
+  }
+  if (delegate_user_id === req.user.user_id) {
+    return res.status(400).json({ error: "You cannot delegate to yourself" });
+  }
+
+  try {
+    const delegateStmt = db.prepare(`SELECT * FROM bank_users WHERE user_id = ? AND bank_id = ? AND status = 'active'`);
+    const delegate = delegateStmt.get(delegate_user_id, req.bank.id);
+    if (!delegate) {
+      return res.status(400).json({ error: "Delegate must be an active user of this bank" });
+    }
+
+    const delegateRole = getRole(req.bank.id, delegate.role);
+    if (!delegateRole || delegateRole.role_level < req.role.role_level) {
+      return res.status(400).json({
+        error: "The delegate's role level must be equal to or higher than yours",
+        code: "DELEGATE_LEVEL_TOO_LOW",
+        your_level: req.role.role_level,
+        delegate_level: delegateRole ? delegateRole.role_level : null
+      });
+    }
+
+    const overlapStmt = db.prepare(`
+      SELECT * FROM approval_delegations
+      WHERE bank_id = ? AND delegator_user_id = ? AND status = 'active' AND starts_at < ? AND ends_at > ?
+    `);
+    const overlapping = overlapStmt.get(req.bank.id, req.user.user_id, endsAt.toISOString(), startsAt.toISOString());
+    if (overlapping) {
+      return res.status(409).json({
+        error: "You already delegate your approvals during this period",
+        code: "DELEGATION_OVERLAP",
+        delegation: formatDelegation(overlapping)
+      });
+    }
+
+    const insertStmt = db.prepare(`
+      INSERT INTO approval_delegations (bank_id, delegator_user_id, delegate_user_id, starts_at, ends_at, reason, status, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'active', ?)
+    `);
+    const result = insertStmt.run(
+      req.bank.id, req.user.user_id, delegate.user_id, startsAt.toISOString(), endsAt.toISOString(),
+      reason || null, new Date().toISOString()
+    );
+
+    const delegation = db.prepare('SELECT * FROM approval_delegations WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json({
+      message: "Approval authority delegated",
+      delegation: formatDelegation(delegation)
+    });
+  } catch (error) {
+    console.error('Delegation creation error:', error);
+    res.status(500).json({
+      error: "Failed to create delegation"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/delegations/list:
+ *   get:
+ *     summary: List delegations
+ *     description: The bank's approval delegations, newest first
+ *     tags: [Delegations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: string
+ *         description: Only delegations from or to this user
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only delegations in force right now
+ *     responses:
+ *       200:
+ *         description: Delegations
+ */
+router.get('/list', authenticateBank, (req, res) => {
+  const conditions = ['bank_id = ?'];
+  const params = [req.bank.id];
+  if (req.query.user_id) {
+    conditions.push('(delegator_user_id = ? OR delegate_user_id = ?)');
+    params.push(req.query.user_id, req.query.user_id);
+  }
+  if (req.query.active === 'true') {
+    const now = new Date().toISOString();
+    conditions.push("status = 'active' AND starts_at <= ? AND ends_at > ?");
+    params.push(now, now);
+  }
+
+  try {
+    const listStmt = db.prepare(`
+      SELECT * FROM approval_delegations WHERE ${conditions.join(' AND ')} ORDER BY id DESC
+    `);
+    const delegations = listStmt.all(...params).map(formatDelegation);
+
+    res.json({
+      total_delegations: delegations.length,
+      delegations: delegations
+    });
+  } catch (error) {
+    console.error('Error listing delegations:', error);
+    res.status(500).json({
+      error: "Failed to list delegations"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/delegations/{delegationId}/revoke:
+ *   post:
+ *     summary: Revoke a delegation
+ *     description: End a delegation early. Allowed for the approver who delegated and for users whose role can manage users.
+ *     tags: [Delegations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - in: path
+ *         name: delegationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Delegation revoked
+ *       403:
+ *         description: Not your delegation and your role cannot manage users (PERMISSION_DENIED)
+ *       404:
+ *         description: Delegation not found
+ */
+router.post('/:delegationId/revoke', authenticateBank, requireScope('transfers:approve'), authenticateUser(), (req, res) => {
+  try {
+    const delegationStmt = db.prepare('SELECT * FROM approval_delegations WHERE id = ? AND bank_id = ?');
+    const delegation = delegationStmt.get(req.params.delegationId, req.bank.id);
+    if (!delegation) {
+      return res.status(404).json({ error: "Delegation not found" });
+    }
+
+    const role = getRole(req.bank.id, req.user.role);
+    const canManageUsers = Boolean(role && role.can_create_users);
+    if (delegation.delegator_user_id !== req.user.user_id && !canManageUsers) {
+      return res.status(403).json({
+        error: "Only the approver who delegated or a user manager can revoke this delegation",
+        code: "PERMISSION_DENIED"
+      });
+    }
+
+    if (delegation.status === 'active') {
+      const revokeStmt = db.prepare(`UPDATE approval_delegations SET status = 'revoked', revoked_at = ? WHERE id = ?`);
+      revokeStmt.run(new Date().toISOString(), delegation.id);
+    }
+
+    res.json({
+      message: "Delegation revoked",
+      delegation: formatDelegation(delegationStmt.get(delegation.id, req.bank.id))
+    });
+  } catch (error) {
+    console.error('Delegation revocation error:', error);
+    res.status(500).json({
+      error: "Failed to revoke delegation"
+    });
+  }
+});
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = router;
+module.exports.findActiveDelegation = findActiveDelegation;
+module.exports.getActiveDelegation = getActiveDelegation;
+module.exports.getApprovalRecipients = getApprovalRecipients;
+module.exports.requireApprovalAuthority = requireApprovalAuthority;
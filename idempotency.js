@@ -0,0 +1,204 @@
+/**
+ * IDEMPOTENCY MODULE
+ *
+ * Banks' core systems retry requests when they time out. Without protection, every retry
+ * of a POST request (for example a transfer) would create a new record. This module lets
+ * clients send an "Idempotency-Key" header so a retried request is only executed once.
+ *
+ * HOW IT WORKS:
+ * - The first request with a key is executed normally and its response is stored
+ *   together with a hash of the request (method, path, body and signed-in user)
+ * - A retry with the same key and the same request gets the stored response back
+ *   (marked with the "Idempotent-Replayed: true" header) without running the handler again
+ * - Reusing a key for a different request returns 422 Unprocessable Entity, including the
+ *   same body sent by a different user, so one user cannot replay another user's response
+ * - Reusing a key while the first request is still running returns 409 Conflict
+ *
+ * RULES:
+ * - Keys are stored per bank, so two banks can use the same key independently
+ * - Keys are kept for 24 hours, after which they can be reused
+ * - Server errors (5xx) are not stored, so the client can safely retry them
+ * - If the handler fails without sending a JSON response, the key is released the same way
+ * - Requests without the header behave exactly as before
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const crypto = require('crypto'); // Used to hash request bodies
+const db = require('./database/connection'); // Database connection for stored keys
+
+// How long a stored key is honoured before it can be reused
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Longest key we accept (UUIDs are 36 characters)
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Turn a value into JSON with object keys sorted, so that the same body always
+ * produces the same hash regardless of the order the client sent the fields in.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash the parts of a request that make it "the same request".
+ * userId is the signed-in user, or empty for requests made with the API key alone.
+ */
+function hashRequest(method, path, body, userId = '') {
+  return crypto
+    .createHash('sha256')
+    .update(`${method}\n${path}\n${userId}\n${canonicalJson(body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Create the idempotency middleware for a route.
+ *
+ * Must run after the bank is known (after authenticateBank for authenticated routes), and
+ * after authenticateUser on routes that act for a signed-in user.
+ *
+ * @param {object} [options]
+ * @param {Function} [options.getBankId] - Returns the bank ID that owns the key
+ *                                         (defaults to the authenticated bank)
+ * @returns {Function} Express middleware
+ */
+function idempotent(options = {}) {
+  const getBankId = options.getBankId || (req => req.bank && req.bank.id);
+
+  return (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+
+    // No header: the request is not idempotent, run it as usual
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+        code: "INVALID_IDEMPOTENCY_KEY"
+      });
+    }
+
+    try {
+      const bankId = getBankId(req);
+      if (!bankId) {
+        return res.status(400).json({
+          error: "Idempotency-Key can only be used for a known bank",
+          code: "INVALID_IDEMPOTENCY_KEY"
+        });
+      }
+
+      const requestPath = req.baseUrl + req.path;
+      const requestHash = hashRequest(req.method, requestPath, req.body, req.user ? req.user.user_id : '');
+
+      // Look up the key and claim it in one transaction so two requests cannot both run
+      const claimKey = db.transaction(() => {
+        const existingStmt = db.prepare('SELECT * FROM idempotency_keys WHERE bank_id = ? AND idempotency_key = ?');
+        const existing = existingStmt.get(bankId, key);
+
+        if (existing && Date.now() - new Date(existing.created_at).getTime() < IDEMPOTENCY_KEY_TTL_MS) {
+          return existing;
+        }
+
+        // Expired keys can be reused
+        if (existing) {
+          db.prepare('DELETE FROM idempotency_keys WHERE id = ?').run(existing.id);
+        }
+
+        const insertStmt = db.prepare(`
+          INSERT INTO idempotency_keys (bank_id, idempotency_key, request_method, request_path, request_hash, status, created_at)
+          VALUES (?, ?, ?, ?, ?, 'processing', ?)
+        `);
+        insertStmt.run(bankId, key, req.method, requestPath, requestHash, new Date().toISOString());
+        return null;
+      });
+      const existing = claimKey();
+
+      if (existing) {
+        if (existing.request_hash !== requestHash) {
+          return res.status(422).json({
+            error: "Idempotency-Key was already used for a different request",
+            code: "IDEMPOTENCY_KEY_REUSED"
+          });
+        }
+
+        if (existing.status !== 'completed') {
+          return res.status(409).json({
+            error: "A request with this Idempotency-Key is still being processed",
+            code: "IDEMPOTENCY_REQUEST_IN_PROGRESS"
+          });
+        }
+
+        // Same request again: replay the stored response
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(JSON.parse(existing.response_body));
+      }
+
+      // Store the response when the handler sends it
+      let stored = false;
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        stored = true;
+        try {
+          if (res.statusCode >= 500) {
+            // Let the client retry server errors with the same key
+            db.prepare('DELETE FROM idempotency_keys WHERE bank_id = ? AND idempotency_key = ?').run(bankId, key);
+          } else {
+            const completeStmt = db.prepare(`
+              UPDATE idempotency_keys
+              SET status = 'completed', response_status = ?, response_body = ?, completed_at = ?
+              WHERE bank_id = ? AND idempotency_key = ?
+            `);
+            completeStmt.run(res.statusCode, JSON.stringify(body), new Date().toISOString(), bankId, key);
+          }
+        } catch (error) {
+          console.error('Error storing idempotent response:', error);
+        }
+        return originalJson(body);
+      };
+
+      // If the handler threw, or answered without res.json, nothing was stored: release the
+      // key so the client can retry instead of getting 409 until it expires
+      res.on('close', () => {
+        if (stored) {
+          return;
+        }
+        try {
+          db.prepare(`
+            DELETE FROM idempotency_keys WHERE bank_id = ? AND idempotency_key = ? AND status = 'processing'
+          `).run(bankId, key);
+        } catch (error) {
+          console.error('Error releasing Idempotency-Key:', error);
+        }
+      });
+
+      next();
+    } catch (error) {
+      console.error('Idempotency error:', error);
+      res.status(500).json({
+        error: "Failed to process Idempotency-Key"
+      });
+    }
+  };
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  idempotent,
+  hashRequest,
+  IDEMPOTENCY_KEY_TTL_MS
+};
@@ -0,0 +1,255 @@
+/**
+ * JOB QUEUE MODULE
+ *
+ * A durable background job queue stored in SQLite (the jobs table). Work that must
+ * survive a server restart, like settling a transfer, is queued here instead of being
+ * kept in an in-memory timer.
+ *
+ * HOW IT WORKS:
+ * - enqueue() stores a job with a type, a JSON payload and the time it should run
+ * - The worker (started from server.js) leases due jobs one at a time; a lease is a
+ *   time-limited claim, so a job leased by a process that crashed is picked up again
+ *   once its lease runs out
+ * - The handler registered for the job type runs the job:
+ *   - returns normally: the job is completed
+ *   - returns { rescheduleInMs }: the job is not finished yet and runs again later
+ *     (used for polling, e.g. waiting for block confirmations)
+ *   - throws: the job is retried with exponential backoff (1s, 2s, 4s, ... up to 5 minutes)
+ * - After max_attempts failures the job is dead-lettered (status 'dead') and kept for
+ *   inspection; retryDeadJob() puts it back in the queue
+ *
+ * DEDUPLICATION:
+ * - Jobs can have a dedupe_key; while a job with that key is pending or leased,
+ *   enqueueing another one returns the existing job instead
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const crypto = require('crypto'); // Used to generate worker IDs
+const db = require('./database/connection'); // Database connection for the jobs table
+
+// Default settings
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LEASE_MS = 30000; // A job must finish within 30 seconds or it can be leased again
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Job type -> handler function
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of a type.
+ *
+ * @param {string} jobType - e.g. 'settle_transfer'
+ * @param {Function} handler - async (payload, job) => result
+ */
+function registerHandler(jobType, handler) {
+  handlers.set(jobType, handler);
+}
+
+/**
+ * Add a job to the queue.
+ *
+ * @param {string} jobType - Type of job (a handler must be registered for it)
+ * @param {object} payload - Data the handler needs (stored as JSON)
+ * @param {object} [options]
+ * @param {number} [options.delayMs] - Run the job after this delay (default: now)
+ * @param {number} [options.maxAttempts] - Failures before the job is dead-lettered
+ * @param {string} [options.dedupeKey] - Only one unfinished job per key
+ * @returns {number} Job ID (the existing job's ID for a duplicate dedupeKey)
+ */
+function enqueue(jobType, payload, options = {}) {
+  const now = new Date();
+  const runAt = new Date(now.getTime() + (options.delayMs || 0));
+
+  const insertStmt = db.prepare(`
+    INSERT OR IGNORE INTO jobs (job_type, payload, dedupe_key, status, attempts, max_attempts, run_at, created_at, updated_at)
+    VALUES (?, ?, ?, 'pending', 0, ?, ?, ?, ?)
+  `);
+  const result = insertStmt.run(
+    jobType, JSON.stringify(payload || {}), options.dedupeKey || null,
+    options.maxAttempts || DEFAULT_MAX_ATTEMPTS, runAt.toISOString(), now.toISOString(), now.toISOString()
+  );
+
+  if (result.changes === 0) {
+    const existingStmt = db.prepare("SELECT id FROM jobs WHERE dedupe_key = ? AND status IN ('pending', 'leased')");
+    return existingStmt.get(options.dedupeKey).id;
+  }
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Lease the next due job, if any.
+ * Due jobs are pending jobs whose run_at has passed, and leased jobs whose lease expired.
+ *
+ * @param {string} workerId - Who holds the lease
+ * @param {number} [leaseMs] - How long the lease lasts
+ * @returns {object|undefined} The leased job
+ */
+const leaseNextJob = db.transaction((workerId, leaseMs = DEFAULT_LEASE_MS) => {
+  const now = new Date().toISOString();
+  const nextStmt = db.prepare(`
+    SELECT * FROM jobs
+    WHERE (status = 'pending' AND run_at <= ?) OR (status = 'leased' AND leased_until <= ?)
+    ORDER BY run_at ASC, id ASC
+    LIMIT 1
+  `);
+  const job = nextStmt.get(now, now);
+  if (!job) {
+    return undefined;
+  }
+
+  const leasedUntil = new Date(Date.now() + leaseMs).toISOString();
+  const leaseStmt = db.prepare(`
+    UPDATE jobs SET status = 'leased', lease_owner = ?, leased_until = ?, attempts = attempts + 1, updated_at = ?
+    WHERE id = ?
+  `);
+  leaseStmt.run(workerId, leasedUntil, now, job.id);
+
+  return { ...job, status: 'leased', lease_owner: workerId, leased_until: leasedUntil, attempts: job.attempts + 1 };
+});
+
+// Mark a job as done
+function completeJob(job) {
+  const now = new Date().toISOString();
+  const completeStmt = db.prepare(`
+    UPDATE jobs SET status = 'completed', completed_at = ?, leased_until = NULL, updated_at = ? WHERE id = ?
+  `);
+  completeStmt.run(now, now, job.id);
+}
+
+// Put a job back in the queue to run again later (not a failure, so attempts start over)
+function rescheduleJob(job, delayMs) {
+  const now = new Date();
+  const rescheduleStmt = db.prepare(`
+    UPDATE jobs SET status = 'pending', attempts = 0, run_at = ?, leased_until = NULL, lease_owner = NULL, updated_at = ?
+    WHERE id = ?
+  `);
+  rescheduleStmt.run(new Date(now.getTime() + delayMs).toISOString(), now.toISOString(), job.id);
+}
+
+/**
+ * Delay before retry number `attempts` (exponential backoff, capped).
+ */
+function getBackoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+}
+
+// Record a failed attempt: retry with backoff, or dead-letter after max_attempts
+function failJob(job, error) {
+  const now = new Date();
+  const message = error && error.message ? error.message : String(error);
+
+  if (job.attempts >= job.max_attempts) {
+    const deadStmt = db.prepare(`
+      UPDATE jobs SET status = 'dead', last_error = ?, leased_until = NULL, updated_at = ? WHERE id = ?
+    `);
+    deadStmt.run(message, now.toISOString(), job.id);
+    console.error(`Job ${job.id} (${job.job_type}) dead-lettered after ${job.attempts} attempts: ${message}`);
+    return;
+  }
+
+  const retryStmt = db.prepare(`
+    UPDATE jobs SET status = 'pending', last_error = ?, run_at = ?, leased_until = NULL, lease_owner = NULL, updated_at = ?
+    WHERE id = ?
+  `);
+  retryStmt.run(message, new Date(now.getTime() + getBackoffMs(job.attempts)).toISOString(), now.toISOString(), job.id);
+}
+
+/**
+ * Run one leased job with its registered handler.
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.job_type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.job_type}`);
+    }
+
+    const result = await handler(JSON.parse(job.payload || '{}'), job);
+    if (result && result.rescheduleInMs) {
+      rescheduleJob(job, result.rescheduleInMs);
+    } else {
+      completeJob(job);
+    }
+  } catch (error) {
+    failJob(job, error);
+  }
+}
+
+/**
+ * Start the worker loop: run due jobs one after another, then wait and check again.
+ *
+ * @param {object} [options]
+ * @param {number} [options.pollIntervalMs] - Wait between checks when the queue is empty
+ *                                            (default JOB_POLL_MS or 500)
+ * @param {number} [options.leaseMs] - Lease length per job
+ * @returns {Function} Call to stop the worker
+ */
+function startWorker(options = {}) {
+  const pollIntervalMs = options.pollIntervalMs || Number(process.env.JOB_POLL_MS) || 500;
+  const leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+  const workerId = `worker_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    try {
+      let job = leaseNextJob(workerId, leaseMs);
+      while (job && !stopped) {
+        await runJob(job);
+        job = leaseNextJob(workerId, leaseMs);
+      }
+    } catch (error) {
+      console.error('Job worker error:', error);
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, pollIntervalMs);
+    }
+  };
+  timer = setTimeout(tick, 0);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * List dead-lettered jobs (newest first).
+ */
+function getDeadJobs() {
+  const deadStmt = db.prepare("SELECT * FROM jobs WHERE status = 'dead' ORDER BY updated_at DESC");
+  return deadStmt.all();
+}
+
+/**
+ * Put a dead-lettered job back in the queue with a fresh set of attempts.
+ *
+ * @returns {boolean} Whether a dead job was found and requeued
+ */
+function retryDeadJob(jobId) {
+  const now = new Date().toISOString();
+  const retryStmt = db.prepare(`
+    UPDATE jobs SET status = 'pending', attempts = 0, run_at = ?, updated_at = ? WHERE id = ? AND status = 'dead'
+  `);
+  return retryStmt.run(now, now, jobId).changes > 0;
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  registerHandler,
+  enqueue,
+  leaseNextJob,
+  runJob,
+  startWorker,
+  getBackoffMs,
+  getDeadJobs,
+  retryDeadJob
+};
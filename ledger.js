@@ -0,0 +1,344 @@
+/**
+ * DOUBLE-ENTRY LEDGER MODULE
+ *
+ * This module is the single place where money actually moves between wallets.
+ * Every movement is recorded as a journal entry made of postings (debits and credits),
+ * and the postings of one entry always add up to zero, so money is never created or lost
+ * by accident.
+ *
+ * WHAT THIS MODULE DOES:
+ * - Records deposits into wallets (new stablecoins entering the platform)
+ * - Moves funds between a wallet and its subwallets
+ * - Settles confirmed transfers: debits the source wallet, credits the destination
+ *   wallet and books the 0.1% fee to the platform fee wallet, all in one database transaction
+ * - Calculates wallet balances from the ledger postings
+ * - Calculates how much of a wallet is held by transfers that are still in flight
+ *
+ * HOW BALANCES WORK:
+ * - The ledger postings are the source of truth for every wallet balance
+ * - fbo_wallets.balance is a cached copy, updated in the same transaction as the postings
+ * - Available balance = unallocated balance - amounts held by in-flight transfers
+ *   (pending approval, processing or broadcast)
+ *
+ * SUBWALLETS:
+ * - A subwallet is a bucket inside its parent wallet (per end client or business line)
+ * - Postings to a subwallet carry both the parent wallet_id and the subwallet_id, so the
+ *   parent wallet balance always rolls up its subwallets
+ * - Unallocated balance = parent balance - money sitting in subwallets; only the
+ *   unallocated part can be sent in transfers
+ * - subwallets.balance is a cached copy, like fbo_wallets.balance
+ *
+ * SYSTEM WALLETS:
+ * - fees: receives the transfer fee of every confirmed transfer
+ * - issuance: the counterpart of every deposit (its balance is negative and equals
+ *   the total amount of stablecoins deposited into the platform)
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const crypto = require('crypto'); // Used to generate wallet addresses for system wallets
+const db = require('./database/connection'); // Database connection for ledger tables
+
+// Transfer fee charged to the sender: 0.1% of the transfer amount
+const TRANSFER_FEE_RATE = 0.001;
+
+// Transfer statuses that still hold funds in the source wallet
+const IN_FLIGHT_STATUSES = ['pending_approval', 'processing', 'broadcast'];
+
+/**
+ * Round an amount to 8 decimal places (the precision of our DECIMAL(20,8) columns).
+ * This avoids floating point leftovers such as 0.30000000000000004.
+ */
+function roundAmount(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+/**
+ * Convert an API wallet ID ("wallet_12") into the numeric database ID (12).
+ * Returns null when the ID is not a valid wallet ID.
+ */
+function parseWalletId(walletId) {
+  const numericId = Number(String(walletId).replace('wallet_', ''));
+  return Number.isInteger(numericId) && numericId > 0 ? numericId : null;
+}
+
+/**
+ * Convert a numeric database wallet ID (12) into the API wallet ID ("wallet_12").
+ * Returns null for transfers recorded before wallets were stored.
+ */
+function formatWalletId(walletId) {
+  return walletId ? `wallet_${walletId}` : null;
+}
+
+/**
+ * Calculate the fee for a transfer amount (0.1%).
+ */
+function calculateTransferFee(amount) {
+  return roundAmount(amount * TRANSFER_FEE_RATE);
+}
+
+/**
+ * Get (or create on first use) the platform wallet used for a system purpose.
+ * System wallets are normal fbo_wallets rows registered in ledger_system_wallets.
+ *
+ * @param {string} purpose - 'fees' or 'issuance'
+ * @returns {number} Numeric wallet ID
+ */
+const getSystemWalletId = db.transaction((purpose) => {
+  const existingStmt = db.prepare('SELECT wallet_id FROM ledger_system_wallets WHERE purpose = ?');
+  const existing = existingStmt.get(purpose);
+  if (existing) {
+    return existing.wallet_id;
+  }
+
+  // System wallets live in the first custody vault, like regular wallets
+  const vaultStmt = db.prepare('SELECT vault_id FROM custody_vault LIMIT 1');
+  const vault = vaultStmt.get();
+  if (!vault) {
+    throw new Error('No custody vault available for system wallets');
+  }
+
+  const walletStmt = db.prepare(
+    'INSERT INTO fbo_wallets (vault_id, wallet_address, balance, creation_date) VALUES (?, ?, ?, ?)'
+  );
+  const result = walletStmt.run(vault.vault_id, `0x${crypto.randomBytes(20).toString('hex')}`, 0, new Date().toISOString());
+
+  const registerStmt = db.prepare('INSERT INTO ledger_system_wallets (purpose, wallet_id) VALUES (?, ?)');
+  registerStmt.run(purpose, result.lastInsertRowid);
+
+  return Number(result.lastInsertRowid);
+});
+
+/**
+ * Get the ledger balance of a wallet (sum of all its postings).
+ */
+function getLedgerBalance(walletId) {
+  const balanceStmt = db.prepare('SELECT COALESCE(SUM(amount), 0) AS balance FROM ledger_postings WHERE wallet_id = ?');
+  return roundAmount(balanceStmt.get(walletId).balance);
+}
+
+/**
+ * Get the part of a wallet balance that is not allocated to any subwallet.
+ */
+function getUnallocatedBalance(walletId) {
+  const balanceStmt = db.prepare(
+    'SELECT COALESCE(SUM(amount), 0) AS balance FROM ledger_postings WHERE wallet_id = ? AND subwallet_id IS NULL'
+  );
+  return roundAmount(balanceStmt.get(walletId).balance);
+}
+
+/**
+ * Get the ledger balance of a subwallet (sum of its postings).
+ */
+function getSubwalletBalance(subwalletId) {
+  const balanceStmt = db.prepare('SELECT COALESCE(SUM(amount), 0) AS balance FROM ledger_postings WHERE subwallet_id = ?');
+  return roundAmount(balanceStmt.get(subwalletId).balance);
+}
+
+/**
+ * Get the amount held by transfers that were initiated from this wallet but are not
+ * finished yet (pending approval, processing or broadcast). Includes the fee of those transfers.
+ */
+function getHeldAmount(walletId) {
+  const heldStmt = db.prepare(`
+    SELECT COALESCE(SUM(amount + COALESCE(fees, 0)), 0) AS held
+    FROM transaction_records
+    WHERE from_wallet_id = ? AND status IN (${IN_FLIGHT_STATUSES.map(() => '?').join(', ')})
+  `);
+  return roundAmount(heldStmt.get(walletId, ...IN_FLIGHT_STATUSES).held);
+}
+
+/**
+ * Get the full balance picture of a wallet.
+ *
+ * @returns {object} ledgerBalance (including subwallets), unallocatedBalance, subwalletBalance,
+ *                   heldAmount, availableBalance, storedBalance and whether the cached
+ *                   fbo_wallets.balance matches the ledger (reconciled)
+ */
+function getWalletBalances(walletId) {
+  const walletStmt = db.prepare('SELECT balance FROM fbo_wallets WHERE wallet_id = ?');
+  const wallet = walletStmt.get(walletId);
+  const ledgerBalance = getLedgerBalance(walletId);
+  const unallocatedBalance = getUnallocatedBalance(walletId);
+  const heldAmount = getHeldAmount(walletId);
+  const storedBalance = wallet ? roundAmount(wallet.balance) : 0;
+
+  return {
+    ledgerBalance,
+    unallocatedBalance,
+    subwalletBalance: roundAmount(ledgerBalance - unallocatedBalance),
+    heldAmount,
+    availableBalance: roundAmount(unallocatedBalance - heldAmount),
+    storedBalance,
+    reconciled: storedBalance === ledgerBalance
+  };
+}
+
+/**
+ * Record a balanced journal entry and update the cached wallet balances.
+ * Throws if a posting amount is not a finite number or the postings do not add up to zero.
+ *
+ * @param {object} entry
+ * @param {string} entry.entryType - 'transfer', 'deposit' or 'subwallet'
+ * @param {number|null} entry.transactionId - Transfer being settled (if any)
+ * @param {string} entry.description - Human readable description
+ * @param {Array<{walletId: number, subwalletId?: number, amount: number}>} entry.postings - Credits (+) and debits (-)
+ * @returns {number} Journal entry ID
+ */
+const postJournalEntry = db.transaction(({ entryType, transactionId = null, description, postings }) => {
+  // NaN and Infinity would slip through the balance check below (NaN > 0 is false)
+  const invalid = postings.find(posting => typeof posting.amount !== 'number' || !Number.isFinite(posting.amount));
+  if (invalid) {
+    throw new Error(`Invalid posting amount ${invalid.amount} for wallet_${invalid.walletId}`);
+  }
+
+  const total = postings.reduce((sum, posting) => sum + posting.amount, 0);
+  if (Math.abs(roundAmount(total)) > 0) {
+    throw new Error(`Unbalanced journal entry (postings sum to ${total})`);
+  }
+
+  const entryStmt = db.prepare(`
+    INSERT INTO ledger_journal_entries (entry_type, transaction_id, description, created_at)
+    VALUES (?, ?, ?, ?)
+  `);
+  const entryId = entryStmt.run(entryType, transactionId, description, new Date().toISOString()).lastInsertRowid;
+
+  const postingStmt = db.prepare(
+    'INSERT INTO ledger_postings (entry_id, wallet_id, subwallet_id, amount, created_at) VALUES (?, ?, ?, ?, ?)'
+  );
+  const cacheStmt = db.prepare('UPDATE fbo_wallets SET balance = ROUND(balance + ?, 8) WHERE wallet_id = ?');
+  const subwalletCacheStmt = db.prepare('UPDATE subwallets SET balance = ROUND(balance + ?, 8) WHERE subwallet_id = ?');
+  for (const posting of postings) {
+    const amount = roundAmount(posting.amount);
+    postingStmt.run(entryId, posting.walletId, posting.subwalletId || null, amount, new Date().toISOString());
+    cacheStmt.run(amount, posting.walletId);
+    if (posting.subwalletId) {
+      subwalletCacheStmt.run(amount, posting.subwalletId);
+    }
+  }
+
+  return Number(entryId);
+});
+
+/**
+ * Deposit stablecoins into a wallet.
+ * The issuance system wallet is debited and the target wallet is credited.
+ *
+ * @returns {number} Journal entry ID
+ */
+function depositToWallet(walletId, amount, description) {
+  return postJournalEntry({
+    entryType: 'deposit',
+    description: description || `Deposit to wallet_${walletId}`,
+    postings: [
+      { walletId: getSystemWalletId('issuance'), amount: -amount },
+      { walletId, amount }
+    ]
+  });
+}
+
+/**
+ * Move funds between a wallet's unallocated balance and one of its subwallets.
+ * Positive amounts move money into the subwallet, negative amounts move it back out.
+ * The parent wallet balance does not change, because the subwallet is part of it.
+ *
+ * @returns {number} Journal entry ID
+ */
+function moveSubwalletFunds(walletId, subwalletId, amount, description) {
+  return postJournalEntry({
+    entryType: 'subwallet',
+    description: description || `Move ${amount} between wallet_${walletId} and subwallet_${subwalletId}`,
+    postings: [
+      { walletId, amount: -amount },
+      { walletId, subwalletId, amount }
+    ]
+  });
+}
+
+/**
+ * Settle a transfer that the network has confirmed (status 'broadcast', see settlement/).
+ *
+ * In one database transaction this:
+ * 1. Checks the source wallet still has enough funds for amount + fee
+ * 2. Debits the source wallet (amount + fee)
+ * 3. Credits the destination wallet (amount)
+ * 4. Credits the fee wallet (fee)
+ * 5. Marks the transfer as confirmed
+ *
+ * If the funds are no longer there, nothing is posted and the transfer is marked as failed.
+ * Transfers that are not in 'broadcast' status are left untouched.
+ *
+ * @param {number} transactionId - Numeric transfer ID
+ * @returns {object} { status, failure_reason, entry_id }
+ */
+const settleTransfer = db.transaction((transactionId) => {
+  const transferStmt = db.prepare('SELECT * FROM transaction_records WHERE transaction_id = ?');
+  const transfer = transferStmt.get(transactionId);
+
+  if (!transfer || transfer.status !== 'broadcast') {
+    return { status: transfer ? transfer.status : null, failure_reason: null, entry_id: null };
+  }
+
+  const failStmt = db.prepare('UPDATE transaction_records SET status = ?, failure_reason = ? WHERE transaction_id = ?');
+
+  if (!transfer.from_wallet_id || !transfer.to_wallet_id) {
+    const reason = 'Transfer has no source or destination wallet';
+    failStmt.run('failed', reason, transactionId);
+    return { status: 'failed', failure_reason: reason, entry_id: null };
+  }
+
+  // Use the fee stored when the transfer was initiated
+  const fee = transfer.fees !== null ? roundAmount(transfer.fees) : calculateTransferFee(transfer.amount);
+  const totalDebit = roundAmount(transfer.amount + fee);
+
+  // Money sitting in subwallets cannot be sent
+  if (getUnallocatedBalance(transfer.from_wallet_id) < totalDebit) {
+    const reason = 'Insufficient funds at settlement';
+    failStmt.run('failed', reason, transactionId);
+    return { status: 'failed', failure_reason: reason, entry_id: null };
+  }
+
+  const postings = [
+    { walletId: transfer.from_wallet_id, amount: -totalDebit },
+    { walletId: transfer.to_wallet_id, amount: transfer.amount }
+  ];
+  if (fee > 0) {
+    postings.push({ walletId: getSystemWalletId('fees'), amount: fee });
+  }
+
+  const entryId = postJournalEntry({
+    entryType: 'transfer',
+    transactionId,
+    description: `Transfer transfer_${transactionId}`,
+    postings
+  });
+
+  const confirmStmt = db.prepare('UPDATE transaction_records SET status = ?, completed_at = ? WHERE transaction_id = ?');
+  confirmStmt.run('confirmed', new Date().toISOString(), transactionId);
+
+  return { status: 'confirmed', failure_reason: null, entry_id: entryId };
+});
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  TRANSFER_FEE_RATE,
+  roundAmount,
+  parseWalletId,
+  formatWalletId,
+  calculateTransferFee,
+  getSystemWalletId,
+  getLedgerBalance,
+  getUnallocatedBalance,
+  getSubwalletBalance,
+  getHeldAmount,
+  getWalletBalances,
+  postJournalEntry,
+  depositToWallet,
+  moveSubwalletFunds,
+  settleTransfer
+};
@@ -0,0 +1,343 @@
+/**
+ * MULTI-FACTOR AUTHENTICATION MODULE
+ *
+ * Time-based one-time passwords (TOTP, RFC 6238) for bank users. A signed-in session is
+ * enough for everyday work, but sensitive actions need a "step-up": a fresh code from the
+ * user's authenticator app (or a recovery code) sent with the request.
+ *
+ * ENROLLMENT:
+ * - POST /api/auth/mfa/enroll creates a secret and returns it with an otpauth:// URI that
+ *   authenticator apps read from a QR code
+ * - POST /api/auth/mfa/confirm with a first code switches MFA on and returns 10 recovery
+ *   codes; each recovery code works once, for when the authenticator is lost
+ *
+ * STEP-UP (X-MFA-Code header):
+ * - Approving a transfer above MFA_APPROVAL_THRESHOLD (default 50,000)
+ * - Changing a user's role
+ * - Creating, updating or deleting approval rules
+ * - Codes are "fresh": a TOTP code (or any earlier one) cannot be used twice, and a
+ *   recovery code is marked used
+ * - After MFA_MAX_FAILURES wrong codes within MFA_LOCKOUT_MS (default 5 in 15 minutes) the
+ *   user's step-ups are refused with 429 MFA_LOCKED until the oldest failure ages out
+ *
+ * TOTP SETTINGS:
+ * - SHA-1, 6 digits, 30 second steps (what authenticator apps expect)
+ * - One step of clock drift is allowed either way
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const crypto = require('crypto'); // HMAC for TOTP, random secrets and recovery codes
+const db = require('./database/connection'); // Database connection for secrets and recovery codes
+
+// TOTP parameters
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+
+// Issuer shown in authenticator apps
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Stablecoin Banking API';
+
+// Transfers above this amount need a step-up code to approve
+const MFA_APPROVAL_THRESHOLD = Number(process.env.MFA_APPROVAL_THRESHOLD) || 50000;
+
+// Number of recovery codes issued at once
+const RECOVERY_CODE_COUNT = 10;
+
+// Failed step-up limits (per user)
+const MFA_LOCKOUT_MS = Number(process.env.MFA_LOCKOUT_MS) || 15 * 60 * 1000;
+const MFA_MAX_FAILURES = Number(process.env.MFA_MAX_FAILURES) || 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode bytes as base32 (the format authenticator apps use for secrets)
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+// Decode a base32 secret
+function base32Decode(secret) {
+  let bits = '';
+  for (const char of secret.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new TOTP secret (base32, 160 bits).
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Build the otpauth:// URI for an authenticator app (usually shown as a QR code).
+ */
+function getOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${MFA_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: MFA_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Get the TOTP time step for a time (defaults to now).
+ */
+function getTimeStep(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Compute the TOTP code of a secret for a time step.
+ */
+function generateTotp(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Find the time step a TOTP code belongs to, allowing for clock drift.
+ *
+ * @returns {number|null} The matching time step, or null when the code is wrong
+ */
+function findTotpStep(secret, code) {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+  const currentStep = getTimeStep();
+  for (let step = currentStep - TOTP_DRIFT_STEPS; step <= currentStep + TOTP_DRIFT_STEPS; step++) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// Hash a recovery code for storage and lookup (dashes and case are ignored)
+function hashRecoveryCode(code) {
+  const normalized = String(code).replace(/-/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Replace a user's recovery codes with a new set.
+ *
+ * @returns {string[]} The new codes (shown to the user once)
+ */
+function issueRecoveryCodes(userId) {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+    const insertStmt = db.prepare(`
+      INSERT INTO user_recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)
+    `);
+    const now = new Date().toISOString();
+    for (const code of codes) {
+      insertStmt.run(userId, hashRecoveryCode(code), now);
+    }
+  })();
+
+  return codes;
+}
+
+/**
+ * Count a user's unused recovery codes.
+ */
+function countRecoveryCodes(userId) {
+  const countStmt = db.prepare('SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL');
+  return countStmt.get(userId).count;
+}
+
+/**
+ * Start enrollment: store a new secret that is not active until confirmed.
+ *
+ * @returns {{ secret: string, otpauthUri: string }}
+ */
+function startEnrollment(user) {
+  const secret = generateSecret();
+  const enrollStmt = db.prepare(`
+    UPDATE bank_users SET mfa_secret = ?, mfa_enabled = 0, mfa_enrolled_at = NULL, mfa_last_used_step = NULL
+    WHERE user_id = ?
+  `);
+  enrollStmt.run(secret, user.user_id);
+  return { secret, otpauthUri: getOtpauthUri(secret, user.username) };
+}
+
+/**
+ * Finish enrollment with a first code from the authenticator app.
+ *
+ * @returns {string[]|null} Recovery codes, or null when the code is wrong
+ */
+function confirmEnrollment(user, code) {
+  const step = user.mfa_secret ? findTotpStep(user.mfa_secret, code) : null;
+  if (step === null) {
+    return null;
+  }
+
+  const confirmStmt = db.prepare(`
+    UPDATE bank_users SET mfa_enabled = 1, mfa_enrolled_at = ?, mfa_last_used_step = ? WHERE user_id = ?
+  `);
+  confirmStmt.run(new Date().toISOString(), step, user.user_id);
+  return issueRecoveryCodes(user.user_id);
+}
+
+/**
+ * Switch MFA off and delete the secret and recovery codes.
+ */
+function disableMfa(userId) {
+  db.transaction(() => {
+    const disableStmt = db.prepare(`
+      UPDATE bank_users SET mfa_secret = NULL, mfa_enabled = 0, mfa_enrolled_at = NULL, mfa_last_used_step = NULL
+      WHERE user_id = ?
+    `);
+    disableStmt.run(userId);
+    db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+  })();
+}
+
+/**
+ * Check whether a user's step-ups are locked after too many wrong codes.
+ *
+ * @returns {number|null} Seconds until the next attempt is allowed, or null when not locked
+ */
+function getStepUpLockout(userId) {
+  const failuresStmt = db.prepare(`
+    SELECT COUNT(*) AS count, MIN(attempted_at) AS oldest FROM failed_mfa_attempts
+    WHERE user_id = ? AND attempted_at > ?
+  `);
+  const failures = failuresStmt.get(userId, new Date(Date.now() - MFA_LOCKOUT_MS).toISOString());
+  if (failures.count < MFA_MAX_FAILURES) {
+    return null;
+  }
+  const unlockAt = new Date(failures.oldest).getTime() + MFA_LOCKOUT_MS;
+  return Math.max(1, Math.ceil((unlockAt - Date.now()) / 1000));
+}
+
+// Record a wrong step-up code (and drop failures that are out of the lockout window)
+function recordFailedStepUp(userId) {
+  const now = new Date();
+  db.transaction(() => {
+    const pruneStmt = db.prepare('DELETE FROM failed_mfa_attempts WHERE attempted_at <= ?');
+    pruneStmt.run(new Date(now.getTime() - MFA_LOCKOUT_MS).toISOString());
+    db.prepare('INSERT INTO failed_mfa_attempts (user_id, attempted_at) VALUES (?, ?)').run(userId, now.toISOString());
+  })();
+}
+
+/**
+ * Check a step-up code for a user and use it up.
+ *
+ * @param {object} user - bank_users row
+ * @param {string} code - TOTP code or recovery code
+ * @returns {object} { method: 'totp'|'recovery_code' } when the code is accepted,
+ *                   otherwise { status, error, code } (plus retry_after_seconds when locked)
+ */
+function verifyStepUp(user, code) {
+  if (!user.mfa_enabled) {
+    return {
+      status: 403,
+      error: "Multi-factor authentication must be set up for this action (POST /api/auth/mfa/enroll)",
+      code: "MFA_NOT_ENROLLED"
+    };
+  }
+  if (!code) {
+    return {
+      status: 401,
+      error: "This action needs a one-time code in the X-MFA-Code header",
+      code: "MFA_REQUIRED"
+    };
+  }
+
+  // Too many wrong codes: refuse even a right one until the lockout ends
+  const retryAfter = getStepUpLockout(user.user_id);
+  if (retryAfter) {
+    return {
+      status: 429,
+      error: "Too many wrong one-time codes, try again later",
+      code: "MFA_LOCKED",
+      retry_after_seconds: retryAfter
+    };
+  }
+
+  // Authenticator code: only accepted for a later time step than the last code used
+  const step = findTotpStep(user.mfa_secret, code);
+  if (step !== null) {
+    const useStmt = db.prepare(`
+      UPDATE bank_users SET mfa_last_used_step = ?
+      WHERE user_id = ? AND (mfa_last_used_step IS NULL OR mfa_last_used_step < ?)
+    `);
+    if (useStmt.run(step, user.user_id, step).changes > 0) {
+      clearFailedStepUps(user.user_id);
+      return { method: 'totp' };
+    }
+  }
+
+  // Recovery code: each one works once
+  const recoveryStmt = db.prepare(`
+    UPDATE user_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `);
+  if (recoveryStmt.run(new Date().toISOString(), user.user_id, hashRecoveryCode(code)).changes > 0) {
+    clearFailedStepUps(user.user_id);
+    return { method: 'recovery_code' };
+  }
+
+  recordFailedStepUp(user.user_id);
+  return { status: 401, error: "Invalid or already used one-time code", code: "MFA_INVALID" };
+}
+
+// Forget a user's wrong step-up codes once a right one is accepted
+function clearFailedStepUps(userId) {
+  db.prepare('DELETE FROM failed_mfa_attempts WHERE user_id = ?').run(userId);
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  MFA_APPROVAL_THRESHOLD,
+  generateSecret,
+  getOtpauthUri,
+  generateTotp,
+  startEnrollment,
+  confirmEnrollment,
+  disableMfa,
+  issueRecoveryCodes,
+  countRecoveryCodes,
+  verifyStepUp
+};
@@ -5,13 +5,247 @@ const twilio = require('twilio');
 const axios = require('axios');
 const crypto = require('crypto');
 const { randomUUID } = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
 const db = require('./database/connection');
+const { authenticateBank, requireScope } = require('./banks');
+const { findUserSession } = require('./auth');
+const apiKeys = require('./api-keys');
+const ledger = require('./ledger');
+const jobQueue = require('./job-queue');
+const webhookSignatures = require('./webhook-signatures');
 
 const router = express.Router();
 
 // WebSocket server instance (will be set by server.js)
 let wss = null;
 
+// Preferences of users who never saved any (same as the notification_preferences defaults)
+const DEFAULT_PREFERENCES = {
+  email_enabled: 1,
+  sms_enabled: 0,
+  push_enabled: 1,
+  webhook_enabled: 1,
+  transfer_notifications: 1,
+  approval_notifications: 1,
+  security_notifications: 1,
+  system_notifications: 0
+};
+
+// How often WebSocket connections are pinged; a connection that misses a ping is closed
+const WEBSOCKET_HEARTBEAT_MS = Number(process.env.WS_HEARTBEAT_MS) || 30000;
+
+// Most notifications sent for one replay request
+const WEBSOCKET_REPLAY_LIMIT = 500;
+
+// Webhook delivery: a failed attempt is retried with exponential backoff and jitter
+// (base delay doubled per attempt, capped) until WEBHOOK_MAX_ATTEMPTS attempts were made.
+// An endpoint is disabled after WEBHOOK_DISABLE_AFTER_FAILURES failed attempts in a row.
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const WEBHOOK_RETRY_MAX_MS = Number(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000;
+const WEBHOOK_DISABLE_AFTER_FAILURES = Number(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 10;
+
+// Delay before the attempt after `attempt`: half of the backoff is fixed and half is
+// random, so endpoints that come back up are not hit by every retry at once
+function getWebhookRetryDelay(attempt) {
+  const backoff = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1), WEBHOOK_RETRY_MAX_MS);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+// Secrets a webhook's deliveries are signed with: the current one, plus the one it
+// replaced until its rotation overlap ends
+function getWebhookSecrets(webhook) {
+  const secrets = [webhook.secret_key];
+  if (webhook.previous_secret_key && new Date(webhook.previous_secret_expires_at) > new Date()) {
+    secrets.push(webhook.previous_secret_key);
+  }
+  return secrets;
+}
+
+// How long a rotated webhook secret keeps signing deliveries by default, and at most
+const DEFAULT_SECRET_OVERLAP_SECONDS = 24 * 60 * 60;
+const MAX_SECRET_OVERLAP_SECONDS = 30 * 24 * 60 * 60;
+
+// In production webhooks may not target private, loopback or link-local addresses, so a
+// bank cannot use them to reach services inside our network (IPv4-mapped IPv6 addresses
+// are checked against the IPv4 ranges)
+const BLOCK_PRIVATE_WEBHOOK_URLS = process.env.NODE_ENV === 'production';
+const PRIVATE_NETWORKS = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16]].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+// Check a webhook URL: http or https, and in production every address its host resolves
+// to must be public. Returns an error message or null.
+async function getWebhookUrlError(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'url must be a valid URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must use http or https';
+  }
+  if (!BLOCK_PRIVATE_WEBHOOK_URLS) {
+    return null;
+  }
+  
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.lookup(hostname, { all: true });
+  } catch (error) {
+    return `url host ${hostname} could not be resolved`;
+  }
+  if (addresses.some(isPrivateAddress)) {
+    return 'url must not point to a private, loopback or link-local address';
+  }
+  return null;
+}
+
+function isPrivateAddress({ address, family }) {
+  return PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Resolve a webhook host for the outgoing connection and refuse private addresses, so a
+// host that re-resolves after its URL was checked cannot be used to reach our network
+async function lookupPublicAddress(hostname) {
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (addresses.some(isPrivateAddress)) {
+    throw new Error(`${hostname} resolves to a private, loopback or link-local address`);
+  }
+  return addresses;
+}
+
+// axios options for every outgoing webhook and team notification: redirects are not
+// followed, and in production the connection goes to the address checked above
+const OUTBOUND_REQUEST_OPTIONS = {
+  maxRedirects: 0,
+  lookup: BLOCK_PRIVATE_WEBHOOK_URLS ? lookupPublicAddress : undefined
+};
+
+// Payload of the 'ping' event sent by the webhook test endpoint
+function buildPingPayload(webhookId) {
+  return {
+    event: 'ping',
+    webhook_id: webhookId,
+    message: 'Test event from the stablecoin API',
+    occurred_at: new Date().toISOString()
+  };
+}
+
+// Event definitions webhooks can subscribe to. transfer-events.js requires this module,
+// so it is loaded on first use instead of at the top.
+function getTransferEvents() {
+  return require('./transfer-events');
+}
+
+// Check the events a webhook subscribes to. Returns an error message or null.
+function getWebhookEventsError(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+  const { TRANSFER_EVENTS } = getTransferEvents();
+  const unknown = events.filter(event => !TRANSFER_EVENTS[event]);
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')} (see GET /api/notifications/events)`;
+  }
+  return null;
+}
+
+// Response bodies are logged as text, cut to 2000 characters
+function truncateResponseBody(data) {
+  if (data === undefined || data === null) return null;
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  return text.slice(0, 2000);
+}
+
+// Authenticate a WebSocket handshake. Clients send an API key (X-API-Key header or
+// api_key query parameter) or a user session token (X-Session-Token header or
+// session_token query parameter; browsers cannot set headers on WebSockets).
+// With both, the session must belong to the key's bank.
+// Returns { bank, user, method } or { error }.
+function authenticateWebSocket(req) {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const apiKey = req.headers['x-api-key'] || query.get('api_key');
+  const sessionToken = req.headers['x-session-token'] || query.get('session_token');
+  
+  if (!apiKey && !sessionToken) {
+    return { error: 'API key or session token required' };
+  }
+  
+  let bankId = null;
+  if (apiKey) {
+    const { record, error } = apiKeys.findApiKey(apiKey);
+    if (!record) {
+      return { error };
+    }
+    if (!record.scopes.split(',').includes('read')) {
+      return { error: 'This API key does not have the read scope' };
+    }
+    bankId = record.bank_id;
+  }
+  
+  let user = null;
+  if (sessionToken) {
+    const session = findUserSession(sessionToken, bankId);
+    if (session.error) {
+      return { error: session.error };
+    }
+    user = session.user;
+    bankId = session.user.bank_id;
+  }
+  
+  const bank = db.prepare("SELECT * FROM banks WHERE id = ? AND status = 'active'").get(bankId);
+  if (!bank) {
+    return { error: 'Invalid API key' };
+  }
+  return { bank, user, method: user ? 'session' : 'api_key' };
+}
+
+// Check a WebSocket topic and return it in canonical form, or null when it is unknown
+// or names another bank's transfer or wallet. A wallet topic covers transfers into the
+// wallet from other banks too (see transfer-events.js).
+// Topics: bank, approvals, transfer:<transfer id>, wallet:<wallet id>
+function resolveTopic(bankId, topic) {
+  if (topic === 'bank' || topic === 'approvals') {
+    return topic;
+  }
+  
+  const [kind, id] = String(topic).split(':');
+  if (kind === 'transfer' && id) {
+    const transferId = Number(id.replace('transfer_', ''));
+    const stmt = db.prepare('SELECT transaction_id FROM transaction_records WHERE transaction_id = ? AND bank_id = ?');
+    return stmt.get(transferId, bankId) ? `transfer:transfer_${transferId}` : null;
+  }
+  if (kind === 'wallet' && id) {
+    const walletId = ledger.parseWalletId(id);
+    const stmt = db.prepare('SELECT wallet_id FROM fbo_wallets WHERE wallet_id = ? AND bank_id = ?');
+    return walletId && stmt.get(walletId, bankId) ? `wallet:${ledger.formatWalletId(walletId)}` : null;
+  }
+  return null;
+}
+
+// Shape a notifications row for WebSocket clients (live and replayed)
+function formatRealTimeNotification(notification) {
+  return {
+    id: notification.id,
+    user_id: notification.user_id,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    priority: notification.priority,
+    metadata: notification.metadata ? JSON.parse(notification.metadata) : null,
+    created_at: notification.created_at
+  };
+}
+
 // Notification service class
 class NotificationService {
   constructor() {
@@ -142,103 +376,262 @@ class NotificationService {
     });
   }
 
-  // Set WebSocket server
+  // Set WebSocket server. Connections authenticate in the handshake (see authenticateWebSocket)
   setWebSocketServer(server) {
-    wss = new WebSocket.Server({ server });
+    wss = new WebSocket.Server({
+      server,
+      verifyClient: (info, done) => {
+        try {
+          const auth = authenticateWebSocket(info.req);
+          if (auth.error) {
+            return done(false, 401, auth.error);
+          }
+          info.req.wsAuth = auth;
+          done(true);
+        } catch (error) {
+          console.error('WebSocket authentication error:', error);
+          done(false, 500, 'Authentication failed');
+        }
+      }
+    });
+    
+    // Connections recorded as active by an earlier run of the server are gone
+    db.prepare('UPDATE websocket_connections SET is_active = 0 WHERE is_active = 1').run();
     
     wss.on('connection', (ws, req) => {
+      const { bank, user, method } = req.wsAuth;
       const connectionId = randomUUID();
       const ip = req.socket.remoteAddress;
       const userAgent = req.headers['user-agent'] || 'Unknown';
       
       // Store connection
-      this.connections.set(connectionId, { ws, bank_id: null, user_id: null });
+      const connection = {
+        ws,
+        bank_id: bank.id,
+        user_id: user ? user.user_id : null,
+        auth_method: method,
+        topics: new Set(),
+        alive: true
+      };
+      this.connections.set(connectionId, connection);
       
       // Store connection in database
       const stmt = db.prepare(`
-        INSERT INTO websocket_connections (connection_id, ip_address, user_agent)
-        VALUES (?, ?, ?)
+        INSERT INTO websocket_connections (connection_id, bank_id, user_id, auth_method, subscriptions, ip_address, user_agent)
+        VALUES (?, ?, ?, ?, '[]', ?, ?)
       `);
-      stmt.run(connectionId, ip, userAgent);
+      stmt.run(connectionId, connection.bank_id, connection.user_id, method, ip, userAgent);
       
       // Send connection confirmation
       ws.send(JSON.stringify({
         type: 'connection_established',
         connection_id: connectionId,
+        bank_id: connection.bank_id,
+        user_id: connection.user_id,
+        auth_method: method,
         message: 'WebSocket connection established'
       }));
       
-      // Handle authentication
+      ws.on('pong', () => this.markAlive(connectionId));
+      
       ws.on('message', (message) => {
+        this.markAlive(connectionId);
         try {
-          const data = JSON.parse(message);
-          
-          if (data.type === 'authenticate') {
-            this.authenticateConnection(connectionId, data.bank_id, data.user_id);
-          }
+          this.handleMessage(connectionId, JSON.parse(message));
         } catch (error) {
           console.error('WebSocket message error:', error);
+          this.sendToConnection(connection, { type: 'error', error: 'Invalid message' });
         }
       });
       
       // Handle disconnection
-      ws.on('close', () => {
-        this.connections.delete(connectionId);
-        
-        // Update database
-        const stmt = db.prepare(`
-          UPDATE websocket_connections 
-          SET is_active = 0, last_activity = CURRENT_TIMESTAMP
-          WHERE connection_id = ?
-        `);
-        stmt.run(connectionId);
-      });
+      ws.on('close', () => this.closeConnection(connectionId));
+      
+      // A reconnecting client sends the last notification ID it saw
+      const since = new URL(req.url, 'http://localhost').searchParams.get('since');
+      if (since !== null) {
+        this.replayNotifications(connectionId, since);
+      }
     });
+    
+    this.startHeartbeat();
   }
 
-  // Authenticate WebSocket connection
-  authenticateConnection(connectionId, bankId, userId) {
+  // Handle a message from a client
+  handleMessage(connectionId, data) {
     const connection = this.connections.get(connectionId);
-    if (connection) {
-      connection.bank_id = bankId;
-      connection.user_id = userId;
+    if (!connection) return;
+    
+    if (data.type === 'subscribe' || data.type === 'unsubscribe') {
+      const requested = Array.isArray(data.topics) ? data.topics : [];
+      const topics = requested.map(topic => resolveTopic(connection.bank_id, topic));
+      const invalid = requested.filter((topic, index) => !topics[index]);
+      if (requested.length === 0 || invalid.length > 0) {
+        return this.sendToConnection(connection, {
+          type: 'error',
+          code: 'INVALID_TOPIC',
+          error: 'topics must be a list of: bank, approvals, transfer:<transfer id>, wallet:<wallet id> (of your bank)',
+          topics: invalid
+        });
+      }
       
-      // Update database
-      const stmt = db.prepare(`
-        UPDATE websocket_connections 
-        SET bank_id = ?, user_id = ?, last_activity = CURRENT_TIMESTAMP
-        WHERE connection_id = ?
-      `);
-      stmt.run(bankId, userId, connectionId);
+      topics.forEach(topic => {
+        if (data.type === 'subscribe') {
+          connection.topics.add(topic);
+        } else {
+          connection.topics.delete(topic);
+        }
+      });
+      db.prepare('UPDATE websocket_connections SET subscriptions = ? WHERE connection_id = ?')
+        .run(JSON.stringify([...connection.topics]), connectionId);
       
-      // Send confirmation
-      connection.ws.send(JSON.stringify({
-        type: 'authentication_success',
-        message: 'Connection authenticated successfully'
-      }));
+      this.sendToConnection(connection, { type: 'subscriptions', topics: [...connection.topics] });
+    } else if (data.type === 'replay') {
+      this.replayNotifications(connectionId, data.since);
+    } else if (data.type === 'ping') {
+      this.sendToConnection(connection, { type: 'pong' });
+    } else if (data.type === 'authenticate') {
+      // Credentials from messages are not trusted: they must come with the handshake
+      this.sendToConnection(connection, {
+        type: 'error',
+        error: 'Authenticate in the handshake with an API key or session token'
+      });
+    } else {
+      this.sendToConnection(connection, { type: 'error', error: `Unknown message type: ${data.type}` });
     }
   }
 
-  // Send real-time notification
-  sendRealTimeNotification(bankId, userId, notification) {
-    // Send to WebSocket connections
-    this.connections.forEach((connection, connectionId) => {
-      if (connection.bank_id === bankId && connection.user_id === userId) {
+  // Send notifications created after a cursor (a notification ID) to one connection.
+  // Session connections get their user's notifications, API key connections the bank's.
+  replayNotifications(connectionId, since) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) return;
+    
+    const cursor = Number(since);
+    if (!Number.isInteger(cursor) || cursor < 0) {
+      return this.sendToConnection(connection, {
+        type: 'error',
+        code: 'INVALID_CURSOR',
+        error: 'since must be the ID of the last notification received (0 for all)'
+      });
+    }
+    
+    const conditions = ['bank_id = ?', 'id > ?'];
+    const params = [connection.bank_id, cursor];
+    if (connection.user_id) {
+      conditions.push('user_id = ?');
+      params.push(connection.user_id);
+    }
+    const stmt = db.prepare(`
+      SELECT * FROM notifications WHERE ${conditions.join(' AND ')} ORDER BY id ASC LIMIT ?
+    `);
+    const missed = stmt.all(...params, WEBSOCKET_REPLAY_LIMIT);
+    
+    missed.forEach(notification => {
+      this.sendToConnection(connection, {
+        type: 'notification',
+        replayed: true,
+        data: formatRealTimeNotification(notification)
+      });
+    });
+    
+    this.sendToConnection(connection, {
+      type: 'replay_complete',
+      count: missed.length,
+      cursor: missed.length > 0 ? missed[missed.length - 1].id : cursor,
+      has_more: missed.length === WEBSOCKET_REPLAY_LIMIT
+    });
+  }
+
+  // Ping every connection regularly; a connection that did not answer the previous
+  // ping is dead and is closed
+  startHeartbeat(intervalMs = WEBSOCKET_HEARTBEAT_MS) {
+    const timer = setInterval(() => {
+      this.connections.forEach((connection, connectionId) => {
+        if (!connection.alive) {
+          connection.ws.terminate();
+          this.closeConnection(connectionId);
+          return;
+        }
+        connection.alive = false;
         try {
-          connection.ws.send(JSON.stringify({
-            type: 'notification',
-            data: notification
-          }));
+          connection.ws.ping();
         } catch (error) {
-          console.error('WebSocket send error:', error);
-          this.connections.delete(connectionId);
+          this.closeConnection(connectionId);
         }
+      });
+    }, intervalMs);
+    timer.unref(); // Do not keep the process alive just for the heartbeat
+    wss.on('close', () => clearInterval(timer));
+  }
+
+  // Record that a connection is still there
+  markAlive(connectionId) {
+    const connection = this.connections.get(connectionId);
+    if (connection) {
+      connection.alive = true;
+      db.prepare('UPDATE websocket_connections SET last_activity = CURRENT_TIMESTAMP WHERE connection_id = ?')
+        .run(connectionId);
+    }
+  }
+
+  // Forget a closed connection
+  closeConnection(connectionId) {
+    this.connections.delete(connectionId);
+    
+    const stmt = db.prepare(`
+      UPDATE websocket_connections 
+      SET is_active = 0, last_activity = CURRENT_TIMESTAMP
+      WHERE connection_id = ?
+    `);
+    stmt.run(connectionId);
+  }
+
+  // Send a message to one connection (dropping connections that fail)
+  sendToConnection(connection, message) {
+    try {
+      connection.ws.send(JSON.stringify(message));
+    } catch (error) {
+      console.error('WebSocket send error:', error);
+      this.connections.forEach((candidate, connectionId) => {
+        if (candidate === connection) this.connections.delete(connectionId);
+      });
+    }
+  }
+
+  // Send real-time notification to the user's session connections and the bank's API key connections
+  sendRealTimeNotification(bankId, userId, notification) {
+    this.connections.forEach((connection) => {
+      if (connection.bank_id === bankId && (connection.user_id === userId || connection.auth_method === 'api_key')) {
+        this.sendToConnection(connection, {
+          type: 'notification',
+          data: notification
+        });
+      }
+    });
+  }
+
+  // Send an event to every connection of a bank subscribed to one of its topics
+  publish(bankId, topics, event) {
+    this.connections.forEach((connection) => {
+      if (connection.bank_id !== bankId) return;
+      const topic = topics.find(candidate => connection.topics.has(candidate));
+      if (topic) {
+        this.sendToConnection(connection, { type: 'event', topic, data: event });
       }
     });
   }
 
-  // Create notification in database
-  createNotification(bankId, userId, type, title, message, priority = 'normal', metadata = null) {
+  // Get a user's notification preferences (the latest saved row, or the defaults)
+  getPreferences(userId) {
+    const stmt = db.prepare(`
+      SELECT * FROM notification_preferences WHERE user_id = ? ORDER BY id DESC LIMIT 1
+    `);
+    return stmt.get(userId) || { user_id: userId, ...DEFAULT_PREFERENCES };
+  }
+
+  // Create notification in database (push = false only stores it, without a WebSocket push)
+  createNotification(bankId, userId, type, title, message, priority = 'normal', metadata = null, push = true) {
     const stmt = db.prepare(`
       INSERT INTO notifications (bank_id, user_id, type, title, message, priority, metadata)
       VALUES (?, ?, ?, ?, ?, ?, ?)
@@ -247,14 +640,18 @@ class NotificationService {
     const result = stmt.run(bankId, userId, type, title, message, priority, metadata);
     
     // Send real-time notification
-    this.sendRealTimeNotification(bankId, userId, {
-      id: result.lastInsertRowid,
-      type,
-      title,
-      message,
-      priority,
-      created_at: new Date().toISOString()
-    });
+    if (push) {
+      this.sendRealTimeNotification(bankId, userId, formatRealTimeNotification({
+        id: result.lastInsertRowid,
+        user_id: userId,
+        type,
+        title,
+        message,
+        priority,
+        metadata,
+        created_at: new Date().toISOString()
+      }));
+    }
     
     return result.lastInsertRowid;
   }
@@ -283,7 +680,7 @@ class NotificationService {
       });
       
       // Configure email transporter (using Gmail for demo)
-      const transporter = nodemailer.createTransporter({
+      const transporter = nodemailer.createTransport({
         service: 'gmail',
         auth: {
           user: process.env.EMAIL_USER || 'your-email@gmail.com',
@@ -350,7 +747,9 @@ class NotificationService {
     }
   }
 
-  // Send webhook notification
+  // Queue a delivery of an event to every active webhook endpoint of the bank that
+  // listens for it. Deliveries run as 'deliver_webhook' jobs (see attemptWebhookDelivery).
+  // Returns the delivery IDs.
   async sendWebhook(bankId, eventType, payload) {
     try {
       // Get webhook endpoints for this bank and event type
@@ -358,96 +757,220 @@ class NotificationService {
         SELECT * FROM webhook_endpoints 
         WHERE bank_id = ? AND is_active = 1
       `);
-      const webhooks = stmt.all(bankId);
+      const webhooks = stmt.all(bankId).filter(webhook => JSON.parse(webhook.events).includes(eventType));
       
-      const promises = webhooks.map(async (webhook) => {
-        const events = JSON.parse(webhook.events);
-        if (!events.includes(eventType)) return;
-        
-        const startTime = Date.now();
-        
-        try {
-          // Add signature for security
-          const signature = crypto
-            .createHmac('sha256', webhook.secret_key)
-            .update(JSON.stringify(payload))
-            .digest('hex');
-          
-          const response = await axios.post(webhook.url, payload, {
-            headers: {
-              'Content-Type': 'application/json',
-              'X-Webhook-Signature': signature,
-              'X-Event-Type': eventType,
-              'X-Bank-ID': bankId.toString()
-            },
-            timeout: 10000 // 10 second timeout
-          });
-          
-          const deliveryTime = Date.now() - startTime;
-          
-          // Log successful delivery
-          const logStmt = db.prepare(`
-            INSERT INTO webhook_deliveries 
-            (webhook_id, event_type, payload, response_code, response_body, delivery_time_ms, success)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-          `);
-          logStmt.run(
-            webhook.id,
-            eventType,
-            JSON.stringify(payload),
-            response.status,
-            JSON.stringify(response.data),
-            deliveryTime,
-            true
-          );
-          
-          // Update last triggered
-          const updateStmt = db.prepare(`
-            UPDATE webhook_endpoints 
-            SET last_triggered = CURRENT_TIMESTAMP, failure_count = 0
-            WHERE id = ?
-          `);
-          updateStmt.run(webhook.id);
-          
-        } catch (error) {
-          const deliveryTime = Date.now() - startTime;
-          
-          // Log failed delivery
-          const logStmt = db.prepare(`
-            INSERT INTO webhook_deliveries 
-            (webhook_id, event_type, payload, response_code, response_body, delivery_time_ms, success)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-          `);
-          logStmt.run(
-            webhook.id,
-            eventType,
-            JSON.stringify(payload),
-            error.response?.status || 0,
-            error.message,
-            deliveryTime,
-            false
-          );
-          
-          // Increment failure count
-          const updateStmt = db.prepare(`
-            UPDATE webhook_endpoints 
-            SET failure_count = failure_count + 1
-            WHERE id = ?
-          `);
-          updateStmt.run(webhook.id);
-          
-          console.error(`Webhook delivery failed for ${webhook.url}:`, error.message);
-        }
+      return webhooks.map((webhook) => {
+        const deliveryId = this.createWebhookDelivery(webhook.id, eventType, payload);
+        jobQueue.enqueue('deliver_webhook', { deliveryId }, { dedupeKey: `deliver_webhook:${deliveryId}` });
+        return deliveryId;
       });
       
-      await Promise.all(promises);
-      
     } catch (error) {
       console.error('Webhook sending error:', error);
       throw error;
     }
   }
 
+  // Log a delivery that has not been attempted yet (with a new event ID)
+  createWebhookDelivery(webhookId, eventType, payload, redeliveryOf = null) {
+    const stmt = db.prepare(`
+      INSERT INTO webhook_deliveries 
+      (webhook_id, event_id, event_type, payload, status, attempts, next_attempt_at, redelivery_of)
+      VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)
+    `);
+    const result = stmt.run(
+      webhookId, webhookSignatures.createEventId(), eventType, JSON.stringify(payload), new Date().toISOString(), redeliveryOf
+    );
+    return Number(result.lastInsertRowid);
+  }
+
+  // POST a signed event to a webhook endpoint. Resolves with the axios response and
+  // rejects on a network error, a timeout or a non-2xx status.
+  async postWebhook(webhook, eventId, eventType, body) {
+    // Sign event ID, timestamp and body (see webhook-signatures.js)
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = webhookSignatures.buildSignatureHeader({
+      secrets: getWebhookSecrets(webhook),
+      timestamp,
+      eventId,
+      body
+    });
+    
+    // Checked again on every delivery (IP literals are never passed to the lookup)
+    const urlError = await getWebhookUrlError(webhook.url);
+    if (urlError) {
+      throw new Error(urlError);
+    }
+    
+    return axios.post(webhook.url, body, {
+      ...OUTBOUND_REQUEST_OPTIONS,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': eventId,
+        'X-Webhook-Timestamp': timestamp.toString(),
+        'X-Webhook-Signature': signature,
+        'X-Event-Type': eventType,
+        'X-Bank-ID': webhook.bank_id.toString()
+      },
+      timeout: WEBHOOK_TIMEOUT_MS
+    });
+  }
+
+  // Send a signed 'ping' event to a webhook endpoint and report how it answered. Pings
+  // are not logged as deliveries and do not count towards disabling the endpoint.
+  async pingWebhook(webhook) {
+    const eventId = webhookSignatures.createEventId();
+    const payload = buildPingPayload(webhook.id);
+    const startTime = Date.now();
+    
+    try {
+      const response = await this.postWebhook(webhook, eventId, 'ping', JSON.stringify(payload));
+      return {
+        success: true,
+        event_id: eventId,
+        response_code: response.status,
+        response_body: truncateResponseBody(response.data),
+        delivery_time_ms: Date.now() - startTime,
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        event_id: eventId,
+        response_code: error.response?.status || 0,
+        response_body: error.response ? truncateResponseBody(error.response.data) : null,
+        delivery_time_ms: Date.now() - startTime,
+        error: error.message
+      };
+    }
+  }
+
+  // Make one attempt at a delivery and record the outcome. A failed attempt is marked
+  // 'retrying' with the time of the next attempt, or 'failed' when none are left.
+  // Returns the updated webhook_deliveries row.
+  async attemptWebhookDelivery(deliveryId) {
+    const getDelivery = () => db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(deliveryId);
+    const delivery = getDelivery();
+    if (!delivery || delivery.status === 'delivered' || delivery.status === 'failed') {
+      return delivery;
+    }
+    
+    const webhook = db.prepare('SELECT * FROM webhook_endpoints WHERE id = ?').get(delivery.webhook_id);
+    if (!webhook || !webhook.is_active) {
+      db.prepare(`
+        UPDATE webhook_deliveries SET status = 'failed', next_attempt_at = NULL, error = ? WHERE id = ?
+      `).run('Webhook endpoint is disabled', deliveryId);
+      return getDelivery();
+    }
+    
+    const attempt = delivery.attempts + 1;
+    const startTime = Date.now();
+    
+    try {
+      const response = await this.postWebhook(webhook, delivery.event_id, delivery.event_type, delivery.payload);
+      
+      // Log successful delivery
+      db.prepare(`
+        UPDATE webhook_deliveries 
+        SET status = 'delivered', success = 1, attempts = ?, response_code = ?, response_body = ?,
+            delivery_time_ms = ?, error = NULL, last_attempt_at = ?, next_attempt_at = NULL
+        WHERE id = ?
+      `).run(
+        attempt,
+        response.status,
+        truncateResponseBody(response.data),
+        Date.now() - startTime,
+        new Date().toISOString(),
+        deliveryId
+      );
+      
+      // Update last triggered
+      db.prepare(`
+        UPDATE webhook_endpoints 
+        SET last_triggered = CURRENT_TIMESTAMP, failure_count = 0
+        WHERE id = ?
+      `).run(webhook.id);
+      
+    } catch (error) {
+      const retry = attempt < WEBHOOK_MAX_ATTEMPTS;
+      const nextAttemptAt = retry ? new Date(Date.now() + getWebhookRetryDelay(attempt)).toISOString() : null;
+      
+      // Log failed attempt
+      db.prepare(`
+        UPDATE webhook_deliveries 
+        SET status = ?, success = 0, attempts = ?, response_code = ?, response_body = ?,
+            delivery_time_ms = ?, error = ?, last_attempt_at = ?, next_attempt_at = ?
+        WHERE id = ?
+      `).run(
+        retry ? 'retrying' : 'failed',
+        attempt,
+        error.response?.status || 0,
+        error.response ? truncateResponseBody(error.response.data) : null,
+        Date.now() - startTime,
+        error.message,
+        new Date().toISOString(),
+        nextAttemptAt,
+        deliveryId
+      );
+      
+      // Increment failure count (reset by the next successful delivery)
+      db.prepare(`
+        UPDATE webhook_endpoints 
+        SET failure_count = failure_count + 1
+        WHERE id = ?
+      `).run(webhook.id);
+      this.disableFailingWebhook(webhook.id);
+      
+      console.error(`Webhook delivery ${deliveryId} to ${webhook.url} failed (attempt ${attempt}):`, error.message);
+    }
+    
+    return getDelivery();
+  }
+
+  // Schedule the next attempt of a 'retrying' delivery
+  scheduleWebhookRetry(delivery) {
+    const delayMs = Math.max(0, new Date(delivery.next_attempt_at).getTime() - Date.now());
+    return jobQueue.enqueue('deliver_webhook', { deliveryId: delivery.id }, {
+      delayMs,
+      dedupeKey: `deliver_webhook:${delivery.id}`
+    });
+  }
+
+  // Disable an endpoint once it has failed WEBHOOK_DISABLE_AFTER_FAILURES times in a row,
+  // and tell the bank's users who can change settings. Returns true when it was disabled.
+  disableFailingWebhook(webhookId) {
+    const webhook = db.prepare('SELECT * FROM webhook_endpoints WHERE id = ?').get(webhookId);
+    if (!webhook || !webhook.is_active || webhook.failure_count < WEBHOOK_DISABLE_AFTER_FAILURES) {
+      return false;
+    }
+    
+    const reason = `${webhook.failure_count} consecutive failed deliveries`;
+    db.prepare(`
+      UPDATE webhook_endpoints SET is_active = 0, disabled_at = ?, disabled_reason = ? WHERE id = ?
+    `).run(new Date().toISOString(), reason, webhook.id);
+    
+    const adminsStmt = db.prepare(`
+      SELECT u.user_id FROM bank_users u
+      JOIN roles r ON r.bank_id = u.bank_id AND r.role_name = u.role
+      WHERE u.bank_id = ? AND u.status = 'active' AND r.can_modify_settings = 1
+    `);
+    const metadata = JSON.stringify({
+      event: 'webhook_disabled',
+      webhook_id: webhook.id,
+      url: webhook.url,
+      failure_count: webhook.failure_count
+    });
+    adminsStmt.all(webhook.bank_id).forEach(({ user_id }) => {
+      this.createNotification(
+        webhook.bank_id, user_id, 'system', 'Webhook Disabled',
+        `Webhook "${webhook.name}" (${webhook.url}) was disabled after ${reason}`, 'urgent', metadata
+      );
+    });
+    
+    console.error(`Webhook ${webhook.id} disabled after ${reason}`);
+    return true;
+  }
+
   // Send Slack/Teams notification
   async sendTeamNotification(bankId, eventType, payload) {
     try {
@@ -492,7 +1015,13 @@ class NotificationService {
         }
         
         try {
+          const urlError = await getWebhookUrlError(integration.webhook_url);
+          if (urlError) {
+            throw new Error(urlError);
+          }
+          
           await axios.post(integration.webhook_url, message, {
+            ...OUTBOUND_REQUEST_OPTIONS,
             headers: { 'Content-Type': 'application/json' },
             timeout: 5000
           });
@@ -516,8 +1045,38 @@ class NotificationService {
 // Create notification service instance
 const notificationService = new NotificationService();
 
+// Job handler: one delivery attempt per run, rescheduled while the delivery is retrying
+jobQueue.registerHandler('deliver_webhook', async ({ deliveryId }) => {
+  const delivery = await notificationService.attemptWebhookDelivery(deliveryId);
+  if (delivery && delivery.status === 'retrying') {
+    return { rescheduleInMs: Math.max(0, new Date(delivery.next_attempt_at).getTime() - Date.now()) };
+  }
+  return { status: delivery ? delivery.status : null };
+});
+
 // API Routes
 
+// Every notification route acts for the bank that owns the API key
+router.use(authenticateBank);
+
+// Look up a user_id from the request among the authenticated bank's users.
+// Sends 400 when it is missing and 404 when no user of this bank has it (users of
+// other banks get the same 404), and returns null in both cases.
+function getBankUser(req, res, userId) {
+  if (!userId) {
+    res.status(400).json({ error: 'user_id is required' });
+    return null;
+  }
+  
+  const stmt = db.prepare('SELECT user_id FROM bank_users WHERE user_id = ? AND bank_id = ?');
+  const user = stmt.get(String(userId), req.bank.id);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  return user;
+}
+
 /**
  * @swagger
  * /api/notifications/websocket:
@@ -525,6 +1084,8 @@ const notificationService = new NotificationService();
  *     summary: Get WebSocket connection info
  *     description: Returns information about WebSocket connections for real-time notifications
  *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: WebSocket connection information
@@ -538,26 +1099,29 @@ const notificationService = new NotificationService();
  *                   example: "WebSocket endpoint available at ws://localhost:3000/ws"
  *                 connections:
  *                   type: integer
- *                   description: Number of active WebSocket connections
+ *                   description: Number of your bank's active WebSocket connections
  *                   example: 5
  *                 instructions:
  *                   type: array
  *                   items:
  *                     type: string
  *                   example: [
- *                     "Connect to ws://localhost:3000/ws",
- *                     "Send authentication message: {\"type\": \"authenticate\", \"bank_id\": 1, \"user_id\": 1}",
- *                     "Receive real-time notifications for your bank and user"
+ *                     "Connect to ws://localhost:3000/ws with an X-API-Key or X-Session-Token header (or api_key / session_token query parameters)",
+ *                     "Subscribe to topics: {\"type\": \"subscribe\", \"topics\": [\"approvals\", \"transfer:transfer_12\"]}",
+ *                     "Reconnect with ?since=<last notification id> to receive notifications you missed"
  *                   ]
  */
 router.get('/websocket', (req, res) => {
   res.json({
     message: 'WebSocket endpoint available at ws://localhost:3000/ws',
-    connections: notificationService.connections.size,
+    connections: [...notificationService.connections.values()].filter(c => c.bank_id === req.bank.id).length,
     instructions: [
-      'Connect to ws://localhost:3000/ws',
-      'Send authentication message: {"type": "authenticate", "bank_id": 1, "user_id": 1}',
-      'Receive real-time notifications for your bank and user'
+      'Connect to ws://localhost:3000/ws with an X-API-Key or X-Session-Token header (or api_key / session_token query parameters)',
+      'Subscribe to topics: {"type": "subscribe", "topics": ["approvals", "transfer:transfer_12"]}',
+      'Topics: bank, approvals, transfer:<transfer id>, wallet:<wallet id>',
+      'Notifications of your user (session) or bank (API key) arrive without subscribing',
+      'Reconnect with ?since=<last notification id> (or send {"type": "replay", "since": <id>}) to receive notifications you missed',
+      'Answer pings: connections that miss a heartbeat are closed'
     ]
   });
 });
@@ -569,14 +1133,16 @@ router.get('/websocket', (req, res) => {
  *     summary: Get user notifications
  *     description: Retrieve notifications for a specific user with filtering options
  *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: user_id
  *         required: true
  *         schema:
- *           type: integer
- *         description: User ID
- *         example: 1
+ *           type: string
+ *         description: User ID (a user of your bank)
+ *         example: "user_4f1c2a9e"
  *       - in: query
  *         name: status
  *         schema:
@@ -608,8 +1174,8 @@ router.get('/websocket', (req, res) => {
  *                         type: integer
  *                         example: 1
  *                       user_id:
- *                         type: integer
- *                         example: 1
+ *                         type: string
+ *                         example: "user_4f1c2a9e"
  *                       type:
  *                         type: string
  *                         example: "transfer_completed"
@@ -638,6 +1204,12 @@ router.get('/websocket', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The user is not a user of your bank
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -648,15 +1220,14 @@ router.get('/websocket', (req, res) => {
 router.get('/list', (req, res) => {
   const { user_id, status, limit = 50 } = req.query;
   
-  if (!user_id) {
-    return res.status(400).json({ error: 'user_id is required' });
-  }
+  const user = getBankUser(req, res, user_id);
+  if (!user) return;
   
   let query = `
     SELECT * FROM notifications 
-    WHERE user_id = ?
+    WHERE bank_id = ? AND user_id = ?
   `;
-  const params = [user_id];
+  const params = [req.bank.id, user.user_id];
   
   if (status) {
     query += ' AND status = ?';
@@ -682,6 +1253,8 @@ router.get('/list', (req, res) => {
  *     summary: Mark notification as read
  *     description: Mark a notification as read by notification ID
  *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -716,7 +1289,7 @@ router.get('/list', (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Notification not found
+ *         description: Notification not found (or it belongs to another bank)
  *         content:
  *           application/json:
  *             schema:
@@ -738,10 +1311,10 @@ router.post('/mark-read', (req, res) => {
   const stmt = db.prepare(`
     UPDATE notifications 
     SET status = 'read', read_at = CURRENT_TIMESTAMP
-    WHERE id = ?
+    WHERE id = ? AND bank_id = ?
   `);
   
-  const result = stmt.run(notification_id);
+  const result = stmt.run(notification_id, req.bank.id);
   
   if (result.changes > 0) {
     res.json({ message: 'Notification marked as read' });
@@ -752,65 +1325,156 @@ router.post('/mark-read', (req, res) => {
 
 /**
  * @swagger
- * /api/notifications/webhooks:
+ * /api/notifications/events:
  *   get:
- *     summary: Get webhook endpoints
- *     description: Retrieve webhook endpoints for a bank with their status and event configurations
+ *     summary: List webhook event types
+ *     description: Every event type with a description and a sample payload. Webhooks can subscribe to every event except ping, which is only sent by the test endpoint.
  *     tags: [Notifications]
- *     parameters:
- *       - in: query
- *         name: bank_id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Bank ID
- *         example: 1
+ *     security:
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
- *         description: List of webhook endpoints
+ *         description: Event catalog
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 webhooks:
+ *                 events:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
- *                       id:
- *                         type: integer
- *                         example: 1
- *                       name:
+ *                       event:
  *                         type: string
- *                         example: "Transfer Notifications"
- *                       url:
+ *                         example: "transfer_completed"
+ *                       title:
  *                         type: string
- *                         example: "https://api.bank.com/webhooks/transfers"
- *                       events:
+ *                         example: "Transfer Completed"
+ *                       description:
  *                         type: string
- *                         example: "[\"transfer_completed\", \"transfer_failed\"]"
- *                       is_active:
- *                         type: boolean
- *                         example: true
- *                       created_at:
+ *                         example: "Settlement confirmed the transfer and the ledger was posted"
+ *                       category:
  *                         type: string
- *                         format: date-time
- *                         example: "2024-01-15T10:30:00.000Z"
- *                       last_triggered:
+ *                         example: "transfer"
+ *                       priority:
  *                         type: string
- *                         format: date-time
- *                         nullable: true
- *                         example: "2024-01-15T11:00:00.000Z"
- *                       failure_count:
- *                         type: integer
- *                         example: 0
- *       400:
- *         description: Missing bank_id parameter
+ *                         example: "normal"
+ *                       subscribable:
+ *                         type: boolean
+ *                         example: true
+ *                       sample_payload:
+ *                         type: object
+ *                         example: {"event": "transfer_completed", "transfer_id": "transfer_12", "status": "confirmed", "amount": 25000, "currency": "USDC", "from_wallet_id": "wallet_3", "to_wallet_id": "wallet_7", "initiated_by": "user_4f1c2a9e", "occurred_at": "2024-01-15T10:30:00.000Z"}
+ *                 count:
+ *                   type: integer
+ *                   example: 9
+ */
+router.get('/events', (req, res) => {
+  const { TRANSFER_EVENTS, getSamplePayload } = getTransferEvents();
+  
+  const events = Object.entries(TRANSFER_EVENTS).map(([event, definition]) => ({
+    event,
+    title: definition.title,
+    description: definition.description,
+    category: definition.category,
+    priority: definition.priority,
+    subscribable: true,
+    sample_payload: getSamplePayload(event)
+  }));
+  events.push({
+    event: 'ping',
+    title: 'Webhook Test',
+    description: 'Sent by POST /api/notifications/webhooks/{webhookId}/test to check an endpoint',
+    category: 'webhook',
+    priority: 'low',
+    subscribable: false,
+    sample_payload: buildPingPayload(1)
+  });
+  
+  res.json({
+    events,
+    count: events.length
+  });
+});
+
+// Webhook fields returned by the API (never the secrets)
+const WEBHOOK_COLUMNS = `
+  id, name, url, events, is_active, created_at, last_triggered, failure_count,
+  disabled_at, disabled_reason, secret_rotated_at, previous_secret_expires_at
+`;
+
+/**
+ * @swagger
+ * /api/notifications/webhooks:
+ *   get:
+ *     summary: Get webhook endpoints
+ *     description: Retrieve your bank's webhook endpoints with their status and event configurations
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: List of webhook endpoints
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               type: object
+ *               properties:
+ *                 webhooks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 1
+ *                       name:
+ *                         type: string
+ *                         example: "Transfer Notifications"
+ *                       url:
+ *                         type: string
+ *                         example: "https://api.bank.com/webhooks/transfers"
+ *                       events:
+ *                         type: string
+ *                         example: "[\"transfer_completed\", \"transfer_failed\"]"
+ *                       is_active:
+ *                         type: boolean
+ *                         example: true
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                         example: "2024-01-15T10:30:00.000Z"
+ *                       last_triggered:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         example: "2024-01-15T11:00:00.000Z"
+ *                       failure_count:
+ *                         type: integer
+ *                         description: Failed delivery attempts since the last successful one
+ *                         example: 0
+ *                       disabled_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: When the endpoint was disabled for failing too often
+ *                         example: null
+ *                       disabled_reason:
+ *                         type: string
+ *                         nullable: true
+ *                         example: null
+ *                       secret_rotated_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         example: null
+ *                       previous_secret_expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: Until then deliveries are also signed with the previous secret
+ *                         example: null
  *       500:
  *         description: Server error
  *         content:
@@ -819,20 +1483,14 @@ router.post('/mark-read', (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 router.get('/webhooks', (req, res) => {
-  const { bank_id } = req.query;
-  
-  if (!bank_id) {
-    return res.status(400).json({ error: 'bank_id is required' });
-  }
-  
   const stmt = db.prepare(`
-    SELECT id, name, url, events, is_active, created_at, last_triggered, failure_count
+    SELECT ${WEBHOOK_COLUMNS}
     FROM webhook_endpoints 
     WHERE bank_id = ?
     ORDER BY created_at DESC
   `);
   
-  const webhooks = stmt.all(bank_id);
+  const webhooks = stmt.all(req.bank.id);
   
   res.json({ webhooks });
 });
@@ -844,6 +1502,8 @@ router.get('/webhooks', (req, res) => {
  *     summary: Create webhook endpoint
  *     description: Create a new webhook endpoint for notifications with event filtering
  *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -851,28 +1511,23 @@ router.get('/webhooks', (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - bank_id
  *               - name
  *               - url
  *               - events
  *             properties:
- *               bank_id:
- *                 type: integer
- *                 description: Bank ID
- *                 example: 1
  *               name:
  *                 type: string
  *                 description: Webhook name
  *                 example: "Transfer Notifications"
  *               url:
  *                 type: string
- *                 description: Webhook URL
+ *                 description: Webhook URL (http or https)
  *                 example: "https://api.bank.com/webhooks/transfers"
  *               events:
  *                 type: array
  *                 items:
  *                   type: string
- *                 description: Array of event types to listen for
+ *                 description: Event types to listen for (see GET /api/notifications/events)
  *                 example: ["transfer_completed", "transfer_failed", "approval_required"]
  *     responses:
  *       200:
@@ -890,14 +1545,20 @@ router.get('/webhooks', (req, res) => {
  *                   example: 1
  *                 secret_key:
  *                   type: string
- *                   description: Secret key for webhook authentication
+ *                   description: Secret deliveries are signed with (X-Webhook-Signature, see webhook-signatures.js)
  *                   example: "abc123def456ghi789"
  *       400:
- *         description: Missing required fields
+ *         description: Missing required fields, unknown events, or a URL that is not http(s) (or, in production, points to a private, loopback or link-local address)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: The API key does not have the admin scope (INSUFFICIENT_SCOPE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -905,15 +1566,20 @@ router.get('/webhooks', (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/webhooks', (req, res) => {
-  const { bank_id, name, url, events } = req.body;
+router.post('/webhooks', requireScope('admin'), async (req, res) => {
+  const { name, url, events } = req.body;
   
-  if (!bank_id || !name || !url || !events) {
+  if (!name || !url || !events) {
     return res.status(400).json({ 
-      error: 'bank_id, name, url, and events are required' 
+      error: 'name, url, and events are required' 
     });
   }
   
+  const validationError = getWebhookEventsError(events) || await getWebhookUrlError(url);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
   const secretKey = crypto.randomBytes(32).toString('hex');
   
   const stmt = db.prepare(`
@@ -921,7 +1587,7 @@ router.post('/webhooks', (req, res) => {
     VALUES (?, ?, ?, ?, ?)
   `);
   
-  const result = stmt.run(bank_id, name, url, JSON.stringify(events), secretKey);
+  const result = stmt.run(req.bank.id, name, url, JSON.stringify(events), secretKey);
   
   res.json({
     message: 'Webhook endpoint created successfully',
@@ -930,6 +1596,628 @@ router.post('/webhooks', (req, res) => {
   });
 });
 
+// Look up a webhook endpoint of the authenticated bank from the :webhookId route
+// parameter. Sends 404 (also for other banks' webhooks) and returns null when not found.
+function getBankWebhook(req, res) {
+  const stmt = db.prepare('SELECT * FROM webhook_endpoints WHERE id = ? AND bank_id = ?');
+  const webhook = stmt.get(Number(req.params.webhookId), req.bank.id);
+  if (!webhook) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+}
+
+// Shape a webhook_deliveries row for the API
+function formatWebhookDelivery(delivery) {
+  return {
+    id: delivery.id,
+    webhook_id: delivery.webhook_id,
+    event_id: delivery.event_id,
+    event_type: delivery.event_type,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    response_code: delivery.response_code,
+    response_body: delivery.response_body,
+    delivery_time_ms: delivery.delivery_time_ms,
+    error: delivery.error,
+    last_attempt_at: delivery.last_attempt_at,
+    next_attempt_at: delivery.next_attempt_at,
+    redelivery_of: delivery.redelivery_of,
+    created_at: delivery.created_at,
+    payload: JSON.parse(delivery.payload)
+  };
+}
+
+/**
+ * @swagger
+ * /api/notifications/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: List webhook deliveries
+ *     description: Browse the deliveries of one of your bank's webhook endpoints (newest first), with their attempts and the last response
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, retrying, delivered, failed]
+ *         description: Filter by delivery status
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *         description: Number of deliveries to return
+ *     responses:
+ *       200:
+ *         description: Deliveries of the webhook endpoint
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 42
+ *                       webhook_id:
+ *                         type: integer
+ *                         example: 1
+ *                       event_id:
+ *                         type: string
+ *                         description: Sent as X-Webhook-Id; the same for every attempt of the delivery
+ *                         example: "evt_9b1d4c7e2f8a4e0d8c6b5a3f1e2d4c6b"
+ *                       event_type:
+ *                         type: string
+ *                         example: "transfer_completed"
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, retrying, delivered, failed]
+ *                         example: "retrying"
+ *                       attempts:
+ *                         type: integer
+ *                         example: 2
+ *                       response_code:
+ *                         type: integer
+ *                         description: HTTP status of the last attempt (0 when no response was received)
+ *                         example: 503
+ *                       response_body:
+ *                         type: string
+ *                         nullable: true
+ *                       delivery_time_ms:
+ *                         type: integer
+ *                         example: 120
+ *                       error:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "Request failed with status code 503"
+ *                       last_attempt_at:
+ *                         type: string
+ *                         format: date-time
+ *                       next_attempt_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: When the next retry runs (retrying deliveries only)
+ *                       redelivery_of:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Delivery this one manually replays
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                       payload:
+ *                         type: object
+ *                         description: Event payload that is sent
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *       400:
+ *         description: Unknown status filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The webhook is not one of your bank's webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/webhooks/:webhookId/deliveries', (req, res) => {
+  const webhook = getBankWebhook(req, res);
+  if (!webhook) return;
+  
+  const { status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  
+  let query = 'SELECT * FROM webhook_deliveries WHERE webhook_id = ?';
+  const params = [webhook.id];
+  
+  if (status) {
+    if (!['pending', 'retrying', 'delivered', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be pending, retrying, delivered or failed' });
+    }
+    query += ' AND status = ?';
+    params.push(status);
+  }
+  
+  query += ' ORDER BY id DESC LIMIT ?';
+  params.push(limit);
+  
+  const deliveries = db.prepare(query).all(...params).map(formatWebhookDelivery);
+  
+  res.json({
+    deliveries,
+    count: deliveries.length
+  });
+});
+
+/**
+ * @swagger
+ * /api/notifications/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Redeliver a webhook event
+ *     description: |
+ *       Send the payload of an earlier delivery again, as a new delivery that references it
+ *       (redelivery_of). The first attempt is made right away; if it fails, the new delivery
+ *       is retried with backoff like any other. The endpoint must be active.
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 42
+ *     responses:
+ *       201:
+ *         description: Redelivery attempted (see status and response_code for the outcome)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Redelivery delivered"
+ *                 delivery:
+ *                   type: object
+ *                   description: The new delivery (same fields as in the deliveries list)
+ *       403:
+ *         description: The API key does not have the admin scope (INSUFFICIENT_SCOPE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The webhook or delivery was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The webhook endpoint is disabled (WEBHOOK_DISABLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/webhooks/:webhookId/deliveries/:deliveryId/redeliver', requireScope('admin'), async (req, res) => {
+  const webhook = getBankWebhook(req, res);
+  if (!webhook) return;
+  
+  const stmt = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?');
+  const original = stmt.get(Number(req.params.deliveryId), webhook.id);
+  if (!original) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  
+  if (!webhook.is_active) {
+    return res.status(409).json({
+      error: 'The webhook endpoint is disabled',
+      code: 'WEBHOOK_DISABLED',
+      disabled_reason: webhook.disabled_reason
+    });
+  }
+  
+  try {
+    const deliveryId = notificationService.createWebhookDelivery(
+      webhook.id, original.event_type, JSON.parse(original.payload), original.id
+    );
+    const delivery = await notificationService.attemptWebhookDelivery(deliveryId);
+    if (delivery.status === 'retrying') {
+      notificationService.scheduleWebhookRetry(delivery);
+    }
+    
+    res.status(201).json({
+      message: `Redelivery ${delivery.status}`,
+      delivery: formatWebhookDelivery(delivery)
+    });
+  } catch (error) {
+    console.error('Webhook redelivery error:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/webhooks/{webhookId}/rotate-secret:
+ *   post:
+ *     summary: Rotate a webhook secret
+ *     description: |
+ *       Replaces the webhook's secret_key. For overlap_seconds (default 24 hours, at most
+ *       30 days; 0 retires it immediately) deliveries carry a signature made with each
+ *       secret, so receivers can switch to the new secret without rejecting requests.
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overlap_seconds:
+ *                 type: integer
+ *                 example: 86400
+ *     responses:
+ *       201:
+ *         description: Secret rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Webhook secret rotated"
+ *                 secret_key:
+ *                   type: string
+ *                   description: The new secret (shown only once)
+ *                 previous_secret_expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: When deliveries stop being signed with the old secret (null when retired immediately)
+ *       400:
+ *         description: Invalid overlap_seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The API key does not have the admin scope (INSUFFICIENT_SCOPE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The webhook is not one of your bank's webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/webhooks/:webhookId/rotate-secret', requireScope('admin'), (req, res) => {
+  const { overlap_seconds } = req.body || {};
+  const overlapSeconds = overlap_seconds === undefined ? DEFAULT_SECRET_OVERLAP_SECONDS : overlap_seconds;
+  
+  if (!Number.isInteger(overlapSeconds) || overlapSeconds < 0 || overlapSeconds > MAX_SECRET_OVERLAP_SECONDS) {
+    return res.status(400).json({
+      error: `overlap_seconds must be a whole number between 0 and ${MAX_SECRET_OVERLAP_SECONDS}`
+    });
+  }
+  
+  const webhook = getBankWebhook(req, res);
+  if (!webhook) return;
+  
+  const secretKey = crypto.randomBytes(32).toString('hex');
+  const previousExpiresAt = overlapSeconds > 0 ? new Date(Date.now() + overlapSeconds * 1000).toISOString() : null;
+  
+  const stmt = db.prepare(`
+    UPDATE webhook_endpoints 
+    SET secret_key = ?, previous_secret_key = ?, previous_secret_expires_at = ?, secret_rotated_at = ?
+    WHERE id = ?
+  `);
+  stmt.run(secretKey, previousExpiresAt ? webhook.secret_key : null, previousExpiresAt, new Date().toISOString(), webhook.id);
+  
+  res.status(201).json({
+    message: 'Webhook secret rotated. Store the new secret securely - it will not be shown again',
+    secret_key: secretKey,
+    previous_secret_expires_at: previousExpiresAt
+  });
+});
+
+/**
+ * @swagger
+ * /api/notifications/webhooks/{webhookId}/update:
+ *   put:
+ *     summary: Update a webhook endpoint
+ *     description: |
+ *       Change the name, URL, events or active flag of one of your webhook endpoints; fields
+ *       that are not sent keep their value. Setting is_active to true re-enables an endpoint
+ *       that was disabled for failing and resets its failure count.
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Transfer Notifications"
+ *               url:
+ *                 type: string
+ *                 example: "https://api.bank.com/webhooks/transfers"
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["transfer_completed", "transfer_failed"]
+ *               is_active:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Webhook endpoint updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Webhook endpoint updated successfully"
+ *                 webhook:
+ *                   type: object
+ *                   description: The endpoint (same fields as in the webhooks list)
+ *       400:
+ *         description: Nothing to update, unknown events, an invalid URL or a non-boolean is_active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The API key does not have the admin scope (INSUFFICIENT_SCOPE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The webhook is not one of your bank's webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/webhooks/:webhookId/update', requireScope('admin'), async (req, res) => {
+  const { name, url, events, is_active } = req.body || {};
+  
+  if (name === undefined && url === undefined && events === undefined && is_active === undefined) {
+    return res.status(400).json({ error: 'Send at least one of name, url, events or is_active' });
+  }
+  if (name !== undefined && !name) {
+    return res.status(400).json({ error: 'name cannot be empty' });
+  }
+  if (is_active !== undefined && typeof is_active !== 'boolean') {
+    return res.status(400).json({ error: 'is_active must be true or false' });
+  }
+  const validationError = (events !== undefined && getWebhookEventsError(events)) ||
+    (url !== undefined && await getWebhookUrlError(url));
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const webhook = getBankWebhook(req, res);
+  if (!webhook) return;
+  
+  const fields = {};
+  if (name !== undefined) fields.name = name;
+  if (url !== undefined) fields.url = url;
+  if (events !== undefined) fields.events = JSON.stringify(events);
+  if (is_active === true && !webhook.is_active) {
+    // Re-enabled: the endpoint starts again with a clean failure count
+    Object.assign(fields, { is_active: 1, failure_count: 0, disabled_at: null, disabled_reason: null });
+  } else if (is_active === false && webhook.is_active) {
+    Object.assign(fields, { is_active: 0, disabled_at: new Date().toISOString(), disabled_reason: 'Disabled by the bank' });
+  }
+  
+  const columns = Object.keys(fields);
+  if (columns.length > 0) {
+    const stmt = db.prepare(`
+      UPDATE webhook_endpoints SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?
+    `);
+    stmt.run(...Object.values(fields), webhook.id);
+  }
+  
+  res.json({
+    message: 'Webhook endpoint updated successfully',
+    webhook: db.prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhook_endpoints WHERE id = ?`).get(webhook.id)
+  });
+});
+
+/**
+ * @swagger
+ * /api/notifications/webhooks/{webhookId}/delete:
+ *   delete:
+ *     summary: Delete a webhook endpoint
+ *     description: Deletes one of your webhook endpoints together with its delivery history. Queued retries are dropped.
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Webhook endpoint deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Webhook endpoint deleted successfully"
+ *                 webhook_id:
+ *                   type: integer
+ *                   example: 1
+ *       403:
+ *         description: The API key does not have the admin scope (INSUFFICIENT_SCOPE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The webhook is not one of your bank's webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/webhooks/:webhookId/delete', requireScope('admin'), (req, res) => {
+  const webhook = getBankWebhook(req, res);
+  if (!webhook) return;
+  
+  // Deliveries reference the endpoint, so they go first
+  const deleteWebhook = db.transaction((webhookId) => {
+    db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(webhookId);
+    db.prepare('DELETE FROM webhook_endpoints WHERE id = ?').run(webhookId);
+  });
+  deleteWebhook(webhook.id);
+  
+  res.json({
+    message: 'Webhook endpoint deleted successfully',
+    webhook_id: webhook.id
+  });
+});
+
+/**
+ * @swagger
+ * /api/notifications/webhooks/{webhookId}/test:
+ *   post:
+ *     summary: Send a test event to a webhook endpoint
+ *     description: |
+ *       Sends a signed ping event (the same headers and signature as real deliveries) and
+ *       reports how the endpoint answered. Works for disabled endpoints too, so they can be
+ *       checked before being re-enabled. Pings are not logged as deliveries and never count
+ *       towards disabling an endpoint.
+ *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Ping sent (success tells whether the endpoint answered with a 2xx status)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 event_id:
+ *                   type: string
+ *                   example: "evt_9b1d4c7e2f8a4e0d8c6b5a3f1e2d4c6b"
+ *                 response_code:
+ *                   type: integer
+ *                   description: HTTP status of the response (0 when no response was received)
+ *                   example: 200
+ *                 response_body:
+ *                   type: string
+ *                   nullable: true
+ *                 delivery_time_ms:
+ *                   type: integer
+ *                   example: 85
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: The endpoint's URL is not allowed (production blocks private, loopback and link-local addresses)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The API key does not have the admin scope (INSUFFICIENT_SCOPE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The webhook is not one of your bank's webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/webhooks/:webhookId/test', requireScope('admin'), async (req, res) => {
+  const webhook = getBankWebhook(req, res);
+  if (!webhook) return;
+  
+  // The host may resolve differently than when the URL was saved
+  const urlError = await getWebhookUrlError(webhook.url);
+  if (urlError) {
+    return res.status(400).json({ error: urlError });
+  }
+  
+  res.json(await notificationService.pingWebhook(webhook));
+});
+
 /**
  * @swagger
  * /api/notifications/team-integrations:
@@ -937,6 +2225,8 @@ router.post('/webhooks', (req, res) => {
  *     summary: Create team integration
  *     description: Create Slack or Teams integration for notifications
  *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -944,14 +2234,9 @@ router.post('/webhooks', (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - bank_id
  *               - platform
  *               - webhook_url
  *             properties:
- *               bank_id:
- *                 type: integer
- *                 description: Bank ID
- *                 example: 1
  *               platform:
  *                 type: string
  *                 enum: [slack, teams]
@@ -986,11 +2271,17 @@ router.post('/webhooks', (req, res) => {
  *                   type: integer
  *                   example: 1
  *       400:
- *         description: Missing required fields
+ *         description: Missing required fields, or webhook_url is not an http(s) URL (in production, one that resolves to a private, loopback or link-local address)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: The API key does not have the admin scope (INSUFFICIENT_SCOPE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -998,12 +2289,12 @@ router.post('/webhooks', (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/team-integrations', (req, res) => {
-  const { bank_id, platform, webhook_url, channel, events } = req.body;
+router.post('/team-integrations', requireScope('admin'), async (req, res) => {
+  const { platform, webhook_url, channel, events } = req.body;
   
-  if (!bank_id || !platform || !webhook_url || !events) {
+  if (!platform || !webhook_url || !events) {
     return res.status(400).json({ 
-      error: 'bank_id, platform, webhook_url, and events are required' 
+      error: 'platform, webhook_url, and events are required' 
     });
   }
   
@@ -1013,12 +2304,17 @@ router.post('/team-integrations', (req, res) => {
     });
   }
   
+  const urlError = await getWebhookUrlError(webhook_url);
+  if (urlError) {
+    return res.status(400).json({ error: urlError.replace(/^url\b/, 'webhook_url') });
+  }
+  
   const stmt = db.prepare(`
     INSERT INTO team_integrations (bank_id, platform, webhook_url, channel, events)
     VALUES (?, ?, ?, ?, ?)
   `);
   
-  const result = stmt.run(bank_id, platform, webhook_url, channel || null, JSON.stringify(events));
+  const result = stmt.run(req.bank.id, platform, webhook_url, channel || null, JSON.stringify(events));
   
   res.json({
     message: `${platform} integration created successfully`,
@@ -1033,14 +2329,16 @@ router.post('/team-integrations', (req, res) => {
  *     summary: Get notification preferences
  *     description: Get notification preferences for a user with default settings if none exist
  *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: user_id
  *         required: true
  *         schema:
- *           type: integer
- *         description: User ID
- *         example: 1
+ *           type: string
+ *         description: User ID (a user of your bank)
+ *         example: "user_4f1c2a9e"
  *     responses:
  *       200:
  *         description: User notification preferences
@@ -1050,8 +2348,8 @@ router.post('/team-integrations', (req, res) => {
  *               type: object
  *               properties:
  *                 user_id:
- *                   type: integer
- *                   example: 1
+ *                   type: string
+ *                   example: "user_4f1c2a9e"
  *                 email_enabled:
  *                   type: boolean
  *                   example: true
@@ -1082,6 +2380,12 @@ router.post('/team-integrations', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The user is not a user of your bank
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -1090,14 +2394,12 @@ router.post('/team-integrations', (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 router.get('/preferences', (req, res) => {
-  const { user_id } = req.query;
-  
-  if (!user_id) {
-    return res.status(400).json({ error: 'user_id is required' });
-  }
+  const user = getBankUser(req, res, req.query.user_id);
+  if (!user) return;
+  const user_id = user.user_id;
   
   const stmt = db.prepare(`
-    SELECT * FROM notification_preferences WHERE user_id = ?
+    SELECT * FROM notification_preferences WHERE user_id = ? ORDER BY id DESC LIMIT 1
   `);
   
   const preferences = stmt.get(user_id);
@@ -1111,7 +2413,7 @@ router.get('/preferences', (req, res) => {
     insertStmt.run(user_id);
     
     res.json({
-      user_id: parseInt(user_id),
+      user_id: user_id,
       email_enabled: true,
       sms_enabled: false,
       push_enabled: true,
@@ -1133,6 +2435,8 @@ router.get('/preferences', (req, res) => {
  *     summary: Update notification preferences
  *     description: Update notification preferences for a user with granular control
  *     tags: [Notifications]
+ *     security:
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -1143,9 +2447,9 @@ router.get('/preferences', (req, res) => {
  *               - user_id
  *             properties:
  *               user_id:
- *                 type: integer
- *                 description: User ID
- *                 example: 1
+ *                 type: string
+ *                 description: User ID (a user of your bank)
+ *                 example: "user_4f1c2a9e"
  *               email_enabled:
  *                 type: boolean
  *                 description: Enable email notifications
@@ -1195,6 +2499,12 @@ router.get('/preferences', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The user is not a user of your bank
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -1215,9 +2525,8 @@ router.put('/preferences', (req, res) => {
     system_notifications
   } = req.body;
   
-  if (!user_id) {
-    return res.status(400).json({ error: 'user_id is required' });
-  }
+  const user = getBankUser(req, res, user_id);
+  if (!user) return;
   
   const stmt = db.prepare(`
     INSERT OR REPLACE INTO notification_preferences 
@@ -1228,7 +2537,7 @@ router.put('/preferences', (req, res) => {
   `);
   
   stmt.run(
-    user_id,
+    user.user_id,
     email_enabled ? 1 : 0,
     sms_enabled ? 1 : 0,
     push_enabled ? 1 : 0,
@@ -0,0 +1,222 @@
+/**
+ * REQUEST SIGNING MODULE
+ *
+ * Lets banks sign API requests with the api_secret they received at registration
+ * (HMAC-SHA256), so a leaked API key alone is not enough to move money. Signing is
+ * optional for every request, and each bank can make it mandatory for transfer
+ * initiation and approval through its signing policy.
+ *
+ * HOW TO SIGN A REQUEST:
+ * - X-Signature-Timestamp: current Unix time in seconds
+ * - X-Signature-Nonce: a random value that is never reused (e.g. a UUID)
+ * - X-Signature: hex HMAC-SHA256 of the string below, keyed with the api_secret
+ *
+ *     METHOD \n PATH \n TIMESTAMP \n NONCE \n SHA256_HEX(BODY)
+ *
+ *   PATH is the request path including the query string (e.g. /api/transfers/initiate)
+ *   and BODY is the exact body bytes sent (an empty string when there is no body)
+ *
+ * VALIDATION (done in authenticateBank whenever signature headers are present):
+ * - The signature must match (401 SIGNATURE_INVALID)
+ * - The timestamp must be within 5 minutes of server time (401 SIGNATURE_EXPIRED)
+ * - The nonce must not have been used by the bank before (401 SIGNATURE_REPLAYED);
+ *   nonces are stored in request_nonces and pruned once their timestamp window has passed
+ *
+ * SIGNING POLICY (bank_signing_policies table):
+ * - transfer_initiate: POST /api/transfers/initiate must be signed
+ * - transfer_approve: POST /api/transfers/:transferId/approve and /reject must be signed
+ * - Unsigned requests to a protected endpoint get 401 SIGNATURE_REQUIRED
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const crypto = require('crypto'); // HMAC and body hashing
+const db = require('./database/connection'); // Database connection for nonces and policies
+
+// How far the signature timestamp may be from server time
+const MAX_CLOCK_SKEW_SECONDS = 5 * 60;
+
+// Operations a bank can require signed requests for
+const SIGNED_OPERATIONS = ['transfer_initiate', 'transfer_approve'];
+
+/**
+ * Build the string that is signed.
+ */
+function getStringToSign(method, path, timestamp, nonce, body) {
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  return `${method.toUpperCase()}\n${path}\n${timestamp}\n${nonce}\n${bodyHash}`;
+}
+
+/**
+ * Sign a request (used by clients and tests; the server uses it to check signatures).
+ *
+ * @param {object} request
+ * @param {string} request.secret - The bank's api_secret
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path including the query string
+ * @param {string|number} request.timestamp - Unix time in seconds
+ * @param {string} request.nonce - Unique value for this request
+ * @param {string|Buffer} [request.body] - Exact body sent
+ * @returns {string} Hex signature
+ */
+function signRequest({ secret, method, path, timestamp, nonce, body }) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(getStringToSign(method, path, timestamp, nonce, body))
+    .digest('hex');
+}
+
+// Compare two hex signatures without leaking timing information
+function signaturesMatch(expected, provided) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const providedBuffer = Buffer.from(provided, 'hex');
+  return expectedBuffer.length === providedBuffer.length && crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+/**
+ * Check whether the request carries any signature header.
+ */
+function isSignedRequest(req) {
+  return Boolean(
+    req.headers['x-signature'] || req.headers['x-signature-timestamp'] || req.headers['x-signature-nonce']
+  );
+}
+
+/**
+ * Validate the signature of a request for a bank and record its nonce.
+ *
+ * @param {object} req - Express request (req.rawBody is set by express.json in server.js)
+ * @param {object} bank - Bank row (needs id and api_secret)
+ * @returns {object|null} { error, code } when the signature is not valid, otherwise null
+ */
+function verifyRequestSignature(req, bank) {
+  const signature = req.headers['x-signature'];
+  const timestamp = req.headers['x-signature-timestamp'];
+  const nonce = req.headers['x-signature-nonce'];
+
+  if (!signature || !timestamp || !nonce) {
+    return {
+      error: "Signed requests need X-Signature, X-Signature-Timestamp and X-Signature-Nonce headers",
+      code: "SIGNATURE_INVALID"
+    };
+  }
+
+  const timestampSeconds = Number(timestamp);
+  if (!Number.isInteger(timestampSeconds) || Math.abs(Date.now() / 1000 - timestampSeconds) > MAX_CLOCK_SKEW_SECONDS) {
+    return {
+      error: `X-Signature-Timestamp must be within ${MAX_CLOCK_SKEW_SECONDS} seconds of server time`,
+      code: "SIGNATURE_EXPIRED"
+    };
+  }
+
+  const expected = signRequest({
+    secret: bank.api_secret,
+    method: req.method,
+    path: req.originalUrl,
+    timestamp,
+    nonce,
+    body: req.rawBody
+  });
+  if (!/^[0-9a-fA-F]+$/.test(signature) || !signaturesMatch(expected, signature)) {
+    return { error: "Request signature is invalid", code: "SIGNATURE_INVALID" };
+  }
+
+  // Record the nonce; a nonce that is already stored means the request is a replay
+  const recordNonce = db.transaction(() => {
+    const cutoff = new Date(Date.now() - 2 * MAX_CLOCK_SKEW_SECONDS * 1000).toISOString();
+    db.prepare('DELETE FROM request_nonces WHERE created_at < ?').run(cutoff);
+
+    const insertStmt = db.prepare(`
+      INSERT OR IGNORE INTO request_nonces (bank_id, nonce, created_at) VALUES (?, ?, ?)
+    `);
+    return insertStmt.run(bank.id, nonce, new Date().toISOString()).changes > 0;
+  });
+  if (!recordNonce()) {
+    return { error: "X-Signature-Nonce has already been used", code: "SIGNATURE_REPLAYED" };
+  }
+
+  return null;
+}
+
+/**
+ * Get a bank's signing policy.
+ *
+ * @returns {object} { transfer_initiate: boolean, transfer_approve: boolean }
+ */
+function getSigningPolicy(bankId) {
+  const policyStmt = db.prepare('SELECT operation, require_signature FROM bank_signing_policies WHERE bank_id = ?');
+  const rows = policyStmt.all(bankId);
+
+  const policy = {};
+  for (const operation of SIGNED_OPERATIONS) {
+    const row = rows.find(r => r.operation === operation);
+    policy[operation] = Boolean(row && row.require_signature);
+  }
+  return policy;
+}
+
+/**
+ * Update a bank's signing policy. Operations left out keep their current setting.
+ *
+ * @param {number} bankId
+ * @param {object} changes - e.g. { transfer_initiate: true }
+ * @returns {object} The updated policy
+ */
+function setSigningPolicy(bankId, changes) {
+  const upsertStmt = db.prepare(`
+    INSERT INTO bank_signing_policies (bank_id, operation, require_signature, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(bank_id, operation) DO UPDATE SET
+      require_signature = excluded.require_signature, updated_at = excluded.updated_at
+  `);
+
+  db.transaction(() => {
+    for (const [operation, required] of Object.entries(changes)) {
+      upsertStmt.run(bankId, operation, required ? 1 : 0, new Date().toISOString());
+    }
+  })();
+
+  return getSigningPolicy(bankId);
+}
+
+/**
+ * Create middleware that rejects unsigned requests when the bank's policy requires
+ * a signature for the operation. Must run after authenticateBank.
+ *
+ * @param {string} operation - One of SIGNED_OPERATIONS
+ * @returns {Function} Express middleware
+ */
+function requireSignature(operation) {
+  return (req, res, next) => {
+    try {
+      if (req.signatureVerified || !getSigningPolicy(req.bank.id)[operation]) {
+        return next();
+      }
+
+      res.status(401).json({
+        error: "This bank requires signed requests for this operation",
+        code: "SIGNATURE_REQUIRED"
+      });
+    } catch (error) {
+      console.error('Signing policy error:', error);
+      res.status(500).json({ error: "Failed to check signing policy" });
+    }
+  };
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  signRequest,
+  isSignedRequest,
+  verifyRequestSignature,
+  getSigningPolicy,
+  setSigningPolicy,
+  requireSignature,
+  SIGNED_OPERATIONS,
+  MAX_CLOCK_SKEW_SECONDS
+};
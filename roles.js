@@ -1,8 +1,84 @@
 const express = require('express');
 const db = require('./database/connection');
-const { authenticateBank } = require('./banks');
+const { authenticateBank, requireScope } = require('./banks');
+const { authenticateUser, requireStepUp } = require('./auth');
+const { requirePermission, getRoleGrantError, getRoleEscalationError, getRolePermissions, ROLE_PERMISSIONS } = require('./authorization');
+const { recordAuditEvent, listAuditEvents } = require('./audit-log');
+const approvalRules = require('./approval-rules');
+const mfa = require('./mfa');
 const router = express.Router();
 
+// Shape a roles row for API responses
+function formatRole(role) {
+  return {
+    id: role.id,
+    role_name: role.role_name,
+    role_level: role.role_level,
+    permissions: getRolePermissions(role),
+    max_transfer_amount: role.max_transfer_amount,
+    can_approve_transfers: Boolean(role.can_approve_transfers),
+    can_create_users: Boolean(role.can_create_users),
+    can_modify_settings: Boolean(role.can_modify_settings),
+    created_at: role.created_at
+  };
+}
+
+// Check the role fields of a request body; returns an error message or null
+function getRoleFieldsError(fields) {
+  const { role_name, role_level, permissions, max_transfer_amount } = fields;
+
+  if (role_name !== undefined && (typeof role_name !== 'string' || !role_name.trim())) {
+    return "role_name must be a non-empty string";
+  }
+  if (role_level !== undefined && (!Number.isInteger(role_level) || role_level < 1 || role_level > 100)) {
+    return "role_level must be an integer from 1 to 100";
+  }
+  if (permissions !== undefined &&
+      (!Array.isArray(permissions) || permissions.some(permission => !ROLE_PERMISSIONS.includes(permission)))) {
+    return `permissions must be an array of: ${ROLE_PERMISSIONS.join(', ')}`;
+  }
+  if (max_transfer_amount !== undefined && max_transfer_amount !== null &&
+      (typeof max_transfer_amount !== 'number' || max_transfer_amount < 0)) {
+    return "max_transfer_amount must be a number of 0 or more (or null for no limit)";
+  }
+  for (const flag of ['can_approve_transfers', 'can_create_users', 'can_modify_settings']) {
+    if (fields[flag] !== undefined && typeof fields[flag] !== 'boolean') {
+      return `${flag} must be true or false`;
+    }
+  }
+  return null;
+}
+
+// Approval rules that need this role at its current level: rules at that level are only
+// valid while some role has the level, so they break if it is the only one and goes away
+function getRulesNeedingRole(role) {
+  const otherRoleStmt = db.prepare('SELECT COUNT(*) AS count FROM roles WHERE bank_id = ? AND role_level = ? AND id != ?');
+  if (otherRoleStmt.get(role.bank_id, role.role_level, role.id).count > 0) {
+    return [];
+  }
+  const rulesStmt = db.prepare('SELECT id, rule_name FROM approval_rules WHERE bank_id = ? AND required_role_level = ?');
+  return rulesStmt.all(role.bank_id, role.role_level);
+}
+
+// Response body for a required_role_level that no role of the bank has, or null when one does
+function getRoleLevelError(bankId, roleLevel) {
+  const roleStmt = db.prepare('SELECT role_name FROM roles WHERE bank_id = ? AND role_level = ?');
+  if (roleStmt.get(bankId, roleLevel)) {
+    return null;
+  }
+  const availableRolesStmt = db.prepare('SELECT role_name, role_level FROM roles WHERE bank_id = ? ORDER BY role_level ASC');
+  return {
+    error: "Invalid required_role_level",
+    available_roles: availableRolesStmt.all(bankId)
+  };
+}
+
+// Role changes are made by a signed-in user allowed to modify settings, with a fresh one-time code
+const authorizeRoleChange = [
+  authenticateBank, requireScope('admin'),
+  authenticateUser(), requirePermission('settings:modify'), requireStepUp()
+];
+
 /**
  * @swagger
  * /api/roles/list:
@@ -31,6 +107,10 @@ const router = express.Router();
  *                   items:
  *                     type: object
  *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Role ID used by the update and delete endpoints
+ *                         example: 3
  *                       role_name:
  *                         type: string
  *                         example: "treasury_operator"
@@ -73,7 +153,7 @@ const router = express.Router();
 router.get('/list', authenticateBank, (req, res) => {
   try {
     const roles = db.prepare(`
-      SELECT role_name, role_level, permissions, max_transfer_amount, 
+      SELECT id, role_name, role_level, permissions, max_transfer_amount, 
              can_approve_transfers, can_create_users, can_modify_settings, created_at
       FROM roles 
       WHERE bank_id = ? 
@@ -85,7 +165,7 @@ router.get('/list', authenticateBank, (req, res) => {
       total_roles: roles.length,
       roles: roles.map(role => ({
         ...role,
-        permissions: JSON.parse(role.permissions)
+        permissions: getRolePermissions(role)
       }))
     });
   } catch (error) {
@@ -96,6 +176,398 @@ router.get('/list', authenticateBank, (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/roles/create:
+ *   post:
+ *     summary: Create a custom role
+ *     description: |
+ *       Create a role for the bank (e.g. "Treasury Analyst" at level 6). Needs a signed-in user whose role
+ *       can modify settings and a fresh one-time code (X-MFA-Code). Users cannot create roles above their
+ *       own level, or grant permissions, flags or a transfer limit beyond their own role's. The change is
+ *       recorded in the audit log.
+ *     tags: [Roles]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MfaCode'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role_name
+ *               - role_level
+ *               - max_transfer_amount
+ *             properties:
+ *               role_name:
+ *                 type: string
+ *                 example: "Treasury Analyst"
+ *               role_level:
+ *                 type: integer
+ *                 example: 6
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [all, transfers, approvals, reports]
+ *                 example: ["transfers", "reports"]
+ *               max_transfer_amount:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Largest transfer users of this role can initiate or approve (null for no limit)
+ *                 example: 250000
+ *               can_approve_transfers:
+ *                 type: boolean
+ *                 example: false
+ *               can_create_users:
+ *                 type: boolean
+ *                 example: false
+ *               can_modify_settings:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         description: Missing session or one-time code (SESSION_REQUIRED, MFA_REQUIRED, MFA_INVALID)
+ *       403:
+ *         description: The user's role cannot modify settings, create a role at this level, or grant these permissions, flags or limit (PERMISSION_DENIED)
+ *       409:
+ *         description: A role with this name already exists
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
+ */
+router.post('/create', ...authorizeRoleChange, (req, res) => {
+  const { role_name, role_level, permissions, max_transfer_amount } = req.body;
+
+  // The limit is required so a role never gets one by accident (null means no limit)
+  if (!role_name || role_level === undefined || max_transfer_amount === undefined) {
+    return res.status(400).json({
+      error: "Missing required fields",
+      required: ["role_name", "role_level", "max_transfer_amount"]
+    });
+  }
+
+  const fieldsError = getRoleFieldsError(req.body);
+  if (fieldsError) {
+    return res.status(400).json({ error: fieldsError });
+  }
+
+  const grantError = getRoleGrantError(req.role, { role_name, role_level }) || getRoleEscalationError(req.role, req.body);
+  if (grantError) {
+    return res.status(403).json(grantError);
+  }
+
+  try {
+    const role = db.transaction(() => {
+      const roleStmt = db.prepare(`
+        INSERT INTO roles (bank_id, role_name, role_level, permissions, max_transfer_amount, can_approve_transfers, can_create_users, can_modify_settings, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const result = roleStmt.run(
+        req.bank.id, role_name.trim(), role_level, JSON.stringify(permissions || []),
+        max_transfer_amount,
+        req.body.can_approve_transfers ? 1 : 0, req.body.can_create_users ? 1 : 0, req.body.can_modify_settings ? 1 : 0,
+        new Date().toISOString()
+      );
+
+      const created = formatRole(db.prepare('SELECT * FROM roles WHERE id = ?').get(result.lastInsertRowid));
+      recordAuditEvent({ bankId: req.bank.id, entityType: 'role', entityId: created.id, action: 'created', req, after: created });
+      return created;
+    })();
+
+    res.status(201).json({
+      message: "Role created successfully",
+      role: role
+    });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({ error: "A role with this name already exists for this bank" });
+    }
+    console.error('Role creation error:', error);
+    res.status(500).json({
+      error: "Failed to create role"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{roleId}/update:
+ *   put:
+ *     summary: Update a role
+ *     description: |
+ *       Change a role's name, level, permissions, transfer limit or flags. Renaming a role renames it for
+ *       its users too. A level change is refused while approval rules depend on the old level. Needs a
+ *       signed-in user whose role can modify settings and a fresh one-time code (X-MFA-Code). Users cannot
+ *       change their own role or roles above their own level, or grant permissions, flags or a transfer
+ *       limit beyond their own role's. The change is recorded in the audit log.
+ *     tags: [Roles]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/MfaCode'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role_name:
+ *                 type: string
+ *               role_level:
+ *                 type: integer
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               max_transfer_amount:
+ *                 type: number
+ *                 nullable: true
+ *               can_approve_transfers:
+ *                 type: boolean
+ *               can_create_users:
+ *                 type: boolean
+ *               can_modify_settings:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid fields
+ *       403:
+ *         description: The user's role cannot modify settings, change this role (their own or one above their level), or grant these permissions, flags or limit (PERMISSION_DENIED)
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Name already taken, or approval rules depend on the role's level (code ROLE_IN_USE)
+ */
+router.put('/:roleId/update', ...authorizeRoleChange, (req, res) => {
+  const { roleId } = req.params;
+  const { role_name, role_level, permissions, max_transfer_amount } = req.body;
+
+  const fieldsError = getRoleFieldsError(req.body);
+  if (fieldsError) {
+    return res.status(400).json({ error: fieldsError });
+  }
+
+  try {
+    const existingStmt = db.prepare('SELECT * FROM roles WHERE id = ? AND bank_id = ?');
+    const existing = existingStmt.get(roleId, req.bank.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+
+    // Nobody changes their own role, so a user cannot raise their own permissions or limit
+    if (existing.role_name === req.role.role_name) {
+      return res.status(403).json({
+        error: "Users cannot change their own role",
+        code: "PERMISSION_DENIED"
+      });
+    }
+
+    // Users can neither change a role above their own level nor raise one above it, and
+    // cannot give it permissions, flags or a limit they do not have
+    const grantError = getRoleGrantError(req.role, existing) ||
+      (role_level !== undefined && getRoleGrantError(req.role, { role_name: existing.role_name, role_level })) ||
+      getRoleEscalationError(req.role, req.body);
+    if (grantError) {
+      return res.status(403).json(grantError);
+    }
+
+    if (role_level !== undefined && role_level !== existing.role_level) {
+      const rules = getRulesNeedingRole(existing);
+      if (rules.length > 0) {
+        return res.status(409).json({
+          error: "Approval rules require this role's current level; update those rules first",
+          code: "ROLE_IN_USE",
+          approval_rules: rules
+        });
+      }
+    }
+
+    const before = formatRole(existing);
+    const role = db.transaction(() => {
+      const updateStmt = db.prepare(`
+        UPDATE roles
+        SET role_name = ?, role_level = ?, permissions = ?, max_transfer_amount = ?,
+            can_approve_transfers = ?, can_create_users = ?, can_modify_settings = ?
+        WHERE id = ? AND bank_id = ?
+      `);
+      const flag = name => (req.body[name] === undefined ? existing[name] : (req.body[name] ? 1 : 0));
+      updateStmt.run(
+        role_name === undefined ? existing.role_name : role_name.trim(),
+        role_level === undefined ? existing.role_level : role_level,
+        permissions === undefined ? existing.permissions : JSON.stringify(permissions),
+        max_transfer_amount === undefined ? existing.max_transfer_amount : max_transfer_amount,
+        flag('can_approve_transfers'), flag('can_create_users'), flag('can_modify_settings'),
+        existing.id, req.bank.id
+      );
+
+      const updated = db.prepare('SELECT * FROM roles WHERE id = ?').get(existing.id);
+
+      // Users refer to their role by name and keep a copy of its permissions
+      const usersStmt = db.prepare('UPDATE bank_users SET role = ?, permissions = ? WHERE bank_id = ? AND role = ?');
+      usersStmt.run(updated.role_name, updated.permissions, req.bank.id, existing.role_name);
+
+      const after = formatRole(updated);
+      recordAuditEvent({ bankId: req.bank.id, entityType: 'role', entityId: existing.id, action: 'updated', req, before, after });
+      return after;
+    })();
+
+    res.json({
+      message: "Role updated successfully",
+      role: role
+    });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({ error: "A role with this name already exists for this bank" });
+    }
+    console.error('Role update error:', error);
+    res.status(500).json({
+      error: "Failed to update role"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{roleId}/delete:
+ *   delete:
+ *     summary: Retire a role
+ *     description: |
+ *       Delete a role that is no longer used. Refused while active users have the role, or while approval
+ *       rules need it (no other role has its level). Needs a signed-in user whose role can modify settings
+ *       and a fresh one-time code (X-MFA-Code). The change is recorded in the audit log.
+ *     tags: [Roles]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/MfaCode'
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       403:
+ *         description: The user's role cannot modify settings or delete a role at this level (PERMISSION_DENIED)
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Active users or approval rules still use the role (code ROLE_IN_USE)
+ */
+router.delete('/:roleId/delete', ...authorizeRoleChange, (req, res) => {
+  const { roleId } = req.params;
+
+  try {
+    const existingStmt = db.prepare('SELECT * FROM roles WHERE id = ? AND bank_id = ?');
+    const existing = existingStmt.get(roleId, req.bank.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+
+    const grantError = getRoleGrantError(req.role, existing);
+    if (grantError) {
+      return res.status(403).json(grantError);
+    }
+
+    const usersStmt = db.prepare("SELECT COUNT(*) AS count FROM bank_users WHERE bank_id = ? AND role = ? AND status = 'active'");
+    const activeUsers = usersStmt.get(req.bank.id, existing.role_name).count;
+    const rules = getRulesNeedingRole(existing);
+
+    if (activeUsers > 0 || rules.length > 0) {
+      return res.status(409).json({
+        error: "Role is still in use; move its users to another role and update approval rules first",
+        code: "ROLE_IN_USE",
+        active_users: activeUsers,
+        approval_rules: rules
+      });
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM roles WHERE id = ? AND bank_id = ?').run(existing.id, req.bank.id);
+      recordAuditEvent({
+        bankId: req.bank.id, entityType: 'role', entityId: existing.id, action: 'deleted', req, before: formatRole(existing)
+      });
+    })();
+
+    res.json({
+      message: "Role deleted successfully",
+      role_id: existing.id
+    });
+  } catch (error) {
+    console.error('Role deletion error:', error);
+    res.status(500).json({
+      error: "Failed to delete role"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/audit-log:
+ *   get:
+ *     summary: Get the role audit log
+ *     description: Every role creation, update and deletion for the bank, newest first, with the acting user and the role before and after the change
+ *     tags: [Roles]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role_id
+ *         schema:
+ *           type: integer
+ *         description: Only entries for this role
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Audit entries
+ */
+router.get('/audit-log', authenticateBank, (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+
+  try {
+    const entries = listAuditEvents(req.bank.id, {
+      entityType: 'role',
+      entityId: req.query.role_id,
+      limit
+    });
+
+    res.json({
+      total_entries: entries.length,
+      entries: entries
+    });
+  } catch (error) {
+    console.error('Error getting role audit log:', error);
+    res.status(500).json({
+      error: "Failed to get role audit log"
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/roles/approval-rules:
@@ -124,6 +596,10 @@ router.get('/list', authenticateBank, (req, res) => {
  *                   items:
  *                     type: object
  *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Rule ID used by the update and delete endpoints
+ *                         example: 2
  *                       rule_name:
  *                         type: string
  *                         example: "Standard Transfer"
@@ -143,6 +619,10 @@ router.get('/list', authenticateBank, (req, res) => {
  *                       auto_approve:
  *                         type: boolean
  *                         example: false
+ *                       version:
+ *                         type: integer
+ *                         description: Goes up on every change (see the versions endpoint)
+ *                         example: 1
  *                       created_at:
  *                         type: string
  *                         format: date-time
@@ -163,7 +643,7 @@ router.get('/list', authenticateBank, (req, res) => {
 router.get('/approval-rules', authenticateBank, (req, res) => {
   try {
     const rules = db.prepare(`
-      SELECT rule_name, min_amount, max_amount, required_role_level, required_approvals, auto_approve, created_at
+      SELECT id, rule_name, min_amount, max_amount, required_role_level, required_approvals, auto_approve, version, created_at
       FROM approval_rules 
       WHERE bank_id = ? 
       ORDER BY min_amount ASC
@@ -182,15 +662,367 @@ router.get('/approval-rules', authenticateBank, (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/roles/approval-rules/coverage:
+ *   get:
+ *     summary: Get approval rule coverage gaps
+ *     description: List the amount ranges no approval rule covers. Transfers in a gap match no rule and are auto-approved.
+ *     tags: [Roles]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Coverage gaps
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fully_covered:
+ *                   type: boolean
+ *                   example: false
+ *                 gaps:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: number
+ *                         example: 250000
+ *                       to:
+ *                         type: number
+ *                         nullable: true
+ *                         description: null when the gap has no upper limit
+ *                         example: null
+ *       401:
+ *         description: Invalid or missing API key
+ */
+router.get('/approval-rules/coverage', authenticateBank, (req, res) => {
+  try {
+    const gaps = approvalRules.getCoverageGaps(req.bank.id);
+
+    res.json({
+      fully_covered: gaps.length === 0,
+      gaps: gaps
+    });
+  } catch (error) {
+    console.error('Error getting approval rule coverage:', error);
+    res.status(500).json({
+      error: "Failed to get approval rule coverage"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/approval-rules/simulate:
+ *   post:
+ *     summary: Simulate approval requirements
+ *     description: Show which approval rule a transfer of the given amount would match, how many approvals it would need, the minimum approver role level and the roles that could approve it. Nothing is created.
+ *     tags: [Roles]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 12000
+ *     responses:
+ *       200:
+ *         description: Approval requirements for the amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 amount:
+ *                   type: number
+ *                   example: 12000
+ *                 rule:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Matching rule (null when the amount is in a coverage gap)
+ *                 in_coverage_gap:
+ *                   type: boolean
+ *                   example: false
+ *                 auto_approve:
+ *                   type: boolean
+ *                   example: false
+ *                 required_approvals:
+ *                   type: integer
+ *                   example: 1
+ *                 required_role_level:
+ *                   type: integer
+ *                   example: 2
+ *                 mfa_required:
+ *                   type: boolean
+ *                   description: Whether approving needs a one-time code (X-MFA-Code)
+ *                   example: false
+ *                 eligible_approver_roles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["Manager", "Admin"]
+ *       400:
+ *         description: Missing or invalid amount
+ *       401:
+ *         description: Invalid or missing API key
+ */
+router.post('/approval-rules/simulate', authenticateBank, requireScope('read'), (req, res) => {
+  const { amount } = req.body;
+
+  if (typeof amount !== 'number' || amount <= 0) {
+    return res.status(400).json({ error: "amount must be a positive number" });
+  }
+
+  try {
+    const rule = approvalRules.findApprovalRule(req.bank.id, amount);
+    const requirements = approvalRules.getApprovalRequirements(req.bank.id, amount);
+
+    // Roles that could approve: high enough level, allowed to approve and within their transfer limit
+    const rolesStmt = db.prepare(`
+      SELECT role_name FROM roles
+      WHERE bank_id = ? AND role_level >= ? AND can_approve_transfers = 1
+        AND (max_transfer_amount IS NULL OR max_transfer_amount >= ?)
+      ORDER BY role_level ASC
+    `);
+    const eligibleRoles = requirements.auto_approve
+      ? []
+      : rolesStmt.all(req.bank.id, requirements.required_role_level, amount).map(role => role.role_name);
+
+    res.json({
+      amount: amount,
+      rule: rule ? approvalRules.summarizeRule(rule) : null,
+      in_coverage_gap: !rule,
+      auto_approve: Boolean(requirements.auto_approve),
+      required_approvals: requirements.auto_approve ? 0 : requirements.required_approvals,
+      required_role_level: requirements.required_role_level,
+      mfa_required: !requirements.auto_approve && amount > mfa.MFA_APPROVAL_THRESHOLD,
+      eligible_approver_roles: eligibleRoles
+    });
+  } catch (error) {
+    console.error('Approval rule simulation error:', error);
+    res.status(500).json({
+      error: "Failed to simulate approval requirements"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApprovalPolicy:
+ *       type: object
+ *       description: Segregation-of-duties (maker-checker) settings for transfer approvals
+ *       properties:
+ *         block_self_approval:
+ *           type: boolean
+ *           description: The initiator cannot approve their own transfer (default true)
+ *           example: true
+ *         require_distinct_approvers:
+ *           type: boolean
+ *           description: Each approval must come from a different user (default true)
+ *           example: true
+ *         require_distinct_departments:
+ *           type: boolean
+ *           description: Each approval must come from a different department; approvers need a department (default false)
+ *           example: false
+ */
+
+/**
+ * @swagger
+ * /api/roles/approval-rules/policy:
+ *   get:
+ *     summary: Get approval policy
+ *     description: The bank's segregation-of-duties settings, enforced when transfers are approved
+ *     tags: [Roles]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Approval policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 approval_policy:
+ *                   $ref: '#/components/schemas/ApprovalPolicy'
+ *       401:
+ *         description: Invalid or missing API key
+ */
+router.get('/approval-rules/policy', authenticateBank, (req, res) => {
+  try {
+    res.json({ approval_policy: approvalRules.getApprovalPolicy(req.bank.id) });
+  } catch (error) {
+    console.error('Error getting approval policy:', error);
+    res.status(500).json({
+      error: "Failed to get approval policy"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/approval-rules/policy:
+ *   put:
+ *     summary: Update approval policy
+ *     description: Change the bank's segregation-of-duties settings. Settings left out keep their current value. Needs a signed-in user and a fresh one-time code (X-MFA-Code).
+ *     tags: [Roles]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MfaCode'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApprovalPolicy'
+ *     responses:
+ *       200:
+ *         description: Approval policy updated
+ *       400:
+ *         description: Unknown setting or value is not a boolean
+ *       401:
+ *         description: Missing session or one-time code (SESSION_REQUIRED, MFA_REQUIRED, MFA_INVALID)
+ *       403:
+ *         description: API key lacks the admin scope, the user's role cannot modify settings (PERMISSION_DENIED), or the user has not set up MFA (MFA_NOT_ENROLLED)
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
+ */
+router.put('/approval-rules/policy', authenticateBank, requireScope('admin'),
+  authenticateUser(), requirePermission('settings:modify'), requireStepUp(), (req, res) => {
+  const changes = req.body || {};
+  const settings = Object.keys(changes);
+  if (settings.length === 0) {
+    return res.status(400).json({
+      error: `Provide at least one of: ${approvalRules.APPROVAL_POLICY_SETTINGS.join(', ')}`
+    });
+  }
+  for (const setting of settings) {
+    if (!approvalRules.APPROVAL_POLICY_SETTINGS.includes(setting)) {
+      return res.status(400).json({
+        error: `Unknown setting ${setting}. Valid settings: ${approvalRules.APPROVAL_POLICY_SETTINGS.join(', ')}`
+      });
+    }
+    if (typeof changes[setting] !== 'boolean') {
+      return res.status(400).json({ error: `${setting} must be true or false` });
+    }
+  }
+
+  try {
+    const policy = db.transaction(() => {
+      const before = approvalRules.getApprovalPolicy(req.bank.id);
+      const after = approvalRules.setApprovalPolicy(req.bank.id, changes, req.user.user_id);
+      recordAuditEvent({
+        bankId: req.bank.id, entityType: 'approval_policy', entityId: req.bank.id, action: 'updated', req, before, after
+      });
+      return after;
+    })();
+
+    res.json({
+      message: "Approval policy updated",
+      approval_policy: policy
+    });
+  } catch (error) {
+    console.error('Error updating approval policy:', error);
+    res.status(500).json({
+      error: "Failed to update approval policy"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/approval-rules/{ruleId}/versions:
+ *   get:
+ *     summary: Get approval rule history
+ *     description: Every version of an approval rule, oldest first, including its deletion. Transfers record the rule ID and version they matched, so this shows the rule a transfer was approved against.
+ *     tags: [Roles]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rule versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rule_id:
+ *                   type: integer
+ *                   example: 2
+ *                 versions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       version:
+ *                         type: integer
+ *                         example: 1
+ *                       change_type:
+ *                         type: string
+ *                         enum: [created, updated, deleted]
+ *                       changed_by:
+ *                         type: string
+ *                         example: "system"
+ *                       required_role_level:
+ *                         type: integer
+ *                         example: 2
+ *                       required_approvals:
+ *                         type: integer
+ *                         example: 1
+ *       404:
+ *         description: No history for this rule
+ */
+router.get('/approval-rules/:ruleId/versions', authenticateBank, (req, res) => {
+  try {
+    const versions = approvalRules.listRuleVersions(req.bank.id, req.params.ruleId);
+    if (versions.length === 0) {
+      return res.status(404).json({ error: "Approval rule not found" });
+    }
+
+    res.json({
+      rule_id: Number(req.params.ruleId),
+      versions: versions
+    });
+  } catch (error) {
+    console.error('Error getting approval rule versions:', error);
+    res.status(500).json({
+      error: "Failed to get approval rule versions"
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/roles/approval-rules/create:
  *   post:
  *     summary: Create approval rule
- *     description: Create a new approval rule for transfers
+ *     description: Create a new approval rule for transfers. Needs a signed-in user and a fresh one-time code (X-MFA-Code).
  *     tags: [Roles]
  *     security:
  *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MfaCode'
  *     requestBody:
  *       required: true
  *       content:
@@ -223,9 +1055,20 @@ router.get('/approval-rules', authenticateBank, (req, res) => {
  *                 example: false
  *     responses:
  *       201:
- *         description: Approval rule created successfully
+ *         description: Approval rule created successfully, with the amount ranges still not covered by any rule (coverage_gaps)
+ *       400:
+ *         description: Missing fields, invalid amount range or unknown required_role_level
+ *       401:
+ *         description: Missing session or one-time code (SESSION_REQUIRED, MFA_REQUIRED, MFA_INVALID)
+ *       403:
+ *         description: API key lacks the admin scope, the user's role cannot modify settings (PERMISSION_DENIED), or the user has not set up MFA (MFA_NOT_ENROLLED)
+ *       409:
+ *         description: The amount range overlaps existing rules (RULE_OVERLAP, with overlapping_rules)
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
  */
-router.post('/approval-rules/create', authenticateBank, async (req, res) => {
+router.post('/approval-rules/create', authenticateBank, requireScope('admin'),
+  authenticateUser(), requirePermission('settings:modify'), requireStepUp(), async (req, res) => {
   const { rule_name, min_amount, max_amount, required_role_level, required_approvals, auto_approve } = req.body;
   
   if (!rule_name || min_amount === undefined || !required_role_level || required_approvals === undefined) {
@@ -235,32 +1078,45 @@ router.post('/approval-rules/create', authenticateBank, async (req, res) => {
     });
   }
 
+  const rangeError = approvalRules.getRangeError(min_amount, max_amount);
+  if (rangeError) {
+    return res.status(400).json({ error: rangeError });
+  }
+
   try {
-    // Verify the required role level exists
-    const roleStmt = db.prepare('SELECT role_name FROM roles WHERE bank_id = ? AND role_level = ?');
-    const roleExists = roleStmt.get(req.bank.id, required_role_level);
-    
-    if (!roleExists) {
-      const availableRolesStmt = db.prepare('SELECT role_name, role_level FROM roles WHERE bank_id = ? ORDER BY role_level ASC');
-      const availableRoles = availableRolesStmt.all(req.bank.id);
-      return res.status(400).json({
-        error: "Invalid required_role_level",
-        available_roles: availableRoles
+    // Amount ranges of a bank's rules must not overlap
+    const overlapping = approvalRules.findOverlappingRules(req.bank.id, min_amount, max_amount);
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        error: "Amount range overlaps existing approval rules",
+        code: "RULE_OVERLAP",
+        overlapping_rules: overlapping.map(approvalRules.summarizeRule)
       });
     }
 
-    const ruleStmt = db.prepare(`
-      INSERT INTO approval_rules (bank_id, rule_name, min_amount, max_amount, required_role_level, required_approvals, auto_approve, created_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    const result = ruleStmt.run(req.bank.id, rule_name, min_amount, max_amount, required_role_level, required_approvals, auto_approve || false, 'api');
+    // Verify the required role level exists
+    const roleLevelError = getRoleLevelError(req.bank.id, required_role_level);
+    if (roleLevelError) {
+      return res.status(400).json(roleLevelError);
+    }
 
-    const ruleGetStmt = db.prepare('SELECT * FROM approval_rules WHERE id = ?');
-    const rule = ruleGetStmt.get(result.lastInsertRowid);
+    // Create the rule and its first version together
+    const rule = db.transaction(() => {
+      const ruleStmt = db.prepare(`
+        INSERT INTO approval_rules (bank_id, rule_name, min_amount, max_amount, required_role_level, required_approvals, auto_approve, created_by, version)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
+      `);
+      const result = ruleStmt.run(req.bank.id, rule_name, min_amount, max_amount, required_role_level, required_approvals, auto_approve ? 1 : 0, req.user.user_id);
+
+      const created = db.prepare('SELECT * FROM approval_rules WHERE id = ?').get(result.lastInsertRowid);
+      approvalRules.recordRuleVersion(created, 'created', req.user.user_id);
+      return created;
+    })();
 
     res.status(201).json({
       message: "Approval rule created successfully",
-      rule: rule
+      rule: rule,
+      coverage_gaps: approvalRules.getCoverageGaps(req.bank.id)
     });
 
   } catch (error) {
@@ -276,11 +1132,13 @@ router.post('/approval-rules/create', authenticateBank, async (req, res) => {
  * /api/roles/approval-rules/{ruleId}/update:
  *   put:
  *     summary: Update approval rule
- *     description: Update an existing approval rule
+ *     description: Update an existing approval rule as a new version. Fields left out keep their value; max_amount null removes the upper limit. Transfers already pending keep the version they matched. Needs a signed-in user and a fresh one-time code (X-MFA-Code).
  *     tags: [Roles]
  *     security:
  *       - ApiKeyAuth: []
+ *         UserSession: []
  *     parameters:
+ *       - $ref: '#/components/parameters/MfaCode'
  *       - in: path
  *         name: ruleId
  *         required: true
@@ -288,9 +1146,22 @@ router.post('/approval-rules/create', authenticateBank, async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Approval rule updated successfully
+ *         description: Approval rule updated successfully, with the amount ranges still not covered by any rule (coverage_gaps)
+ *       400:
+ *         description: Invalid amount range or unknown required_role_level
+ *       401:
+ *         description: Missing session or one-time code (SESSION_REQUIRED, MFA_REQUIRED, MFA_INVALID)
+ *       403:
+ *         description: API key lacks the admin scope, the user's role cannot modify settings (PERMISSION_DENIED), or the user has not set up MFA (MFA_NOT_ENROLLED)
+ *       404:
+ *         description: Approval rule not found
+ *       409:
+ *         description: The new amount range overlaps other rules (RULE_OVERLAP, with overlapping_rules)
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
  */
-router.put('/approval-rules/:ruleId/update', authenticateBank, async (req, res) => {
+router.put('/approval-rules/:ruleId/update', authenticateBank, requireScope('admin'),
+  authenticateUser(), requirePermission('settings:modify'), requireStepUp(), async (req, res) => {
   const { ruleId } = req.params;
   const { rule_name, min_amount, max_amount, required_role_level, required_approvals, auto_approve } = req.body;
 
@@ -303,26 +1174,56 @@ router.put('/approval-rules/:ruleId/update', authenticateBank, async (req, res)
       return res.status(404).json({ error: "Approval rule not found" });
     }
 
-    // Update rule
-    const updateStmt = db.prepare(`
-      UPDATE approval_rules 
-      SET rule_name = COALESCE(?, rule_name),
-          min_amount = COALESCE(?, min_amount),
-          max_amount = COALESCE(?, max_amount),
-          required_role_level = COALESCE(?, required_role_level),
-          required_approvals = COALESCE(?, required_approvals),
-          auto_approve = COALESCE(?, auto_approve)
-      WHERE id = ? AND bank_id = ?
-    `);
-    updateStmt.run(rule_name, min_amount, max_amount, required_role_level, required_approvals, auto_approve, ruleId, req.bank.id);
+    // Check the resulting range (fields left out keep their current value; max_amount: null
+    // removes the upper limit)
+    const newMin = min_amount ?? existingRule.min_amount;
+    const newMax = max_amount === undefined ? existingRule.max_amount : max_amount;
+    const rangeError = approvalRules.getRangeError(newMin, newMax);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+    const overlapping = approvalRules.findOverlappingRules(req.bank.id, newMin, newMax, existingRule.id);
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        error: "Amount range overlaps existing approval rules",
+        code: "RULE_OVERLAP",
+        overlapping_rules: overlapping.map(approvalRules.summarizeRule)
+      });
+    }
+
+    // Verify the required role level exists
+    if (required_role_level !== undefined && required_role_level !== null) {
+      const roleLevelError = getRoleLevelError(req.bank.id, required_role_level);
+      if (roleLevelError) {
+        return res.status(400).json(roleLevelError);
+      }
+    }
 
-    // Get updated rule
-    const updatedRuleStmt = db.prepare('SELECT * FROM approval_rules WHERE id = ?');
-    const updatedRule = updatedRuleStmt.get(ruleId);
+    // Update the rule as a new version (pending transfers keep the version they matched)
+    const updatedRule = db.transaction(() => {
+      const updateStmt = db.prepare(`
+        UPDATE approval_rules 
+        SET rule_name = COALESCE(?, rule_name),
+            min_amount = COALESCE(?, min_amount),
+            max_amount = ?,
+            required_role_level = COALESCE(?, required_role_level),
+            required_approvals = COALESCE(?, required_approvals),
+            auto_approve = COALESCE(?, auto_approve),
+            version = COALESCE(version, 1) + 1
+        WHERE id = ? AND bank_id = ?
+      `);
+      updateStmt.run(rule_name, min_amount, newMax, required_role_level, required_approvals,
+        auto_approve === undefined || auto_approve === null ? null : (auto_approve ? 1 : 0), existingRule.id, req.bank.id);
+
+      const updated = db.prepare('SELECT * FROM approval_rules WHERE id = ?').get(existingRule.id);
+      approvalRules.recordRuleVersion(updated, 'updated', req.user.user_id);
+      return updated;
+    })();
 
     res.json({
       message: "Approval rule updated successfully",
-      rule: updatedRule
+      rule: updatedRule,
+      coverage_gaps: approvalRules.getCoverageGaps(req.bank.id)
     });
 
   } catch (error) {
@@ -338,11 +1239,13 @@ router.put('/approval-rules/:ruleId/update', authenticateBank, async (req, res)
  * /api/roles/approval-rules/{ruleId}/delete:
  *   delete:
  *     summary: Delete approval rule
- *     description: Delete an approval rule
+ *     description: Delete an approval rule. Needs a signed-in user and a fresh one-time code (X-MFA-Code).
  *     tags: [Roles]
  *     security:
  *       - ApiKeyAuth: []
+ *         UserSession: []
  *     parameters:
+ *       - $ref: '#/components/parameters/MfaCode'
  *       - in: path
  *         name: ruleId
  *         required: true
@@ -351,21 +1254,37 @@ router.put('/approval-rules/:ruleId/update', authenticateBank, async (req, res)
  *     responses:
  *       200:
  *         description: Approval rule deleted successfully
+ *       401:
+ *         description: Missing session or one-time code (SESSION_REQUIRED, MFA_REQUIRED, MFA_INVALID)
+ *       403:
+ *         description: API key lacks the admin scope, the user's role cannot modify settings (PERMISSION_DENIED), or the user has not set up MFA (MFA_NOT_ENROLLED)
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
  */
-router.delete('/approval-rules/:ruleId/delete', authenticateBank, async (req, res) => {
+router.delete('/approval-rules/:ruleId/delete', authenticateBank, requireScope('admin'),
+  authenticateUser(), requirePermission('settings:modify'), requireStepUp(), async (req, res) => {
   const { ruleId } = req.params;
 
   try {
-    const deleteStmt = db.prepare('DELETE FROM approval_rules WHERE id = ? AND bank_id = ?');
-    const result = deleteStmt.run(ruleId, req.bank.id);
+    const existingRuleStmt = db.prepare('SELECT * FROM approval_rules WHERE id = ? AND bank_id = ?');
+    const existingRule = existingRuleStmt.get(ruleId, req.bank.id);
 
-    if (result.changes === 0) {
+    if (!existingRule) {
       return res.status(404).json({ error: "Approval rule not found" });
     }
 
+    // The deletion is the rule's last version, so its history stays complete
+    db.transaction(() => {
+      db.prepare('DELETE FROM approval_rules WHERE id = ? AND bank_id = ?').run(existingRule.id, req.bank.id);
+      approvalRules.recordRuleVersion(
+        { ...existingRule, version: (existingRule.version || 1) + 1 }, 'deleted', req.user.user_id
+      );
+    })();
+
     res.json({
       message: "Approval rule deleted successfully",
-      rule_id: ruleId
+      rule_id: ruleId,
+      coverage_gaps: approvalRules.getCoverageGaps(req.bank.id)
     });
 
   } catch (error) {
@@ -45,10 +45,15 @@ const port = 3000; // Port number where the server will run
 // Import all the different route modules that handle specific banking functions
 // Each module handles a different aspect of the banking system
 const walletRoutes = require('./wallet'); // Handles wallet creation and balance management
+const subwalletRoutes = require('./subwallets'); // Handles subwallets inside bank wallets
+const jobQueue = require('./job-queue'); // Durable background job queue
+const settlement = require('./settlement'); // On-chain settlement of approved transfers
 const transferRoutes = require('./transfers'); // Handles money transfers between banks
 const bankRoutes = require('./banks'); // Handles bank registration and profile management
 const userRoutes = require('./users'); // Handles user creation and management within banks
+const authRoutes = require('./auth'); // Handles bank user sign-in sessions
 const roleRoutes = require('./roles'); // Handles roles and approval rules
+const delegationRoutes = require('./delegations'); // Handles approval delegation (out of office)
 const { router: notificationRoutes, notificationService } = require('./notifications'); // Handles real-time notifications
 const { specs, swaggerUi } = require('./swagger'); // Handles API documentation
 
@@ -57,7 +62,12 @@ const { specs, swaggerUi } = require('./swagger'); // Handles API documentation
 const db = require('./database/connection');
 
 // Configure middleware - these are functions that process requests before they reach our routes
-app.use(express.json()); // This allows the server to understand JSON data sent by banks
+// The raw body is kept so signed requests can be checked against the exact bytes sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+})); // This allows the server to understand JSON data sent by banks
 
 // Set up Swagger API documentation
 // This creates an interactive web page where banks can see and test all available API endpoints
@@ -72,6 +82,8 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
  * 
  * SECURITY SCHEMES:
  * - ApiKeyAuth: Banks must provide an API key in their requests for authentication
+ * - UserSession: Bank users sign in and send their session token to act on transfers
+ * - X-MFA-Code header: one-time code for step-up actions (see mfa.js)
  * 
  * DATA STRUCTURES (Schemas):
  * - Transfer: Represents a money transfer between wallets
@@ -92,7 +104,58 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
  *       type: apiKey
  *       in: header
  *       name: X-API-Key
- *       description: API key for bank authentication
+ *       description: API key for bank authentication. Each key has scopes (read, transfers:initiate, transfers:approve, wallets:manage, users:manage, admin); requests outside them return 403 INSUFFICIENT_SCOPE.
+ *     UserSession:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Session-Token
+ *       description: Session token of the signed-in bank user (from POST /api/auth/login). Identifies who initiates, approves, rejects or cancels a transfer.
+ *     OperatorKey:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Operator-Key
+ *       description: Platform operator key (PLATFORM_OPERATOR_KEY). Only used to book deposits into bank wallets.
+ *   
+ *   parameters:
+ *     IdempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       required: false
+ *       description: Unique key for this request. Retries with the same key and body return the original response instead of running the request again (kept for 24 hours per bank).
+ *       schema:
+ *         type: string
+ *         example: "6f1c2a7e-3b9d-4f0a-9e2b-8d7c5a1f0e34"
+ *     SignatureHeader:
+ *       in: header
+ *       name: X-Signature
+ *       required: false
+ *       description: Hex HMAC-SHA256 of "METHOD\nPATH\nTIMESTAMP\nNONCE\nSHA256_HEX(BODY)" keyed with the bank's api_secret. Required when the bank's signing policy covers the operation.
+ *       schema:
+ *         type: string
+ *     SignatureTimestamp:
+ *       in: header
+ *       name: X-Signature-Timestamp
+ *       required: false
+ *       description: Unix time in seconds when the request was signed (must be within 5 minutes of server time)
+ *       schema:
+ *         type: integer
+ *         example: 1755000000
+ *     SignatureNonce:
+ *       in: header
+ *       name: X-Signature-Nonce
+ *       required: false
+ *       description: Unique value per signed request; a reused nonce is rejected as a replay
+ *       schema:
+ *         type: string
+ *         example: "0b8e3f4c-1d2a-4e5f-9a6b-7c8d9e0f1a2b"
+ *     MfaCode:
+ *       in: header
+ *       name: X-MFA-Code
+ *       required: false
+ *       description: Fresh TOTP code from the signed-in user's authenticator app, or one of their recovery codes. Required for step-up actions (large approvals, role changes, approval rule edits). After 5 wrong codes in 15 minutes the user's step-ups return 429 MFA_LOCKED with a Retry-After header.
+ *       schema:
+ *         type: string
+ *         example: "492039"
  *   
  *   schemas:
  *     Transfer:
@@ -120,17 +183,36 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
  *           example: "USDC"
  *         status:
  *           type: string
- *           enum: [pending_approval, approved, completed, failed, cancelled]
+ *           enum: [pending_approval, processing, broadcast, confirmed, failed, rejected, cancelled, expired]
  *           description: Transfer status
  *           example: "pending_approval"
  *         fees:
  *           type: number
  *           description: Transfer fees
  *           example: 50
+ *         reason:
+ *           type: string
+ *           description: Business reason given by the initiator
+ *           example: "Quarterly liquidity rebalancing"
  *         transaction_hash:
  *           type: string
- *           description: Blockchain transaction hash
+ *           nullable: true
+ *           description: Blockchain transaction hash (set when the transfer is broadcast)
  *           example: "0x1234567890abcdef"
+ *         block_number:
+ *           type: integer
+ *           nullable: true
+ *           description: Block that included the transaction
+ *           example: 1542
+ *         confirmations:
+ *           type: integer
+ *           description: Blocks confirming the transaction so far
+ *           example: 3
+ *         required_confirmations:
+ *           type: integer
+ *           nullable: true
+ *           description: Confirmations needed before the transfer is confirmed
+ *           example: 3
  *         initiated_by:
  *           type: string
  *           description: User who initiated the transfer
@@ -143,7 +225,7 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
  *           type: string
  *           format: date-time
  *           nullable: true
- *           description: Transfer completion timestamp
+ *           description: Time the transfer was confirmed and booked in the ledger
  *   
  *     ApprovalRule:
  *       type: object
@@ -404,15 +486,21 @@ app.get('/api/info', (req, res) => {
     endpoints: [
       "POST /api/banks/register - Register your bank",
       "POST /api/users/create - Create bank users", 
+      "POST /api/auth/login - Sign in bank users",
+      "POST /api/auth/mfa/enroll - Set up an authenticator for step-up codes",
       "GET /api/roles/list - View roles and permissions",
       "POST /api/wallets/create - Create treasury wallets",
       "POST /api/transfers/initiate - Initiate transfers with approvals",
-      "POST /api/transfers/{id}/approve - Approve pending transfers"
+      "POST /api/transfers/{id}/approve - Approve pending transfers",
+      "POST /api/transfers/{id}/reject - Reject pending transfers",
+      "POST /api/transfers/{id}/cancel - Cancel your own pending transfers",
+      "POST /api/delegations/create - Delegate your approvals while away"
     ],
     features: [
       "Multi-bank user management",
       "Custom approval workflows",
       "Role-based permissions", 
+      "TOTP step-up for sensitive actions",
       "Instant wallet creation",
       "30-second transfer processing",
       "Complete audit trails",
@@ -430,7 +518,9 @@ app.get('/api/info', (req, res) => {
  * ROUTE STRUCTURE:
  * - /api/banks/* - Bank registration and profile management
  * - /api/users/* - User creation and management within banks
+ * - /api/auth/* - Bank user sign-in, sessions and MFA enrollment
  * - /api/roles/* - Role and approval rule management
+ * - /api/delegations/* - Approval delegation while approvers are away
  * - /api/wallets/* - Wallet creation and balance management
  * - /api/transfers/* - Money transfer operations
  * - /api/notifications/* - Real-time notification system
@@ -442,8 +532,11 @@ app.get('/api/info', (req, res) => {
  */
 app.use('/api/banks', bankRoutes); // Bank registration and profile management
 app.use('/api/users', userRoutes); // User creation and management within banks
+app.use('/api/auth', authRoutes); // Bank user sign-in and sessions
 app.use('/api/roles', roleRoutes); // Role and approval rule management
+app.use('/api/delegations', delegationRoutes); // Approval delegation while approvers are away
 app.use('/api/wallets', walletRoutes); // Wallet creation and balance management
+app.use('/api/wallets/:walletId/subwallets', subwalletRoutes); // Subwallets of a wallet
 app.use('/api/transfers', transferRoutes); // Money transfer operations
 app.use('/api/notifications', notificationRoutes); // Real-time notification system
 
@@ -471,6 +564,16 @@ const server = app.listen(port, () => {
   console.log(`API Documentation: http://localhost:${port}/api-docs`);
   console.log(`Bank registration: http://localhost:${port}/api/banks/register`);
   console.log(`WebSocket endpoint: ws://localhost:${port}/ws`);
+
+  // Expire transfers that were not approved before their approval deadline
+  transferRoutes.startExpirySweeper();
+
+  // Start the background job worker and pick up transfers left unfinished by a restart
+  jobQueue.startWorker();
+  const resumed = settlement.resumeSettlements();
+  if (resumed > 0) {
+    console.log(`Resumed settlement of ${resumed} transfer(s)`);
+  }
 });
 
 /**
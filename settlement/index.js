@@ -0,0 +1,260 @@
+/**
+ * SETTLEMENT MODULE
+ *
+ * Moves approved transfers onto the blockchain and books them in the ledger once the
+ * network has confirmed them. Route code only calls startSettlement(); which network is
+ * used is decided by the settlement adapter.
+ *
+ * Settlement runs as 'settle_transfer' jobs on the durable job queue (job-queue.js), so a
+ * restart never leaves a transfer stuck: resumeSettlements() queues every unfinished
+ * transfer again when the server starts.
+ *
+ * TRANSFER STATUSES:
+ * - processing: approved, waiting to be submitted
+ * - broadcast: submitted to the network, waiting for confirmations
+ * - confirmed: enough confirmations received, ledger entry posted
+ * - failed: rejected by the network or the funds were no longer there
+ * Reaching confirmed or failed emits transfer_completed / transfer_failed (transfer-events.js).
+ *
+ * SETTLEMENT ADAPTER INTERFACE:
+ * Every adapter is an object with:
+ * - name: short adapter name stored on the transfer (e.g. 'simulator')
+ * - requiredConfirmations: confirmations needed before a transfer is final
+ * - submitTransfer({ transactionId, fromAddress, toAddress, amount, currency })
+ *     -> Promise<{ txHash }>
+ * - getReceipt(txHash)
+ *     -> Promise<{ status: 'pending'|'success'|'failed', blockNumber, confirmations, failureReason } | null>
+ *
+ * CONFIGURATION (environment variables):
+ * - SETTLEMENT_ADAPTER: adapter to use (default 'simulator')
+ * - SETTLEMENT_BLOCK_TIME_MS: simulator block time (default 1000)
+ * - SETTLEMENT_CONFIRMATIONS: confirmations required (default 3)
+ * - SETTLEMENT_POLL_MS: how often receipts are checked (default 1000)
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const db = require('../database/connection'); // Database connection for transfer records
+const ledger = require('../ledger'); // Double-entry ledger for posting settled transfers
+const jobQueue = require('../job-queue'); // Durable job queue that drives settlement
+const { ChainSimulator } = require('./chain-simulator'); // Default in-process chain
+const { emitTransferEvent } = require('../transfer-events'); // Announces completed and failed transfers
+
+// How often a broadcast transfer's receipt is checked
+const POLL_INTERVAL_MS = Number(process.env.SETTLEMENT_POLL_MS) || 1000;
+
+let adapter = null;
+
+/**
+ * Create the adapter named in SETTLEMENT_ADAPTER.
+ * New networks are added here (for example an EVM node adapter).
+ */
+function createAdapter(name) {
+  switch (name) {
+    case 'simulator':
+      return new ChainSimulator({
+        blockTimeMs: Number(process.env.SETTLEMENT_BLOCK_TIME_MS) || undefined,
+        requiredConfirmations: Number(process.env.SETTLEMENT_CONFIRMATIONS) || undefined
+      });
+    default:
+      throw new Error(`Unknown settlement adapter: ${name}`);
+  }
+}
+
+/**
+ * Get the active settlement adapter (created on first use).
+ */
+function getSettlementAdapter() {
+  if (!adapter) {
+    adapter = createAdapter(process.env.SETTLEMENT_ADAPTER || 'simulator');
+  }
+  return adapter;
+}
+
+/**
+ * Replace the active settlement adapter (for example with an EVM node adapter).
+ */
+function setSettlementAdapter(newAdapter) {
+  adapter = newAdapter;
+}
+
+// Mark a transfer as failed, but only if it is still in the expected status
+function failTransfer(transactionId, expectedStatus, reason) {
+  const failStmt = db.prepare(`
+    UPDATE transaction_records SET status = 'failed', failure_reason = ?
+    WHERE transaction_id = ? AND status = ?
+  `);
+  if (failStmt.run(reason, transactionId, expectedStatus).changes > 0) {
+    emitTransferEvent('transfer_failed', transactionId, { failure_reason: reason });
+  }
+  console.error(`Transfer transfer_${transactionId} failed: ${reason}`);
+  return 'failed';
+}
+
+/**
+ * Submit a 'processing' transfer to the network and mark it as 'broadcast'.
+ *
+ * @returns {Promise<string>} New transfer status
+ */
+async function broadcastTransfer(transfer) {
+  const walletStmt = db.prepare('SELECT wallet_address FROM fbo_wallets WHERE wallet_id = ?');
+  const fromWallet = transfer.from_wallet_id ? walletStmt.get(transfer.from_wallet_id) : null;
+  const toWallet = transfer.to_wallet_id ? walletStmt.get(transfer.to_wallet_id) : null;
+
+  if (!fromWallet || !toWallet) {
+    return failTransfer(transfer.transaction_id, 'processing', 'Transfer has no source or destination wallet');
+  }
+
+  // Do not broadcast money the wallet no longer has
+  const totalDebit = ledger.roundAmount(transfer.amount + (transfer.fees || 0));
+  if (ledger.getUnallocatedBalance(transfer.from_wallet_id) < totalDebit) {
+    return failTransfer(transfer.transaction_id, 'processing', 'Insufficient funds at settlement');
+  }
+
+  const settlementAdapter = getSettlementAdapter();
+  const { txHash } = await settlementAdapter.submitTransfer({
+    transactionId: transfer.transaction_id,
+    fromAddress: fromWallet.wallet_address,
+    toAddress: toWallet.wallet_address,
+    amount: transfer.amount,
+    currency: transfer.currency
+  });
+
+  const broadcastStmt = db.prepare(`
+    UPDATE transaction_records
+    SET status = 'broadcast', transaction_hash = ?, broadcast_at = ?, confirmations = 0,
+        required_confirmations = ?, settlement_adapter = ?
+    WHERE transaction_id = ? AND status = 'processing'
+  `);
+  broadcastStmt.run(
+    txHash, new Date().toISOString(), settlementAdapter.requiredConfirmations,
+    settlementAdapter.name, transfer.transaction_id
+  );
+
+  return 'broadcast';
+}
+
+/**
+ * Check the receipt of a 'broadcast' transfer. Records the block number and
+ * confirmations, and posts the ledger entry once enough confirmations are in.
+ *
+ * @returns {Promise<string>} New transfer status
+ */
+async function checkReceipt(transfer) {
+  const receipt = await getSettlementAdapter().getReceipt(transfer.transaction_hash);
+
+  // The network does not know the transaction (e.g. dropped, or the simulator restarted):
+  // go back to 'processing' so it is broadcast again
+  if (!receipt) {
+    const resetStmt = db.prepare(`
+      UPDATE transaction_records SET status = 'processing', transaction_hash = '', confirmations = 0
+      WHERE transaction_id = ? AND status = 'broadcast'
+    `);
+    resetStmt.run(transfer.transaction_id);
+    console.error(`Transfer transfer_${transfer.transaction_id} not found on chain, broadcasting again`);
+    return 'processing';
+  }
+
+  // Not mined yet: try again later
+  if (receipt.status === 'pending') {
+    return 'broadcast';
+  }
+
+  const progressStmt = db.prepare(`
+    UPDATE transaction_records SET block_number = ?, confirmations = ?
+    WHERE transaction_id = ? AND status = 'broadcast'
+  `);
+  progressStmt.run(receipt.blockNumber, receipt.confirmations, transfer.transaction_id);
+
+  if (receipt.status === 'failed') {
+    return failTransfer(transfer.transaction_id, 'broadcast', receipt.failureReason || 'Transaction failed on chain');
+  }
+
+  if (receipt.confirmations < transfer.required_confirmations) {
+    return 'broadcast';
+  }
+
+  // Only announce the change this call made (entry_id / failure_reason are null otherwise)
+  const settled = ledger.settleTransfer(transfer.transaction_id);
+  if (settled.entry_id) {
+    emitTransferEvent('transfer_completed', transfer.transaction_id, { transaction_hash: transfer.transaction_hash });
+  } else if (settled.failure_reason) {
+    emitTransferEvent('transfer_failed', transfer.transaction_id, { failure_reason: settled.failure_reason });
+  }
+  return settled.status;
+}
+
+/**
+ * Move a transfer one step forward in settlement.
+ *
+ * @param {number} transactionId - Numeric transfer ID
+ * @returns {Promise<string|null>} Transfer status after this step (null if the transfer does not exist)
+ */
+async function advanceSettlement(transactionId) {
+  const transferStmt = db.prepare('SELECT * FROM transaction_records WHERE transaction_id = ?');
+  const transfer = transferStmt.get(transactionId);
+
+  if (!transfer) {
+    return null;
+  }
+  if (transfer.status === 'processing') {
+    return broadcastTransfer(transfer);
+  }
+  if (transfer.status === 'broadcast') {
+    return checkReceipt(transfer);
+  }
+  return transfer.status;
+}
+
+// Job handler: one settlement step per run, rescheduled until the transfer is final
+jobQueue.registerHandler('settle_transfer', async ({ transactionId }) => {
+  const status = await advanceSettlement(transactionId);
+  if (status === 'processing' || status === 'broadcast') {
+    return { rescheduleInMs: POLL_INTERVAL_MS };
+  }
+  return { status };
+});
+
+/**
+ * Settle an approved transfer in the background: broadcast it, then keep checking
+ * its receipt until it is confirmed or failed.
+ *
+ * @param {number} transactionId - Numeric transfer ID
+ * @returns {number} Job ID
+ */
+function startSettlement(transactionId) {
+  return jobQueue.enqueue('settle_transfer', { transactionId }, {
+    dedupeKey: `settle_transfer:${transactionId}`
+  });
+}
+
+/**
+ * Queue settlement for every transfer that is still processing or broadcast.
+ * Called on server start; transfers that already have a queued job are skipped.
+ *
+ * @returns {number} Number of transfers checked
+ */
+function resumeSettlements() {
+  const unfinishedStmt = db.prepare(
+    "SELECT transaction_id FROM transaction_records WHERE status IN ('processing', 'broadcast')"
+  );
+  const unfinished = unfinishedStmt.all();
+  for (const transfer of unfinished) {
+    startSettlement(transfer.transaction_id);
+  }
+  return unfinished.length;
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  getSettlementAdapter,
+  setSettlementAdapter,
+  advanceSettlement,
+  startSettlement,
+  resumeSettlements
+};
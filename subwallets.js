@@ -0,0 +1,587 @@
+/**
+ * SUBWALLET MANAGEMENT MODULE
+ *
+ * Subwallets split an FBO wallet into separate buckets, for example one per end client
+ * or one per business line. The money in a subwallet is still part of its parent wallet:
+ * the parent wallet balance always includes (rolls up) its subwallets.
+ *
+ * WHAT THIS MODULE DOES:
+ * - Creates and lists subwallets of a wallet owned by the authenticated bank
+ * - Freezes and unfreezes subwallets (a frozen subwallet cannot receive or release funds)
+ * - Closes empty subwallets permanently
+ * - Moves funds between the wallet's unallocated balance and a subwallet
+ *
+ * HOW FUNDS MOVE:
+ * - Every movement is a balanced ledger journal entry (see ledger.js)
+ * - Funding a subwallet takes money from the wallet's available (unallocated) balance
+ * - Withdrawing from a subwallet returns the money to the wallet's unallocated balance
+ * - Transfers can only send unallocated money, so money in subwallets is protected
+ *
+ * Mounted at /api/wallets/:walletId/subwallets
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const express = require('express'); // Web framework for creating API endpoints
+const crypto = require('crypto'); // Used to generate subwallet addresses
+const db = require('./database/connection'); // Database connection for subwallet data
+const { authenticateBank, requireScope } = require('./banks'); // Bank authentication middleware
+const { idempotent } = require('./idempotency'); // Idempotency-Key support for POST requests
+const ledger = require('./ledger'); // Double-entry ledger for moving funds
+const router = express.Router({ mergeParams: true }); // mergeParams gives access to :walletId
+
+/**
+ * Convert an API subwallet ID ("subwallet_7") into the numeric database ID (7).
+ * Returns null when the ID is not a valid subwallet ID.
+ */
+function parseSubwalletId(subwalletId) {
+  const numericId = Number(String(subwalletId).replace('subwallet_', ''));
+  return Number.isInteger(numericId) && numericId > 0 ? numericId : null;
+}
+
+// Convert a subwallets row into the API subwallet format
+function formatSubwallet(subwallet) {
+  return {
+    id: `subwallet_${subwallet.subwallet_id}`,
+    walletId: `wallet_${subwallet.wallet_id}`,
+    name: subwallet.name,
+    purpose: subwallet.purpose,
+    balance: ledger.getSubwalletBalance(subwallet.subwallet_id),
+    status: subwallet.status,
+    createdAt: subwallet.created_at,
+    closedAt: subwallet.closed_at,
+    publicAddress: subwallet.subwallet_address
+  };
+}
+
+/**
+ * Load the wallet from the URL if it is owned by the authenticated bank.
+ * Sends a 404 and returns null otherwise.
+ */
+function loadOwnedWallet(req, res) {
+  const walletId = ledger.parseWalletId(req.params.walletId);
+  const walletStmt = db.prepare('SELECT * FROM fbo_wallets WHERE wallet_id = ? AND bank_id = ?');
+  const wallet = walletId ? walletStmt.get(walletId, req.bank.id) : null;
+
+  if (!wallet) {
+    res.status(404).json({
+      error: "Wallet not found"
+    });
+    return null;
+  }
+  return wallet;
+}
+
+/**
+ * Load the subwallet from the URL if it belongs to the given wallet.
+ * Sends a 404 and returns null otherwise.
+ */
+function loadSubwallet(req, res, wallet) {
+  const subwalletId = parseSubwalletId(req.params.subwalletId);
+  const subwalletStmt = db.prepare('SELECT * FROM subwallets WHERE subwallet_id = ? AND wallet_id = ?');
+  const subwallet = subwalletId ? subwalletStmt.get(subwalletId, wallet.wallet_id) : null;
+
+  if (!subwallet) {
+    res.status(404).json({
+      error: "Subwallet not found"
+    });
+    return null;
+  }
+  return subwallet;
+}
+
+// Error returned when a subwallet is not active (frozen or closed subwallets cannot move funds)
+function inactiveSubwalletError(subwallet) {
+  return {
+    error: `Subwallet is ${subwallet.status}`,
+    code: subwallet.status === 'frozen' ? "SUBWALLET_FROZEN" : "SUBWALLET_CLOSED"
+  };
+}
+
+// Amounts to move must be positive numbers
+function isValidAmount(amount) {
+  return typeof amount === 'number' && Number.isFinite(amount) && amount > 0;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Subwallet:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "subwallet_7"
+ *         walletId:
+ *           type: string
+ *           description: Parent wallet
+ *           example: "wallet_1000"
+ *         name:
+ *           type: string
+ *           example: "Acme Corp"
+ *         purpose:
+ *           type: string
+ *           example: "end_client"
+ *         balance:
+ *           type: number
+ *           example: 25000
+ *         status:
+ *           type: string
+ *           enum: [active, frozen, closed]
+ *           example: "active"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         publicAddress:
+ *           type: string
+ *           example: "0x9a8b7c6d5e4f3a2b1c0d9e8f7a6b5c4d3e2f1a0b"
+ */
+
+/**
+ * @swagger
+ * /api/wallets/{walletId}/subwallets:
+ *   post:
+ *     summary: Create a subwallet
+ *     description: Creates a subwallet inside a wallet owned by the authenticated bank
+ *     tags: [Subwallets]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: walletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wallet_1000"
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - purpose
+ *             properties:
+ *               purpose:
+ *                 type: string
+ *                 description: What the subwallet is used for (e.g. end_client, business_line)
+ *                 example: "end_client"
+ *               name:
+ *                 type: string
+ *                 example: "Acme Corp"
+ *     responses:
+ *       201:
+ *         description: Subwallet created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Subwallet created successfully"
+ *                 subwallet:
+ *                   $ref: '#/components/schemas/Subwallet'
+ *       400:
+ *         description: Missing required fields
+ *       404:
+ *         description: Wallet not found (or owned by another bank)
+ *   get:
+ *     summary: List subwallets
+ *     description: Lists the subwallets of a wallet owned by the authenticated bank, with the roll-up of the parent wallet balance
+ *     tags: [Subwallets]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: walletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wallet_1000"
+ *     responses:
+ *       200:
+ *         description: Subwallets retrieved successfully
+ *       404:
+ *         description: Wallet not found (or owned by another bank)
+ */
+router.post('/', authenticateBank, requireScope('wallets:manage'), idempotent(), async (req, res) => {
+  const { purpose, name } = req.body;
+
+  if (!purpose) {
+    return res.status(400).json({
+      error: "Missing required fields",
+      required: ["purpose"]
+    });
+  }
+
+  try {
+    const wallet = loadOwnedWallet(req, res);
+    if (!wallet) return;
+
+    const subwalletStmt = db.prepare(`
+      INSERT INTO subwallets (wallet_id, subwallet_address, purpose, balance, name, status, created_at)
+      VALUES (?, ?, ?, 0, ?, 'active', ?)
+    `);
+    const result = subwalletStmt.run(
+      wallet.wallet_id, `0x${crypto.randomBytes(20).toString('hex')}`, purpose, name || null, new Date().toISOString()
+    );
+
+    const createdStmt = db.prepare('SELECT * FROM subwallets WHERE subwallet_id = ?');
+
+    res.status(201).json({
+      message: "Subwallet created successfully",
+      subwallet: formatSubwallet(createdStmt.get(result.lastInsertRowid))
+    });
+  } catch (error) {
+    console.error('Error creating subwallet:', error);
+    res.status(500).json({
+      error: "Failed to create subwallet"
+    });
+  }
+});
+
+router.get('/', authenticateBank, async (req, res) => {
+  try {
+    const wallet = loadOwnedWallet(req, res);
+    if (!wallet) return;
+
+    const subwalletsStmt = db.prepare('SELECT * FROM subwallets WHERE wallet_id = ? ORDER BY subwallet_id');
+    const subwallets = subwalletsStmt.all(wallet.wallet_id);
+    const balances = ledger.getWalletBalances(wallet.wallet_id);
+
+    res.json({
+      walletId: `wallet_${wallet.wallet_id}`,
+      balance: balances.ledgerBalance,
+      unallocatedBalance: balances.unallocatedBalance,
+      subwalletBalance: balances.subwalletBalance,
+      totalSubwallets: subwallets.length,
+      subwallets: subwallets.map(formatSubwallet)
+    });
+  } catch (error) {
+    console.error('Error listing subwallets:', error);
+    res.status(500).json({
+      error: "Failed to list subwallets"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/{walletId}/subwallets/{subwalletId}/freeze:
+ *   post:
+ *     summary: Freeze a subwallet
+ *     description: A frozen subwallet keeps its balance but cannot receive or release funds until it is unfrozen
+ *     tags: [Subwallets]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: walletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subwalletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subwallet frozen
+ *       400:
+ *         description: Subwallet is not active
+ *       404:
+ *         description: Wallet or subwallet not found
+ *
+ * /api/wallets/{walletId}/subwallets/{subwalletId}/unfreeze:
+ *   post:
+ *     summary: Unfreeze a subwallet
+ *     tags: [Subwallets]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: walletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subwalletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subwallet active again
+ *       400:
+ *         description: Subwallet is not frozen
+ *       404:
+ *         description: Wallet or subwallet not found
+ */
+router.post('/:subwalletId/freeze', authenticateBank, requireScope('wallets:manage'), async (req, res) => {
+  changeStatus(req, res, 'active', 'frozen');
+});
+
+router.post('/:subwalletId/unfreeze', authenticateBank, requireScope('wallets:manage'), async (req, res) => {
+  changeStatus(req, res, 'frozen', 'active');
+});
+
+// Move a subwallet from one status to another (freeze/unfreeze)
+function changeStatus(req, res, fromStatus, toStatus) {
+  try {
+    const wallet = loadOwnedWallet(req, res);
+    if (!wallet) return;
+    const subwallet = loadSubwallet(req, res, wallet);
+    if (!subwallet) return;
+
+    if (subwallet.status !== fromStatus) {
+      return res.status(400).json({
+        error: `Subwallet is ${subwallet.status}, not ${fromStatus}`
+      });
+    }
+
+    const updateStmt = db.prepare('UPDATE subwallets SET status = ? WHERE subwallet_id = ?');
+    updateStmt.run(toStatus, subwallet.subwallet_id);
+
+    res.json({
+      message: `Subwallet ${toStatus === 'frozen' ? 'frozen' : 'unfrozen'}`,
+      subwallet: formatSubwallet({ ...subwallet, status: toStatus })
+    });
+  } catch (error) {
+    console.error('Error changing subwallet status:', error);
+    res.status(500).json({
+      error: "Failed to update subwallet"
+    });
+  }
+}
+
+/**
+ * @swagger
+ * /api/wallets/{walletId}/subwallets/{subwalletId}/close:
+ *   post:
+ *     summary: Close a subwallet
+ *     description: Permanently closes an empty subwallet. Withdraw its funds to the parent wallet first.
+ *     tags: [Subwallets]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: walletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subwalletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subwallet closed
+ *       400:
+ *         description: Subwallet already closed or still holds funds (code SUBWALLET_NOT_EMPTY)
+ *       404:
+ *         description: Wallet or subwallet not found
+ */
+router.post('/:subwalletId/close', authenticateBank, requireScope('wallets:manage'), async (req, res) => {
+  try {
+    const wallet = loadOwnedWallet(req, res);
+    if (!wallet) return;
+    const subwallet = loadSubwallet(req, res, wallet);
+    if (!subwallet) return;
+
+    if (subwallet.status === 'closed') {
+      return res.status(400).json(inactiveSubwalletError(subwallet));
+    }
+
+    const balance = ledger.getSubwalletBalance(subwallet.subwallet_id);
+    if (balance !== 0) {
+      return res.status(400).json({
+        error: "Subwallet still holds funds",
+        code: "SUBWALLET_NOT_EMPTY",
+        balance: balance
+      });
+    }
+
+    const closedAt = new Date().toISOString();
+    const closeStmt = db.prepare("UPDATE subwallets SET status = 'closed', closed_at = ? WHERE subwallet_id = ?");
+    closeStmt.run(closedAt, subwallet.subwallet_id);
+
+    res.json({
+      message: "Subwallet closed",
+      subwallet: formatSubwallet({ ...subwallet, status: 'closed', closed_at: closedAt })
+    });
+  } catch (error) {
+    console.error('Error closing subwallet:', error);
+    res.status(500).json({
+      error: "Failed to close subwallet"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/{walletId}/subwallets/{subwalletId}/fund:
+ *   post:
+ *     summary: Move funds from the wallet into a subwallet
+ *     description: Moves money from the wallet's available (unallocated) balance into an active subwallet. The parent wallet balance does not change.
+ *     tags: [Subwallets]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: walletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subwalletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 25000
+ *     responses:
+ *       200:
+ *         description: Funds moved into the subwallet
+ *       400:
+ *         description: Invalid amount, subwallet not active, or insufficient available funds (code INSUFFICIENT_FUNDS)
+ *       404:
+ *         description: Wallet or subwallet not found
+ *
+ * /api/wallets/{walletId}/subwallets/{subwalletId}/withdraw:
+ *   post:
+ *     summary: Move funds from a subwallet back to the wallet
+ *     description: Returns money from an active subwallet to the wallet's unallocated balance
+ *     tags: [Subwallets]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: walletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subwalletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 5000
+ *     responses:
+ *       200:
+ *         description: Funds moved back to the wallet
+ *       400:
+ *         description: Invalid amount, subwallet not active, or insufficient subwallet funds (code INSUFFICIENT_FUNDS)
+ *       404:
+ *         description: Wallet or subwallet not found
+ */
+router.post('/:subwalletId/fund', authenticateBank, requireScope('wallets:manage'), idempotent(), async (req, res) => {
+  moveFunds(req, res, 'fund');
+});
+
+router.post('/:subwalletId/withdraw', authenticateBank, requireScope('wallets:manage'), idempotent(), async (req, res) => {
+  moveFunds(req, res, 'withdraw');
+});
+
+// Move funds into ('fund') or out of ('withdraw') a subwallet
+function moveFunds(req, res, direction) {
+  const { amount } = req.body;
+
+  if (!isValidAmount(amount)) {
+    return res.status(400).json({
+      error: "Amount must be a number greater than 0"
+    });
+  }
+
+  try {
+    const wallet = loadOwnedWallet(req, res);
+    if (!wallet) return;
+    const subwallet = loadSubwallet(req, res, wallet);
+    if (!subwallet) return;
+
+    if (subwallet.status !== 'active') {
+      return res.status(400).json(inactiveSubwalletError(subwallet));
+    }
+
+    // Check the funds and post the entry in one transaction so the check cannot go stale
+    const result = db.transaction(() => {
+      const available = direction === 'fund'
+        ? ledger.getWalletBalances(wallet.wallet_id).availableBalance
+        : ledger.getSubwalletBalance(subwallet.subwallet_id);
+
+      if (available < amount) {
+        return { available };
+      }
+
+      const entryId = ledger.moveSubwalletFunds(
+        wallet.wallet_id,
+        subwallet.subwallet_id,
+        direction === 'fund' ? amount : -amount
+      );
+      return { entryId };
+    })();
+
+    if (!result.entryId) {
+      return res.status(400).json({
+        error: "Insufficient funds",
+        code: "INSUFFICIENT_FUNDS",
+        available_balance: result.available,
+        required_amount: amount
+      });
+    }
+
+    const balances = ledger.getWalletBalances(wallet.wallet_id);
+
+    res.json({
+      message: direction === 'fund' ? "Funds moved into subwallet" : "Funds moved back to wallet",
+      walletId: `wallet_${wallet.wallet_id}`,
+      subwalletId: `subwallet_${subwallet.subwallet_id}`,
+      amount: amount,
+      subwalletBalance: ledger.getSubwalletBalance(subwallet.subwallet_id),
+      walletBalance: balances.ledgerBalance,
+      unallocatedBalance: balances.unallocatedBalance,
+      journalEntryId: result.entryId
+    });
+  } catch (error) {
+    console.error('Error moving subwallet funds:', error);
+    res.status(500).json({
+      error: "Failed to move funds"
+    });
+  }
+}
+
+module.exports = router;
@@ -40,14 +40,26 @@ const options = {
         name: 'Users',
         description: 'Bank user management operations',
       },
+      {
+        name: 'Auth',
+        description: 'Bank user sign-in sessions',
+      },
       {
         name: 'Roles',
         description: 'Role-based permissions and approval rules',
       },
+      {
+        name: 'Delegations',
+        description: 'Approval delegation while approvers are out of office',
+      },
       {
         name: 'Wallets',
         description: 'Bank wallet management operations',
       },
+      {
+        name: 'Subwallets',
+        description: 'Subwallets inside bank wallets (per end client or business line)',
+      },
       {
         name: 'Transfers',
         description: 'Cross-border transfer operations',
@@ -58,7 +70,7 @@ const options = {
       },
     ],
   },
-  apis: ['./server.js', './wallet.js', './transfers.js', './banks.js', './users.js', './roles.js', './notifications.js'], // paths to files containing OpenAPI definitions
+  apis: ['./server.js', './wallet.js', './subwallets.js', './transfers.js', './banks.js', './users.js', './auth.js', './roles.js', './delegations.js', './notifications.js'], // paths to files containing OpenAPI definitions
 };
 
 const specs = swaggerJsdoc(options);
@@ -4,10 +4,18 @@
  * Enterprise Stablecoin API - Comprehensive Test Suite
  * Tests all current endpoints to validate application state
  * 
- * Usage: node tests/api-test-suite.js
+ * Usage: PLATFORM_OPERATOR_KEY=<key> node tests/api-test-suite.js
+ * (the server must run with the same PLATFORM_OPERATOR_KEY so the tests can fund wallets)
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { verifyWebhookSignature } = require('../webhook-signatures');
 
 // Test configuration
 const BASE_URL = 'http://localhost:3000';
@@ -16,9 +24,39 @@ const API_TIMEOUT = 10000; // 10 seconds
 // Test data
 let testBank = null;
 let testBankApiKey = null;
+let testBankApiSecret = null;
 let testUserId = null;
+let testApproverUserId = null;
+let testUsername = null;
+let testApproverUsername = null;
+let testUserSession = null;
+let testApproverSession = null;
+let testAdminUserId = null;
+let testAdminSession = null;
+let testAdminMfaSecret = null;
+let testAdminRecoveryCodes = [];
 let testTransferId = null;
 let testWalletId = null;
+let testDestinationWalletId = null;
+
+// Second bank used to prove one bank cannot see or act on another bank's transfers
+let foreignBankApiKey = null;
+let foreignUserId = null;
+let foreignUserSession = null;
+let crossTenantTransferId = null;
+
+// Wallet and subwallet used by the subwallet tests
+let subwalletParentId = null;
+let testSubwalletId = null;
+
+// Password given to every test user (they sign in to act on transfers)
+const TEST_PASSWORD = 'test-password-123';
+
+// Amount deposited into the test wallet before transfers are made
+const TEST_DEPOSIT_AMOUNT = 100000;
+
+// Only the platform operator can book deposits
+const OPERATOR_HEADERS = { 'X-Operator-Key': process.env.PLATFORM_OPERATOR_KEY || '' };
 
 // Test results tracking
 const testResults = {
@@ -81,16 +119,49 @@ async function makeRequest(method, endpoint, data = null, headers = {}) {
     }
 
     const response = await axios(config);
-    return { success: true, data: response.data, status: response.status };
+    return { success: true, data: response.data, status: response.status, headers: response.headers };
   } catch (error) {
     return { 
       success: false, 
       error: error.response?.data || error.message,
-      status: error.response?.status || 500
+      status: error.response?.status || 500,
+      headers: error.response?.headers || {}
     };
   }
 }
 
+/**
+ * Headers for a request made by a signed-in user of the test bank
+ */
+function sessionHeaders(sessionToken, extra = {}) {
+  return { 'X-API-Key': testBankApiKey, 'X-Session-Token': sessionToken, ...extra };
+}
+
+/**
+ * Sign a user in and return the session token
+ */
+async function login(apiKey, username) {
+  const result = await makeRequest('POST', '/api/auth/login', { username, password: TEST_PASSWORD }, {
+    'X-API-Key': apiKey
+  });
+  assert(result.status === 200, 'Login should return 200');
+  return result.data.session_token;
+}
+
+/**
+ * Headers for a request made by the signed-in admin with an unused one-time code
+ * Recovery codes are used up in order; the last code of a set is spent on getting a new set
+ */
+async function adminStepUpHeaders() {
+  if (testAdminRecoveryCodes.length === 1) {
+    const renewed = await makeRequest('POST', '/api/auth/mfa/recovery-codes', {},
+      sessionHeaders(testAdminSession, { 'X-MFA-Code': testAdminRecoveryCodes.shift() }));
+    assert(renewed.status === 200, 'Recovery codes should be renewed');
+    testAdminRecoveryCodes = renewed.data.recovery_codes;
+  }
+  return sessionHeaders(testAdminSession, { 'X-MFA-Code': testAdminRecoveryCodes.shift() });
+}
+
 // Test functions
 
 /**
@@ -159,6 +230,7 @@ async function testBankRegistration() {
   // Store for later tests
   testBank = result.data.bank;
   testBankApiKey = result.data.api_credentials.api_key;
+  testBankApiSecret = result.data.api_credentials.api_secret;
   
   log('Bank registration test passed', 'success');
   testResults.passed++;
@@ -193,14 +265,14 @@ async function testBankProfile() {
 
 /**
  * Test user creation for a bank
- * Banks can create users with specific roles and permissions
+ * The admin creates users with specific roles and permissions, confirming with a one-time code
  * Each user gets a unique user_id and inherits permissions from their role
  */
 async function testUserCreation() {
   log('Testing User Creation...');
   
-  if (!testBankApiKey) {
-    log('Skipping user creation test - no API key available', 'error');
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0) {
+    log('Skipping user creation test - admin has no MFA', 'error');
     testResults.failed++;
     return;
   }
@@ -211,12 +283,14 @@ async function testUserCreation() {
     full_name: 'Test User',
     role: 'Operator',
     department: 'Treasury',
-    employee_id: `EMP${Date.now()}`
+    employee_id: `EMP${Date.now()}`,
+    password: TEST_PASSWORD
   };
   
-  const result = await makeRequest('POST', '/api/users/create', userData, {
-    'X-API-Key': testBankApiKey
-  });
+  const noCode = await makeRequest('POST', '/api/users/create', userData, sessionHeaders(testAdminSession));
+  assert(noCode.status === 401 && noCode.error.code === 'MFA_REQUIRED', 'User creation without a code should return 401');
+  
+  const result = await makeRequest('POST', '/api/users/create', userData, await adminStepUpHeaders());
   
   assert(result.success, 'User creation should succeed');
   assert(result.status === 201, 'User creation should return 201');
@@ -225,11 +299,264 @@ async function testUserCreation() {
   
   // Store for later tests
   testUserId = result.data.user.user_id;
+  testUsername = userData.username;
   
   log('User creation test passed', 'success');
   testResults.passed++;
 }
 
+/**
+ * Test creation of a Manager user who approves and rejects transfers
+ * Transfers of $10k+ need approval from a Manager or higher
+ */
+async function testApproverUserCreation() {
+  log('Testing Approver User Creation...');
+  
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0) {
+    log('Skipping approver user creation test - admin has no MFA', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const result = await makeRequest('POST', '/api/users/create', {
+    username: `approver${Date.now()}`,
+    email: `approver${Date.now()}@testbank.com`,
+    full_name: 'Test Approver',
+    role: 'Manager',
+    department: 'Treasury',
+    employee_id: `EMPA${Date.now()}`,
+    password: TEST_PASSWORD
+  }, await adminStepUpHeaders());
+  
+  assert(result.status === 201, 'Approver creation should return 201');
+  testApproverUserId = result.data.user.user_id;
+  testApproverUsername = result.data.user.username;
+  
+  log('Approver user creation test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test creating the bank's first user, an Admin, with the API key alone
+ * Admins can manage users and settings (approval rules) besides approving transfers; once the
+ * bank has a user, the API key alone can no longer create users
+ */
+async function testAdminUserCreation() {
+  log('Testing Admin User Creation...');
+  
+  if (!testBankApiKey) {
+    log('Skipping admin user creation test - no API key available', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const result = await makeRequest('POST', '/api/users/create', {
+    username: `admin${Date.now()}`,
+    email: `admin${Date.now()}@testbank.com`,
+    full_name: 'Test Admin',
+    role: 'Admin',
+    department: 'Operations',
+    password: TEST_PASSWORD
+  }, {
+    'X-API-Key': testBankApiKey
+  });
+  
+  assert(result.status === 201, 'Admin creation should return 201');
+  testAdminUserId = result.data.user.user_id;
+  testAdminSession = await login(testBankApiKey, result.data.user.username);
+  
+  const apiKeyOnly = await makeRequest('POST', '/api/users/create', {
+    username: `keyonly${Date.now()}`,
+    email: `keyonly${Date.now()}@testbank.com`,
+    full_name: 'API Key User',
+    role: 'Admin'
+  }, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(apiKeyOnly.status === 401, 'Creating a second user with the API key alone should return 401');
+  assert(apiKeyOnly.error.code === 'SESSION_REQUIRED', 'Error code should be SESSION_REQUIRED');
+  
+  log('Admin user creation test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test bank user sign-in
+ * Users sign in with their password and get a session token; last_login is recorded
+ */
+async function testUserLogin() {
+  log('Testing User Login...');
+  
+  if (!testUsername || !testApproverUsername) {
+    log('Skipping user login test - test users were not created', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const wrongPassword = await makeRequest('POST', '/api/auth/login', {
+    username: testUsername,
+    password: 'not-the-password'
+  }, { 'X-API-Key': testBankApiKey });
+  assert(wrongPassword.status === 401, 'Wrong password should return 401');
+  
+  const result = await makeRequest('POST', '/api/auth/login', {
+    username: testUsername,
+    password: TEST_PASSWORD
+  }, { 'X-API-Key': testBankApiKey });
+  assert(result.status === 200, 'Login should return 200');
+  assert(result.data.session_token, 'Login should return a session token');
+  assert(result.data.user.user_id === testUserId, 'Session should belong to the user');
+  testUserSession = result.data.session_token;
+  testApproverSession = await login(testBankApiKey, testApproverUsername);
+  
+  const session = await makeRequest('GET', '/api/auth/session', null, sessionHeaders(testUserSession));
+  assert(session.status === 200, 'Session lookup should return 200');
+  assert(session.data.user.user_id === testUserId, 'Session should identify the signed-in user');
+  
+  const users = await makeRequest('GET', '/api/users/list', null, { 'X-API-Key': testBankApiKey });
+  const user = users.data.users.find(u => u.user_id === testUserId);
+  assert(user.last_login, 'Login should update last_login');
+  
+  log('User login test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test sign-in lockout
+ * After 5 failed sign-ins a username is locked (unknown usernames too), and a password reset unlocks it
+ */
+async function testLoginLockout() {
+  log('Testing Login Lockout...');
+  
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0) {
+    log('Skipping login lockout test - admin has no MFA', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const created = await makeRequest('POST', '/api/users/create', {
+    username: `lockout${Date.now()}`,
+    email: `lockout${Date.now()}@testbank.com`,
+    full_name: 'Lockout User',
+    role: 'Viewer',
+    password: TEST_PASSWORD
+  }, await adminStepUpHeaders());
+  assert(created.status === 201, 'User creation should return 201');
+  const username = created.data.user.username;
+  const attempt = (name, password) => makeRequest('POST', '/api/auth/login', { username: name, password }, {
+    'X-API-Key': testBankApiKey
+  });
+  
+  for (let i = 0; i < 5; i++) {
+    const failed = await attempt(username, 'not-the-password');
+    assert(failed.status === 401, 'Wrong password should return 401 until the limit is reached');
+  }
+  const locked = await attempt(username, TEST_PASSWORD);
+  assert(locked.status === 429, 'Sign-in after 5 failures should return 429 even with the right password');
+  assert(locked.error.code === 'LOGIN_LOCKED', 'Error code should be LOGIN_LOCKED');
+  assert(locked.error.retry_after_seconds > 0, 'Error should say when to try again');
+  
+  // Unknown usernames lock out the same way, so lockouts do not reveal which usernames exist
+  const unknown = `nobody${Date.now()}`;
+  for (let i = 0; i < 5; i++) {
+    await attempt(unknown, 'not-the-password');
+  }
+  const unknownLocked = await attempt(unknown, 'not-the-password');
+  assert(unknownLocked.status === 429, 'Unknown usernames should lock out too');
+  
+  const reset = await makeRequest('POST', `/api/users/${created.data.user.user_id}/password`, {
+    password: TEST_PASSWORD
+  }, await adminStepUpHeaders());
+  assert(reset.status === 200, 'Password reset should return 200');
+  const unlocked = await attempt(username, TEST_PASSWORD);
+  assert(unlocked.status === 200, 'A password reset should lift the lockout');
+  
+  log('Login lockout test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test that transfer actions take the acting user from the session
+ * Without a session the request is rejected, a different user in the body is rejected,
+ * and a signed-out session no longer works
+ */
+async function testUserSessionEnforcement() {
+  log('Testing User Session Enforcement...');
+  
+  if (!testUserSession) {
+    log('Skipping session enforcement test - login failed', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const transferData = {
+    fromWalletId: 'wallet_1',
+    toWalletId: 'wallet_2',
+    amount: 100,
+    currency: 'USDC'
+  };
+  
+  const noSession = await makeRequest('POST', '/api/transfers/initiate', {
+    ...transferData,
+    initiated_by: testApproverUserId
+  }, { 'X-API-Key': testBankApiKey });
+  assert(noSession.status === 401, 'Transfer without a user session should return 401');
+  assert(noSession.error.code === 'SESSION_REQUIRED', 'Error code should be SESSION_REQUIRED');
+  
+  const impersonation = await makeRequest('POST', '/api/transfers/initiate', {
+    ...transferData,
+    initiated_by: testApproverUserId
+  }, sessionHeaders(testUserSession));
+  assert(impersonation.status === 403, 'Acting as another user should return 403');
+  assert(impersonation.error.code === 'USER_MISMATCH', 'Error code should be USER_MISMATCH');
+  
+  const invalid = await makeRequest('POST', '/api/transfers/initiate', transferData, sessionHeaders('ses_invalid'));
+  assert(invalid.status === 401, 'Unknown session token should return 401');
+  assert(invalid.error.code === 'SESSION_INVALID', 'Error code should be SESSION_INVALID');
+  
+  // A session of one bank cannot be used with another bank's API key
+  const foreignBank = await makeRequest('POST', '/api/banks/register', {
+    bank_name: `Session Bank ${Date.now()}`,
+    bank_code: `SB${Date.now()}`,
+    contact_email: `session${Date.now()}@sessionbank.com`,
+    country: 'Chile'
+  });
+  const crossBank = await makeRequest('GET', '/api/auth/session', null, {
+    'X-API-Key': foreignBank.data.api_credentials.api_key,
+    'X-Session-Token': testUserSession
+  });
+  assert(crossBank.status === 401, 'Session should not work with another bank\'s API key');
+  
+  const extraSession = await login(testBankApiKey, testUsername);
+  const logout = await makeRequest('POST', '/api/auth/logout', null, sessionHeaders(extraSession));
+  assert(logout.status === 200, 'Logout should return 200');
+  const afterLogout = await makeRequest('GET', '/api/auth/session', null, sessionHeaders(extraSession));
+  assert(afterLogout.status === 401, 'Signed-out session should stop working');
+  
+  log('User session enforcement test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Initiate a transfer large enough to need manual approval
+ * Used by the approval, rejection and cancellation tests
+ * @param {number} amount - Transfer amount (must be $10k or more)
+ * @returns {string} Transfer ID
+ */
+async function initiatePendingTransfer(amount) {
+  const result = await makeRequest('POST', '/api/transfers/initiate', {
+    fromWalletId: testWalletId,
+    toWalletId: testDestinationWalletId,
+    amount: amount,
+    currency: 'USDC',
+    reason: 'Test transfer needing approval'
+  }, sessionHeaders(testUserSession));
+  
+  assert(result.status === 201, 'Transfer initiation should return 201');
+  assert(result.data.transfer.status === 'pending_approval', 'Large transfer should need approval');
+  return result.data.transfer.id;
+}
+
 /**
  * Test user listing for a bank
  * Banks can view all their users with their roles and status
@@ -324,19 +651,31 @@ async function testApprovalRulesListing() {
 async function testWalletCreation() {
   log('Testing Wallet Creation...');
   
+  if (!testBankApiKey) {
+    log('Skipping wallet creation test - no API key available', 'error');
+    testResults.failed++;
+    return;
+  }
+  
   const walletData = {
-    bankName: testBank ? testBank.bank_name : 'Test Bank',
     subsidiaryName: 'Test Subsidiary',
     currency: 'USDC'
   };
   
-  const result = await makeRequest('POST', '/api/wallets/create', walletData);
+  const unauthenticated = await makeRequest('POST', '/api/wallets/create', walletData);
+  assert(unauthenticated.status === 401, 'Wallet creation without API key should return 401');
+  
+  const result = await makeRequest('POST', '/api/wallets/create', walletData, {
+    'X-API-Key': testBankApiKey
+  });
   
   assert(result.success, 'Wallet creation should succeed');
   assert(result.status === 201, 'Wallet creation should return 201');
   assert(result.data.wallet, 'Wallet creation should return wallet data');
   assert(result.data.wallet.id, 'Wallet should have id');
   assert(result.data.wallet.balance !== undefined, 'Wallet should have balance');
+  assert(result.data.wallet.bankName === testBank.bank_name, 'Wallet should belong to the authenticated bank');
+  assert(result.data.wallet.subsidiaryName === 'Test Subsidiary', 'Subsidiary name should be stored');
   
   // Store for later tests
   testWalletId = result.data.wallet.id;
@@ -345,6 +684,83 @@ async function testWalletCreation() {
   testResults.passed++;
 }
 
+/**
+ * Test creation of a second wallet used as transfer destination
+ * Transfers move real ledger balances, so the destination must be an existing wallet
+ */
+async function testDestinationWalletCreation() {
+  log('Testing Destination Wallet Creation...');
+  
+  const walletData = {
+    subsidiaryName: 'Test Destination Subsidiary',
+    currency: 'USDC'
+  };
+  
+  const result = await makeRequest('POST', '/api/wallets/create', walletData, {
+    'X-API-Key': testBankApiKey
+  });
+  
+  assert(result.success, 'Destination wallet creation should succeed');
+  assert(result.status === 201, 'Destination wallet creation should return 201');
+  assert(result.data.wallet.id, 'Destination wallet should have id');
+  
+  testDestinationWalletId = result.data.wallet.id;
+  
+  log('Destination wallet creation test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test depositing funds into a wallet
+ * Deposits are booked by the platform operator as ledger journal entries and move the wallet balance;
+ * a retry with the same Idempotency-Key is not booked twice
+ * The test wallet is funded here so later transfer tests have money to move
+ */
+async function testWalletDeposit() {
+  log('Testing Wallet Deposit...');
+  
+  if (!testWalletId || !testBankApiKey) {
+    log('Skipping wallet deposit test - missing wallet ID or API key', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const deposit = { amount: TEST_DEPOSIT_AMOUNT, reference: 'Test funding' };
+  
+  const bankDeposit = await makeRequest('POST', `/api/wallets/${testWalletId}/deposit`, deposit, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(bankDeposit.status === 401, 'A bank should not be able to fund its own wallet');
+  assert(bankDeposit.error.code === 'OPERATOR_REQUIRED', 'Error code should be OPERATOR_REQUIRED');
+  
+  const idempotencyKey = crypto.randomUUID();
+  const result = await makeRequest('POST', `/api/wallets/${testWalletId}/deposit`, deposit, {
+    ...OPERATOR_HEADERS,
+    'Idempotency-Key': idempotencyKey
+  });
+  
+  assert(result.success, 'Wallet deposit should succeed');
+  assert(result.status === 201, 'Wallet deposit should return 201');
+  assert(result.data.balance === TEST_DEPOSIT_AMOUNT, 'Balance should equal the deposited amount');
+  assert(result.data.journalEntryId, 'Deposit should return a journal entry ID');
+  
+  const replay = await makeRequest('POST', `/api/wallets/${testWalletId}/deposit`, deposit, {
+    ...OPERATOR_HEADERS,
+    'Idempotency-Key': idempotencyKey
+  });
+  assert(replay.status === 201, 'Replayed deposit should return the stored response');
+  assert(replay.headers['idempotent-replayed'] === 'true', 'Replayed deposit should be marked as replayed');
+  assert(replay.data.journalEntryId === result.data.journalEntryId, 'Replayed deposit should not book a new entry');
+  const balance = await makeRequest('GET', `/api/wallets/${testWalletId}/balance`, null, { 'X-API-Key': testBankApiKey });
+  assert(balance.data.balance === TEST_DEPOSIT_AMOUNT, 'Replayed deposit should not credit the wallet twice');
+  
+  const invalid = await makeRequest('POST', `/api/wallets/${testWalletId}/deposit`, { amount: -5 }, OPERATOR_HEADERS);
+  assert(invalid.status === 400, 'Negative deposit should return 400');
+  
+  log('Wallet deposit test passed', 'success');
+  testResults.passed++;
+}
+
 /**
  * Test wallet balance retrieval
  * Banks can check the current balance of their wallets
@@ -360,12 +776,16 @@ async function testWalletBalance() {
     return;
   }
   
-  const result = await makeRequest('GET', `/api/wallets/${testWalletId}/balance`);
+  const anonymous = await makeRequest('GET', `/api/wallets/${testWalletId}/balance`);
+  assert(anonymous.status === 401, 'Wallet balance without an API key should return 401');
+  
+  const result = await makeRequest('GET', `/api/wallets/${testWalletId}/balance`, null, { 'X-API-Key': testBankApiKey });
   
   assert(result.success, 'Wallet balance should be accessible');
   assert(result.status === 200, 'Wallet balance should return 200');
   assert(result.data.balance !== undefined, 'Wallet balance should return balance');
   assert(typeof result.data.balance === 'number', 'Balance should be a number');
+  assert(result.data.reconciled === true, 'Stored balance should match the ledger');
   
   log('Wallet balance test passed', 'success');
   testResults.passed++;
@@ -388,16 +808,13 @@ async function testTransferInitiation() {
   
   const transferData = {
     fromWalletId: testWalletId,
-    toWalletId: 'wallet_destination_001',
+    toWalletId: testDestinationWalletId,
     amount: 5000,
     currency: 'USDC',
-    initiated_by: testUserId || 'test_user',
     reason: 'Test transfer'
   };
   
-  const result = await makeRequest('POST', '/api/transfers/initiate', transferData, {
-    'X-API-Key': testBankApiKey
-  });
+  const result = await makeRequest('POST', '/api/transfers/initiate', transferData, sessionHeaders(testUserSession));
   
   assert(result.success, 'Transfer initiation should succeed');
   assert(result.status === 201, 'Transfer initiation should return 201');
@@ -412,10 +829,72 @@ async function testTransferInitiation() {
   testResults.passed++;
 }
 
+/**
+ * Test that transfers are rejected when the source wallet cannot cover amount + fee
+ * The destination test wallet has never been funded, so any transfer from it must fail
+ */
+async function testInsufficientFundsTransfer() {
+  log('Testing Insufficient Funds Transfer...');
+  
+  if (!testDestinationWalletId || !testBankApiKey) {
+    log('Skipping insufficient funds test - missing wallet ID or API key', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const result = await makeRequest('POST', '/api/transfers/initiate', {
+    fromWalletId: testDestinationWalletId,
+    toWalletId: testWalletId,
+    amount: 1000,
+    currency: 'USDC'
+  }, sessionHeaders(testUserSession));
+  
+  assert(!result.success, 'Transfer from an empty wallet should be rejected');
+  assert(result.status === 400, 'Insufficient funds should return 400');
+  assert(result.error.code === 'INSUFFICIENT_FUNDS', 'Error code should be INSUFFICIENT_FUNDS');
+  
+  log('Insufficient funds transfer test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test transfer amount validation
+ * Only positive, finite JSON numbers are accepted; strings and non-numbers never reach
+ * the fee and balance calculations
+ */
+async function testInvalidTransferAmounts() {
+  log('Testing Invalid Transfer Amounts...');
+  
+  if (!testWalletId || !testDestinationWalletId) {
+    log('Skipping invalid amount test - missing wallet IDs', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  for (const amount of ['abc', '100', -5, [100], { value: 100 }]) {
+    const result = await makeRequest('POST', '/api/transfers/initiate', {
+      fromWalletId: testWalletId,
+      toWalletId: testDestinationWalletId,
+      amount,
+      currency: 'USDC'
+    }, sessionHeaders(testUserSession));
+    assert(result.status === 400, `Amount ${JSON.stringify(amount)} should return 400`);
+  }
+  
+  // 1e999 is valid JSON that parses to Infinity
+  const infinite = await axios.post(`${BASE_URL}/api/transfers/initiate`,
+    `{"fromWalletId":"${testWalletId}","toWalletId":"${testDestinationWalletId}","amount":1e999,"currency":"USDC"}`,
+    { headers: { 'Content-Type': 'application/json', ...sessionHeaders(testUserSession) }, validateStatus: () => true });
+  assert(infinite.status === 400, 'An infinite amount should return 400');
+  
+  log('Invalid transfer amounts test passed', 'success');
+  testResults.passed++;
+}
+
 /**
  * Test transfer status checking
  * Banks can check the current status of their transfers
- * Shows if transfer is pending, approved, processing, or completed
+ * Shows if transfer is pending, approved, processing, broadcast, or confirmed
  * Includes approval progress and estimated completion time
  */
 async function testTransferStatus() {
@@ -435,6 +914,11 @@ async function testTransferStatus() {
   assert(result.status === 200, 'Transfer status should return 200');
   assert(result.data.transfer_id, 'Transfer status should return transfer_id');
   assert(result.data.status, 'Transfer should have status');
+  assert(result.data.from_wallet_id === testWalletId, 'Status should return the stored source wallet');
+  assert(result.data.to_wallet_id === testDestinationWalletId, 'Status should return the stored destination wallet');
+  assert(result.data.currency === 'USDC', 'Status should return the stored currency');
+  assert(result.data.fees === 5, 'Status should return the stored 0.1% fee');
+  assert(result.data.reason === 'Test transfer', 'Status should return the stored reason');
   
   log('Transfer status test passed', 'success');
   testResults.passed++;
@@ -468,6 +952,37 @@ async function testPendingTransfers() {
   testResults.passed++;
 }
 
+/**
+ * Test transfer history for a wallet
+ * Shows incoming and outgoing transfers with the stored counterparty, currency and fee
+ */
+async function testTransferHistory() {
+  log('Testing Transfer History...');
+  
+  if (!testWalletId || !testBankApiKey) {
+    log('Skipping transfer history test - missing wallet ID or API key', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const result = await makeRequest('GET', `/api/transfers/history/${testWalletId}`, null, {
+    'X-API-Key': testBankApiKey
+  });
+  
+  assert(result.success, 'Transfer history should be accessible');
+  assert(result.status === 200, 'Transfer history should return 200');
+  assert(Array.isArray(result.data.transfers), 'Transfers should be an array');
+  
+  const transfer = result.data.transfers.find(t => t.id === testTransferId);
+  assert(transfer, 'History should include the test transfer');
+  assert(transfer.type === 'outgoing', 'Test transfer should be outgoing for the source wallet');
+  assert(transfer.otherWallet === testDestinationWalletId, 'History should show the destination wallet');
+  assert(transfer.currency === 'USDC', 'History should show the stored currency');
+  
+  log('Transfer history test passed', 'success');
+  testResults.passed++;
+}
+
 /**
  * Test transfer approval functionality
  * Managers and admins can approve pending transfers
@@ -484,14 +999,11 @@ async function testTransferApproval() {
   }
   
   const approvalData = {
-    approver_user_id: testUserId || 'test_user',
     comments: 'Test approval',
     approval_method: 'api'
   };
   
-  const result = await makeRequest('POST', `/api/transfers/${testTransferId}/approve`, approvalData, {
-    'X-API-Key': testBankApiKey
-  });
+  const result = await makeRequest('POST', `/api/transfers/${testTransferId}/approve`, approvalData, sessionHeaders(testUserSession));
   
   // This might fail if transfer is already approved or doesn't need approval
   if (result.success) {
@@ -505,75 +1017,2434 @@ async function testTransferApproval() {
 }
 
 
-
 /**
- * Test wallet listing for a bank
- * Banks can view all their wallets and their balances
- * Helps with treasury management and liquidity overview
- * Shows wallet IDs, balances, and status for each wallet
+ * Test manual approval of a transfer that needs approval
+ * The approval is recorded and the transfer moves into settlement (processing, then broadcast)
  */
-async function testWalletListing() {
-  log('Testing Wallet Listing...');
+async function testManualTransferApproval() {
+  log('Testing Manual Transfer Approval...');
   
-  if (!testBank) {
-    log('Skipping wallet listing test - no bank data available', 'error');
+  if (!testApproverUserId || !testWalletId || !testBankApiKey) {
+    log('Skipping manual approval test - missing approver, wallet or API key', 'error');
     testResults.failed++;
     return;
   }
   
-  const result = await makeRequest('GET', `/api/wallets/list/${testBank.bank_name}`);
+  const transferId = await initiatePendingTransfer(12000);
   
-  assert(result.success, 'Wallet listing should be accessible');
-  assert(result.status === 200, 'Wallet listing should return 200');
-  assert(result.data.wallets !== undefined, 'Should return wallets data');
-  assert(Array.isArray(result.data.wallets), 'Wallets should be an array');
+  const result = await makeRequest('POST', `/api/transfers/${transferId}/approve`, {
+    comments: 'Approved by test'
+  }, sessionHeaders(testApproverSession));
   
-  log('Wallet listing test passed', 'success');
+  assert(result.status === 200, 'Transfer approval should return 200');
+  assert(result.data.status === 'approved', 'Transfer should be fully approved');
+  
+  const status = await makeRequest('GET', `/api/transfers/${transferId}/status`, null, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(['processing', 'broadcast'].includes(status.data.status), 'Approved transfer should be in settlement');
+  assert(status.data.approvals.length === 1, 'Approval should be recorded');
+  assert(status.data.approvals[0].decision === 'approved', 'Recorded decision should be approved');
+  
+  log('Manual transfer approval test passed', 'success');
   testResults.passed++;
 }
 
-// Error handling tests
-
 /**
- * Test invalid API key rejection
- * The API should reject requests with invalid API keys
- * This ensures only authorized banks can access the system
- * Should return 401 Unauthorized status
+ * Test transfer rejection
+ * A rejected transfer records the reason, releases the held funds and cannot be approved afterwards
  */
-async function testInvalidApiKey() {
-  log('Testing Invalid API Key...');
+async function testTransferRejection() {
+  log('Testing Transfer Rejection...');
   
-  const result = await makeRequest('GET', '/api/banks/profile', null, {
-    'X-API-Key': 'invalid_api_key'
+  if (!testApproverUserId || !testWalletId || !testBankApiKey) {
+    log('Skipping transfer rejection test - missing approver, wallet or API key', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const before = await makeRequest('GET', `/api/wallets/${testWalletId}/balance`, null, { 'X-API-Key': testBankApiKey });
+  const transferId = await initiatePendingTransfer(20000);
+  
+  const missingReason = await makeRequest('POST', `/api/transfers/${transferId}/reject`, {}, sessionHeaders(testApproverSession));
+  assert(missingReason.status === 400, 'Rejection without a reason should return 400');
+  
+  const result = await makeRequest('POST', `/api/transfers/${transferId}/reject`, {
+    reason: 'Beneficiary could not be verified'
+  }, sessionHeaders(testApproverSession));
+  assert(result.status === 200, 'Transfer rejection should return 200');
+  assert(result.data.status === 'rejected', 'Transfer should be rejected');
+  
+  const status = await makeRequest('GET', `/api/transfers/${transferId}/status`, null, {
+    'X-API-Key': testBankApiKey
   });
+  assert(status.data.status === 'rejected', 'Transfer status should be rejected');
+  assert(status.data.failure_reason === 'Beneficiary could not be verified', 'Rejection reason should be stored');
+  assert(status.data.approvals[0].decision === 'rejected', 'Recorded decision should be rejected');
   
-  assert(!result.success, 'Invalid API key should be rejected');
-  assert(result.status === 401, 'Invalid API key should return 401');
+  const approveAfter = await makeRequest('POST', `/api/transfers/${transferId}/approve`, {}, sessionHeaders(testApproverSession));
+  assert(approveAfter.status === 400, 'Approving a rejected transfer should return 400');
   
-  log('Invalid API key test passed', 'success');
+  const after = await makeRequest('GET', `/api/wallets/${testWalletId}/balance`, null, { 'X-API-Key': testBankApiKey });
+  assert(after.data.heldBalance === before.data.heldBalance, 'Rejected transfer should release held funds');
+  
+  log('Transfer rejection test passed', 'success');
   testResults.passed++;
 }
 
 /**
- * Test missing API key rejection
- * The API should reject requests without API keys
- * This ensures all protected endpoints require authentication
- * Should return 401 Unauthorized status
+ * Test transfer cancellation
+ * Only the initiator can cancel, and only while the transfer is pending approval
  */
-async function testMissingApiKey() {
-  log('Testing Missing API Key...');
+async function testTransferCancellation() {
+  log('Testing Transfer Cancellation...');
   
-  const result = await makeRequest('GET', '/api/banks/profile');
+  if (!testApproverUserId || !testWalletId || !testBankApiKey) {
+    log('Skipping transfer cancellation test - missing approver, wallet or API key', 'error');
+    testResults.failed++;
+    return;
+  }
   
-  assert(!result.success, 'Missing API key should be rejected');
-  assert(result.status === 401, 'Missing API key should return 401');
+  const transferId = await initiatePendingTransfer(15000);
   
-  log('Missing API key test passed', 'success');
+  const notInitiator = await makeRequest('POST', `/api/transfers/${transferId}/cancel`, {
+    reason: 'Not mine to cancel'
+  }, sessionHeaders(testApproverSession));
+  assert(notInitiator.status === 403, 'Cancellation by another user should return 403');
+  
+  const result = await makeRequest('POST', `/api/transfers/${transferId}/cancel`, {
+    reason: 'Wrong destination wallet'
+  }, sessionHeaders(testUserSession));
+  assert(result.status === 200, 'Transfer cancellation should return 200');
+  assert(result.data.status === 'cancelled', 'Transfer should be cancelled');
+  
+  const again = await makeRequest('POST', `/api/transfers/${transferId}/cancel`, {}, sessionHeaders(testUserSession));
+  assert(again.status === 400, 'Cancelling a cancelled transfer should return 400');
+  
+  log('Transfer cancellation test passed', 'success');
   testResults.passed++;
 }
 
+// Multi-factor authentication tests
+
 /**
- * Test invalid bank registration rejection
+ * Compute a TOTP code (SHA-1, 6 digits, 30 second steps) for a base32 secret
+ * @param {string} secret - Base32 secret from MFA enrollment
+ * @param {number} stepOffset - Time steps to add to the current one
+ */
+function totpCode(secret, stepOffset = 0) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bits = secret.split('').map(c => alphabet.indexOf(c).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + stepOffset));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+/**
+ * Test TOTP enrollment for the admin
+ * Enrollment returns a secret and otpauth URI; confirming with a code switches MFA on
+ * and returns recovery codes
+ */
+async function testMfaEnrollment() {
+  log('Testing MFA Enrollment...');
+  
+  if (!testAdminSession) {
+    log('Skipping MFA enrollment test - admin is not signed in', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const enroll = await makeRequest('POST', '/api/auth/mfa/enroll', {}, sessionHeaders(testAdminSession));
+  assert(enroll.status === 200, 'MFA enrollment should return 200');
+  assert(/^[A-Z2-7]{32}$/.test(enroll.data.secret), 'Secret should be base32');
+  assert(enroll.data.otpauth_uri.startsWith('otpauth://totp/'), 'Should return an otpauth URI');
+  assert(enroll.data.otpauth_uri.includes(`secret=${enroll.data.secret}`), 'otpauth URI should carry the secret');
+  testAdminMfaSecret = enroll.data.secret;
+  
+  const wrongCode = await makeRequest('POST', '/api/auth/mfa/confirm', { code: '000000' }, sessionHeaders(testAdminSession));
+  assert(wrongCode.status === 401, 'Confirming with a wrong code should return 401');
+  assert(wrongCode.error.code === 'MFA_INVALID', 'Error code should be MFA_INVALID');
+  
+  const confirm = await makeRequest('POST', '/api/auth/mfa/confirm', {
+    code: totpCode(testAdminMfaSecret)
+  }, sessionHeaders(testAdminSession));
+  assert(confirm.status === 200, 'Confirming with a valid code should return 200');
+  assert(confirm.data.recovery_codes.length === 10, 'Should return 10 recovery codes');
+  testAdminRecoveryCodes = confirm.data.recovery_codes;
+  
+  const again = await makeRequest('POST', '/api/auth/mfa/enroll', {}, sessionHeaders(testAdminSession));
+  assert(again.status === 409, 'Enrolling again while MFA is on should return 409');
+  
+  const session = await makeRequest('GET', '/api/auth/session', null, sessionHeaders(testAdminSession));
+  assert(session.data.user.mfa_enabled === true, 'Session should show MFA as enabled');
+  
+  log('MFA enrollment test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test step-up codes for large approvals, role changes and approval rule edits
+ * Codes can only be used once and the kind of code is recorded as the approval method
+ */
+async function testMfaStepUp() {
+  log('Testing MFA Step-Up...');
+  
+  if (!testAdminMfaSecret || testAdminRecoveryCodes.length === 0) {
+    log('Skipping MFA step-up test - admin has no MFA', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  // Above the default MFA approval threshold (50,000)
+  await makeRequest('POST', `/api/wallets/${testWalletId}/deposit`, { amount: 70000 }, OPERATOR_HEADERS);
+  const transferId = await initiatePendingTransfer(60000);
+  const approvePath = `/api/transfers/${transferId}/approve`;
+  
+  const notEnrolled = await makeRequest('POST', approvePath, {}, sessionHeaders(testApproverSession));
+  assert(notEnrolled.status === 403, 'Large approval without MFA set up should return 403');
+  assert(notEnrolled.error.code === 'MFA_NOT_ENROLLED', 'Error code should be MFA_NOT_ENROLLED');
+  
+  const noCode = await makeRequest('POST', approvePath, {}, sessionHeaders(testAdminSession));
+  assert(noCode.status === 401, 'Large approval without a code should return 401');
+  assert(noCode.error.code === 'MFA_REQUIRED', 'Error code should be MFA_REQUIRED');
+  
+  const wrongCode = await makeRequest('POST', approvePath, {}, sessionHeaders(testAdminSession, { 'X-MFA-Code': '000000' }));
+  assert(wrongCode.error.code === 'MFA_INVALID', 'Wrong code should return MFA_INVALID');
+  
+  // The confirmation code was for the current step, so use the next one
+  const code = totpCode(testAdminMfaSecret, 1);
+  const approved = await makeRequest('POST', approvePath, {}, sessionHeaders(testAdminSession, { 'X-MFA-Code': code }));
+  assert(approved.status === 200, 'Large approval with a fresh code should return 200');
+  assert(approved.data.approval_method === 'totp', 'Approval method should be totp');
+  
+  const status = await makeRequest('GET', `/api/transfers/${transferId}/status`, null, { 'X-API-Key': testBankApiKey });
+  assert(status.data.approvals[0].approval_method === 'totp', 'Recorded approval method should be totp');
+  
+  // Role changes need a session and a fresh code; other updates only the API key
+  const rolePath = `/api/users/${testUserId}/update`;
+  const noSession = await makeRequest('PUT', rolePath, { role: 'Operator' }, { 'X-API-Key': testBankApiKey });
+  assert(noSession.status === 401 && noSession.error.code === 'SESSION_REQUIRED', 'Role change without a session should return 401');
+  
+  const department = await makeRequest('PUT', rolePath, { department: 'Payments' }, { 'X-API-Key': testBankApiKey });
+  assert(department.status === 200, 'Updating other fields should not need a code');
+  
+  const reused = await makeRequest('PUT', rolePath, { role: 'Operator' }, sessionHeaders(testAdminSession, { 'X-MFA-Code': code }));
+  assert(reused.status === 401 && reused.error.code === 'MFA_INVALID', 'A used TOTP code should be rejected');
+  
+  const recoveryHeaders = await adminStepUpHeaders();
+  const roleChange = await makeRequest('PUT', rolePath, { role: 'Operator' }, recoveryHeaders);
+  assert(roleChange.status === 200, 'Role change with a recovery code should return 200');
+  
+  const reusedRecovery = await makeRequest('PUT', rolePath, { role: 'Operator' }, recoveryHeaders);
+  assert(reusedRecovery.error.code === 'MFA_INVALID', 'A used recovery code should be rejected');
+  
+  // Approval rule edits need a step-up code too
+  const rules = await makeRequest('GET', '/api/roles/approval-rules', null, { 'X-API-Key': testBankApiKey });
+  const rule = rules.data.approval_rules.find(r => r.rule_name === 'Very Large Transfers');
+  const rulePath = `/api/roles/approval-rules/${rule.id}/update`;
+  
+  const ruleNoCode = await makeRequest('PUT', rulePath, { rule_name: rule.rule_name }, sessionHeaders(testAdminSession));
+  assert(ruleNoCode.status === 401 && ruleNoCode.error.code === 'MFA_REQUIRED', 'Rule edit without a code should return 401');
+  
+  const ruleUpdate = await makeRequest('PUT', rulePath, { rule_name: rule.rule_name }, await adminStepUpHeaders());
+  assert(ruleUpdate.status === 200, 'Rule edit with a code should return 200');
+  
+  log('MFA step-up test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test setting another user's password
+ * Needs a signed-in user who can manage users and a fresh one-time code; the API key alone
+ * is not enough once the bank has users
+ */
+async function testPasswordReset() {
+  log('Testing Password Reset...');
+  
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0) {
+    log('Skipping password reset test - admin has no MFA', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const created = await makeRequest('POST', '/api/users/create', {
+    username: `reset${Date.now()}`,
+    email: `reset${Date.now()}@testbank.com`,
+    full_name: 'Password Reset User',
+    role: 'Viewer',
+    password: TEST_PASSWORD
+  }, await adminStepUpHeaders());
+  assert(created.status === 201, 'User creation should return 201');
+  const username = created.data.user.username;
+  const passwordPath = `/api/users/${created.data.user.user_id}/password`;
+  const newPassword = 'new-test-password-456';
+  
+  const apiKeyOnly = await makeRequest('POST', passwordPath, { password: newPassword }, { 'X-API-Key': testBankApiKey });
+  assert(apiKeyOnly.status === 401, 'Password reset with the API key alone should return 401');
+  assert(apiKeyOnly.error.code === 'SESSION_REQUIRED', 'Error code should be SESSION_REQUIRED');
+  
+  const manager = await makeRequest('POST', passwordPath, { password: newPassword }, sessionHeaders(testApproverSession));
+  assert(manager.status === 403 && manager.error.code === 'PERMISSION_DENIED', 'Manager should not be able to reset passwords');
+  
+  const noCode = await makeRequest('POST', passwordPath, { password: newPassword }, sessionHeaders(testAdminSession));
+  assert(noCode.status === 401 && noCode.error.code === 'MFA_REQUIRED', 'Password reset without a code should return 401');
+  
+  const reset = await makeRequest('POST', passwordPath, { password: newPassword }, await adminStepUpHeaders());
+  assert(reset.status === 200, 'Password reset with a code should return 200');
+  
+  const oldPassword = await makeRequest('POST', '/api/auth/login', { username, password: TEST_PASSWORD }, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(oldPassword.status === 401, 'The old password should no longer work');
+  const newLogin = await makeRequest('POST', '/api/auth/login', { username, password: newPassword }, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(newLogin.status === 200, 'The new password should work');
+  
+  log('Password reset test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test that repeated wrong step-up codes lock the user's step-ups
+ * After 5 wrong codes even a valid recovery code is refused with 429
+ */
+async function testMfaStepUpLockout() {
+  log('Testing MFA Step-Up Lockout...');
+  
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0) {
+    log('Skipping MFA lockout test - admin has no MFA', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const created = await makeRequest('POST', '/api/users/create', {
+    username: `mfalockout${Date.now()}`,
+    email: `mfalockout${Date.now()}@testbank.com`,
+    full_name: 'MFA Lockout User',
+    role: 'Viewer',
+    password: TEST_PASSWORD
+  }, await adminStepUpHeaders());
+  assert(created.status === 201, 'User creation should return 201');
+  const session = await login(testBankApiKey, created.data.user.username);
+  
+  const enroll = await makeRequest('POST', '/api/auth/mfa/enroll', {}, sessionHeaders(session));
+  const confirm = await makeRequest('POST', '/api/auth/mfa/confirm', { code: totpCode(enroll.data.secret) }, sessionHeaders(session));
+  assert(confirm.status === 200, 'User should be able to set up MFA');
+  const [recoveryCode] = confirm.data.recovery_codes;
+  const stepUp = code => makeRequest('POST', '/api/auth/mfa/recovery-codes', {}, sessionHeaders(session, { 'X-MFA-Code': code }));
+  
+  for (let i = 0; i < 5; i++) {
+    const wrong = await stepUp('000000-wrong');
+    assert(wrong.status === 401 && wrong.error.code === 'MFA_INVALID', 'Wrong code should return 401 until the limit is reached');
+  }
+  const locked = await stepUp(recoveryCode);
+  assert(locked.status === 429, 'Step-up after 5 wrong codes should return 429 even with a valid code');
+  assert(locked.error.code === 'MFA_LOCKED', 'Error code should be MFA_LOCKED');
+  assert(locked.error.retry_after_seconds > 0, 'Error should say when to try again');
+  assert(Number(locked.headers['retry-after']) > 0, 'Response should have a Retry-After header');
+  
+  log('MFA step-up lockout test passed', 'success');
+  testResults.passed++;
+}
+
+// Authorization tests
+
+/**
+ * Test that role permissions and transfer limits are enforced
+ * Viewers cannot initiate, Operators cannot approve or go above their limit,
+ * and only roles that can manage users or settings can do so
+ */
+async function testRolePermissions() {
+  log('Testing Role Permissions...');
+  
+  if (!testUserSession || !testApproverSession || !testAdminSession) {
+    log('Skipping role permissions test - test users are not signed in', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const viewer = await makeRequest('POST', '/api/users/create', {
+    username: `viewer${Date.now()}`,
+    email: `viewer${Date.now()}@testbank.com`,
+    full_name: 'Test Viewer',
+    role: 'Viewer',
+    password: TEST_PASSWORD
+  }, await adminStepUpHeaders());
+  assert(viewer.status === 201, 'Admin should be able to create users');
+  const viewerSession = await login(testBankApiKey, viewer.data.user.username);
+  
+  const transferData = {
+    fromWalletId: testWalletId,
+    toWalletId: testDestinationWalletId,
+    amount: 100,
+    currency: 'USDC'
+  };
+  
+  const viewerTransfer = await makeRequest('POST', '/api/transfers/initiate', transferData, sessionHeaders(viewerSession));
+  assert(viewerTransfer.status === 403, 'Viewer should not be able to initiate transfers');
+  assert(viewerTransfer.error.code === 'PERMISSION_DENIED', 'Error code should be PERMISSION_DENIED');
+  
+  // Operators can initiate up to 100,000
+  const overLimit = await makeRequest('POST', '/api/transfers/initiate', { ...transferData, amount: 150000 }, sessionHeaders(testUserSession));
+  assert(overLimit.status === 403, 'Transfer above the role limit should return 403');
+  assert(overLimit.error.code === 'TRANSFER_LIMIT_EXCEEDED', 'Error code should be TRANSFER_LIMIT_EXCEEDED');
+  assert(overLimit.error.max_transfer_amount === 100000, 'Error should include the role limit');
+  
+  const transferId = await initiatePendingTransfer(11000);
+  const operatorApproval = await makeRequest('POST', `/api/transfers/${transferId}/approve`, {}, sessionHeaders(testUserSession));
+  assert(operatorApproval.status === 403, 'Operator should not be able to approve transfers');
+  assert(operatorApproval.error.code === 'PERMISSION_DENIED', 'Error code should be PERMISSION_DENIED');
+  await makeRequest('POST', `/api/transfers/${transferId}/cancel`, {}, sessionHeaders(testUserSession));
+  
+  // Managers cannot manage users or approval rules
+  const managerCreate = await makeRequest('POST', '/api/users/create', {
+    username: `blocked${Date.now()}`,
+    email: `blocked${Date.now()}@testbank.com`,
+    full_name: 'Blocked User',
+    role: 'Viewer'
+  }, sessionHeaders(testApproverSession));
+  assert(managerCreate.status === 403, 'Manager should not be able to create users');
+  assert(managerCreate.error.code === 'PERMISSION_DENIED', 'Error code should be PERMISSION_DENIED');
+  
+  const managerRule = await makeRequest('POST', '/api/roles/approval-rules/create', {
+    rule_name: 'Blocked Rule',
+    min_amount: 1000000,
+    required_role_level: 10,
+    required_approvals: 1
+  }, sessionHeaders(testApproverSession));
+  assert(managerRule.status === 403, 'Manager should not be able to create approval rules');
+  assert(managerRule.error.code === 'PERMISSION_DENIED', 'Error code should be PERMISSION_DENIED');
+  
+  log('Role permissions test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test custom role management
+ * A role can be created, used, renamed and retired once unused; every change is audited
+ */
+async function testCustomRoles() {
+  log('Testing Custom Roles...');
+  
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0) {
+    log('Skipping custom roles test - admin has no MFA', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const roleName = `Treasury Analyst ${Date.now()}`;
+  const roleData = {
+    role_name: roleName,
+    role_level: 6,
+    permissions: ['transfers', 'reports'],
+    max_transfer_amount: 250000
+  };
+  
+  const managerCreate = await makeRequest('POST', '/api/roles/create', roleData, sessionHeaders(testApproverSession));
+  assert(managerCreate.status === 403, 'Manager should not be able to create roles');
+  
+  const created = await makeRequest('POST', '/api/roles/create', roleData, await adminStepUpHeaders());
+  assert(created.status === 201, 'Role creation should return 201');
+  assert(created.data.role.role_level === 6, 'Role should have level 6');
+  assert(created.data.role.can_approve_transfers === false, 'Flags should default to false');
+  const roleId = created.data.role.id;
+  
+  const duplicate = await makeRequest('POST', '/api/roles/create', roleData, await adminStepUpHeaders());
+  assert(duplicate.status === 409, 'Duplicate role name should return 409');
+  
+  const user = await makeRequest('POST', '/api/users/create', {
+    username: `analyst${Date.now()}`,
+    email: `analyst${Date.now()}@testbank.com`,
+    full_name: 'Test Analyst',
+    role: roleName
+  }, await adminStepUpHeaders());
+  assert(user.status === 201, 'User with the custom role should be created');
+  
+  const inUse = await makeRequest('DELETE', `/api/roles/${roleId}/delete`, null, await adminStepUpHeaders());
+  assert(inUse.status === 409, 'Deleting a role with active users should return 409');
+  assert(inUse.error.code === 'ROLE_IN_USE', 'Error code should be ROLE_IN_USE');
+  assert(inUse.error.active_users === 1, 'Error should count the active users');
+  
+  const renamed = await makeRequest('PUT', `/api/roles/${roleId}/update`, {
+    role_name: `${roleName} II`,
+    max_transfer_amount: 300000
+  }, await adminStepUpHeaders());
+  assert(renamed.status === 200, 'Role update should return 200');
+  assert(renamed.data.role.max_transfer_amount === 300000, 'Limit should be updated');
+  
+  const users = await makeRequest('GET', '/api/users/list', null, { 'X-API-Key': testBankApiKey });
+  const analyst = users.data.users.find(u => u.user_id === user.data.user.user_id);
+  assert(analyst.role === `${roleName} II`, 'Renaming a role should rename it for its users');
+  
+  const keyOnlyDeactivate = await makeRequest('POST', `/api/users/${analyst.user_id}/deactivate`, {}, { 'X-API-Key': testBankApiKey });
+  assert(keyOnlyDeactivate.status === 401, 'Deactivating a user with the API key alone should return 401');
+  const keyOnlyStatus = await makeRequest('PUT', `/api/users/${analyst.user_id}/update`, { status: 'inactive' }, { 'X-API-Key': testBankApiKey });
+  assert(keyOnlyStatus.status === 400, 'Changing status through update should return 400');
+  assert(keyOnlyStatus.error.code === 'STATUS_NOT_UPDATABLE', 'Error code should be STATUS_NOT_UPDATABLE');
+  const deactivated = await makeRequest('POST', `/api/users/${analyst.user_id}/deactivate`, {}, await adminStepUpHeaders());
+  assert(deactivated.status === 200, 'Admin should be able to deactivate users');
+  const keyOnlyReactivate = await makeRequest('POST', `/api/users/${analyst.user_id}/reactivate`, {}, { 'X-API-Key': testBankApiKey });
+  assert(keyOnlyReactivate.status === 401, 'Reactivating a user with the API key alone should return 401');
+  const reactivated = await makeRequest('POST', `/api/users/${analyst.user_id}/reactivate`, {}, await adminStepUpHeaders());
+  assert(reactivated.status === 200, 'Admin should be able to reactivate users');
+  const redeactivated = await makeRequest('POST', `/api/users/${analyst.user_id}/deactivate`, {}, await adminStepUpHeaders());
+  assert(redeactivated.status === 200, 'Admin should be able to deactivate the user again');
+  const deleted = await makeRequest('DELETE', `/api/roles/${roleId}/delete`, null, await adminStepUpHeaders());
+  assert(deleted.status === 200, 'Deleting an unused role should return 200');
+  
+  const audit = await makeRequest('GET', `/api/roles/audit-log?role_id=${roleId}`, null, { 'X-API-Key': testBankApiKey });
+  assert(audit.status === 200, 'Audit log should return 200');
+  assert(audit.data.entries.map(e => e.action).join(',') === 'deleted,updated,created', 'Every change should be audited');
+  assert(audit.data.entries.every(e => e.actor === testAdminUserId), 'Audit entries should record the admin');
+  assert(audit.data.entries[1].before.max_transfer_amount === 250000, 'Update entry should keep the old values');
+  assert(audit.data.entries[1].after.max_transfer_amount === 300000, 'Update entry should keep the new values');
+  
+  log('Custom roles test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test that role changes cannot raise anyone's privileges
+ * Nobody can change their own role, a limit is required on create, and a "Settings Manager"
+ * (level 9, can modify settings only) cannot grant flags, permissions or limits it lacks
+ */
+async function testRoleEscalation() {
+  log('Testing Role Escalation...');
+  
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0) {
+    log('Skipping role escalation test - admin has no MFA', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const roles = await makeRequest('GET', '/api/roles/list', null, { 'X-API-Key': testBankApiKey });
+  const adminRole = roles.data.roles.find(role => role.role_name === 'Admin');
+  
+  const ownRole = await makeRequest('PUT', `/api/roles/${adminRole.id}/update`, { max_transfer_amount: null },
+    await adminStepUpHeaders());
+  assert(ownRole.status === 403, 'Changing one\'s own role should return 403');
+  assert(ownRole.error.code === 'PERMISSION_DENIED', 'Error code should be PERMISSION_DENIED');
+  
+  const noLimit = await makeRequest('POST', '/api/roles/create', {
+    role_name: `No Limit ${Date.now()}`,
+    role_level: 6
+  }, await adminStepUpHeaders());
+  assert(noLimit.status === 400, 'Creating a role without max_transfer_amount should return 400');
+  
+  const unlimited = await makeRequest('POST', '/api/roles/create', {
+    role_name: `Unlimited ${Date.now()}`,
+    role_level: 10,
+    permissions: ['all'],
+    max_transfer_amount: null
+  }, await adminStepUpHeaders());
+  assert(unlimited.status === 403, 'Granting a limit above one\'s own should return 403');
+  
+  const roleName = `Settings Manager ${Date.now()}`;
+  const role = await makeRequest('POST', '/api/roles/create', {
+    role_name: roleName,
+    role_level: 9,
+    permissions: ['reports'],
+    max_transfer_amount: 0,
+    can_modify_settings: true
+  }, await adminStepUpHeaders());
+  assert(role.status === 201, 'Role creation should return 201');
+  
+  const settingsManager = await makeRequest('POST', '/api/users/create', {
+    username: `settingsmanager${Date.now()}`,
+    email: `settingsmanager${Date.now()}@testbank.com`,
+    full_name: 'Test Settings Manager',
+    role: roleName,
+    password: TEST_PASSWORD
+  }, await adminStepUpHeaders());
+  assert(settingsManager.status === 201, 'Settings Manager creation should return 201');
+  const session = await login(testBankApiKey, settingsManager.data.user.username);
+  const enroll = await makeRequest('POST', '/api/auth/mfa/enroll', {}, sessionHeaders(session));
+  const confirm = await makeRequest('POST', '/api/auth/mfa/confirm', { code: totpCode(enroll.data.secret) }, sessionHeaders(session));
+  assert(confirm.status === 200, 'Settings Manager should be able to set up MFA');
+  const codes = confirm.data.recovery_codes;
+  const headers = () => sessionHeaders(session, { 'X-MFA-Code': codes.shift() });
+  
+  const flagged = await makeRequest('POST', '/api/roles/create', {
+    role_name: `Approver ${Date.now()}`,
+    role_level: 9,
+    permissions: ['reports'],
+    max_transfer_amount: 0,
+    can_approve_transfers: true
+  }, headers());
+  assert(flagged.status === 403, 'Creating a role with a flag the creator lacks should return 403');
+  
+  const viewerRole = roles.data.roles.find(role => role.role_name === 'Viewer');
+  const allPermissions = await makeRequest('PUT', `/api/roles/${viewerRole.id}/update`, { permissions: ['all'] }, headers());
+  assert(allPermissions.status === 403, 'Granting a permission the user lacks should return 403');
+  const raisedLimit = await makeRequest('PUT', `/api/roles/${viewerRole.id}/update`, { max_transfer_amount: 1000 }, headers());
+  assert(raisedLimit.status === 403, 'Granting a limit above one\'s own should return 403');
+  
+  const selfUpdate = await makeRequest('PUT', `/api/roles/${role.data.role.id}/update`, {
+    can_approve_transfers: true, max_transfer_amount: null
+  }, headers());
+  assert(selfUpdate.status === 403, 'A Settings Manager should not be able to change their own role');
+  
+  // Retire the Settings Manager and their role
+  await makeRequest('POST', `/api/users/${settingsManager.data.user.user_id}/deactivate`, {}, await adminStepUpHeaders());
+  const deleted = await makeRequest('DELETE', `/api/roles/${role.data.role.id}/delete`, null, await adminStepUpHeaders());
+  assert(deleted.status === 200, 'Unused role should be deleted');
+  
+  log('Role escalation test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test that users who manage users cannot grant roles above their own level
+ * A "User Manager" role (level 8, can create users) may create Viewers but not Admins,
+ * and cannot deactivate an Admin
+ */
+async function testUserManagementAuthorization() {
+  log('Testing User Management Authorization...');
+  
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0) {
+    log('Skipping user management authorization test - admin has no MFA', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const roleName = `User Manager ${Date.now()}`;
+  const role = await makeRequest('POST', '/api/roles/create', {
+    role_name: roleName,
+    role_level: 8,
+    permissions: ['reports'],
+    max_transfer_amount: 0,
+    can_create_users: true
+  }, await adminStepUpHeaders());
+  assert(role.status === 201, 'Role creation should return 201');
+  
+  const userManager = await makeRequest('POST', '/api/users/create', {
+    username: `usermanager${Date.now()}`,
+    email: `usermanager${Date.now()}@testbank.com`,
+    full_name: 'Test User Manager',
+    role: roleName,
+    password: TEST_PASSWORD
+  }, await adminStepUpHeaders());
+  assert(userManager.status === 201, 'User Manager creation should return 201');
+  const session = await login(testBankApiKey, userManager.data.user.username);
+  
+  // The User Manager sets up MFA so they can confirm user changes
+  const enroll = await makeRequest('POST', '/api/auth/mfa/enroll', {}, sessionHeaders(session));
+  const confirm = await makeRequest('POST', '/api/auth/mfa/confirm', { code: totpCode(enroll.data.secret) }, sessionHeaders(session));
+  assert(confirm.status === 200, 'User Manager should be able to set up MFA');
+  const [firstCode, secondCode, thirdCode] = confirm.data.recovery_codes;
+  
+  const newUser = role => ({
+    username: `granted${role}${Date.now()}`,
+    email: `granted${role}${Date.now()}@testbank.com`,
+    full_name: `Granted ${role}`,
+    role
+  });
+  
+  const admin = await makeRequest('POST', '/api/users/create', newUser('Admin'),
+    sessionHeaders(session, { 'X-MFA-Code': firstCode }));
+  assert(admin.status === 403, 'Granting a higher-level role should return 403');
+  assert(admin.error.code === 'PERMISSION_DENIED', 'Error code should be PERMISSION_DENIED');
+  
+  const viewer = await makeRequest('POST', '/api/users/create', newUser('Viewer'),
+    sessionHeaders(session, { 'X-MFA-Code': secondCode }));
+  assert(viewer.status === 201, 'Granting a lower-level role should return 201');
+  
+  const deactivateAdmin = await makeRequest('POST', `/api/users/${testAdminUserId}/deactivate`, {},
+    sessionHeaders(session, { 'X-MFA-Code': thirdCode }));
+  assert(deactivateAdmin.status === 403, 'Deactivating a higher-level user should return 403');
+  assert(deactivateAdmin.error.code === 'PERMISSION_DENIED', 'Error code should be PERMISSION_DENIED');
+  
+  // Retire the User Manager and their role
+  await makeRequest('POST', `/api/users/${userManager.data.user.user_id}/deactivate`, {}, await adminStepUpHeaders());
+  const deleted = await makeRequest('DELETE', `/api/roles/${role.data.role.id}/delete`, null, await adminStepUpHeaders());
+  assert(deleted.status === 200, 'Unused role should be deleted');
+  
+  log('User management authorization test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test approval rule validation and simulation
+ * Overlapping amount ranges are rejected; coverage and the simulator show which rule applies
+ */
+async function testApprovalRuleValidation() {
+  log('Testing Approval Rule Validation...');
+  
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0) {
+    log('Skipping approval rule validation test - admin has no MFA', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  
+  const overlap = await makeRequest('POST', '/api/roles/approval-rules/create', {
+    rule_name: 'Overlapping Rule',
+    min_amount: 40000,
+    max_amount: 60000,
+    required_role_level: 7,
+    required_approvals: 1
+  }, await adminStepUpHeaders());
+  assert(overlap.status === 409, 'Overlapping rule should return 409');
+  assert(overlap.error.code === 'RULE_OVERLAP', 'Error code should be RULE_OVERLAP');
+  assert(overlap.error.overlapping_rules.map(r => r.rule_name).join(',') === 'Medium Transfers,Large Transfers',
+    'Error should list the overlapping rules');
+  
+  const rules = await makeRequest('GET', '/api/roles/approval-rules', null, { 'X-API-Key': testBankApiKey });
+  const medium = rules.data.approval_rules.find(r => r.rule_name === 'Medium Transfers');
+  const widened = await makeRequest('PUT', `/api/roles/approval-rules/${medium.id}/update`, {
+    max_amount: 50000
+  }, await adminStepUpHeaders());
+  assert(widened.status === 409, 'Widening a rule into the next one should return 409');
+  
+  const coverage = await makeRequest('GET', '/api/roles/approval-rules/coverage', null, { 'X-API-Key': testBankApiKey });
+  assert(coverage.status === 200, 'Coverage should return 200');
+  assert(coverage.data.fully_covered === true, 'Default rules should cover every amount');
+  
+  const medium12k = await makeRequest('POST', '/api/roles/approval-rules/simulate', { amount: 12000 }, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(medium12k.status === 200, 'Simulation should return 200');
+  assert(medium12k.data.rule.rule_name === 'Medium Transfers', '12,000 should match Medium Transfers');
+  assert(medium12k.data.required_approvals === 1, 'Medium transfers should need one approval');
+  assert(medium12k.data.mfa_required === false, 'Medium transfers should not need MFA');
+  assert(medium12k.data.eligible_approver_roles.includes('Manager'), 'Managers should be able to approve');
+  
+  const veryLarge = await makeRequest('POST', '/api/roles/approval-rules/simulate', { amount: 300000 }, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(veryLarge.data.rule.rule_name === 'Very Large Transfers', '300,000 should match Very Large Transfers');
+  assert(veryLarge.data.required_approvals === 2, 'Very large transfers should need two approvals');
+  assert(veryLarge.data.mfa_required === true, 'Very large transfers should need MFA');
+  
+  // Amounts are matched in whole cents, so sub-cent amounts at a boundary still match a rule
+  const belowBoundary = await makeRequest('POST', '/api/roles/approval-rules/simulate', { amount: 49999.994 }, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(belowBoundary.data.rule.rule_name === 'Medium Transfers', '49,999.994 should match Medium Transfers');
+  const atBoundary = await makeRequest('POST', '/api/roles/approval-rules/simulate', { amount: 49999.995 }, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(atBoundary.data.in_coverage_gap === false, '49,999.995 should not fall in a coverage gap');
+  assert(atBoundary.data.rule.rule_name === 'Large Transfers', '49,999.995 should match Large Transfers');
+  
+  const invalid = await makeRequest('POST', '/api/roles/approval-rules/simulate', { amount: -5 }, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(invalid.status === 400, 'Invalid amount should return 400');
+  
+  log('Approval rule validation test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test approval requirement snapshots
+ * A pending transfer keeps the rule version it matched when a rule is edited; every version is kept
+ */
+async function testApprovalSnapshot() {
+  log('Testing Approval Snapshot...');
+  
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0) {
+    log('Skipping approval snapshot test - admin has no MFA', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const transferId = await initiatePendingTransfer(12000);
+  const before = await makeRequest('GET', `/api/transfers/${transferId}/status`, null, { 'X-API-Key': testBankApiKey });
+  const snapshot = before.data.approval_rule;
+  assert(snapshot.required_role_level === 7, 'Transfer should snapshot the Medium Transfers role level');
+  
+  // Raise the rule above the Manager level while the transfer is pending
+  const rulePath = `/api/roles/approval-rules/${snapshot.rule_id}/update`;
+  const raised = await makeRequest('PUT', rulePath, { required_role_level: 10 }, await adminStepUpHeaders());
+  assert(raised.status === 200, 'Rule update should return 200');
+  assert(raised.data.rule.version === snapshot.version + 1, 'Rule update should create a new version');
+  
+  const approved = await makeRequest('POST', `/api/transfers/${transferId}/approve`, {
+    comments: 'Approved against the snapshot'
+  }, sessionHeaders(testApproverSession));
+  assert(approved.status === 200, 'Pending transfer should be approved against its snapshot');
+  
+  const simulated = await makeRequest('POST', '/api/roles/approval-rules/simulate', { amount: 12000 }, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(simulated.data.required_role_level === 10, 'New transfers should use the updated rule');
+  
+  const restored = await makeRequest('PUT', rulePath, { required_role_level: 7 }, await adminStepUpHeaders());
+  assert(restored.status === 200, 'Rule should be restored');
+  
+  const history = await makeRequest('GET', `/api/roles/approval-rules/${snapshot.rule_id}/versions`, null, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(history.status === 200, 'Rule history should return 200');
+  const levels = history.data.versions.slice(-3).map(v => v.required_role_level).join(',');
+  assert(levels === '7,10,7', 'History should keep every version of the rule');
+  assert(history.data.versions.find(v => v.version === snapshot.version).required_role_level === 7,
+    'The version a transfer matched should be reconstructable');
+  
+  log('Approval snapshot test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test segregation of duties
+ * Initiators cannot approve their own transfers; with the department policy on, a two-approval
+ * transfer needs approvers from different departments
+ */
+async function testSegregationOfDuties() {
+  log('Testing Segregation of Duties...');
+  
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0) {
+    log('Skipping segregation of duties test - admin has no MFA', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const policyPath = '/api/roles/approval-rules/policy';
+  
+  const defaults = await makeRequest('GET', policyPath, null, { 'X-API-Key': testBankApiKey });
+  assert(defaults.status === 200, 'Approval policy should return 200');
+  assert(defaults.data.approval_policy.block_self_approval === true, 'Self-approval should be blocked by default');
+  assert(defaults.data.approval_policy.require_distinct_departments === false, 'Departments should not be checked by default');
+  
+  // The Manager initiates a transfer and tries to approve it
+  const own = await makeRequest('POST', '/api/transfers/initiate', {
+    fromWalletId: testWalletId,
+    toWalletId: testDestinationWalletId,
+    amount: 11000,
+    currency: 'USDC',
+    reason: 'Self-approval attempt'
+  }, sessionHeaders(testApproverSession));
+  assert(own.status === 201, 'Manager should be able to initiate a transfer');
+  const selfApproval = await makeRequest('POST', `/api/transfers/${own.data.transfer.id}/approve`, {},
+    sessionHeaders(testApproverSession));
+  assert(selfApproval.status === 403, 'Self-approval should return 403');
+  assert(selfApproval.error.code === 'SELF_APPROVAL', 'Error code should be SELF_APPROVAL');
+  const selfRejection = await makeRequest('POST', `/api/transfers/${own.data.transfer.id}/reject`,
+    { reason: 'Self-rejection attempt' }, sessionHeaders(testApproverSession));
+  assert(selfRejection.status === 403, 'Self-rejection should return 403');
+  assert(selfRejection.error.code === 'SELF_APPROVAL', 'Error code should be SELF_APPROVAL');
+  await makeRequest('POST', `/api/transfers/${own.data.transfer.id}/cancel`, { reason: 'Test cleanup' },
+    sessionHeaders(testApproverSession));
+  
+  // Two approvals from different departments for medium transfers
+  const invalid = await makeRequest('PUT', policyPath, { require_distinct_departments: 'yes' }, await adminStepUpHeaders());
+  assert(invalid.status === 400, 'Non-boolean setting should return 400');
+  const enabled = await makeRequest('PUT', policyPath, { require_distinct_departments: true }, await adminStepUpHeaders());
+  assert(enabled.status === 200, 'Policy update should return 200');
+  assert(enabled.data.approval_policy.require_distinct_departments === true, 'Department check should be on');
+  
+  const rules = await makeRequest('GET', '/api/roles/approval-rules', null, { 'X-API-Key': testBankApiKey });
+  const medium = rules.data.approval_rules.find(r => r.rule_name === 'Medium Transfers');
+  const rulePath = `/api/roles/approval-rules/${medium.id}/update`;
+  await makeRequest('PUT', rulePath, { required_approvals: 2 }, await adminStepUpHeaders());
+  const transferId = await initiatePendingTransfer(13000);
+  await makeRequest('PUT', rulePath, { required_approvals: 1 }, await adminStepUpHeaders());
+  
+  const first = await makeRequest('POST', `/api/transfers/${transferId}/approve`, {}, sessionHeaders(testApproverSession));
+  assert(first.status === 200 && first.data.status === 'pending_approval', 'First approval should leave the transfer pending');
+  
+  // Manager and Admin in the same department
+  const adminPath = `/api/users/${testAdminUserId}/update`;
+  await makeRequest('PUT', adminPath, { department: 'Treasury' }, { 'X-API-Key': testBankApiKey });
+  const sameDepartment = await makeRequest('POST', `/api/transfers/${transferId}/approve`, {}, sessionHeaders(testAdminSession));
+  assert(sameDepartment.status === 403, 'Second approval from the same department should return 403');
+  assert(sameDepartment.error.code === 'SAME_DEPARTMENT', 'Error code should be SAME_DEPARTMENT');
+  
+  await makeRequest('PUT', adminPath, { department: 'Operations' }, { 'X-API-Key': testBankApiKey });
+  const second = await makeRequest('POST', `/api/transfers/${transferId}/approve`, {}, sessionHeaders(testAdminSession));
+  assert(second.status === 200 && second.data.status === 'approved', 'Approval from another department should complete the transfer');
+  
+  const disabled = await makeRequest('PUT', policyPath, { require_distinct_departments: false }, await adminStepUpHeaders());
+  assert(disabled.data.approval_policy.require_distinct_departments === false, 'Department check should be off again');
+  
+  log('Segregation of duties test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test approval rule updates
+ * max_amount: null removes the upper limit, and required_role_level must match an existing role
+ */
+async function testApprovalRuleUpdate() {
+  log('Testing Approval Rule Update...');
+  
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0) {
+    log('Skipping approval rule update test - admin has no MFA', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const rules = await makeRequest('GET', '/api/roles/approval-rules', null, { 'X-API-Key': testBankApiKey });
+  const large = rules.data.approval_rules.find(r => r.rule_name === 'Large Transfers');
+  
+  // Removing the upper limit would run into Very Large Transfers
+  const unbounded = await makeRequest('PUT', `/api/roles/approval-rules/${large.id}/update`, {
+    max_amount: null
+  }, await adminStepUpHeaders());
+  assert(unbounded.status === 409, 'Clearing max_amount should be checked as an unbounded range');
+  assert(unbounded.error.overlapping_rules.some(r => r.rule_name === 'Very Large Transfers'),
+    'Unbounded range should overlap Very Large Transfers');
+  
+  const unknownLevel = await makeRequest('PUT', `/api/roles/approval-rules/${large.id}/update`, {
+    required_role_level: 99
+  }, await adminStepUpHeaders());
+  assert(unknownLevel.status === 400, 'Unknown required_role_level should return 400');
+  assert(Array.isArray(unknownLevel.error.available_roles), 'Error should list the available roles');
+  
+  const unchanged = await makeRequest('GET', '/api/roles/approval-rules', null, { 'X-API-Key': testBankApiKey });
+  const after = unchanged.data.approval_rules.find(r => r.id === large.id);
+  assert(after.max_amount === large.max_amount && after.required_role_level === large.required_role_level,
+    'Rejected updates should not change the rule');
+  
+  log('Approval rule update test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test approval delegation
+ * A Manager on leave hands their authority to the Admin, who is notified about pending
+ * transfers for them and approves on their behalf until the delegation is revoked
+ */
+async function testApprovalDelegation() {
+  log('Testing Approval Delegation...');
+  
+  if (!testApproverSession || !testAdminSession) {
+    log('Skipping approval delegation test - no sessions available', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const endsAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  
+  // The delegate needs at least the Manager's role level
+  const tooLow = await makeRequest('POST', '/api/delegations/create', {
+    delegate_user_id: testUserId,
+    ends_at: endsAt
+  }, sessionHeaders(testApproverSession));
+  assert(tooLow.status === 400, 'Delegating to a lower role level should return 400');
+  assert(tooLow.error.code === 'DELEGATE_LEVEL_TOO_LOW', 'Error code should be DELEGATE_LEVEL_TOO_LOW');
+  
+  const created = await makeRequest('POST', '/api/delegations/create', {
+    delegate_user_id: testAdminUserId,
+    ends_at: endsAt,
+    reason: 'Annual leave'
+  }, sessionHeaders(testApproverSession));
+  assert(created.status === 201, 'Delegation creation should return 201');
+  const delegationId = created.data.delegation.id;
+  
+  const overlap = await makeRequest('POST', '/api/delegations/create', {
+    delegate_user_id: testAdminUserId,
+    ends_at: endsAt
+  }, sessionHeaders(testApproverSession));
+  assert(overlap.status === 409, 'Overlapping delegation should return 409');
+  assert(overlap.error.code === 'DELEGATION_OVERLAP', 'Error code should be DELEGATION_OVERLAP');
+  
+  // The Manager's approval_required notification goes to the Admin
+  const transferId = await initiatePendingTransfer(12000);
+  const findNotification = async userId => {
+    const list = await makeRequest('GET', `/api/notifications/list?user_id=${userId}`, null, { 'X-API-Key': testBankApiKey });
+    return list.data.notifications.find(n => n.metadata && JSON.parse(n.metadata).transfer_id === transferId);
+  };
+  const adminNotification = await findNotification(testAdminUserId);
+  assert(adminNotification, 'Delegate should be notified about the pending transfer');
+  assert(JSON.parse(adminNotification.metadata).on_behalf_of.includes(testApproverUserId),
+    'Notification should say it is on behalf of the Manager');
+  assert(!(await findNotification(testApproverUserId)), 'Manager on leave should not be notified');
+  
+  const approved = await makeRequest('POST', `/api/transfers/${transferId}/approve`, {
+    on_behalf_of: testApproverUserId
+  }, sessionHeaders(testAdminSession));
+  assert(approved.status === 200, 'Delegated approval should return 200');
+  assert(approved.data.on_behalf_of === testApproverUserId, 'Approval should be recorded on behalf of the Manager');
+  
+  const status = await makeRequest('GET', `/api/transfers/${transferId}/status`, null, { 'X-API-Key': testBankApiKey });
+  assert(status.data.approvals.some(a => a.on_behalf_of === testApproverUserId), 'Transfer approvals should show the delegation');
+  
+  // Once revoked, the Admin can no longer act for the Manager
+  const revoked = await makeRequest('POST', `/api/delegations/${delegationId}/revoke`, {}, sessionHeaders(testApproverSession));
+  assert(revoked.status === 200 && revoked.data.delegation.status === 'revoked', 'Revocation should return 200');
+  
+  const pendingId = await initiatePendingTransfer(12000);
+  const afterRevoke = await makeRequest('POST', `/api/transfers/${pendingId}/approve`, {
+    on_behalf_of: testApproverUserId
+  }, sessionHeaders(testAdminSession));
+  assert(afterRevoke.status === 403, 'Approval after revocation should return 403');
+  assert(afterRevoke.error.code === 'DELEGATION_NOT_FOUND', 'Error code should be DELEGATION_NOT_FOUND');
+  await makeRequest('POST', `/api/transfers/${pendingId}/cancel`, { reason: 'Test cleanup' }, sessionHeaders(testUserSession));
+  
+  log('Approval delegation test passed', 'success');
+  testResults.passed++;
+}
+
+// Transfer event tests
+
+/**
+ * Start a local HTTP server that records the webhook requests it receives
+ * It answers with statusCode until respondWith() changes it
+ */
+function startWebhookReceiver(statusCode = 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: JSON.parse(body), raw: body });
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: statusCode < 300 }));
+    });
+  });
+  
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/webhooks`,
+        received,
+        respondWith: code => { statusCode = code; },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Test transfer lifecycle events
+ * A transfer's state changes reach the initiator in-app (unless they turn transfer
+ * notifications off) and the bank's webhooks subscribed to the event
+ */
+async function testTransferEvents() {
+  log('Testing Transfer Events...');
+  
+  if (!testUserSession || !testBankApiKey) {
+    log('Skipping transfer events test - no session available', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const receiver = await startWebhookReceiver();
+  try {
+    const webhook = await makeRequest('POST', '/api/notifications/webhooks', {
+      name: 'Transfer events test',
+      url: receiver.url,
+      events: ['transfer_initiated', 'transfer_completed']
+    }, { 'X-API-Key': testBankApiKey });
+    assert(webhook.success, 'Webhook registration should succeed');
+    
+    const initiate = () => makeRequest('POST', '/api/transfers/initiate', {
+      fromWalletId: testWalletId,
+      toWalletId: testDestinationWalletId,
+      amount: 100,
+      currency: 'USDC',
+      reason: 'Transfer events test'
+    }, sessionHeaders(testUserSession));
+    const transferEvents = async transferId => {
+      const list = await makeRequest('GET', `/api/notifications/list?user_id=${testUserId}`, null, { 'X-API-Key': testBankApiKey });
+      return list.data.notifications
+        .map(n => JSON.parse(n.metadata || '{}'))
+        .filter(metadata => metadata.transfer_id === transferId)
+        .map(metadata => metadata.event);
+    };
+    
+    const first = await initiate();
+    assert(first.status === 201, 'Transfer initiation should return 201');
+    const transferId = first.data.transfer.id;
+    
+    // Wait for the simulated chain to confirm the transfer
+    await new Promise(resolve => setTimeout(resolve, 6000));
+    
+    const events = await transferEvents(transferId);
+    ['transfer_initiated', 'transfer_approved', 'transfer_completed'].forEach(event => {
+      assert(events.includes(event), `Initiator should be notified of ${event}`);
+    });
+    
+    const delivered = receiver.received.filter(r => r.body.transfer_id === transferId).map(r => r.body.event);
+    assert(delivered.includes('transfer_initiated') && delivered.includes('transfer_completed'),
+      'Webhook should receive the subscribed events');
+    assert(!delivered.includes('transfer_approved'), 'Webhook should not receive events it did not subscribe to');
+    assert(receiver.received[0].headers['x-event-type'], 'Webhook requests should name the event');
+    
+    // With transfer notifications off, the initiator is no longer notified
+    const preferences = {
+      user_id: testUserId,
+      email_enabled: true,
+      push_enabled: true,
+      webhook_enabled: true,
+      transfer_notifications: false,
+      approval_notifications: true,
+      security_notifications: true
+    };
+    await makeRequest('PUT', '/api/notifications/preferences', preferences, { 'X-API-Key': testBankApiKey });
+    const second = await initiate();
+    assert((await transferEvents(second.data.transfer.id)).length === 0, 'Muted user should not be notified');
+    await makeRequest('PUT', '/api/notifications/preferences', { ...preferences, transfer_notifications: true },
+      { 'X-API-Key': testBankApiKey });
+  } finally {
+    await receiver.close();
+  }
+  
+  log('Transfer events test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test webhook delivery retries
+ * A failed delivery is kept for a retry, can be redelivered by hand, and an endpoint
+ * that keeps failing is disabled and reported to the bank's admins
+ */
+async function testWebhookDeliveries() {
+  log('Testing Webhook Deliveries...');
+  
+  if (!testUserSession || !testBankApiKey || !testAdminUserId) {
+    log('Skipping webhook deliveries test - no session available', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const headers = { 'X-API-Key': testBankApiKey };
+  const receiver = await startWebhookReceiver(500);
+  try {
+    const webhook = await makeRequest('POST', '/api/notifications/webhooks', {
+      name: 'Webhook retries test',
+      url: receiver.url,
+      events: ['transfer_initiated']
+    }, headers);
+    assert(webhook.success, 'Webhook registration should succeed');
+    const webhookId = webhook.data.webhook_id;
+    const deliveriesPath = `/api/notifications/webhooks/${webhookId}/deliveries`;
+    const getWebhook = async () => {
+      const list = await makeRequest('GET', '/api/notifications/webhooks', null, headers);
+      return list.data.webhooks.find(w => w.id === webhookId);
+    };
+    
+    const transfer = await makeRequest('POST', '/api/transfers/initiate', {
+      fromWalletId: testWalletId,
+      toWalletId: testDestinationWalletId,
+      amount: 100,
+      currency: 'USDC',
+      reason: 'Webhook deliveries test'
+    }, sessionHeaders(testUserSession));
+    assert(transfer.status === 201, 'Transfer initiation should return 201');
+    
+    // The first attempt runs in the background job worker
+    let original = null;
+    for (let i = 0; i < 10 && !(original && original.attempts > 0); i++) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const deliveries = await makeRequest('GET', deliveriesPath, null, headers);
+      original = deliveries.data.deliveries.find(d => d.payload.transfer_id === transfer.data.transfer.id);
+    }
+    assert(original && original.status === 'retrying', 'A failed delivery should be retrying');
+    assert(original.attempts === 1 && original.response_code === 500, 'The failed attempt should be recorded');
+    assert(original.next_attempt_at, 'A retrying delivery should have a next attempt time');
+    
+    const badFilter = await makeRequest('GET', `${deliveriesPath}?status=lost`, null, headers);
+    assert(badFilter.status === 400, 'Unknown status filter should return 400');
+    
+    // Manual redelivery once the endpoint works again
+    receiver.respondWith(200);
+    const redeliver = () => makeRequest('POST', `${deliveriesPath}/${original.id}/redeliver`, null, headers);
+    const redelivery = await redeliver();
+    assert(redelivery.status === 201, 'Redelivery should return 201');
+    assert(redelivery.data.delivery.status === 'delivered', 'Redelivery should be delivered');
+    assert(redelivery.data.delivery.redelivery_of === original.id, 'Redelivery should reference the original delivery');
+    assert(receiver.received.at(-1).body.transfer_id === transfer.data.transfer.id, 'Redelivery should resend the payload');
+    assert((await getWebhook()).failure_count === 0, 'A successful delivery should reset the failure count');
+    
+    const delivered = await makeRequest('GET', `${deliveriesPath}?status=delivered`, null, headers);
+    assert(delivered.data.deliveries.some(d => d.id === redelivery.data.delivery.id), 'Deliveries should filter by status');
+    
+    const missing = await makeRequest('POST', `${deliveriesPath}/999999/redeliver`, null, headers);
+    assert(missing.status === 404, 'Redelivering an unknown delivery should return 404');
+    
+    // An endpoint that keeps failing is disabled
+    receiver.respondWith(503);
+    let response = null;
+    for (let i = 0; i < 15; i++) {
+      response = await redeliver();
+      if (response.status === 409) break;
+    }
+    assert(response.status === 409 && response.error.code === 'WEBHOOK_DISABLED',
+      'Redelivery to a disabled endpoint should return 409 WEBHOOK_DISABLED');
+    const disabled = await getWebhook();
+    assert(!disabled.is_active && disabled.disabled_at && disabled.disabled_reason, 'Failing endpoint should be disabled');
+    
+    const adminNotifications = await makeRequest('GET', `/api/notifications/list?user_id=${testAdminUserId}`, null, headers);
+    assert(adminNotifications.data.notifications.some(n => {
+      const metadata = JSON.parse(n.metadata || '{}');
+      return metadata.event === 'webhook_disabled' && metadata.webhook_id === webhookId;
+    }), 'Admins should be notified when a webhook is disabled');
+  } finally {
+    await receiver.close();
+  }
+  
+  log('Webhook deliveries test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test webhook signatures and secret rotation
+ * Every delivery has its own event ID and is signed over timestamp, event ID and body;
+ * after a rotation deliveries are signed with both secrets until the overlap ends
+ */
+async function testWebhookSignatures() {
+  log('Testing Webhook Signatures...');
+  
+  if (!testUserSession || !testBankApiKey) {
+    log('Skipping webhook signatures test - no session available', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const headers = { 'X-API-Key': testBankApiKey };
+  const receiver = await startWebhookReceiver();
+  try {
+    const webhook = await makeRequest('POST', '/api/notifications/webhooks', {
+      name: 'Webhook signatures test',
+      url: receiver.url,
+      events: ['transfer_initiated']
+    }, headers);
+    assert(webhook.success, 'Webhook registration should succeed');
+    const webhookId = webhook.data.webhook_id;
+    const firstSecret = webhook.data.secret_key;
+    const verify = (request, secret, options = {}) => verifyWebhookSignature({
+      secret,
+      signatureHeader: request.headers['x-webhook-signature'],
+      eventId: request.headers['x-webhook-id'],
+      body: request.raw,
+      ...options
+    });
+    
+    const transfer = await makeRequest('POST', '/api/transfers/initiate', {
+      fromWalletId: testWalletId,
+      toWalletId: testDestinationWalletId,
+      amount: 100,
+      currency: 'USDC',
+      reason: 'Webhook signatures test'
+    }, sessionHeaders(testUserSession));
+    assert(transfer.status === 201, 'Transfer initiation should return 201');
+    for (let i = 0; i < 10 && receiver.received.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    const first = receiver.received[0];
+    assert(first, 'Webhook should receive the event');
+    
+    assert(verify(first, firstSecret).valid, 'Delivery should be signed with the webhook secret');
+    assert(/^evt_[0-9a-f]{32}$/.test(first.headers['x-webhook-id']), 'Delivery should have an event ID');
+    assert(first.headers['x-webhook-signature'].startsWith(`t=${first.headers['x-webhook-timestamp']},v1=`),
+      'Signature header should carry the timestamp and a v1 signature');
+    assert(verify({ ...first, raw: first.raw.replace('100', '900') }, firstSecret).code === 'SIGNATURE_INVALID',
+      'A changed body should not verify');
+    assert(verify(first, firstSecret, { now: Math.floor(Date.now() / 1000) + 3600 }).code === 'SIGNATURE_EXPIRED',
+      'An old delivery should not verify');
+    
+    const deliveriesPath = `/api/notifications/webhooks/${webhookId}/deliveries`;
+    const deliveries = await makeRequest('GET', deliveriesPath, null, headers);
+    const delivery = deliveries.data.deliveries[0];
+    assert(delivery.event_id === first.headers['x-webhook-id'], 'Deliveries should list the event ID');
+    const redeliver = async () => {
+      const result = await makeRequest('POST', `${deliveriesPath}/${delivery.id}/redeliver`, null, headers);
+      assert(result.data.delivery.status === 'delivered', 'Redelivery should be delivered');
+      return receiver.received.at(-1);
+    };
+    
+    // Rotation with the default overlap: both secrets verify
+    const rotatePath = `/api/notifications/webhooks/${webhookId}/rotate-secret`;
+    const badOverlap = await makeRequest('POST', rotatePath, { overlap_seconds: -1 }, headers);
+    assert(badOverlap.status === 400, 'Negative overlap should return 400');
+    const rotated = await makeRequest('POST', rotatePath, {}, headers);
+    assert(rotated.status === 201 && rotated.data.secret_key !== firstSecret, 'Rotation should return a new secret');
+    assert(rotated.data.previous_secret_expires_at, 'The old secret should have an overlap period');
+    
+    const overlapping = await redeliver();
+    assert(overlapping.headers['x-webhook-id'] !== first.headers['x-webhook-id'], 'Each delivery should have its own event ID');
+    assert(verify(overlapping, rotated.data.secret_key).valid, 'Delivery should verify with the new secret');
+    assert(verify(overlapping, firstSecret).valid, 'Delivery should verify with the old secret during the overlap');
+    
+    // Rotation without overlap: the replaced secret no longer verifies
+    const immediate = await makeRequest('POST', rotatePath, { overlap_seconds: 0 }, headers);
+    assert(immediate.status === 201 && immediate.data.previous_secret_expires_at === null, 'Rotation without overlap should succeed');
+    const afterRotation = await redeliver();
+    assert(verify(afterRotation, immediate.data.secret_key).valid, 'Delivery should verify with the newest secret');
+    assert(!verify(afterRotation, rotated.data.secret_key).valid, 'A retired secret should not verify');
+  } finally {
+    await receiver.close();
+  }
+  
+  log('Webhook signatures test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test webhook endpoint management
+ * The event catalog lists every event; endpoints can be tested with a signed ping,
+ * updated (including disabling and re-enabling) and deleted
+ */
+async function testWebhookManagement() {
+  log('Testing Webhook Management...');
+  
+  if (!testBankApiKey) {
+    log('Skipping webhook management test - no API key available', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const headers = { 'X-API-Key': testBankApiKey };
+  
+  const catalog = await makeRequest('GET', '/api/notifications/events', null, headers);
+  assert(catalog.status === 200, 'Event catalog should return 200');
+  ['transfer_initiated', 'approval_required', 'transfer_completed', 'transfer_failed'].forEach(event => {
+    const entry = catalog.data.events.find(e => e.event === event);
+    assert(entry && entry.subscribable && entry.sample_payload.event === event, `Catalog should describe ${event}`);
+  });
+  assert(catalog.data.events.some(e => e.event === 'ping' && !e.subscribable), 'Catalog should list the ping event');
+  
+  const unknownEvent = await makeRequest('POST', '/api/notifications/webhooks', {
+    name: 'Unknown event', url: 'https://example.com/webhooks', events: ['transfer_teleported']
+  }, headers);
+  assert(unknownEvent.status === 400, 'Subscribing to an unknown event should return 400');
+  const badUrl = await makeRequest('POST', '/api/notifications/webhooks', {
+    name: 'Bad URL', url: 'ftp://example.com/webhooks', events: ['transfer_completed']
+  }, headers);
+  assert(badUrl.status === 400, 'A non-http URL should return 400');
+  const badIntegration = await makeRequest('POST', '/api/notifications/team-integrations', {
+    platform: 'slack', webhook_url: 'ftp://example.com/hooks', events: ['transfer_completed']
+  }, headers);
+  assert(badIntegration.status === 400, 'A team integration with a non-http URL should return 400');
+
+  const receiver = await startWebhookReceiver();
+  try {
+    const webhook = await makeRequest('POST', '/api/notifications/webhooks', {
+      name: 'Webhook management test',
+      url: receiver.url,
+      events: ['transfer_completed']
+    }, headers);
+    assert(webhook.success, 'Webhook registration should succeed');
+    const webhookPath = `/api/notifications/webhooks/${webhook.data.webhook_id}`;
+    
+    // Test ping
+    const ping = await makeRequest('POST', `${webhookPath}/test`, null, headers);
+    assert(ping.status === 200 && ping.data.success && ping.data.response_code === 200, 'Ping should be delivered');
+    const received = receiver.received.at(-1);
+    assert(received.body.event === 'ping' && received.headers['x-webhook-id'] === ping.data.event_id, 'Endpoint should receive the ping');
+    assert(verifyWebhookSignature({
+      secret: webhook.data.secret_key,
+      signatureHeader: received.headers['x-webhook-signature'],
+      eventId: received.headers['x-webhook-id'],
+      body: received.raw
+    }).valid, 'Ping should be signed');
+    
+    receiver.respondWith(500);
+    const failedPing = await makeRequest('POST', `${webhookPath}/test`, null, headers);
+    assert(!failedPing.data.success && failedPing.data.response_code === 500, 'Ping should report a failing endpoint');
+    receiver.respondWith(200);
+    
+    // Update
+    const update = body => makeRequest('PUT', `${webhookPath}/update`, body, headers);
+    assert((await update({})).status === 400, 'Update without fields should return 400');
+    assert((await update({ is_active: 'no' })).status === 400, 'Non-boolean is_active should return 400');
+    assert((await update({ url: 'not a url' })).status === 400, 'Invalid URL should return 400');
+    
+    const renamed = await update({ name: 'Failures only', events: ['transfer_failed', 'transfer_expired'] });
+    assert(renamed.status === 200 && renamed.data.webhook.name === 'Failures only', 'Update should rename the webhook');
+    assert(JSON.parse(renamed.data.webhook.events).includes('transfer_expired'), 'Update should change the events');
+    
+    const disabled = await update({ is_active: false });
+    assert(!disabled.data.webhook.is_active && disabled.data.webhook.disabled_at, 'Webhook should be disabled');
+    const enabled = await update({ is_active: true });
+    assert(enabled.data.webhook.is_active && !enabled.data.webhook.disabled_at, 'Webhook should be enabled again');
+    assert(enabled.data.webhook.failure_count === 0, 'Re-enabling should reset the failure count');
+    
+    // Delete
+    const deleted = await makeRequest('DELETE', `${webhookPath}/delete`, null, headers);
+    assert(deleted.status === 200, 'Delete should return 200');
+    const list = await makeRequest('GET', '/api/notifications/webhooks', null, headers);
+    assert(!list.data.webhooks.some(w => w.id === webhook.data.webhook_id), 'Deleted webhook should not be listed');
+    const deletedAgain = await makeRequest('DELETE', `${webhookPath}/delete`, null, headers);
+    assert(deletedAgain.status === 404, 'Deleting a deleted webhook should return 404');
+  } finally {
+    await receiver.close();
+  }
+  
+  log('Webhook management test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Open a WebSocket to the API and collect its messages
+ * Resolves with the socket, or with { error } when the handshake is refused
+ */
+function openWebSocket(query = '', headers = {}) {
+  return new Promise(resolve => {
+    const ws = new WebSocket(`${BASE_URL.replace('http', 'ws')}/ws${query}`, { headers });
+    const messages = [];
+    const waiters = [];
+    
+    ws.on('message', raw => {
+      const message = JSON.parse(raw);
+      messages.push(message);
+      waiters.filter(w => w.match(message)).forEach(w => {
+        waiters.splice(waiters.indexOf(w), 1);
+        w.resolve(message);
+      });
+    });
+    ws.on('unexpected-response', (req, res) => resolve({ error: res.statusCode }));
+    ws.on('error', () => resolve({ error: 'connection failed' }));
+    
+    // Wait for the first message matching a check (already received ones count)
+    const next = (match, timeoutMs = 5000) => {
+      const received = messages.find(match);
+      if (received) return Promise.resolve(received);
+      return new Promise(done => {
+        const waiter = { match, resolve: done };
+        waiters.push(waiter);
+        setTimeout(() => {
+          if (waiters.includes(waiter)) {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            done(null);
+          }
+        }, timeoutMs);
+      });
+    };
+    const send = message => ws.send(JSON.stringify(message));
+    const close = () => new Promise(done => {
+      ws.on('close', done);
+      ws.close();
+    });
+    
+    ws.on('open', () => resolve({ ws, messages, next, send, close }));
+  });
+}
+
+/**
+ * Test the authenticated WebSocket channel
+ * Handshakes need credentials; clients subscribe to topics of their own bank and can
+ * replay notifications they missed
+ */
+async function testWebSocketChannel() {
+  log('Testing WebSocket Channel...');
+  
+  if (!testUserSession || !testBankApiKey) {
+    log('Skipping WebSocket test - no session available', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const anonymous = await openWebSocket();
+  assert(anonymous.error === 401, 'Handshake without credentials should be refused with 401');
+  const badSession = await openWebSocket('?session_token=invalid');
+  assert(badSession.error === 401, 'Handshake with an invalid session should be refused with 401');
+  
+  const socket = await openWebSocket(`?session_token=${testUserSession}`);
+  assert(!socket.error, 'Handshake with a session token should succeed');
+  const welcome = await socket.next(m => m.type === 'connection_established');
+  assert(welcome.user_id === testUserId && welcome.auth_method === 'session', 'Connection should belong to the signed-in user');
+  
+  // Old clients that name their bank and user in a message are not trusted
+  socket.send({ type: 'authenticate', bank_id: 999, user_id: 'someone' });
+  assert(await socket.next(m => m.type === 'error'), 'Message authentication should be refused');
+  
+  socket.send({ type: 'subscribe', topics: ['wallet:wallet_999999'] });
+  const invalid = await socket.next(m => m.code === 'INVALID_TOPIC');
+  assert(invalid, 'Unknown wallet topic should be refused');
+  
+  socket.send({ type: 'subscribe', topics: [`wallet:${testWalletId}`, 'approvals'] });
+  const subscribed = await socket.next(m => m.type === 'subscriptions');
+  assert(subscribed.topics.includes(`wallet:${testWalletId}`), 'Wallet topic should be subscribed');
+  
+  const transfer = await makeRequest('POST', '/api/transfers/initiate', {
+    fromWalletId: testWalletId,
+    toWalletId: testDestinationWalletId,
+    amount: 100,
+    currency: 'USDC',
+    reason: 'WebSocket test'
+  }, sessionHeaders(testUserSession));
+  const transferId = transfer.data.transfer.id;
+  
+  const event = await socket.next(m => m.type === 'event' && m.data.transfer_id === transferId);
+  assert(event && event.topic === `wallet:${testWalletId}` && event.data.event === 'transfer_initiated',
+    'Wallet subscribers should receive the transfer event');
+  const notification = await socket.next(m => m.type === 'notification' && m.data.metadata.transfer_id === transferId);
+  assert(notification, 'The initiator should receive their notification live');
+  await socket.close();
+  
+  // A reconnecting client replays what came after the last notification it saw
+  const replaying = await openWebSocket(`?since=${notification.data.id - 1}`, {
+    'X-API-Key': testBankApiKey,
+    'X-Session-Token': testUserSession
+  });
+  const replay = await replaying.next(m => m.type === 'replay_complete');
+  assert(replay && replay.count >= 1, 'Replay should send missed notifications');
+  assert(replaying.messages.some(m => m.replayed && m.data.id === notification.data.id), 'Replay should include the notification');
+  assert(replaying.messages.every(m => m.type !== 'notification' || m.data.user_id === testUserId),
+    'A session connection should only replay its user\'s notifications');
+  await replaying.close();
+  
+  log('WebSocket channel test passed', 'success');
+  testResults.passed++;
+}
+
+// Cross-tenant isolation tests
+
+/**
+ * Register a second bank with its own Manager user
+ * The cross-tenant tests use it to try to reach the first bank's transfers
+ */
+async function testForeignBankSetup() {
+  log('Testing Foreign Bank Setup...');
+  
+  const bank = await makeRequest('POST', '/api/banks/register', {
+    bank_name: `Foreign Bank ${Date.now()}`,
+    bank_code: `FB${Date.now()}`,
+    contact_email: `foreign${Date.now()}@foreignbank.com`,
+    country: 'Mexico'
+  });
+  assert(bank.status === 201, 'Foreign bank registration should return 201');
+  foreignBankApiKey = bank.data.api_credentials.api_key;
+  
+  const user = await makeRequest('POST', '/api/users/create', {
+    username: `foreign${Date.now()}`,
+    email: `manager${Date.now()}@foreignbank.com`,
+    full_name: 'Foreign Manager',
+    role: 'Manager',
+    department: 'Treasury',
+    employee_id: `EMPF${Date.now()}`,
+    password: TEST_PASSWORD
+  }, {
+    'X-API-Key': foreignBankApiKey
+  });
+  assert(user.status === 201, 'Foreign user creation should return 201');
+  foreignUserId = user.data.user.user_id;
+  foreignUserSession = await login(foreignBankApiKey, user.data.user.username);
+  
+  // A transfer of the first bank that stays pending for the tests below
+  crossTenantTransferId = await initiatePendingTransfer(11000);
+  
+  log('Foreign bank setup test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test that another bank cannot read a transfer's status
+ * Foreign transfers must look exactly like missing ones (404)
+ */
+async function testCrossTenantTransferStatus() {
+  log('Testing Cross-Tenant Transfer Status...');
+  
+  if (!foreignBankApiKey || !crossTenantTransferId) {
+    log('Skipping cross-tenant status test - foreign bank setup failed', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const result = await makeRequest('GET', `/api/transfers/${crossTenantTransferId}/status`, null, {
+    'X-API-Key': foreignBankApiKey
+  });
+  assert(result.status === 404, 'Foreign transfer status should return 404');
+  
+  const own = await makeRequest('GET', `/api/transfers/${crossTenantTransferId}/status`, null, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(own.status === 200, 'Owning bank should still see its transfer');
+  
+  log('Cross-tenant transfer status test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test that another bank cannot approve, reject or cancel a transfer
+ * Every attempt returns 404 and the transfer stays pending
+ */
+async function testCrossTenantTransferActions() {
+  log('Testing Cross-Tenant Transfer Actions...');
+  
+  if (!foreignBankApiKey || !crossTenantTransferId) {
+    log('Skipping cross-tenant actions test - foreign bank setup failed', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const headers = { 'X-API-Key': foreignBankApiKey, 'X-Session-Token': foreignUserSession };
+  
+  const approve = await makeRequest('POST', `/api/transfers/${crossTenantTransferId}/approve`, {}, headers);
+  assert(approve.status === 404, 'Foreign transfer approval should return 404');
+  
+  const reject = await makeRequest('POST', `/api/transfers/${crossTenantTransferId}/reject`, {
+    reason: 'Cross-tenant rejection attempt'
+  }, headers);
+  assert(reject.status === 404, 'Foreign transfer rejection should return 404');
+  
+  const cancel = await makeRequest('POST', `/api/transfers/${crossTenantTransferId}/cancel`, {}, headers);
+  assert(cancel.status === 404, 'Foreign transfer cancellation should return 404');
+  
+  const status = await makeRequest('GET', `/api/transfers/${crossTenantTransferId}/status`, null, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(status.data.status === 'pending_approval', 'Transfer should be untouched by the foreign bank');
+  assert(status.data.approvals.length === 0, 'No decision should be recorded');
+  
+  log('Cross-tenant transfer actions test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test that pending transfers and wallet history only list the bank's own transfers
+ */
+async function testCrossTenantTransferListings() {
+  log('Testing Cross-Tenant Transfer Listings...');
+  
+  if (!foreignBankApiKey || !crossTenantTransferId) {
+    log('Skipping cross-tenant listings test - foreign bank setup failed', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const headers = { 'X-API-Key': foreignBankApiKey };
+  
+  const pending = await makeRequest('GET', '/api/transfers/pending', null, headers);
+  assert(pending.status === 200, 'Foreign pending transfers should return 200');
+  assert(!pending.data.transfers.some(t => t.id === crossTenantTransferId), 'Foreign bank should not see our pending transfer');
+  
+  const ownPending = await makeRequest('GET', '/api/transfers/pending', null, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(ownPending.data.transfers.some(t => t.id === crossTenantTransferId), 'Owning bank should see its pending transfer');
+  
+  const history = await makeRequest('GET', `/api/transfers/history/${testWalletId}`, null, headers);
+  assert(history.status === 404, 'Foreign wallet history should return 404');
+  
+  log('Cross-tenant transfer listings test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test that another bank cannot list, read, fund or debit our wallets
+ */
+async function testCrossTenantWalletAccess() {
+  log('Testing Cross-Tenant Wallet Access...');
+  
+  if (!foreignBankApiKey || !testWalletId) {
+    log('Skipping cross-tenant wallet test - foreign bank setup failed', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const headers = { 'X-API-Key': foreignBankApiKey };
+  
+  const list = await makeRequest('GET', '/api/wallets/list', null, headers);
+  assert(list.status === 200, 'Foreign wallet listing should return 200');
+  assert(!list.data.wallets.some(w => w.id === testWalletId), 'Foreign bank should not see our wallets');
+  
+  const listByName = await makeRequest('GET', `/api/wallets/list/${testBank.bank_name}`, null, headers);
+  assert(listByName.status === 403, 'Listing another bank\'s wallets by name should return 403');
+  
+  const balance = await makeRequest('GET', `/api/wallets/${testWalletId}/balance`, null, headers);
+  assert(balance.status === 404, 'Reading a foreign wallet balance should return 404');
+  
+  const deposit = await makeRequest('POST', `/api/wallets/${testWalletId}/deposit`, { amount: 10 }, headers);
+  assert(deposit.status === 401, 'A bank should not be able to fund another bank\'s wallet');
+  
+  const transfer = await makeRequest('POST', '/api/transfers/initiate', {
+    fromWalletId: testWalletId,
+    toWalletId: testDestinationWalletId,
+    amount: 100,
+    currency: 'USDC'
+  }, { ...headers, 'X-Session-Token': foreignUserSession });
+  assert(transfer.status === 403, 'Debiting a foreign wallet should return 403');
+  assert(transfer.error.code === 'WALLET_NOT_OWNED', 'Error code should be WALLET_NOT_OWNED');
+  
+  log('Cross-tenant wallet access test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test that notifications, webhooks and preferences are scoped to the API key's bank
+ */
+async function testCrossTenantNotifications() {
+  log('Testing Cross-Tenant Notifications...');
+  
+  if (!foreignBankApiKey || !foreignUserId) {
+    log('Skipping cross-tenant notifications test - foreign bank setup failed', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const headers = { 'X-API-Key': foreignBankApiKey };
+  
+  const anonymous = await makeRequest('GET', `/api/notifications/list?user_id=${testUserId}`);
+  assert(anonymous.status === 401, 'Notifications without an API key should return 401');
+  
+  const own = await makeRequest('GET', `/api/notifications/list?user_id=${testUserId}`, null, { 'X-API-Key': testBankApiKey });
+  assert(own.status === 200 && own.data.count > 0, 'Our users should have notifications');
+  
+  const list = await makeRequest('GET', `/api/notifications/list?user_id=${testUserId}`, null, headers);
+  assert(list.status === 404, 'Listing another bank\'s user notifications should return 404');
+  
+  const markRead = await makeRequest('POST', '/api/notifications/mark-read', {
+    notification_id: own.data.notifications[0].id
+  }, headers);
+  assert(markRead.status === 404, 'Marking another bank\'s notification as read should return 404');
+  
+  const preferences = await makeRequest('PUT', '/api/notifications/preferences', {
+    user_id: testUserId,
+    transfer_notifications: false
+  }, headers);
+  assert(preferences.status === 404, 'Changing another bank\'s user preferences should return 404');
+  
+  // bank_id in the body is ignored: the webhook belongs to the API key's bank
+  const webhook = await makeRequest('POST', '/api/notifications/webhooks', {
+    bank_id: testBank.id,
+    name: 'Cross-tenant webhook',
+    url: 'https://example.com/webhooks',
+    events: ['transfer_completed']
+  }, headers);
+  assert(webhook.success, 'Webhook registration should succeed');
+  const ourWebhooks = await makeRequest('GET', '/api/notifications/webhooks', null, { 'X-API-Key': testBankApiKey });
+  assert(!ourWebhooks.data.webhooks.some(w => w.id === webhook.data.webhook_id), 'Webhook should not be registered for another bank');
+  const foreignWebhooks = await makeRequest('GET', '/api/notifications/webhooks', null, headers);
+  assert(foreignWebhooks.data.webhooks.some(w => w.id === webhook.data.webhook_id), 'Webhook should belong to the API key\'s bank');
+  
+  const ourWebhookId = ourWebhooks.data.webhooks[0].id;
+  const deliveries = await makeRequest('GET', `/api/notifications/webhooks/${ourWebhookId}/deliveries`, null, headers);
+  assert(deliveries.status === 404, 'Listing another bank\'s webhook deliveries should return 404');
+  const rotate = await makeRequest('POST', `/api/notifications/webhooks/${ourWebhookId}/rotate-secret`, {}, headers);
+  assert(rotate.status === 404, 'Rotating another bank\'s webhook secret should return 404');
+  const update = await makeRequest('PUT', `/api/notifications/webhooks/${ourWebhookId}/update`, { is_active: false }, headers);
+  assert(update.status === 404, 'Updating another bank\'s webhook should return 404');
+  const ping = await makeRequest('POST', `/api/notifications/webhooks/${ourWebhookId}/test`, null, headers);
+  assert(ping.status === 404, 'Testing another bank\'s webhook should return 404');
+  const remove = await makeRequest('DELETE', `/api/notifications/webhooks/${ourWebhookId}/delete`, null, headers);
+  assert(remove.status === 404, 'Deleting another bank\'s webhook should return 404');
+  
+  log('Cross-tenant notifications test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test that a bank subscribed to its own wallet hears about transfers into it from another bank
+ * The event leaves out who initiated the transfer at the sending bank
+ */
+async function testCrossTenantIncomingTransfer() {
+  log('Testing Cross-Tenant Incoming Transfer...');
+  
+  if (!foreignBankApiKey || !testUserSession) {
+    log('Skipping incoming transfer test - foreign bank setup failed', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const wallet = await makeRequest('POST', '/api/wallets/create', {
+    subsidiaryName: 'Foreign Receiving Subsidiary',
+    currency: 'USDC'
+  }, { 'X-API-Key': foreignBankApiKey });
+  assert(wallet.status === 201, 'Foreign wallet creation should return 201');
+  const foreignWalletId = wallet.data.wallet.id;
+  
+  const socket = await openWebSocket('', { 'X-API-Key': foreignBankApiKey });
+  assert(!socket.error, 'Foreign bank handshake should succeed');
+  socket.send({ type: 'subscribe', topics: [`wallet:${foreignWalletId}`] });
+  await socket.next(m => m.type === 'subscriptions');
+  
+  const transfer = await makeRequest('POST', '/api/transfers/initiate', {
+    fromWalletId: testWalletId,
+    toWalletId: foreignWalletId,
+    amount: 100,
+    currency: 'USDC',
+    reason: 'Incoming transfer test'
+  }, sessionHeaders(testUserSession));
+  assert(transfer.status === 201, 'Transfer to another bank\'s wallet should return 201');
+  const transferId = transfer.data.transfer.id;
+  
+  const event = await socket.next(m => m.type === 'event' && m.data.transfer_id === transferId);
+  assert(event && event.topic === `wallet:${foreignWalletId}` && event.data.event === 'transfer_initiated',
+    'The receiving bank should get events for transfers into its wallet');
+  assert(event.data.to_wallet_id === foreignWalletId && event.data.amount === 100, 'Event should describe the transfer');
+  assert(event.data.initiated_by === undefined && event.data.reason === undefined,
+    'Event should not reveal the sending bank\'s users or reasons');
+  await socket.close();
+  
+  log('Cross-tenant incoming transfer test passed', 'success');
+  testResults.passed++;
+}
+
+// Idempotency tests
+
+/**
+ * Test Idempotency-Key on transfer initiation
+ * A retry with the same key and body returns the original transfer instead of creating a new one;
+ * reusing the key with a different body or as a different user is rejected with 422
+ */
+async function testIdempotentTransferInitiation() {
+  log('Testing Idempotent Transfer Initiation...');
+  
+  if (!testWalletId || !testBankApiKey) {
+    log('Skipping idempotent transfer test - missing wallet ID or API key', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const headers = sessionHeaders(testUserSession, { 'Idempotency-Key': `transfer-${Date.now()}` });
+  const transferData = {
+    fromWalletId: testWalletId,
+    toWalletId: testDestinationWalletId,
+    amount: 1000,
+    currency: 'USDC',
+    reason: 'Idempotent test transfer'
+  };
+  
+  const first = await makeRequest('POST', '/api/transfers/initiate', transferData, headers);
+  assert(first.status === 201, 'First request should create the transfer');
+  
+  const retry = await makeRequest('POST', '/api/transfers/initiate', transferData, headers);
+  assert(retry.status === 201, 'Retry should replay the original status');
+  assert(retry.data.transfer.id === first.data.transfer.id, 'Retry should return the same transfer');
+  assert(retry.headers['idempotent-replayed'] === 'true', 'Retry should be marked as replayed');
+  
+  const history = await makeRequest('GET', `/api/transfers/history/${testWalletId}`, null, {
+    'X-API-Key': testBankApiKey
+  });
+  const matches = history.data.transfers.filter(t => t.reason === 'Idempotent test transfer');
+  assert(matches.length === 1, 'Only one transfer should be created');
+  
+  const reused = await makeRequest('POST', '/api/transfers/initiate', { ...transferData, amount: 2000 }, headers);
+  assert(reused.status === 422, 'Reusing the key with a different body should return 422');
+  assert(reused.error.code === 'IDEMPOTENCY_KEY_REUSED', 'Error code should be IDEMPOTENCY_KEY_REUSED');
+  
+  // Another user sending the same body with the same key must not get the first user's response
+  const otherUser = await makeRequest('POST', '/api/transfers/initiate', transferData, sessionHeaders(testApproverSession, {
+    'Idempotency-Key': headers['Idempotency-Key']
+  }));
+  assert(otherUser.status === 422, 'Reusing the key as a different user should return 422');
+  assert(otherUser.error.code === 'IDEMPOTENCY_KEY_REUSED', 'Error code should be IDEMPOTENCY_KEY_REUSED');
+  
+  log('Idempotent transfer initiation test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test Idempotency-Key on user and wallet creation
+ * A retried user creation still needs a fresh one-time code, and gets the original user back.
+ * Keys are stored per bank, so another bank can use the same key for its own request
+ */
+async function testIdempotentCreation() {
+  log('Testing Idempotent User and Wallet Creation...');
+  
+  if (!testAdminSession || testAdminRecoveryCodes.length === 0 || !foreignBankApiKey) {
+    log('Skipping idempotent creation test - admin has no MFA or foreign bank is missing', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const key = `create-${Date.now()}`;
+  const userData = {
+    username: `idem${Date.now()}`,
+    email: `idem${Date.now()}@testbank.com`,
+    full_name: 'Idempotent User',
+    role: 'Viewer'
+  };
+  
+  const first = await makeRequest('POST', '/api/users/create', userData, {
+    ...await adminStepUpHeaders(), 'Idempotency-Key': key
+  });
+  const retry = await makeRequest('POST', '/api/users/create', userData, {
+    ...await adminStepUpHeaders(), 'Idempotency-Key': key
+  });
+  assert(first.status === 201 && retry.status === 201, 'User creation retry should replay 201');
+  assert(retry.data.user.user_id === first.data.user.user_id, 'User creation retry should return the same user');
+  
+  const walletData = {
+    subsidiaryName: 'Idempotent Subsidiary',
+    currency: 'USDC'
+  };
+  const walletKey = `wallet-${Date.now()}`;
+  const walletHeaders = { 'X-API-Key': testBankApiKey, 'Idempotency-Key': walletKey };
+  const wallet = await makeRequest('POST', '/api/wallets/create', walletData, walletHeaders);
+  const walletRetry = await makeRequest('POST', '/api/wallets/create', walletData, walletHeaders);
+  assert(wallet.status === 201, 'Wallet creation should return 201');
+  assert(walletRetry.data.wallet.id === wallet.data.wallet.id, 'Wallet creation retry should return the same wallet');
+  
+  const foreign = await makeRequest('POST', '/api/wallets/create', walletData, {
+    'X-API-Key': foreignBankApiKey, 'Idempotency-Key': walletKey
+  });
+  assert(foreign.status === 201, 'Another bank should be able to use the same key');
+  assert(foreign.data.wallet.id !== wallet.data.wallet.id, 'Another bank should get its own wallet');
+  
+  log('Idempotent user and wallet creation test passed', 'success');
+  testResults.passed++;
+}
+
+// Subwallet tests
+
+/**
+ * Test moving funds into a subwallet
+ * The parent wallet balance rolls up its subwallets, but money in a subwallet
+ * cannot be sent in transfers
+ */
+async function testSubwalletFunding() {
+  log('Testing Subwallet Funding...');
+  
+  if (!testBankApiKey || !testUserId) {
+    log('Skipping subwallet funding test - missing API key or user', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const headers = { 'X-API-Key': testBankApiKey };
+  
+  const wallet = await makeRequest('POST', '/api/wallets/create', {
+    subsidiaryName: 'Subwallet Parent',
+    currency: 'USDC'
+  }, headers);
+  subwalletParentId = wallet.data.wallet.id;
+  await makeRequest('POST', `/api/wallets/${subwalletParentId}/deposit`, { amount: 10000 }, OPERATOR_HEADERS);
+  
+  const created = await makeRequest('POST', `/api/wallets/${subwalletParentId}/subwallets`, {
+    purpose: 'end_client',
+    name: 'Acme Corp'
+  }, headers);
+  assert(created.status === 201, 'Subwallet creation should return 201');
+  assert(created.data.subwallet.status === 'active', 'New subwallet should be active');
+  testSubwalletId = created.data.subwallet.id;
+  
+  const funded = await makeRequest('POST', `/api/wallets/${subwalletParentId}/subwallets/${testSubwalletId}/fund`, {
+    amount: 4000
+  }, headers);
+  assert(funded.status === 200, 'Funding a subwallet should return 200');
+  assert(funded.data.subwalletBalance === 4000, 'Subwallet should hold the moved funds');
+  
+  const balance = await makeRequest('GET', `/api/wallets/${subwalletParentId}/balance`, null, { 'X-API-Key': testBankApiKey });
+  assert(balance.data.balance === 10000, 'Parent balance should roll up its subwallets');
+  assert(balance.data.unallocatedBalance === 6000, 'Unallocated balance should exclude the subwallet');
+  assert(balance.data.subwalletBalance === 4000, 'Subwallet balance should be reported on the parent');
+  assert(balance.data.reconciled, 'Parent balance should reconcile with the ledger');
+  
+  const overfund = await makeRequest('POST', `/api/wallets/${subwalletParentId}/subwallets/${testSubwalletId}/fund`, {
+    amount: 7000
+  }, headers);
+  assert(overfund.status === 400, 'Funding more than the available balance should return 400');
+  assert(overfund.error.code === 'INSUFFICIENT_FUNDS', 'Error code should be INSUFFICIENT_FUNDS');
+  
+  const transfer = await makeRequest('POST', '/api/transfers/initiate', {
+    fromWalletId: subwalletParentId,
+    toWalletId: testDestinationWalletId,
+    amount: 6000,
+    currency: 'USDC'
+  }, sessionHeaders(testUserSession));
+  assert(transfer.status === 400, 'Transfers should not spend money held in subwallets');
+  
+  const list = await makeRequest('GET', `/api/wallets/${subwalletParentId}/subwallets`, null, headers);
+  assert(list.status === 200, 'Subwallet listing should return 200');
+  assert(list.data.totalSubwallets === 1, 'Listing should contain the subwallet');
+  assert(list.data.subwallets[0].balance === 4000, 'Listed subwallet should show its balance');
+  
+  log('Subwallet funding test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test freezing and closing a subwallet
+ * Frozen subwallets cannot move funds, and only empty subwallets can be closed
+ */
+async function testSubwalletLifecycle() {
+  log('Testing Subwallet Lifecycle...');
+  
+  if (!subwalletParentId || !testSubwalletId) {
+    log('Skipping subwallet lifecycle test - subwallet funding test failed', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const headers = { 'X-API-Key': testBankApiKey };
+  const base = `/api/wallets/${subwalletParentId}/subwallets/${testSubwalletId}`;
+  
+  const frozen = await makeRequest('POST', `${base}/freeze`, null, headers);
+  assert(frozen.status === 200, 'Freezing a subwallet should return 200');
+  assert(frozen.data.subwallet.status === 'frozen', 'Subwallet should be frozen');
+  
+  const frozenFund = await makeRequest('POST', `${base}/fund`, { amount: 100 }, headers);
+  assert(frozenFund.status === 400, 'Funding a frozen subwallet should return 400');
+  assert(frozenFund.error.code === 'SUBWALLET_FROZEN', 'Error code should be SUBWALLET_FROZEN');
+  
+  const unfrozen = await makeRequest('POST', `${base}/unfreeze`, null, headers);
+  assert(unfrozen.data.subwallet.status === 'active', 'Subwallet should be active again');
+  
+  const notEmpty = await makeRequest('POST', `${base}/close`, null, headers);
+  assert(notEmpty.status === 400, 'Closing a subwallet with funds should return 400');
+  assert(notEmpty.error.code === 'SUBWALLET_NOT_EMPTY', 'Error code should be SUBWALLET_NOT_EMPTY');
+  
+  const withdrawn = await makeRequest('POST', `${base}/withdraw`, { amount: 4000 }, headers);
+  assert(withdrawn.status === 200, 'Withdrawing from a subwallet should return 200');
+  assert(withdrawn.data.unallocatedBalance === 10000, 'Funds should return to the parent wallet');
+  
+  const closed = await makeRequest('POST', `${base}/close`, null, headers);
+  assert(closed.status === 200, 'Closing an empty subwallet should return 200');
+  assert(closed.data.subwallet.status === 'closed', 'Subwallet should be closed');
+  
+  const foreign = await makeRequest('GET', `/api/wallets/${subwalletParentId}/subwallets`, null, {
+    'X-API-Key': foreignBankApiKey
+  });
+  assert(foreign.status === 404, 'Another bank should not see our subwallets');
+  
+  log('Subwallet lifecycle test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test that a confirmed transfer moves ledger balances
+ * The auto-approved test transfer is broadcast to the simulated chain and confirmed
+ * after a few blocks: the source wallet pays amount + 0.1% fee and the destination
+ * receives the amount
+ */
+async function testTransferLedgerSettlement() {
+  log('Testing Transfer Ledger Settlement...');
+  
+  if (!testTransferId || !testBankApiKey) {
+    log('Skipping ledger settlement test - missing transfer ID or API key', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  // Wait for the simulated chain to confirm the transfer
+  await new Promise(resolve => setTimeout(resolve, 6000));
+  
+  const status = await makeRequest('GET', `/api/transfers/${testTransferId}/status`, null, {
+    'X-API-Key': testBankApiKey
+  });
+  assert(status.data.status === 'confirmed', 'Transfer should be confirmed after settlement');
+  assert(/^0x[0-9a-f]{64}$/.test(status.data.transaction_hash), 'Transfer should have an on-chain transaction hash');
+  assert(status.data.block_number > 0, 'Transfer should record the block that included it');
+  assert(status.data.confirmations >= status.data.required_confirmations, 'Transfer should have enough confirmations');
+  
+  const source = await makeRequest('GET', `/api/wallets/${testWalletId}/balance`, null, { 'X-API-Key': testBankApiKey });
+  const destination = await makeRequest('GET', `/api/wallets/${testDestinationWalletId}/balance`, null, { 'X-API-Key': testBankApiKey });
+  
+  assert(source.data.balance === TEST_DEPOSIT_AMOUNT - 5005, 'Source should be debited amount + fee');
+  assert(destination.data.balance === 5000, 'Destination should be credited the amount');
+  assert(source.data.reconciled && destination.data.reconciled, 'Balances should reconcile with the ledger');
+  
+  log('Transfer ledger settlement test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test wallet listing for a bank
+ * Banks can view all their wallets and their balances
+ * Helps with treasury management and liquidity overview
+ * Shows wallet IDs, balances, and status for each wallet
+ */
+async function testWalletListing() {
+  log('Testing Wallet Listing...');
+  
+  if (!testBank || !testBankApiKey) {
+    log('Skipping wallet listing test - no bank data available', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const result = await makeRequest('GET', `/api/wallets/list/${testBank.bank_name}`, null, {
+    'X-API-Key': testBankApiKey
+  });
+  
+  assert(result.success, 'Wallet listing should be accessible');
+  assert(result.status === 200, 'Wallet listing should return 200');
+  assert(result.data.wallets !== undefined, 'Should return wallets data');
+  assert(Array.isArray(result.data.wallets), 'Wallets should be an array');
+  assert(result.data.totalWallets === 2, 'Only the bank\'s own two wallets should be listed');
+  assert(result.data.wallets.some(w => w.id === testWalletId && w.subsidiaryName === 'Test Subsidiary'), 'Stored wallet details should be listed');
+  
+  log('Wallet listing test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Build the headers of a request signed with the test bank's api_secret
+ * (HMAC-SHA256 of method, path, timestamp, nonce and body hash)
+ */
+function signedHeaders(method, path, body = '', options = {}) {
+  const timestamp = options.timestamp || Math.floor(Date.now() / 1000);
+  const nonce = options.nonce || crypto.randomUUID();
+  const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+  const signature = crypto
+    .createHmac('sha256', testBankApiSecret)
+    .update(`${method}\n${path}\n${timestamp}\n${nonce}\n${bodyHash}`)
+    .digest('hex');
+
+  const headers = {
+    'X-API-Key': testBankApiKey,
+    'X-Signature': signature,
+    'X-Signature-Timestamp': String(timestamp),
+    'X-Signature-Nonce': nonce
+  };
+  if (options.sessionToken) {
+    headers['X-Session-Token'] = options.sessionToken;
+  }
+  return headers;
+}
+
+/**
+ * Test HMAC request signing and the per-bank signing policy
+ * Once a bank requires signatures, unsigned, tampered, stale and replayed
+ * transfer requests must be rejected
+ */
+async function testRequestSigning() {
+  log('Testing Request Signing...');
+  
+  if (!testBankApiSecret || !testWalletId || !testDestinationWalletId) {
+    log('Skipping request signing test - missing API secret or wallets', 'error');
+    testResults.failed++;
+    return;
+  }
+  
+  const policyPath = '/api/banks/signing-policy';
+  const initial = await makeRequest('GET', policyPath, null, { 'X-API-Key': testBankApiKey });
+  assert(initial.status === 200, 'Signing policy should be readable');
+  assert(initial.data.signing_policy.transfer_initiate === false, 'Signing should be optional by default');
+  
+  // Enabling the policy needs a signed request
+  const enableBody = JSON.stringify({ transfer_initiate: true, transfer_approve: true });
+  const unsignedEnable = await makeRequest('PUT', policyPath, enableBody, { 'X-API-Key': testBankApiKey });
+  assert(unsignedEnable.status === 401, 'Unsigned policy change should be rejected');
+  assert(unsignedEnable.error.code === 'SIGNATURE_REQUIRED', 'Error code should be SIGNATURE_REQUIRED');
+  
+  const enable = await makeRequest('PUT', policyPath, enableBody, signedHeaders('PUT', policyPath, enableBody));
+  assert(enable.status === 200, 'Signed policy change should succeed');
+  assert(enable.data.signing_policy.transfer_initiate === true, 'Transfer initiation should require signing');
+  assert(enable.data.signing_policy.transfer_approve === true, 'Transfer approval should require signing');
+  
+  try {
+    const initiatePath = '/api/transfers/initiate';
+    const transferBody = JSON.stringify({
+      fromWalletId: testWalletId,
+      toWalletId: testDestinationWalletId,
+      amount: 250,
+      currency: 'USDC',
+      reason: 'Signed test transfer'
+    });
+    const signOptions = { sessionToken: testUserSession };
+    
+    const unsigned = await makeRequest('POST', initiatePath, transferBody, sessionHeaders(testUserSession));
+    assert(unsigned.status === 401, 'Unsigned transfer should be rejected');
+    assert(unsigned.error.code === 'SIGNATURE_REQUIRED', 'Error code should be SIGNATURE_REQUIRED');
+    
+    const headers = signedHeaders('POST', initiatePath, transferBody, signOptions);
+    const signed = await makeRequest('POST', initiatePath, transferBody, headers);
+    assert(signed.status === 201, 'Signed transfer should be accepted');
+    
+    const replayed = await makeRequest('POST', initiatePath, transferBody, headers);
+    assert(replayed.status === 401, 'Replayed request should be rejected');
+    assert(replayed.error.code === 'SIGNATURE_REPLAYED', 'Error code should be SIGNATURE_REPLAYED');
+    
+    const tamperedBody = transferBody.replace('"amount":250', '"amount":2500');
+    const tampered = await makeRequest('POST', initiatePath, tamperedBody,
+      signedHeaders('POST', initiatePath, transferBody, signOptions));
+    assert(tampered.status === 401, 'Tampered body should be rejected');
+    assert(tampered.error.code === 'SIGNATURE_INVALID', 'Error code should be SIGNATURE_INVALID');
+    
+    const staleTimestamp = Math.floor(Date.now() / 1000) - 3600;
+    const stale = await makeRequest('POST', initiatePath, transferBody,
+      signedHeaders('POST', initiatePath, transferBody, { ...signOptions, timestamp: staleTimestamp }));
+    assert(stale.status === 401, 'Stale signature should be rejected');
+    assert(stale.error.code === 'SIGNATURE_EXPIRED', 'Error code should be SIGNATURE_EXPIRED');
+    
+    const unsignedApproval = await makeRequest('POST', `/api/transfers/${signed.data.transfer.id}/approve`,
+      {}, sessionHeaders(testApproverSession));
+    assert(unsignedApproval.status === 401, 'Unsigned approval should be rejected');
+    assert(unsignedApproval.error.code === 'SIGNATURE_REQUIRED', 'Error code should be SIGNATURE_REQUIRED');
+    
+    const unsignedRejection = await makeRequest('POST', `/api/transfers/${signed.data.transfer.id}/reject`,
+      { reason: 'Unsigned rejection' }, sessionHeaders(testApproverSession));
+    assert(unsignedRejection.status === 401, 'Unsigned rejection should be rejected');
+    assert(unsignedRejection.error.code === 'SIGNATURE_REQUIRED', 'Error code should be SIGNATURE_REQUIRED');
+  } finally {
+    // Switch signing off again so it does not affect other tests
+    const disableBody = JSON.stringify({ transfer_initiate: false, transfer_approve: false });
+    await makeRequest('PUT', policyPath, disableBody, signedHeaders('PUT', policyPath, disableBody));
+  }
+  
+  const disabled = await makeRequest('GET', policyPath, null, { 'X-API-Key': testBankApiKey });
+  assert(disabled.data.signing_policy.transfer_initiate === false, 'Signing policy should be switched off again');
+  
+  log('Request signing test passed', 'success');
+  testResults.passed++;
+}
+
+// Job queue tests
+
+// Throwaway database for the job queue tests, so the running server's worker does not pick up their jobs
+const JOB_QUEUE_TEST_DB = path.join(os.tmpdir(), `stablecoin-job-queue-test-${process.pid}.db`);
+
+/**
+ * Load the job queue and settlement modules in this process against the throwaway database
+ */
+function loadJobQueue() {
+  if (!process.env.DATABASE_PATH) {
+    fs.rmSync(JOB_QUEUE_TEST_DB, { force: true });
+    process.env.DATABASE_PATH = JOB_QUEUE_TEST_DB;
+    process.on('exit', () => fs.rmSync(JOB_QUEUE_TEST_DB, { force: true }));
+  }
+  return {
+    db: require('../database/connection'),
+    jobQueue: require('../job-queue'),
+    settlement: require('../settlement')
+  };
+}
+
+/**
+ * Test job leases
+ * A leased job is not handed to another worker until its lease runs out, then it is leased again
+ */
+async function testJobLeaseExpiry() {
+  log('Testing Job Lease Expiry...');
+  
+  const { db, jobQueue } = loadJobQueue();
+  const jobId = jobQueue.enqueue('test_lease', { step: 1 });
+  
+  const first = jobQueue.leaseNextJob('worker_a', 60000);
+  assert(first && first.id === jobId, 'First worker should lease the job');
+  assert(jobQueue.leaseNextJob('worker_b') === undefined, 'A leased job should not be leased by another worker');
+  
+  // Let the lease run out, as if worker_a had crashed
+  db.prepare('UPDATE jobs SET leased_until = ? WHERE id = ?').run(new Date(Date.now() - 1000).toISOString(), jobId);
+  const second = jobQueue.leaseNextJob('worker_b');
+  assert(second && second.id === jobId, 'Expired lease should be picked up again');
+  assert(second.lease_owner === 'worker_b', 'New lease should belong to the second worker');
+  assert(second.attempts === 2, 'Re-leasing should count as a new attempt');
+  
+  await jobQueue.runJob(second); // No handler registered: recorded as a failure
+  db.prepare("UPDATE jobs SET status = 'completed' WHERE id = ?").run(jobId);
+  
+  log('Job lease expiry test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test job retries
+ * A failing job goes back to the queue with exponential backoff and keeps its error
+ */
+async function testJobRetryBackoff() {
+  log('Testing Job Retry Backoff...');
+  
+  const { db, jobQueue } = loadJobQueue();
+  assert(jobQueue.getBackoffMs(1) === 1000, 'First retry should wait 1 second');
+  assert(jobQueue.getBackoffMs(3) === 4000, 'Backoff should double per attempt');
+  assert(jobQueue.getBackoffMs(20) === 5 * 60 * 1000, 'Backoff should be capped at 5 minutes');
+  
+  let calls = 0;
+  jobQueue.registerHandler('test_retry', async () => {
+    calls++;
+    if (calls === 1) {
+      throw new Error('Temporary failure');
+    }
+  });
+  const jobId = jobQueue.enqueue('test_retry', {});
+  
+  const before = Date.now();
+  await jobQueue.runJob(jobQueue.leaseNextJob('worker_a'));
+  const failed = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+  assert(failed.status === 'pending', 'Failed job should go back to pending');
+  assert(failed.last_error === 'Temporary failure', 'Failed job should keep the error');
+  const delay = new Date(failed.run_at).getTime() - before;
+  assert(delay >= 900 && delay <= 2000, 'Retry should be scheduled after the backoff delay');
+  assert(jobQueue.leaseNextJob('worker_a') === undefined, 'Job should not run again before the backoff delay');
+  
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  const retry = jobQueue.leaseNextJob('worker_a');
+  assert(retry && retry.id === jobId && retry.attempts === 2, 'Job should be retried after the backoff delay');
+  await jobQueue.runJob(retry);
+  const completed = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+  assert(completed.status === 'completed', 'Retried job should complete');
+  
+  log('Job retry backoff test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test dead-lettering
+ * A job that fails max_attempts times is kept as 'dead' until it is retried by hand
+ */
+async function testJobDeadLetter() {
+  log('Testing Job Dead-Lettering...');
+  
+  const { db, jobQueue } = loadJobQueue();
+  jobQueue.registerHandler('test_dead_letter', async () => {
+    throw new Error('Permanent failure');
+  });
+  const jobId = jobQueue.enqueue('test_dead_letter', {}, { maxAttempts: 2 });
+  
+  await jobQueue.runJob(jobQueue.leaseNextJob('worker_a'));
+  // Skip the backoff delay
+  db.prepare('UPDATE jobs SET run_at = ? WHERE id = ?').run(new Date().toISOString(), jobId);
+  await jobQueue.runJob(jobQueue.leaseNextJob('worker_a'));
+  
+  const dead = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+  assert(dead.status === 'dead', 'Job should be dead-lettered after max_attempts failures');
+  assert(dead.last_error === 'Permanent failure', 'Dead job should keep the last error');
+  assert(jobQueue.getDeadJobs().some(job => job.id === jobId), 'Dead job should be listed');
+  assert(jobQueue.leaseNextJob('worker_a') === undefined, 'Dead job should not be leased');
+  
+  assert(jobQueue.retryDeadJob(jobId) === true, 'Dead job should be requeued');
+  const requeued = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+  assert(requeued.status === 'pending' && requeued.attempts === 0, 'Requeued job should start with fresh attempts');
+  assert(jobQueue.retryDeadJob(jobId) === false, 'Only dead jobs can be requeued');
+  db.prepare("UPDATE jobs SET status = 'completed' WHERE id = ?").run(jobId);
+  
+  log('Job dead-letter test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test settlement resume on restart
+ * Transfers left in 'processing' are queued again once per transfer and then settled
+ */
+async function testSettlementResume() {
+  log('Testing Settlement Resume on Restart...');
+  
+  const { db, jobQueue, settlement } = loadJobQueue();
+  const logic = db.prepare(`
+    INSERT INTO core_stablecoin_logic_box (stablecoin_name, blockchain_network, smart_contract_address)
+    VALUES ('USDC', 'simulator', '0x0')
+  `).run();
+  // A transfer approved before the restart, whose job was lost (no wallets, so settlement fails it)
+  const transfer = db.prepare(`
+    INSERT INTO transaction_records (logic_id, transaction_hash, amount, status) VALUES (?, '', 100, 'processing')
+  `).run(logic.lastInsertRowid);
+  const transactionId = Number(transfer.lastInsertRowid);
+  
+  assert(settlement.resumeSettlements() === 1, 'Resume should find the processing transfer');
+  settlement.resumeSettlements(); // A second call must not queue it twice
+  const jobs = db.prepare('SELECT * FROM jobs WHERE dedupe_key = ?').all(`settle_transfer:${transactionId}`);
+  assert(jobs.length === 1 && jobs[0].status === 'pending', 'Exactly one settlement job should be queued');
+  
+  const job = jobQueue.leaseNextJob('worker_a');
+  assert(job && job.id === jobs[0].id, 'Worker should pick up the resumed settlement job');
+  await jobQueue.runJob(job);
+  
+  const settled = db.prepare('SELECT status, failure_reason FROM transaction_records WHERE transaction_id = ?').get(transactionId);
+  assert(settled.status === 'failed', 'Resumed transfer should be settled by the worker');
+  assert(settled.failure_reason === 'Transfer has no source or destination wallet', 'Failure reason should be recorded');
+  assert(db.prepare('SELECT status FROM jobs WHERE id = ?').get(job.id).status === 'completed', 'Settlement job should complete');
+  
+  log('Settlement resume test passed', 'success');
+  testResults.passed++;
+}
+
+// Error handling tests
+
+/**
+ * Test invalid API key rejection
+ * The API should reject requests with invalid API keys
+ * This ensures only authorized banks can access the system
+ * Should return 401 Unauthorized status
+ */
+async function testInvalidApiKey() {
+  log('Testing Invalid API Key...');
+  
+  const result = await makeRequest('GET', '/api/banks/profile', null, {
+    'X-API-Key': 'invalid_api_key'
+  });
+  
+  assert(!result.success, 'Invalid API key should be rejected');
+  assert(result.status === 401, 'Invalid API key should return 401');
+  
+  log('Invalid API key test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test missing API key rejection
+ * The API should reject requests without API keys
+ * This ensures all protected endpoints require authentication
+ * Should return 401 Unauthorized status
+ */
+async function testMissingApiKey() {
+  log('Testing Missing API Key...');
+  
+  const result = await makeRequest('GET', '/api/banks/profile');
+  
+  assert(!result.success, 'Missing API key should be rejected');
+  assert(result.status === 401, 'Missing API key should return 401');
+  
+  log('Missing API key test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test scoped API keys: a read-only key, rotation with an overlap window,
+ * immediate rotation and revocation
+ */
+async function testApiKeyManagement() {
+  log('Testing API Key Management...');
+  
+  const adminHeaders = { 'X-API-Key': testBankApiKey };
+  
+  const invalidScope = await makeRequest('POST', '/api/banks/api-keys', { name: 'bad', scopes: ['everything'] }, adminHeaders);
+  assert(invalidScope.status === 400, 'Unknown scopes should be rejected');
+  
+  const created = await makeRequest('POST', '/api/banks/api-keys', { name: 'reporting', scopes: ['read'] }, adminHeaders);
+  assert(created.status === 201, 'API key creation should return 201');
+  assert(created.data.api_key.startsWith('sk_'), 'New key should be returned once');
+  assert(created.data.key.scopes.length === 1 && created.data.key.scopes[0] === 'read', 'Key should be read-only');
+  const readOnlyKey = created.data.api_key;
+  
+  // Read-only key can read but not write
+  const profile = await makeRequest('GET', '/api/banks/profile', null, { 'X-API-Key': readOnlyKey });
+  assert(profile.status === 200, 'Read-only key should read the bank profile');
+  
+  const write = await makeRequest('POST', '/api/wallets/create', { subsidiaryName: 'Scoped Sub', currency: 'USDC' }, {
+    'X-API-Key': readOnlyKey
+  });
+  assert(write.status === 403, 'Read-only key should not create wallets');
+  assert(write.error.code === 'INSUFFICIENT_SCOPE', 'Error code should be INSUFFICIENT_SCOPE');
+  
+  const keyAdmin = await makeRequest('GET', '/api/banks/api-keys', null, { 'X-API-Key': readOnlyKey });
+  assert(keyAdmin.status === 403, 'Read-only key should not manage API keys');
+  
+  const listed = await makeRequest('GET', '/api/banks/api-keys', null, adminHeaders);
+  assert(listed.status === 200, 'API keys should be listed');
+  const listedKey = listed.data.api_keys.find(k => k.key_id === created.data.key.key_id);
+  assert(listedKey, 'New key should be listed');
+  assert(listedKey.last_used_at, 'Last use should be recorded');
+  assert(!listed.data.api_keys.some(k => k.key_hash || k.api_key), 'Listing should not expose keys or hashes');
+  
+  // Rotation with an overlap window: both keys work
+  const rotated = await makeRequest('POST', `/api/banks/api-keys/${created.data.key.key_id}/rotate`, { overlap_seconds: 60 }, adminHeaders);
+  assert(rotated.status === 201, 'Rotation should return 201');
+  assert(rotated.data.key.rotated_from === created.data.key.key_id, 'New key should point to the rotated key');
+  assert(rotated.data.previous_key.expires_at, 'Old key should get an expiry');
+  const oldStillWorks = await makeRequest('GET', '/api/banks/profile', null, { 'X-API-Key': readOnlyKey });
+  assert(oldStillWorks.status === 200, 'Old key should work during the overlap window');
+  const newWorks = await makeRequest('GET', '/api/banks/profile', null, { 'X-API-Key': rotated.data.api_key });
+  assert(newWorks.status === 200, 'New key should work');
+  
+  // Rotation without overlap: the old key stops working at once
+  const immediate = await makeRequest('POST', `/api/banks/api-keys/${rotated.data.key.key_id}/rotate`, { overlap_seconds: 0 }, adminHeaders);
+  assert(immediate.status === 201, 'Immediate rotation should return 201');
+  const expired = await makeRequest('GET', '/api/banks/profile', null, { 'X-API-Key': rotated.data.api_key });
+  assert(expired.status === 401, 'Rotated key without overlap should stop working');
+  assert(expired.error.code === 'API_KEY_EXPIRED', 'Error code should be API_KEY_EXPIRED');
+  
+  // Revocation
+  const revoked = await makeRequest('POST', `/api/banks/api-keys/${immediate.data.key.key_id}/revoke`, null, adminHeaders);
+  assert(revoked.status === 200, 'Revocation should succeed');
+  assert(revoked.data.key.status === 'revoked', 'Key should be revoked');
+  const afterRevoke = await makeRequest('GET', '/api/banks/profile', null, { 'X-API-Key': immediate.data.api_key });
+  assert(afterRevoke.status === 401, 'Revoked key should stop working');
+  assert(afterRevoke.error.code === 'API_KEY_REVOKED', 'Error code should be API_KEY_REVOKED');
+  
+  const current = listed.data.api_keys.find(k => k.name === 'default');
+  const selfRevoke = await makeRequest('POST', `/api/banks/api-keys/${current.key_id}/revoke`, null, adminHeaders);
+  assert(selfRevoke.status === 400, 'A key should not revoke itself');
+  assert(selfRevoke.error.code === 'CANNOT_REVOKE_CURRENT_KEY', 'Error code should be CANNOT_REVOKE_CURRENT_KEY');
+  
+  log('API key management test passed', 'success');
+  testResults.passed++;
+}
+
+/**
+ * Test invalid bank registration rejection
  * The API should reject bank registrations with invalid data
  * Tests validation of required fields and data formats
  * Should return 400 Bad Request status
@@ -621,9 +3492,16 @@ async function runAllTests() {
     testInvalidApiKey,
     testMissingApiKey,
     testInvalidBankRegistration,
+    testApiKeyManagement,
     
     // User management
+    testAdminUserCreation,
+    testMfaEnrollment,
     testUserCreation,
+    testApproverUserCreation,
+    testUserLogin,
+    testLoginLockout,
+    testUserSessionEnforcement,
     testUserListing,
     
     // Role management
@@ -632,14 +3510,72 @@ async function runAllTests() {
     
     // Wallet management
     testWalletCreation,
+    testDestinationWalletCreation,
+    testWalletDeposit,
     testWalletBalance,
     testWalletListing,
     
     // Transfer management
+    testInsufficientFundsTransfer,
+    testInvalidTransferAmounts,
     testTransferInitiation,
     testTransferStatus,
     testPendingTransfers,
-    testTransferApproval
+    testTransferHistory,
+    testTransferApproval,
+    testTransferLedgerSettlement,
+    testManualTransferApproval,
+    testTransferRejection,
+    testTransferCancellation,
+    
+    // Multi-factor authentication
+    testMfaStepUp,
+    testPasswordReset,
+    testMfaStepUpLockout,
+    
+    // Authorization
+    testRolePermissions,
+    testCustomRoles,
+    testRoleEscalation,
+    testUserManagementAuthorization,
+    testApprovalRuleValidation,
+    testApprovalSnapshot,
+    testSegregationOfDuties,
+    testApprovalRuleUpdate,
+    testApprovalDelegation,
+    
+    // Transfer events
+    testTransferEvents,
+    testWebhookDeliveries,
+    testWebhookSignatures,
+    testWebhookManagement,
+    testWebSocketChannel,
+    
+    // Cross-tenant isolation
+    testForeignBankSetup,
+    testCrossTenantTransferStatus,
+    testCrossTenantTransferActions,
+    testCrossTenantTransferListings,
+    testCrossTenantWalletAccess,
+    testCrossTenantNotifications,
+    testCrossTenantIncomingTransfer,
+    
+    // Idempotency
+    testIdempotentTransferInitiation,
+    testIdempotentCreation,
+    
+    // Subwallet management
+    testSubwalletFunding,
+    testSubwalletLifecycle,
+    
+    // Request signing
+    testRequestSigning,
+    
+    // Job queue
+    testJobLeaseExpiry,
+    testJobRetryBackoff,
+    testJobDeadLetter,
+    testSettlementResume
   ];
   
   for (const test of tests) {
@@ -0,0 +1,315 @@
+/**
+ * TRANSFER EVENTS MODULE
+ *
+ * An in-process event bus for transfer state changes. Route and settlement code only
+ * call emitTransferEvent(); this module decides who hears about it and over which
+ * channels, using the NotificationService in notifications.js.
+ *
+ * EVENTS:
+ * - transfer_initiated: a transfer was created (pending approval or auto-approved)
+ * - approval_required: a transfer is waiting for approvals
+ * - transfer_approved: the last required approval was given (or the transfer was auto-approved)
+ * - transfer_rejected / transfer_cancelled / transfer_expired: the transfer ended without approval
+ * - transfer_completed: settlement confirmed the transfer and the ledger was posted
+ * - transfer_failed: settlement failed
+ *
+ * WHO IS NOTIFIED:
+ * - approval_required: every user who can approve the transfer; approvers who have
+ *   delegated are replaced by their delegate (see delegations.js)
+ * - every other event: the user who initiated the transfer
+ *
+ * CHANNELS:
+ * - In-app: a row in notifications (type 'transfer' or 'approval'), pushed over WebSocket
+ *   when the user's push_enabled preference is on
+ * - Email / SMS: sent when the user enables them, the event has a template and the
+ *   provider is configured (EMAIL_USER, TWILIO_ACCOUNT_SID); SMS also needs a phone number
+ * - Webhooks and Slack/Teams integrations: belong to the bank, so they follow their own
+ *   events list instead of user preferences
+ * - WebSocket topics: connections of the bank subscribed to 'bank', 'transfer:<id>', the
+ *   'wallet:<id>' of either wallet, or 'approvals' (approval events only). When the
+ *   destination wallet belongs to another bank, that bank's connections subscribed to
+ *   'bank' or the destination 'wallet:<id>' get the event too, without the sending bank's
+ *   users and reasons (COUNTERPARTY_FIELDS)
+ * A user's transfer_notifications / approval_notifications preference turns off all their
+ * channels for that category. Delivery errors are logged and never reach the caller.
+ *
+ * The webhook event catalog (GET /api/notifications/events) is built from TRANSFER_EVENTS.
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const { EventEmitter } = require('events'); // Node's built-in event emitter
+const db = require('./database/connection'); // Database connection for users and wallets
+const ledger = require('./ledger'); // Wallet ID formatting
+const { notificationService } = require('./notifications'); // Delivery channels
+const { getTransferApprovalRequirements } = require('./approval-rules'); // Approver level of a transfer
+const { getApprovalRecipients } = require('./delegations'); // Delegation-aware approver list
+
+// Event type -> how it is presented. category is the notification type and picks the
+// user preference (transfer_notifications or approval_notifications) that controls it;
+// description and sample (payload fields of an example) are shown in the event catalog.
+const TRANSFER_EVENTS = {
+  transfer_initiated: {
+    category: 'transfer', title: 'Transfer Initiated', priority: 'normal', emailTemplate: 'transfer_initiated',
+    description: 'A transfer was created (pending approval or auto-approved)',
+    sample: { status: 'pending_approval' },
+    message: (t) => `Transfer ${t.transfer_id} of ${t.amount} ${t.currency} was initiated`
+  },
+  approval_required: {
+    category: 'approval', title: 'Approval Required', priority: 'high',
+    emailTemplate: 'approval_required', smsTemplate: 'approval_required_sms',
+    description: 'A transfer is waiting for approvals',
+    sample: { status: 'pending_approval' },
+    message: (t) => `Transfer ${t.transfer_id} of ${t.amount} ${t.currency} needs your approval`
+  },
+  transfer_approved: {
+    category: 'transfer', title: 'Transfer Approved', priority: 'normal',
+    description: 'The last required approval was given, or the transfer was auto-approved (auto_approved: true)',
+    sample: { status: 'approved', approved_by: 'user_8b2e5d1f' },
+    message: (t) => `Transfer ${t.transfer_id} of ${t.amount} ${t.currency} was approved`
+  },
+  transfer_rejected: {
+    category: 'transfer', title: 'Transfer Rejected', priority: 'high',
+    description: 'An approver rejected the transfer',
+    sample: { status: 'rejected', rejected_by: 'user_8b2e5d1f', reason: 'Beneficiary details do not match' },
+    message: (t) => `Transfer ${t.transfer_id} of ${t.amount} ${t.currency} was rejected: ${t.reason}`
+  },
+  transfer_cancelled: {
+    category: 'transfer', title: 'Transfer Cancelled', priority: 'normal',
+    description: 'The initiator cancelled the transfer before it was approved',
+    sample: { status: 'cancelled', cancelled_by: 'user_4f1c2a9e', reason: 'Sent to the wrong wallet' },
+    message: (t) => `Transfer ${t.transfer_id} of ${t.amount} ${t.currency} was cancelled`
+  },
+  transfer_expired: {
+    category: 'transfer', title: 'Transfer Expired', priority: 'high',
+    description: 'The transfer was not approved before its approval deadline',
+    sample: { status: 'expired' },
+    message: (t) => `Transfer ${t.transfer_id} of ${t.amount} ${t.currency} expired before it was approved`
+  },
+  transfer_completed: {
+    category: 'transfer', title: 'Transfer Completed', priority: 'normal',
+    emailTemplate: 'transfer_completed', smsTemplate: 'transfer_completed_sms',
+    description: 'Settlement confirmed the transfer and the ledger was posted',
+    sample: { status: 'confirmed' },
+    message: (t) => `Transfer ${t.transfer_id} of ${t.amount} ${t.currency} was completed`
+  },
+  transfer_failed: {
+    category: 'transfer', title: 'Transfer Failed', priority: 'urgent',
+    description: 'Settlement failed',
+    sample: { status: 'failed', failure_reason: 'Insufficient funds at settlement' },
+    message: (t) => `Transfer ${t.transfer_id} of ${t.amount} ${t.currency} failed: ${t.failure_reason}`
+  }
+};
+
+const bus = new EventEmitter();
+
+/**
+ * Build the event payload sent to every channel. It is flat and has no null values,
+ * because team integrations print every field.
+ */
+function buildPayload(eventType, transfer, details) {
+  const payload = {
+    event: eventType,
+    transfer_id: `transfer_${transfer.transaction_id}`,
+    status: transfer.status,
+    amount: transfer.amount,
+    currency: transfer.currency,
+    from_wallet_id: ledger.formatWalletId(transfer.from_wallet_id),
+    to_wallet_id: ledger.formatWalletId(transfer.to_wallet_id),
+    initiated_by: transfer.initiated_by,
+    ...details,
+    occurred_at: new Date().toISOString()
+  };
+  Object.keys(payload).forEach(key => {
+    if (payload[key] === null || payload[key] === undefined) {
+      delete payload[key];
+    }
+  });
+  return payload;
+}
+
+// Transfer the sample payloads of the event catalog describe
+const SAMPLE_TRANSFER = {
+  transaction_id: 12,
+  amount: 25000,
+  currency: 'USDC',
+  from_wallet_id: 3,
+  to_wallet_id: 7,
+  initiated_by: 'user_4f1c2a9e'
+};
+
+/**
+ * Build an example payload of an event (for the event catalog).
+ *
+ * @param {string} eventType - One of the keys of TRANSFER_EVENTS
+ * @returns {object} Payload as webhooks and WebSocket clients receive it
+ */
+function getSamplePayload(eventType) {
+  const { status, ...details } = TRANSFER_EVENTS[eventType].sample;
+  return buildPayload(eventType, { ...SAMPLE_TRANSFER, status }, details);
+}
+
+/**
+ * Work out who hears about an event: [{ user_id, on_behalf_of }].
+ */
+function getRecipients(eventType, transfer) {
+  if (eventType === 'approval_required') {
+    const { required_role_level } = getTransferApprovalRequirements(transfer);
+    return getApprovalRecipients(transfer.bank_id, transfer, required_role_level);
+  }
+  return transfer.initiated_by ? [{ user_id: transfer.initiated_by, on_behalf_of: [] }] : [];
+}
+
+// Template variables for the email and SMS templates in notifications.js
+function getTemplateVariables(transfer, payload, user) {
+  const walletStmt = db.prepare('SELECT subsidiary_name FROM fbo_wallets WHERE wallet_id = ?');
+  const walletName = (walletId) => {
+    const wallet = walletId ? walletStmt.get(walletId) : null;
+    return (wallet && wallet.subsidiary_name) || ledger.formatWalletId(walletId) || 'unknown';
+  };
+  const initiatorStmt = db.prepare('SELECT full_name FROM bank_users WHERE user_id = ?');
+  const initiator = transfer.initiated_by ? initiatorStmt.get(transfer.initiated_by) : null;
+
+  return {
+    transfer_id: payload.transfer_id,
+    amount: transfer.amount,
+    currency: transfer.currency,
+    status: transfer.status,
+    sender_name: walletName(transfer.from_wallet_id),
+    recipient_name: user.full_name,
+    approver_name: user.full_name,
+    initiator_name: initiator ? initiator.full_name : transfer.initiated_by,
+    completed_at: transfer.completed_at || payload.occurred_at
+  };
+}
+
+/**
+ * Notify one user of an event over the channels their preferences allow.
+ */
+function notifyUser(eventType, transfer, payload, recipient) {
+  const event = TRANSFER_EVENTS[eventType];
+  const userStmt = db.prepare(`SELECT * FROM bank_users WHERE user_id = ? AND bank_id = ? AND status = 'active'`);
+  const user = userStmt.get(recipient.user_id, transfer.bank_id);
+  if (!user) {
+    return;
+  }
+
+  const preferences = notificationService.getPreferences(user.user_id);
+  if (!preferences[`${event.category}_notifications`]) {
+    return;
+  }
+
+  const onBehalfOf = recipient.on_behalf_of.length > 0 ? ` (on behalf of ${recipient.on_behalf_of.join(', ')})` : '';
+  notificationService.createNotification(
+    transfer.bank_id, user.user_id, event.category, event.title, event.message(payload) + onBehalfOf, event.priority,
+    JSON.stringify({ ...payload, on_behalf_of: recipient.on_behalf_of }),
+    Boolean(preferences.push_enabled)
+  );
+
+  const variables = getTemplateVariables(transfer, payload, user);
+  if (preferences.email_enabled && event.emailTemplate && process.env.EMAIL_USER) {
+    notificationService.sendEmail(user.email, event.emailTemplate, variables)
+      .catch(error => console.error(`Email for ${eventType} failed:`, error.message));
+  }
+  if (preferences.sms_enabled && event.smsTemplate && user.phone && process.env.TWILIO_ACCOUNT_SID) {
+    notificationService.sendSMS(user.phone, event.smsTemplate, variables)
+      .catch(error => console.error(`SMS for ${eventType} failed:`, error.message));
+  }
+}
+
+// Events that change what approvers need to look at
+const APPROVAL_EVENTS = ['approval_required', 'transfer_approved', 'transfer_rejected'];
+
+// WebSocket topics an event is published on
+function getTopics(eventType, payload) {
+  const topics = ['bank', `transfer:${payload.transfer_id}`];
+  [payload.from_wallet_id, payload.to_wallet_id].forEach(walletId => {
+    if (walletId) topics.push(`wallet:${walletId}`);
+  });
+  if (APPROVAL_EVENTS.includes(eventType)) {
+    topics.push('approvals');
+  }
+  return topics;
+}
+
+// Payload fields the bank receiving a transfer may see: who acted at the sending bank,
+// and why, stay with the sending bank
+const COUNTERPARTY_FIELDS = ['event', 'transfer_id', 'status', 'amount', 'currency', 'from_wallet_id', 'to_wallet_id', 'occurred_at'];
+
+// Bank that owns the destination wallet, when that is not the sending bank (otherwise null)
+function getReceivingBankId(transfer) {
+  const walletStmt = db.prepare('SELECT bank_id FROM fbo_wallets WHERE wallet_id = ?');
+  const wallet = transfer.to_wallet_id ? walletStmt.get(transfer.to_wallet_id) : null;
+  return wallet && wallet.bank_id && wallet.bank_id !== transfer.bank_id ? wallet.bank_id : null;
+}
+
+// Fan an event out to users, WebSocket topics, the bank's webhooks and its team integrations
+bus.on('transfer_event', ({ eventType, transfer, details }) => {
+  try {
+    const payload = buildPayload(eventType, transfer, details);
+
+    for (const recipient of getRecipients(eventType, transfer)) {
+      notifyUser(eventType, transfer, payload, recipient);
+    }
+
+    notificationService.publish(transfer.bank_id, getTopics(eventType, payload), payload);
+
+    // Incoming transfer for another bank: tell its 'bank' and destination wallet subscribers
+    const receivingBankId = getReceivingBankId(transfer);
+    if (receivingBankId) {
+      const counterpartyPayload = Object.fromEntries(
+        COUNTERPARTY_FIELDS.filter(field => payload[field] !== undefined).map(field => [field, payload[field]])
+      );
+      notificationService.publish(receivingBankId, ['bank', `wallet:${payload.to_wallet_id}`], counterpartyPayload);
+    }
+
+    notificationService.sendWebhook(transfer.bank_id, eventType, payload)
+      .catch(error => console.error(`Webhooks for ${eventType} failed:`, error.message));
+    notificationService.sendTeamNotification(transfer.bank_id, eventType, payload)
+      .catch(error => console.error(`Team notifications for ${eventType} failed:`, error.message));
+  } catch (error) {
+    console.error(`Transfer event ${eventType} error:`, error);
+  }
+});
+
+/**
+ * Announce a transfer state change.
+ *
+ * @param {string} eventType - One of the keys of TRANSFER_EVENTS
+ * @param {object|number} transfer - transaction_records row, or its numeric ID (the current row is read)
+ * @param {object} [details] - Extra payload fields (e.g. reason, approved_by)
+ */
+function emitTransferEvent(eventType, transfer, details = {}) {
+  if (!TRANSFER_EVENTS[eventType]) {
+    throw new Error(`Unknown transfer event: ${eventType}`);
+  }
+
+  const record = typeof transfer === 'object'
+    ? transfer
+    : db.prepare('SELECT * FROM transaction_records WHERE transaction_id = ?').get(transfer);
+  if (record) {
+    bus.emit('transfer_event', { eventType, transfer: record, details });
+  }
+}
+
+/**
+ * Listen to transfer events (the NotificationService fan-out is always registered).
+ *
+ * @param {Function} listener - ({ eventType, transfer, details }) => void
+ */
+function onTransferEvent(listener) {
+  bus.on('transfer_event', listener);
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  TRANSFER_EVENTS,
+  getSamplePayload,
+  emitTransferEvent,
+  onTransferEvent
+};
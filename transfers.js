@@ -1,21 +1,96 @@
 const express = require('express');
 const db = require('./database/connection');
-const { authenticateBank } = require('./banks');
+const { authenticateBank, requireScope } = require('./banks');
+const ledger = require('./ledger');
+const settlement = require('./settlement');
+const { idempotent } = require('./idempotency');
+const { requireSignature } = require('./request-signing');
+const { authenticateUser } = require('./auth');
+const mfa = require('./mfa');
+const { requirePermission, getTransferLimitError } = require('./authorization');
+const { requireApprovalAuthority } = require('./delegations');
+const { emitTransferEvent } = require('./transfer-events');
+const {
+  snapshotApprovalRequirements, getTransferApprovalRequirements, getApprovalPolicy, getSegregationError
+} = require('./approval-rules');
 const router = express.Router();
 
-let transferCounter = 1;
+// Look up a transfer owned by the given bank.
+// Returns undefined for unknown transfers and for transfers of other banks, so callers
+// answer both with the same 404 and never reveal that another bank's transfer exists.
+function getBankTransfer(transferId, bankId) {
+  const numericId = transferId.replace('transfer_', '');
+  const transferStmt = db.prepare('SELECT * FROM transaction_records WHERE transaction_id = ? AND bank_id = ?');
+  return transferStmt.get(numericId, bankId);
+}
 
-// Get approval requirements for a transfer amount
-function getApprovalRequirements(bankId, amount) {
-  const ruleStmt = db.prepare(`
-    SELECT * FROM approval_rules 
-    WHERE bank_id = ? AND min_amount <= ? AND (max_amount IS NULL OR max_amount >= ?)
-    ORDER BY min_amount DESC 
-    LIMIT 1
+// Move every pending transfer whose approval deadline has passed to 'expired'.
+// Funds held by a transfer are only held while it is pending or processing,
+// so expiring it releases them back to the source wallet's available balance.
+function expireOverdueTransfers() {
+  const now = new Date().toISOString();
+  const overdueStmt = db.prepare(`
+    SELECT transaction_id FROM transaction_records
+    WHERE status = 'pending_approval' AND approval_deadline IS NOT NULL AND approval_deadline < ?
+  `);
+  const expireStmt = db.prepare(`
+    UPDATE transaction_records
+    SET status = 'expired', approval_status = 'expired', failure_reason = 'Approval deadline passed'
+    WHERE transaction_id = ? AND status = 'pending_approval'
   `);
-  const rule = ruleStmt.get(bankId, amount, amount);
 
-  return rule || { auto_approve: true, required_approvals: 0, required_role_level: 1 };
+  let expired = 0;
+  for (const { transaction_id } of overdueStmt.all(now)) {
+    if (expireStmt.run(transaction_id).changes > 0) {
+      expired++;
+      emitTransferEvent('transfer_expired', transaction_id, { reason: 'Approval deadline passed' });
+    }
+  }
+  return expired;
+}
+
+// Start the background sweeper that expires overdue transfers (called from server.js)
+function startExpirySweeper(intervalMs = Number(process.env.TRANSFER_EXPIRY_SWEEP_MS) || 60000) {
+  const timer = setInterval(() => {
+    try {
+      const expired = expireOverdueTransfers();
+      if (expired > 0) {
+        console.log(`Expired ${expired} overdue transfer(s)`);
+      }
+    } catch (error) {
+      console.error('Error expiring overdue transfers:', error);
+    }
+  }, intervalMs);
+  timer.unref(); // Do not keep the process alive just for the sweeper
+  return timer;
+}
+
+// Approvals already given for a transfer, with each approver's department, for the
+// maker-checker checks of the bank's approval policy.
+function getPriorApprovals(transactionId) {
+  const priorApprovalsStmt = db.prepare(`
+    SELECT ta.approver_user_id, ta.on_behalf_of, bu.department
+    FROM transfer_approvals ta
+    LEFT JOIN bank_users bu ON ta.approver_user_id = bu.user_id
+    WHERE ta.transfer_id = ? AND ta.decision = 'approved'
+  `);
+  return priorApprovalsStmt.all(transactionId);
+}
+
+// Check that a transfer can still be approved, rejected or cancelled.
+// Returns an error message, or null when the transfer is waiting for approval.
+function getPendingApprovalError(transfer) {
+  if (transfer.status === 'pending_approval' && transfer.approval_deadline && new Date(transfer.approval_deadline) < new Date()) {
+    // The sweeper has not caught this one yet - expire it now
+    expireOverdueTransfers();
+    return "Transfer approval deadline has passed";
+  }
+
+  if (transfer.status !== 'pending_approval') {
+    return `Transfer is ${transfer.status}, not pending approval`;
+  }
+
+  return null;
 }
 
 /**
@@ -23,10 +98,16 @@ function getApprovalRequirements(bankId, amount) {
  * /api/transfers/initiate:
  *   post:
  *     summary: Initiate a transfer (with approval workflow)
- *     description: Creates a new interbank transfer that may require approvals based on bank rules
+ *     description: Creates a new interbank transfer that may require approvals based on bank rules. The signed-in user (X-Session-Token) is recorded as the initiator.
  *     tags: [Transfers]
  *     security:
  *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/SignatureHeader'
+ *       - $ref: '#/components/parameters/SignatureTimestamp'
+ *       - $ref: '#/components/parameters/SignatureNonce'
  *     requestBody:
  *       required: true
  *       content:
@@ -38,7 +119,6 @@ function getApprovalRequirements(bankId, amount) {
  *               - toWalletId
  *               - amount
  *               - currency
- *               - initiated_by
  *             properties:
  *               fromWalletId:
  *                 type: string
@@ -54,6 +134,7 @@ function getApprovalRequirements(bankId, amount) {
  *                 example: "USDC"
  *               initiated_by:
  *                 type: string
+ *                 description: Deprecated - the initiator is the signed-in user. If sent, it must match that user.
  *                 example: "user_abc123"
  *               reason:
  *                 type: string
@@ -61,41 +142,103 @@ function getApprovalRequirements(bankId, amount) {
  *     responses:
  *       201:
  *         description: Transfer initiated successfully
+ *       400:
+ *         description: Missing fields, an amount that is not a positive number, invalid wallet IDs, or insufficient funds (code INSUFFICIENT_FUNDS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Source wallet is not owned by this bank (code WALLET_NOT_OWNED), initiated_by is not the signed-in user (code USER_MISMATCH), the user's role cannot initiate transfers (code PERMISSION_DENIED) or the amount is above the role's limit (code TRANSFER_LIMIT_EXCEEDED)
+ *       404:
+ *         description: Source or destination wallet not found
+ *       401:
+ *         description: Invalid API key, missing or expired user session (SESSION_REQUIRED, SESSION_INVALID, SESSION_EXPIRED), invalid signature, or unsigned request when the bank requires signing (code SIGNATURE_REQUIRED)
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key was already used for a different request
  */
-router.post('/initiate', authenticateBank, async (req, res) => {
-  const { fromWalletId, toWalletId, amount, currency, initiated_by, reason } = req.body;
+router.post('/initiate',
+  authenticateBank, requireScope('transfers:initiate'), authenticateUser({ bodyField: 'initiated_by' }),
+  requirePermission('transfers:initiate'), requireSignature('transfer_initiate'), idempotent(),
+  async (req, res) => {
+  const { fromWalletId, toWalletId, amount, currency, reason } = req.body;
+  const initiated_by = req.user.user_id; // The signed-in user, never taken from the body
   
-  if (!fromWalletId || !toWalletId || !amount || !currency || !initiated_by) {
+  if (!fromWalletId || !toWalletId || !amount || !currency) {
     return res.status(400).json({
       error: "Missing required fields",
-      required: ["fromWalletId", "toWalletId", "amount", "currency", "initiated_by"]
+      required: ["fromWalletId", "toWalletId", "amount", "currency"]
+    });
+  }
+
+  // Strings ("100") and non-finite numbers would break the fee and balance math below
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({
+      error: "Amount must be a number greater than 0"
     });
   }
 
-  if (amount <= 0) {
+  const fromId = ledger.parseWalletId(fromWalletId);
+  const toId = ledger.parseWalletId(toWalletId);
+  if (!fromId || !toId) {
     return res.status(400).json({
-      error: "Amount must be greater than 0"
+      error: "Invalid wallet ID format",
+      example: "wallet_1000"
     });
   }
 
+  if (fromId === toId) {
+    return res.status(400).json({
+      error: "Source and destination wallets must be different"
+    });
+  }
+
+  // Users can only initiate transfers up to their role's limit
+  const limitError = getTransferLimitError(req.role, amount);
+  if (limitError) {
+    return res.status(403).json(limitError);
+  }
+
   try {
-    // Verify user belongs to this bank
-    const userStmt = db.prepare('SELECT * FROM bank_users WHERE user_id = ? AND bank_id = ?');
-    const user = userStmt.get(initiated_by, req.bank.id);
-    
-    if (!user || user.status !== 'active') {
+    // Verify both wallets exist
+    const walletStmt = db.prepare('SELECT wallet_id, bank_id FROM fbo_wallets WHERE wallet_id = ?');
+    const fromWallet = walletStmt.get(fromId);
+    if (!fromWallet) {
+      return res.status(404).json({ error: "Source wallet not found" });
+    }
+    if (!walletStmt.get(toId)) {
+      return res.status(404).json({ error: "Destination wallet not found" });
+    }
+
+    // Banks can only send from their own wallets (any wallet can receive)
+    if (fromWallet.bank_id !== req.bank.id) {
       return res.status(403).json({
-        error: "Invalid or inactive user"
+        error: "Source wallet is not owned by this bank",
+        code: "WALLET_NOT_OWNED"
+      });
+    }
+
+    // Reject the transfer if the source wallet cannot cover amount + fee
+    // (funds already held by other in-flight transfers are not available)
+    const fees = ledger.calculateTransferFee(amount); // 0.1% fee
+    const requiredAmount = ledger.roundAmount(amount + fees);
+    const { availableBalance } = ledger.getWalletBalances(fromId);
+    if (availableBalance < requiredAmount) {
+      return res.status(400).json({
+        error: "Insufficient funds",
+        code: "INSUFFICIENT_FUNDS",
+        available_balance: availableBalance,
+        required_amount: requiredAmount
       });
     }
 
-    // Get approval requirements
-    const approvalRule = getApprovalRequirements(req.bank.id, amount);
+    // Snapshot the approval requirements: later rule edits do not change them for this transfer
+    const approvalRule = snapshotApprovalRequirements(req.bank.id, amount);
     
-    // Create transfer
-    const transfer_id = `transfer_${transferCounter++}`;
-    const fees = amount * 0.001; // 0.1% fee
-    const transactionHash = `0x${Math.random().toString(16).substr(2, 64)}`;
+    // The on-chain transaction hash is only known once the transfer is broadcast
+    const transactionHash = '';
     
     let approval_status = 'pending_approval';
     let estimatedCompletion = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours for approval
@@ -118,25 +261,22 @@ router.post('/initiate', authenticateBank, async (req, res) => {
     const transferStmt = db.prepare(`
       INSERT INTO transaction_records (
         logic_id, transaction_hash, amount, timestamp, status, initiated_by,
-        approval_status, required_approvals, current_approvals, approval_deadline
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        approval_status, required_approvals, current_approvals, approval_deadline,
+        from_wallet_id, to_wallet_id, currency, fees, reason, bank_id,
+        approval_rule_id, approval_rule_version, required_role_level
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     const result = transferStmt.run(
       logicBox.logic_id, transactionHash, amount, new Date().toISOString(), 
       approval_status === 'auto_approved' ? 'processing' : 'pending_approval',
-      initiated_by, approval_status, approvalRule.required_approvals || 0, 0, estimatedCompletion.toISOString()
+      initiated_by, approval_status, approvalRule.required_approvals, 0, estimatedCompletion.toISOString(),
+      fromId, toId, currency, fees, reason || "Interbank transfer", req.bank.id,
+      approvalRule.approval_rule_id, approvalRule.approval_rule_version, approvalRule.required_role_level
     );
 
-    // If auto-approved, simulate processing
+    // If auto-approved, start on-chain settlement right away
     if (approval_status === 'auto_approved') {
-      setTimeout(() => {
-        try {
-          const updateStmt = db.prepare('UPDATE transaction_records SET status = ? WHERE transaction_id = ?');
-          updateStmt.run('completed', result.lastInsertRowid);
-        } catch (error) {
-          console.error('Error updating transfer status:', error);
-        }
-      }, 5000);
+      settlement.startSettlement(Number(result.lastInsertRowid));
     }
 
     const getTransferStmt = db.prepare('SELECT * FROM transaction_records WHERE transaction_id = ?');
@@ -146,24 +286,31 @@ router.post('/initiate', authenticateBank, async (req, res) => {
       message: approval_status === 'auto_approved' ? "Transfer initiated and auto-approved" : "Transfer initiated - pending approval",
       transfer: {
         id: `transfer_${transfer.transaction_id}`,
-        fromWalletId: fromWalletId,
-        toWalletId: toWalletId,
+        fromWalletId: ledger.formatWalletId(transfer.from_wallet_id),
+        toWalletId: ledger.formatWalletId(transfer.to_wallet_id),
         amount: transfer.amount,
-        currency: currency,
-        reason: reason || "Interbank transfer",
+        currency: transfer.currency,
+        reason: transfer.reason,
         status: transfer.status,
         initiatedAt: transfer.timestamp,
         estimatedCompletion: estimatedCompletion,
-        fees: fees,
-        transactionHash: transfer.transaction_hash,
+        fees: transfer.fees,
+        transactionHash: transfer.transaction_hash || null,
         initiated_by: transfer.initiated_by,
         approval_status: transfer.approval_status,
         required_approvals: transfer.required_approvals,
-        current_approvals: transfer.current_approvals
+        current_approvals: transfer.current_approvals,
+        approval_rule_id: transfer.approval_rule_id,
+        approval_rule_version: transfer.approval_rule_version,
+        required_role_level: transfer.required_role_level
       }
     };
 
-    if (approval_status !== 'auto_approved') {
+    emitTransferEvent('transfer_initiated', transfer);
+    if (approval_status === 'auto_approved') {
+      emitTransferEvent('transfer_approved', transfer, { auto_approved: true });
+    } else {
+      emitTransferEvent('approval_required', transfer);
       response.next_steps = [
         "Transfer requires approval",
         `Required approvals: ${approvalRule.required_approvals}`,
@@ -187,61 +334,72 @@ router.post('/initiate', authenticateBank, async (req, res) => {
  * /api/transfers/{transferId}/approve:
  *   post:
  *     summary: Approve a transfer
- *     description: Approve a pending transfer (requires appropriate role level)
+ *     description: |
+ *       Approve a pending transfer as the signed-in user (requires appropriate role level).
+ *       Transfers above the MFA approval threshold (MFA_APPROVAL_THRESHOLD, default 50,000) also need a
+ *       fresh one-time code in X-MFA-Code; the kind of code used is recorded as the approval_method.
+ *       The bank's approval policy (GET /api/roles/approval-rules/policy) can stop the initiator from
+ *       approving, repeat approvals by one user and several approvals from one department.
  *     tags: [Transfers]
  *     security:
  *       - ApiKeyAuth: []
+ *         UserSession: []
  *     parameters:
  *       - in: path
  *         name: transferId
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/SignatureHeader'
+ *       - $ref: '#/components/parameters/SignatureTimestamp'
+ *       - $ref: '#/components/parameters/SignatureNonce'
+ *       - $ref: '#/components/parameters/MfaCode'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - approver_user_id
  *             properties:
  *               approver_user_id:
  *                 type: string
+ *                 description: Deprecated - the approver is the signed-in user. If sent, it must match that user.
  *                 example: "user_abc123"
+ *               on_behalf_of:
+ *                 type: string
+ *                 description: user_id of an approver who delegated their authority to the signed-in user (see /api/delegations). Their role is used and the decision is recorded as delegated.
+ *                 example: "user_def456"
  *               comments:
  *                 type: string
  *                 example: "Approved after review"
  *     responses:
  *       200:
  *         description: Transfer approved successfully
+ *       400:
+ *         description: Transfer is not pending approval, or the user has already approved it (ALREADY_APPROVED)
+ *       401:
+ *         description: Invalid API key, invalid signature, unsigned request when the bank requires signing (code SIGNATURE_REQUIRED), or missing/invalid one-time code for a large transfer (MFA_REQUIRED, MFA_INVALID)
+ *       403:
+ *         description: The role cannot approve transfers (PERMISSION_DENIED), insufficient role level, amount above the role's limit (TRANSFER_LIMIT_EXCEEDED), the approver has not set up MFA for a large transfer (MFA_NOT_ENROLLED), the approval policy forbids it (SELF_APPROVAL, DEPARTMENT_REQUIRED, SAME_DEPARTMENT), or on_behalf_of names no active delegation to you (DELEGATION_NOT_FOUND)
+ *       404:
+ *         description: Transfer not found (or owned by another bank)
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
  */
-router.post('/:transferId/approve', authenticateBank, async (req, res) => {
+router.post('/:transferId/approve',
+  authenticateBank, requireScope('transfers:approve'), authenticateUser({ bodyField: 'approver_user_id' }),
+  requireApprovalAuthority(), requireSignature('transfer_approve'),
+  async (req, res) => {
   const { transferId } = req.params;
-  const { approver_user_id, comments } = req.body;
+  const { comments } = req.body;
 
-  if (!approver_user_id) {
-    return res.status(400).json({
-      error: "Missing required fields",
-      required: ["approver_user_id"]
-    });
-  }
+  // The approver is the signed-in user (an active user of this bank)
+  const approver = req.user;
+  const approver_user_id = approver.user_id;
 
   try {
-    // Verify approver belongs to this bank
-    const approverStmt = db.prepare('SELECT * FROM bank_users WHERE user_id = ? AND bank_id = ?');
-    const approver = approverStmt.get(approver_user_id, req.bank.id);
-    
-    if (!approver || approver.status !== 'active') {
-      return res.status(403).json({
-        error: "Invalid or inactive approver"
-      });
-    }
-
     // Get transfer details
-    const numericId = transferId.replace('transfer_', '');
-    const transferStmt = db.prepare('SELECT * FROM transaction_records WHERE transaction_id = ?');
-    const transfer = transferStmt.get(numericId);
+    const transfer = getBankTransfer(transferId, req.bank.id);
     
     if (!transfer) {
       return res.status(404).json({
@@ -249,9 +407,9 @@ router.post('/:transferId/approve', authenticateBank, async (req, res) => {
       });
     }
 
-    if (transfer.status === 'completed') {
+    if (transfer.status === 'confirmed') {
       return res.status(400).json({
-        error: "Transfer already completed"
+        error: "Transfer already confirmed"
       });
     }
 
@@ -261,57 +419,92 @@ router.post('/:transferId/approve', authenticateBank, async (req, res) => {
       });
     }
 
-    // Check if user has already approved this transfer
-    const existingApprovalStmt = db.prepare('SELECT * FROM transfer_approvals WHERE transfer_id = ? AND approver_user_id = ?');
-    const existingApproval = existingApprovalStmt.get(transferId, approver_user_id);
-    
-    if (existingApproval) {
+    const pendingError = getPendingApprovalError(transfer);
+    if (pendingError) {
       return res.status(400).json({
-        error: "User has already approved this transfer"
+        error: pendingError
+      });
+    }
+
+    // Maker-checker: the bank's approval policy decides who may add an approval
+    const segregationError = getSegregationError(
+      getApprovalPolicy(req.bank.id), transfer, approver, getPriorApprovals(transfer.transaction_id), req.principal
+    );
+    if (segregationError) {
+      return res.status(segregationError.status).json({
+        error: segregationError.error,
+        code: segregationError.code
       });
     }
 
-    // Get approval requirements
-    const approvalRule = await getApprovalRequirements(req.bank.id, transfer.amount);
+    // Requirements snapshotted when the transfer was initiated
+    const approvalRule = getTransferApprovalRequirements(transfer);
     
     // Check if approver has sufficient role level
-    const approverRoleStmt = db.prepare('SELECT role_level FROM roles WHERE bank_id = ? AND role_name = ?');
-    const approverRole = approverRoleStmt.get(req.bank.id, approver.role);
+    const approverRole = req.role;
     
-    if (!approverRole || approverRole.role_level < approvalRule.required_role_level) {
+    if (approverRole.role_level < approvalRule.required_role_level) {
       return res.status(403).json({
         error: "Insufficient role level to approve this transfer",
         required_level: approvalRule.required_role_level,
-        approver_level: approverRole?.role_level
+        approver_level: approverRole.role_level
       });
     }
 
-    // Record approval
-    const approvalStmt = db.prepare(`
-      INSERT INTO transfer_approvals (transfer_id, approver_user_id, approved_at, comments, approval_method, ip_address)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `);
-    approvalStmt.run(transferId, approver_user_id, new Date().toISOString(), comments || "Approved", "api", req.ip);
+    // Approvers can only approve transfers up to their role's limit
+    const limitError = getTransferLimitError(approverRole, transfer.amount);
+    if (limitError) {
+      return res.status(403).json(limitError);
+    }
 
-    // Update transfer approval count
-    const newApprovalCount = transfer.current_approvals + 1;
-    const updateApprovalStmt = db.prepare('UPDATE transaction_records SET current_approvals = ? WHERE transaction_id = ?');
-    updateApprovalStmt.run(newApprovalCount, numericId);
+    // Large transfers need a fresh one-time code from the approver (step-up)
+    let approvalMethod = 'api';
+    if (transfer.amount > mfa.MFA_APPROVAL_THRESHOLD) {
+      const stepUp = mfa.verifyStepUp(approver, req.headers['x-mfa-code']);
+      if (stepUp.error) {
+        if (stepUp.retry_after_seconds) {
+          res.set('Retry-After', String(stepUp.retry_after_seconds));
+        }
+        return res.status(stepUp.status).json({
+          error: stepUp.error,
+          code: stepUp.code,
+          retry_after_seconds: stepUp.retry_after_seconds,
+          mfa_threshold: mfa.MFA_APPROVAL_THRESHOLD
+        });
+      }
+      approvalMethod = stepUp.method;
+    }
+
+    // Record the approval (delegated approvals also record who they were made for), count it
+    // and, with enough approvals, approve the transfer in one transaction. The count is taken
+    // from the stored row so two approvals at once cannot leave count and status out of step
+    const newApprovalCount = db.transaction(() => {
+      const approvalStmt = db.prepare(`
+        INSERT INTO transfer_approvals (transfer_id, approver_user_id, approved_at, comments, approval_method, ip_address, decision, on_behalf_of, delegation_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      approvalStmt.run(
+        transfer.transaction_id, approver_user_id, new Date().toISOString(), comments || "Approved", approvalMethod, req.ip, 'approved',
+        req.principal ? req.principal.user_id : null, req.delegation ? req.delegation.id : null
+      );
+
+      const updateApprovalStmt = db.prepare('UPDATE transaction_records SET current_approvals = current_approvals + 1 WHERE transaction_id = ?');
+      updateApprovalStmt.run(transfer.transaction_id);
+      const countStmt = db.prepare('SELECT current_approvals FROM transaction_records WHERE transaction_id = ?');
+      const approvalCount = countStmt.get(transfer.transaction_id).current_approvals;
+
+      if (approvalCount >= transfer.required_approvals) {
+        const updateStatusStmt = db.prepare('UPDATE transaction_records SET status = ?, approval_status = ? WHERE transaction_id = ?');
+        updateStatusStmt.run('processing', 'approved', transfer.transaction_id);
+      }
+      return approvalCount;
+    })();
 
     // Check if enough approvals received
     if (newApprovalCount >= transfer.required_approvals) {
-      const updateStatusStmt = db.prepare('UPDATE transaction_records SET status = ?, approval_status = ? WHERE transaction_id = ?');
-      updateStatusStmt.run('processing', 'approved', numericId);
-      
-      // Simulate processing
-      setTimeout(() => {
-        try {
-          const completeStmt = db.prepare('UPDATE transaction_records SET status = ? WHERE transaction_id = ?');
-          completeStmt.run('completed', numericId);
-        } catch (error) {
-          console.error('Error updating transfer status:', error);
-        }
-      }, 5000);
+      // Broadcast to the network and settle through the ledger once confirmed
+      settlement.startSettlement(transfer.transaction_id);
+      emitTransferEvent('transfer_approved', transfer.transaction_id, { approved_by: approver_user_id });
     }
 
     res.json({
@@ -319,6 +512,8 @@ router.post('/:transferId/approve', authenticateBank, async (req, res) => {
       transfer_id: transferId,
       current_approvals: newApprovalCount,
       required_approvals: transfer.required_approvals,
+      approval_method: approvalMethod,
+      on_behalf_of: req.principal ? req.principal.user_id : null,
       status: newApprovalCount >= transfer.required_approvals ? "approved" : "pending_approval"
     });
 
@@ -330,12 +525,271 @@ router.post('/:transferId/approve', authenticateBank, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/transfers/{transferId}/reject:
+ *   post:
+ *     summary: Reject a transfer
+ *     description: |
+ *       Reject a pending transfer as the signed-in user. Rejecting needs the same authority as approving:
+ *       role level, transfer limit, the bank's approval policy (the initiator cannot reject their own
+ *       transfer; they cancel it instead) and, when the bank requires signed approvals, a request signature.
+ *       The reason is recorded with the transfer approvals and the held funds are released.
+ *     tags: [Transfers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/SignatureHeader'
+ *       - $ref: '#/components/parameters/SignatureTimestamp'
+ *       - $ref: '#/components/parameters/SignatureNonce'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               approver_user_id:
+ *                 type: string
+ *                 description: Deprecated - the approver is the signed-in user. If sent, it must match that user.
+ *                 example: "user_abc123"
+ *               on_behalf_of:
+ *                 type: string
+ *                 description: user_id of an approver who delegated their authority to the signed-in user (see /api/delegations). Their role is used and the decision is recorded as delegated.
+ *                 example: "user_def456"
+ *               reason:
+ *                 type: string
+ *                 example: "Beneficiary details could not be verified"
+ *     responses:
+ *       200:
+ *         description: Transfer rejected successfully
+ *       400:
+ *         description: Missing fields, transfer is not pending approval, or the user has already approved it (ALREADY_APPROVED)
+ *       401:
+ *         description: Invalid API key, invalid signature, or unsigned request when the bank requires signed approvals (code SIGNATURE_REQUIRED)
+ *       403:
+ *         description: The role cannot approve transfers (PERMISSION_DENIED), insufficient role level, amount above the role's limit (TRANSFER_LIMIT_EXCEEDED), the approval policy forbids it (SELF_APPROVAL, DEPARTMENT_REQUIRED, SAME_DEPARTMENT), or on_behalf_of names no active delegation to you (DELEGATION_NOT_FOUND)
+ *       404:
+ *         description: Transfer not found (or owned by another bank)
+ */
+router.post('/:transferId/reject',
+  authenticateBank, requireScope('transfers:approve'), authenticateUser({ bodyField: 'approver_user_id' }),
+  requireApprovalAuthority(), requireSignature('transfer_approve'),
+  async (req, res) => {
+  const { transferId } = req.params;
+  const { reason } = req.body;
+
+  // The approver is the signed-in user (an active user of this bank)
+  const approver = req.user;
+  const approver_user_id = approver.user_id;
+
+  if (!reason) {
+    return res.status(400).json({
+      error: "Missing required fields",
+      required: ["reason"]
+    });
+  }
+
+  try {
+    // Get transfer details
+    const transfer = getBankTransfer(transferId, req.bank.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        error: "Transfer not found"
+      });
+    }
+
+    const pendingError = getPendingApprovalError(transfer);
+    if (pendingError) {
+      return res.status(400).json({
+        error: pendingError
+      });
+    }
+
+    // Rejecting needs the same authority as approving, including the maker-checker policy
+    const segregationError = getSegregationError(
+      getApprovalPolicy(req.bank.id), transfer, approver, getPriorApprovals(transfer.transaction_id), req.principal, 'reject'
+    );
+    if (segregationError) {
+      return res.status(segregationError.status).json({
+        error: segregationError.error,
+        code: segregationError.code
+      });
+    }
+
+    const approvalRule = getTransferApprovalRequirements(transfer);
+    const approverRole = req.role;
+
+    if (approverRole.role_level < approvalRule.required_role_level) {
+      return res.status(403).json({
+        error: "Insufficient role level to reject this transfer",
+        required_level: approvalRule.required_role_level,
+        approver_level: approverRole.role_level
+      });
+    }
+
+    const limitError = getTransferLimitError(approverRole, transfer.amount);
+    if (limitError) {
+      return res.status(403).json(limitError);
+    }
+
+    // Record the rejection and close the transfer in one transaction
+    db.transaction(() => {
+      const decisionStmt = db.prepare(`
+        INSERT INTO transfer_approvals (transfer_id, approver_user_id, approved_at, comments, approval_method, ip_address, decision, on_behalf_of, delegation_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      decisionStmt.run(
+        transfer.transaction_id, approver_user_id, new Date().toISOString(), reason, "api", req.ip, 'rejected',
+        req.principal ? req.principal.user_id : null, req.delegation ? req.delegation.id : null
+      );
+
+      const rejectStmt = db.prepare(`
+        UPDATE transaction_records SET status = 'rejected', approval_status = 'rejected', failure_reason = ?
+        WHERE transaction_id = ?
+      `);
+      rejectStmt.run(reason, transfer.transaction_id);
+    })();
+    emitTransferEvent('transfer_rejected', transfer.transaction_id, { rejected_by: approver_user_id, reason: reason });
+
+    res.json({
+      message: "Transfer rejected",
+      transfer_id: `transfer_${transfer.transaction_id}`,
+      status: "rejected",
+      rejected_by: approver_user_id,
+      on_behalf_of: req.principal ? req.principal.user_id : null,
+      reason: reason
+    });
+
+  } catch (error) {
+    console.error('Transfer rejection error:', error);
+    res.status(500).json({
+      error: "Failed to reject transfer"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transfers/{transferId}/cancel:
+ *   post:
+ *     summary: Cancel a transfer
+ *     description: Cancel a pending transfer. Only the user who initiated the transfer can cancel it, while signed in. The held funds are released.
+ *     tags: [Transfers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cancelled_by:
+ *                 type: string
+ *                 description: Deprecated - the user cancelling is the signed-in user. If sent, it must match that user.
+ *                 example: "user_abc123"
+ *               reason:
+ *                 type: string
+ *                 example: "Wrong destination wallet"
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled successfully
+ *       400:
+ *         description: Missing fields or transfer is not pending approval
+ *       403:
+ *         description: User is not the initiator of the transfer, or their role cannot initiate transfers (PERMISSION_DENIED)
+ *       404:
+ *         description: Transfer not found (or owned by another bank)
+ */
+router.post('/:transferId/cancel',
+  authenticateBank, requireScope('transfers:initiate'), authenticateUser({ bodyField: 'cancelled_by' }),
+  requirePermission('transfers:initiate'),
+  async (req, res) => {
+  const { transferId } = req.params;
+  const { reason } = req.body;
+  const cancelled_by = req.user.user_id; // The signed-in user
+
+  try {
+    // Get transfer details
+    const transfer = getBankTransfer(transferId, req.bank.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        error: "Transfer not found"
+      });
+    }
+
+    // Only the initiator may cancel
+    if (transfer.initiated_by !== cancelled_by) {
+      return res.status(403).json({
+        error: "Only the initiator can cancel this transfer"
+      });
+    }
+
+    const pendingError = getPendingApprovalError(transfer);
+    if (pendingError) {
+      return res.status(400).json({
+        error: pendingError
+      });
+    }
+
+    const cancelReason = reason || "Cancelled by initiator";
+
+    // Record the cancellation and close the transfer in one transaction
+    db.transaction(() => {
+      const decisionStmt = db.prepare(`
+        INSERT INTO transfer_approvals (transfer_id, approver_user_id, approved_at, comments, approval_method, ip_address, decision)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      decisionStmt.run(transfer.transaction_id, cancelled_by, new Date().toISOString(), cancelReason, "api", req.ip, 'cancelled');
+
+      const cancelStmt = db.prepare(`
+        UPDATE transaction_records SET status = 'cancelled', approval_status = 'cancelled', failure_reason = ?
+        WHERE transaction_id = ?
+      `);
+      cancelStmt.run(cancelReason, transfer.transaction_id);
+    })();
+    emitTransferEvent('transfer_cancelled', transfer.transaction_id, { cancelled_by: cancelled_by, reason: cancelReason });
+
+    res.json({
+      message: "Transfer cancelled",
+      transfer_id: `transfer_${transfer.transaction_id}`,
+      status: "cancelled",
+      cancelled_by: cancelled_by,
+      reason: cancelReason
+    });
+
+  } catch (error) {
+    console.error('Transfer cancellation error:', error);
+    res.status(500).json({
+      error: "Failed to cancel transfer"
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/transfers/{transferId}/status:
  *   get:
  *     summary: Get transfer status
- *     description: Get detailed status of a transfer including approval progress
+ *     description: Get detailed status of a transfer including approval progress and the approval rule version it matched when initiated (approvals are checked against that snapshot)
  *     tags: [Transfers]
  *     security:
  *       - ApiKeyAuth: []
@@ -348,14 +802,14 @@ router.post('/:transferId/approve', authenticateBank, async (req, res) => {
  *     responses:
  *       200:
  *         description: Transfer status retrieved successfully
+ *       404:
+ *         description: Transfer not found (or owned by another bank)
  */
 router.get('/:transferId/status', authenticateBank, async (req, res) => {
   const { transferId } = req.params;
 
   try {
-    const numericId = transferId.replace('transfer_', '');
-    const transferStmt = db.prepare('SELECT * FROM transaction_records WHERE transaction_id = ?');
-    const transfer = transferStmt.get(numericId);
+    const transfer = getBankTransfer(transferId, req.bank.id);
     
     if (!transfer) {
       return res.status(404).json({
@@ -365,25 +819,43 @@ router.get('/:transferId/status', authenticateBank, async (req, res) => {
 
     // Get approval details
     const approvalsStmt = db.prepare(`
-      SELECT ta.approver_user_id, ta.approved_at, ta.comments, bu.full_name, bu.role
+      SELECT ta.approver_user_id, ta.on_behalf_of, ta.decision, ta.approved_at, ta.comments, ta.approval_method, bu.full_name, bu.role
       FROM transfer_approvals ta
       JOIN bank_users bu ON ta.approver_user_id = bu.user_id
       WHERE ta.transfer_id = ?
       ORDER BY ta.approved_at ASC
     `);
-    const approvals = approvalsStmt.all(transferId);
+    const approvals = approvalsStmt.all(transfer.transaction_id);
 
     res.json({
       transfer_id: `transfer_${transfer.transaction_id}`,
       status: transfer.status,
+      from_wallet_id: ledger.formatWalletId(transfer.from_wallet_id),
+      to_wallet_id: ledger.formatWalletId(transfer.to_wallet_id),
       amount: transfer.amount,
-      currency: "USDC",
-      transaction_hash: transfer.transaction_hash,
+      currency: transfer.currency,
+      fees: transfer.fees,
+      reason: transfer.reason,
+      bank_id: transfer.bank_id,
+      transaction_hash: transfer.transaction_hash || null,
+      block_number: transfer.block_number,
+      confirmations: transfer.confirmations,
+      required_confirmations: transfer.required_confirmations,
+      settlement_adapter: transfer.settlement_adapter,
+      broadcast_at: transfer.broadcast_at,
       initiated_by: transfer.initiated_by,
       approval_status: transfer.approval_status,
       current_approvals: transfer.current_approvals,
       required_approvals: transfer.required_approvals,
+      approval_rule: {
+        rule_id: transfer.approval_rule_id,
+        version: transfer.approval_rule_version,
+        required_role_level: getTransferApprovalRequirements(transfer).required_role_level,
+        required_approvals: transfer.required_approvals
+      },
       timestamp: transfer.timestamp,
+      completed_at: transfer.completed_at,
+      failure_reason: transfer.failure_reason,
       approvals: approvals,
       progress: {
         approved: transfer.current_approvals,
@@ -416,11 +888,10 @@ router.get('/pending', authenticateBank, async (req, res) => {
   try {
     const pendingTransfersStmt = db.prepare(`
       SELECT transaction_id, transaction_hash, amount, timestamp, status, initiated_by,
-             approval_status, current_approvals, required_approvals, approval_deadline
+             approval_status, current_approvals, required_approvals, approval_deadline,
+             from_wallet_id, to_wallet_id, currency, fees, reason
       FROM transaction_records 
-      WHERE status IN ('pending_approval', 'processing') AND initiated_by IN (
-        SELECT user_id FROM bank_users WHERE bank_id = ?
-      )
+      WHERE status IN ('pending_approval', 'processing', 'broadcast') AND bank_id = ?
       ORDER BY timestamp DESC
     `);
     const pendingTransfers = pendingTransfersStmt.all(req.bank.id);
@@ -430,7 +901,13 @@ router.get('/pending', authenticateBank, async (req, res) => {
       total_pending: pendingTransfers.length,
       transfers: pendingTransfers.map(t => ({
         id: `transfer_${t.transaction_id}`,
+        from_wallet_id: ledger.formatWalletId(t.from_wallet_id),
+        to_wallet_id: ledger.formatWalletId(t.to_wallet_id),
         amount: t.amount,
+        currency: t.currency,
+        fees: t.fees,
+        reason: t.reason,
+        initiated_by: t.initiated_by,
         status: t.status,
         approval_status: t.approval_status,
         current_approvals: t.current_approvals,
@@ -447,4 +924,129 @@ router.get('/pending', authenticateBank, async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * @swagger
+ * /api/transfers/history/{walletId}:
+ *   get:
+ *     summary: Get transfer history for a wallet
+ *     description: Retrieves all transfers (incoming and outgoing) that touch a wallet owned by the authenticated bank, including incoming transfers sent by other banks
+ *     tags: [Transfers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: walletId
+ *         required: true
+ *         description: Wallet identifier
+ *         schema:
+ *           type: string
+ *           example: "wallet_1000"
+ *     responses:
+ *       200:
+ *         description: Transfer history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 walletId:
+ *                   type: string
+ *                   example: "wallet_1000"
+ *                 totalTransfers:
+ *                   type: number
+ *                   example: 1
+ *                 transfers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: "transfer_1"
+ *                       type:
+ *                         type: string
+ *                         enum: [incoming, outgoing]
+ *                         example: "outgoing"
+ *                       amount:
+ *                         type: number
+ *                         example: 50000
+ *                       currency:
+ *                         type: string
+ *                         example: "USDC"
+ *                       fees:
+ *                         type: number
+ *                         example: 50
+ *                       otherWallet:
+ *                         type: string
+ *                         example: "wallet_1001"
+ *                       status:
+ *                         type: string
+ *                         example: "confirmed"
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       reason:
+ *                         type: string
+ *                         example: "Liquidity rebalancing between subsidiaries"
+ *       400:
+ *         description: Invalid wallet ID format
+ *       404:
+ *         description: Wallet not found (or owned by another bank)
+ */
+router.get('/history/:walletId', authenticateBank, async (req, res) => {
+  const { walletId } = req.params;
+
+  const numericId = ledger.parseWalletId(walletId);
+  if (!numericId) {
+    return res.status(400).json({
+      error: "Invalid wallet ID format",
+      example: "wallet_1000"
+    });
+  }
+
+  try {
+    // Only the owning bank can see a wallet's history
+    const walletStmt = db.prepare('SELECT wallet_id FROM fbo_wallets WHERE wallet_id = ? AND bank_id = ?');
+    if (!walletStmt.get(numericId, req.bank.id)) {
+      return res.status(404).json({
+        error: "Wallet not found"
+      });
+    }
+
+    const historyStmt = db.prepare(`
+      SELECT transaction_id, amount, currency, fees, reason, status, timestamp, from_wallet_id, to_wallet_id
+      FROM transaction_records
+      WHERE from_wallet_id = ? OR to_wallet_id = ?
+      ORDER BY timestamp DESC
+    `);
+    const transfers = historyStmt.all(numericId, numericId);
+
+    res.json({
+      walletId: `wallet_${numericId}`,
+      totalTransfers: transfers.length,
+      transfers: transfers.map(t => {
+        const outgoing = t.from_wallet_id === numericId;
+        return {
+          id: `transfer_${t.transaction_id}`,
+          type: outgoing ? "outgoing" : "incoming",
+          amount: t.amount,
+          currency: t.currency,
+          fees: t.fees,
+          otherWallet: ledger.formatWalletId(outgoing ? t.to_wallet_id : t.from_wallet_id),
+          status: t.status,
+          date: t.timestamp,
+          reason: t.reason
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error getting transfer history:', error);
+    res.status(500).json({
+      error: "Failed to get transfer history"
+    });
+  }
+});
+
+module.exports = router;
+module.exports.expireOverdueTransfers = expireOverdueTransfers;
+module.exports.startExpirySweeper = startExpirySweeper; 
\ No newline at end of file
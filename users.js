@@ -1,9 +1,87 @@
 const express = require('express');
 const crypto = require('crypto');
 const db = require('./database/connection');
-const { authenticateBank } = require('./banks');
+const { authenticateBank, requireScope } = require('./banks');
+const { idempotent } = require('./idempotency');
+const { hashPassword, getPasswordError, revokeUserSessions, clearFailedLogins, authenticateUser, requireStepUp } = require('./auth');
+const { requirePermission, getRoleGrantError } = require('./authorization');
 const router = express.Router();
 
+// Profile updates accept the API key alone; a signed-in user must have a role that can manage users
+const authorizeUserManagement = [
+  authenticateUser({ optional: true }),
+  requirePermission('users:manage')
+];
+
+// Creating, deactivating and reactivating users and setting passwords need a signed-in user whose role can
+// manage users, with a fresh one-time code. The API key alone is only accepted while the bank
+// has no users yet, so that it can create its first user
+const authorizeUserAdministration = [
+  authenticateUser({ optional: true }),
+  requireSessionOnceBankHasUsers,
+  requirePermission('users:manage'),
+  requireStepUpForSignedInUser
+];
+
+// Without a session, only a bank that has no users yet may go on (to create its first user)
+function requireSessionOnceBankHasUsers(req, res, next) {
+  if (req.user) {
+    return next();
+  }
+  const userCountStmt = db.prepare('SELECT COUNT(*) AS count FROM bank_users WHERE bank_id = ?');
+  if (userCountStmt.get(req.bank.id).count === 0) {
+    return next();
+  }
+  return res.status(401).json({
+    error: "Managing users requires a user session (X-Session-Token header)",
+    code: "SESSION_REQUIRED"
+  });
+}
+
+// Signed-in users need a fresh one-time code; a bank's first user is created with the API key alone
+function requireStepUpForSignedInUser(req, res, next) {
+  if (!req.user) {
+    return next();
+  }
+  requireStepUp()(req, res, next);
+}
+
+// A signed-in user may only deactivate, reactivate or set the password of users whose role
+// is not above their own
+function requireManageableUser(req, res, next) {
+  if (!req.role) {
+    return next();
+  }
+  const targetRoleStmt = db.prepare(`
+    SELECT r.role_name, r.role_level FROM bank_users u
+    JOIN roles r ON r.bank_id = u.bank_id AND r.role_name = u.role
+    WHERE u.user_id = ? AND u.bank_id = ?
+  `);
+  const targetRole = targetRoleStmt.get(req.params.userId, req.bank.id);
+  if (targetRole && targetRole.role_level > req.role.role_level) {
+    return res.status(403).json({
+      error: `The ${req.role.role_name} role cannot manage users with the higher-level ${targetRole.role_name} role`,
+      code: "PERMISSION_DENIED"
+    });
+  }
+  next();
+}
+
+// Role changes must be made by a signed-in user with a fresh one-time code;
+// other profile changes only need the API key
+function requireStepUpForRoleChange(req, res, next) {
+  if (req.body.role === undefined) {
+    return next();
+  }
+  if (!req.user) {
+    return res.status(401).json({
+      error: "Changing a role requires a user session (X-Session-Token header)",
+      code: "SESSION_REQUIRED"
+    });
+  }
+  requireStepUp()(req, res, next);
+}
+
 /**
  * @swagger
  * components:
@@ -29,6 +107,9 @@ const router = express.Router();
  *         department:
  *           type: string
  *           description: Department
+ *         phone:
+ *           type: string
+ *           description: Phone number for SMS notifications
  *         status:
  *           type: string
  *           description: User status
@@ -39,10 +120,15 @@ const router = express.Router();
  * /api/users/create:
  *   post:
  *     summary: Create a new bank user
- *     description: Create a new user for the authenticated bank
+ *     description: Create a new user for the authenticated bank. Needs a signed-in user whose role can manage users and a fresh one-time code (X-MFA-Code); the API key alone is only accepted for the bank's first user.
  *     tags: [Users]
  *     security:
  *       - ApiKeyAuth: []
+ *         UserSession: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MfaCode'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -70,15 +156,35 @@ const router = express.Router();
  *               department:
  *                 type: string
  *                 example: "Treasury"
+ *               phone:
+ *                 type: string
+ *                 description: Phone number (E.164) for SMS notifications
+ *                 example: "+14155550123"
  *               employee_id:
  *                 type: string
  *                 example: "EMP001"
+ *               password:
+ *                 type: string
+ *                 description: Password the user signs in with (at least 8 characters). Can also be set later.
+ *                 example: "correct horse battery"
  *     responses:
  *       201:
  *         description: User created successfully
+ *       400:
+ *         description: Missing fields, invalid role or password too short
+ *       401:
+ *         description: Missing session or one-time code (SESSION_REQUIRED, MFA_REQUIRED, MFA_INVALID)
+ *       403:
+ *         description: The signed-in user's role cannot manage users or grant this role (code PERMISSION_DENIED), or the user has not set up MFA (MFA_NOT_ENROLLED)
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key was already used for a different request
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
  */
-router.post('/create', authenticateBank, async (req, res) => {
-  const { username, email, full_name, role, department, employee_id } = req.body;
+router.post('/create', authenticateBank, requireScope('users:manage'), ...authorizeUserAdministration, idempotent(), async (req, res) => {
+  const { username, email, full_name, role, department, employee_id, phone, password } = req.body;
   
   if (!username || !email || !full_name || !role) {
     return res.status(400).json({
@@ -87,6 +193,11 @@ router.post('/create', authenticateBank, async (req, res) => {
     });
   }
 
+  const passwordError = password !== undefined ? getPasswordError(password) : null;
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+
   try {
     // Verify role exists for this bank
     const roleStmt = db.prepare('SELECT * FROM roles WHERE bank_id = ? AND role_name = ?');
@@ -101,19 +212,27 @@ router.post('/create', authenticateBank, async (req, res) => {
       });
     }
 
+    const grantError = getRoleGrantError(req.role, roleExists);
+    if (grantError) {
+      return res.status(403).json(grantError);
+    }
+
     // Generate user ID
     const user_id = `user_${crypto.randomBytes(8).toString('hex')}`;
 
     // Insert user
     const userStmt = db.prepare(`
-      INSERT INTO bank_users (user_id, bank_id, username, email, full_name, role, department, employee_id, permissions, created_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO bank_users (user_id, bank_id, username, email, full_name, role, department, employee_id, phone, permissions, created_by, password_hash, password_updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
-    userStmt.run(user_id, req.bank.id, username, email, full_name, role, department, employee_id, roleExists.permissions, 'api');
+    userStmt.run(
+      user_id, req.bank.id, username, email, full_name, role, department, employee_id, phone || null, roleExists.permissions, req.user ? req.user.user_id : 'api',
+      password ? hashPassword(password) : null, password ? new Date().toISOString() : null
+    );
 
     // Get created user
     const getUserStmt = db.prepare(`
-      SELECT user_id, username, email, full_name, role, department, employee_id, status, created_at
+      SELECT user_id, username, email, full_name, role, department, employee_id, phone, status, created_at
       FROM bank_users WHERE user_id = ?
     `);
     const user = getUserStmt.get(user_id);
@@ -180,7 +299,7 @@ router.post('/create', authenticateBank, async (req, res) => {
 router.get('/list', authenticateBank, async (req, res) => {
   try {
     const usersStmt = db.prepare(`
-      SELECT user_id, username, email, full_name, role, department, employee_id, status, created_at, last_login
+      SELECT user_id, username, email, full_name, role, department, employee_id, phone, status, created_at, last_login
       FROM bank_users 
       WHERE bank_id = ? 
       ORDER BY created_at DESC
@@ -205,10 +324,14 @@ router.get('/list', authenticateBank, async (req, res) => {
  * /api/users/{userId}/update:
  *   put:
  *     summary: Update a bank user
- *     description: Update user information including role, department, and status
+ *     description: |
+ *       Update user information including role and department. Status is changed with the
+ *       deactivate and reactivate endpoints. Changing the role needs a signed-in user (X-Session-Token) and a fresh one-time code (X-MFA-Code).
  *     tags: [Users]
  *     security:
  *       - ApiKeyAuth: []
+ *       - ApiKeyAuth: []
+ *         UserSession: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -217,6 +340,7 @@ router.get('/list', authenticateBank, async (req, res) => {
  *           type: string
  *         description: User ID to update
  *         example: "user_abc123"
+ *       - $ref: '#/components/parameters/MfaCode'
  *     requestBody:
  *       required: true
  *       content:
@@ -233,13 +357,13 @@ router.get('/list', authenticateBank, async (req, res) => {
  *               department:
  *                 type: string
  *                 example: "Treasury"
+ *               phone:
+ *                 type: string
+ *                 description: Phone number (E.164) for SMS notifications
+ *                 example: "+14155550123"
  *               employee_id:
  *                 type: string
  *                 example: "EMP001"
- *               status:
- *                 type: string
- *                 enum: [active, inactive]
- *                 example: "active"
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -254,13 +378,19 @@ router.get('/list', authenticateBank, async (req, res) => {
  *                 user:
  *                   $ref: '#/components/schemas/BankUser'
  *       400:
- *         description: Invalid role or status
+ *         description: Invalid role, or a status was sent (use deactivate or reactivate)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Invalid or missing API key
+ *         description: Invalid or missing API key, or a role change without a session or one-time code (SESSION_REQUIRED, MFA_REQUIRED, MFA_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The signed-in user's role cannot manage users or grant this role (code PERMISSION_DENIED)
  *         content:
  *           application/json:
  *             schema:
@@ -271,6 +401,12 @@ router.get('/list', authenticateBank, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -278,9 +414,19 @@ router.get('/list', authenticateBank, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:userId/update', authenticateBank, async (req, res) => {
+router.put('/:userId/update',
+  authenticateBank, requireScope('users:manage'), ...authorizeUserManagement, requireStepUpForRoleChange,
+  async (req, res) => {
   const { userId } = req.params;
-  const { full_name, role, department, employee_id, status } = req.body;
+  const { full_name, role, department, employee_id, phone } = req.body;
+
+  // Status changes need a session and a one-time code, so they have their own endpoints
+  if (req.body.status !== undefined) {
+    return res.status(400).json({
+      error: "status cannot be changed here; use /deactivate or /reactivate",
+      code: "STATUS_NOT_UPDATABLE"
+    });
+  }
 
   try {
     // Verify user belongs to this bank
@@ -291,6 +437,19 @@ router.put('/:userId/update', authenticateBank, async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
+    if (role !== undefined) {
+      const roleStmt = db.prepare('SELECT * FROM roles WHERE bank_id = ? AND role_name = ?');
+      const newRole = roleStmt.get(req.bank.id, role);
+      if (!newRole) {
+        return res.status(400).json({ error: "Invalid role" });
+      }
+
+      const grantError = getRoleGrantError(req.role, newRole);
+      if (grantError) {
+        return res.status(403).json(grantError);
+      }
+    }
+
     // Update user
     const updateStmt = db.prepare(`
       UPDATE bank_users 
@@ -298,14 +457,14 @@ router.put('/:userId/update', authenticateBank, async (req, res) => {
           role = COALESCE(?, role),
           department = COALESCE(?, department),
           employee_id = COALESCE(?, employee_id),
-          status = COALESCE(?, status)
+          phone = COALESCE(?, phone)
       WHERE user_id = ? AND bank_id = ?
     `);
-    updateStmt.run(full_name, role, department, employee_id, status, userId, req.bank.id);
+    updateStmt.run(full_name, role, department, employee_id, phone, userId, req.bank.id);
 
     // Get updated user
     const updatedUserStmt = db.prepare(`
-      SELECT user_id, username, email, full_name, role, department, employee_id, status, created_at
+      SELECT user_id, username, email, full_name, role, department, employee_id, phone, status, created_at
       FROM bank_users WHERE user_id = ?
     `);
     const updatedUser = updatedUserStmt.get(userId);
@@ -328,11 +487,13 @@ router.put('/:userId/update', authenticateBank, async (req, res) => {
  * /api/users/{userId}/deactivate:
  *   post:
  *     summary: Deactivate a user
- *     description: Deactivate a bank user (sets status to inactive)
+ *     description: Deactivate a bank user (sets status to inactive). Needs a signed-in user whose role can manage users and a fresh one-time code (X-MFA-Code).
  *     tags: [Users]
  *     security:
  *       - ApiKeyAuth: []
+ *         UserSession: []
  *     parameters:
+ *       - $ref: '#/components/parameters/MfaCode'
  *       - in: path
  *         name: userId
  *         required: true
@@ -355,7 +516,13 @@ router.put('/:userId/update', authenticateBank, async (req, res) => {
  *                   type: string
  *                   example: "user_abc123"
  *       401:
- *         description: Invalid or missing API key
+ *         description: Invalid or missing API key, or missing session or one-time code (SESSION_REQUIRED, MFA_REQUIRED, MFA_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The signed-in user's role cannot manage users or is below the user's role (code PERMISSION_DENIED), or the signed-in user has not set up MFA (MFA_NOT_ENROLLED)
  *         content:
  *           application/json:
  *             schema:
@@ -366,6 +533,12 @@ router.put('/:userId/update', authenticateBank, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -373,7 +546,7 @@ router.put('/:userId/update', authenticateBank, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:userId/deactivate', authenticateBank, async (req, res) => {
+router.post('/:userId/deactivate', authenticateBank, requireScope('users:manage'), ...authorizeUserAdministration, requireManageableUser, async (req, res) => {
   const { userId } = req.params;
 
   try {
@@ -388,6 +561,9 @@ router.post('/:userId/deactivate', authenticateBank, async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
+    // Sign the user out everywhere
+    revokeUserSessions(userId);
+
     res.json({
       message: "User deactivated successfully",
       user_id: userId
@@ -401,6 +577,178 @@ router.post('/:userId/deactivate', authenticateBank, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{userId}/reactivate:
+ *   post:
+ *     summary: Reactivate a user
+ *     description: Reactivate a deactivated bank user so they can sign in again. Needs a signed-in user whose role can manage users and a fresh one-time code (X-MFA-Code).
+ *     tags: [Users]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MfaCode'
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID to reactivate
+ *         example: "user_abc123"
+ *     responses:
+ *       200:
+ *         description: User reactivated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "User reactivated successfully"
+ *                 user_id:
+ *                   type: string
+ *                   example: "user_abc123"
+ *       401:
+ *         description: Invalid or missing API key, or missing session or one-time code (SESSION_REQUIRED, MFA_REQUIRED, MFA_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The signed-in user's role cannot manage users or is below the user's role (code PERMISSION_DENIED), or the signed-in user has not set up MFA (MFA_NOT_ENROLLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:userId/reactivate', authenticateBank, requireScope('users:manage'), ...authorizeUserAdministration, requireManageableUser, async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const reactivateStmt = db.prepare(`
+      UPDATE bank_users 
+      SET status = 'active' 
+      WHERE user_id = ? AND bank_id = ?
+    `);
+    const result = reactivateStmt.run(userId, req.bank.id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({
+      message: "User reactivated successfully",
+      user_id: userId
+    });
+
+  } catch (error) {
+    console.error('User reactivation error:', error);
+    res.status(500).json({
+      error: "Failed to reactivate user"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/password:
+ *   post:
+ *     summary: Set a user's password
+ *     description: Sets the password the user signs in with and ends all of the user's sessions. Needs a signed-in user whose role can manage users and a fresh one-time code (X-MFA-Code).
+ *     tags: [Users]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         UserSession: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MfaCode'
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "user_abc123"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: "correct horse battery"
+ *     responses:
+ *       200:
+ *         description: Password updated
+ *       400:
+ *         description: Password too short
+ *       401:
+ *         description: Missing session or one-time code (SESSION_REQUIRED, MFA_REQUIRED, MFA_INVALID)
+ *       403:
+ *         description: API key lacks the users:manage scope (code INSUFFICIENT_SCOPE), the signed-in user's role cannot manage users or is below the user's role (code PERMISSION_DENIED), or the signed-in user has not set up MFA (MFA_NOT_ENROLLED)
+ *       404:
+ *         description: User not found
+ *       429:
+ *         description: Too many wrong one-time codes (code MFA_LOCKED, with retry_after_seconds and a Retry-After header)
+ */
+router.post('/:userId/password', authenticateBank, requireScope('users:manage'), ...authorizeUserAdministration, requireManageableUser, async (req, res) => {
+  const { userId } = req.params;
+  const { password } = req.body;
+
+  const passwordError = getPasswordError(password);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+
+  try {
+    const passwordStmt = db.prepare(`
+      UPDATE bank_users SET password_hash = ?, password_updated_at = ? WHERE user_id = ? AND bank_id = ?
+    `);
+    const result = passwordStmt.run(hashPassword(password), new Date().toISOString(), userId, req.bank.id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Old sessions were opened with the old password; a locked-out user can sign in again
+    revokeUserSessions(userId);
+    const usernameStmt = db.prepare('SELECT username FROM bank_users WHERE user_id = ?');
+    clearFailedLogins(req.bank.id, usernameStmt.get(userId).username);
+
+    res.json({
+      message: "Password updated",
+      user_id: userId
+    });
+  } catch (error) {
+    console.error('Password update error:', error);
+    res.status(500).json({
+      error: "Failed to update password"
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/users/roles:
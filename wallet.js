@@ -1,7 +1,25 @@
 // Wallet management for banks
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const db = require('./database/connection');
+const { authenticateBank, requireScope } = require('./banks');
+const ledger = require('./ledger');
+const { idempotent } = require('./idempotency');
+
+// Convert a fbo_wallets row into the API wallet format
+function formatWallet(wallet, bankName) {
+  return {
+    id: `wallet_${wallet.wallet_id}`,
+    bankName: bankName,
+    subsidiaryName: wallet.subsidiary_name,
+    currency: wallet.currency || "USDC",
+    balance: wallet.balance,
+    status: "active",
+    createdAt: wallet.creation_date,
+    publicAddress: wallet.wallet_address
+  };
+}
 
 /**
  * @swagger
@@ -49,8 +67,12 @@ const db = require('./database/connection');
  * /api/wallets/create:
  *   post:
  *     summary: Create a new wallet for a bank subsidiary
- *     description: Creates a new treasury wallet for a bank subsidiary with blockchain address generation
+ *     description: Creates a new treasury wallet owned by the authenticated bank for one of its subsidiaries, with blockchain address generation
  *     tags: [Wallets]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -58,14 +80,9 @@ const db = require('./database/connection');
  *           schema:
  *             type: object
  *             required:
- *               - bankName
  *               - subsidiaryName
  *               - currency
  *             properties:
- *               bankName:
- *                 type: string
- *                 description: Name of the bank
- *                 example: "Nexora Bank"
  *               subsidiaryName:
  *                 type: string
  *                 description: Name of the bank subsidiary
@@ -101,15 +118,19 @@ const db = require('./database/connection');
  *                   type: array
  *                   items:
  *                     type: string
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key was already used for a different request
  */
-router.post('/create', async (req, res) => {
-  const { bankName, subsidiaryName, currency } = req.body;
+router.post('/create', authenticateBank, requireScope('wallets:manage'), idempotent(), async (req, res) => {
+  const { subsidiaryName, currency } = req.body;
   
-  // Validate required fields
-  if (!bankName || !subsidiaryName || !currency) {
+  // Validate required fields (the owning bank comes from the API key)
+  if (!subsidiaryName || !currency) {
     return res.status(400).json({
       error: "Missing required fields",
-      required: ["bankName", "subsidiaryName", "currency"]
+      required: ["subsidiaryName", "currency"]
     });
   }
 
@@ -125,21 +146,16 @@ router.post('/create', async (req, res) => {
 
     // Create new FBO wallet
     const walletAddress = `0x${Math.random().toString(16).substr(2, 40)}`;
-    const walletStmt = db.prepare(
-      'INSERT INTO fbo_wallets (vault_id, wallet_address, balance, creation_date) VALUES (?, ?, ?, ?)'
+    const walletStmt = db.prepare(`
+      INSERT INTO fbo_wallets (vault_id, wallet_address, balance, creation_date, bank_id, subsidiary_name, currency)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = walletStmt.run(
+      vault.vault_id, walletAddress, 0, new Date().toISOString(), req.bank.id, subsidiaryName, currency
     );
-    const result = walletStmt.run(vault.vault_id, walletAddress, 0, new Date().toISOString());
 
-    const wallet = {
-      id: `wallet_${result.lastInsertRowid}`,
-      bankName: bankName,
-      subsidiaryName: subsidiaryName,
-      currency: currency,
-      balance: 0,
-      status: "active",
-      createdAt: new Date(),
-      publicAddress: walletAddress
-    };
+    const createdStmt = db.prepare('SELECT * FROM fbo_wallets WHERE wallet_id = ?');
+    const wallet = formatWallet(createdStmt.get(result.lastInsertRowid), req.bank.bank_name);
 
     res.status(201).json({
       message: "Wallet created successfully",
@@ -158,8 +174,10 @@ router.post('/create', async (req, res) => {
  * /api/wallets/{walletId}/balance:
  *   get:
  *     summary: Get wallet balance
- *     description: Retrieves the current balance for a specific wallet
+ *     description: Retrieves the current balance for a wallet owned by the authenticated bank
  *     tags: [Wallets]
+ *     security:
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: walletId
@@ -181,15 +199,38 @@ router.post('/create', async (req, res) => {
  *                   example: "wallet_1000"
  *                 balance:
  *                   type: number
+ *                   description: Ledger balance (sum of all postings for this wallet, including its subwallets)
+ *                   example: 250000
+ *                 unallocatedBalance:
+ *                   type: number
+ *                   description: Part of the balance not allocated to subwallets
+ *                   example: 250000
+ *                 subwalletBalance:
+ *                   type: number
+ *                   description: Total balance of the wallet's subwallets
  *                   example: 0
+ *                 availableBalance:
+ *                   type: number
+ *                   description: Unallocated balance minus funds held by pending or processing transfers
+ *                   example: 174925
+ *                 heldBalance:
+ *                   type: number
+ *                   description: Funds held by pending or processing transfers (amount + fee)
+ *                   example: 75075
+ *                 reconciled:
+ *                   type: boolean
+ *                   description: Whether the stored wallet balance matches the ledger
+ *                   example: true
  *                 currency:
  *                   type: string
  *                   example: "USDC"
  *                 lastUpdated:
  *                   type: string
  *                   format: date-time
+ *       401:
+ *         description: Invalid or missing API key
  *       404:
- *         description: Wallet not found
+ *         description: Wallet not found (or owned by another bank)
  *         content:
  *           application/json:
  *             schema:
@@ -199,17 +240,16 @@ router.post('/create', async (req, res) => {
  *                   type: string
  *                   example: "Wallet not found"
  */
-router.get('/:walletId/balance', async (req, res) => {
+router.get('/:walletId/balance', authenticateBank, async (req, res) => {
   const { walletId } = req.params;
   
   try {
-    // Extract numeric ID from wallet_123 format
-    const numericId = walletId.replace('wallet_', '');
-    
+    const numericId = ledger.parseWalletId(walletId);
+    // Banks can only see the balances of their own wallets
     const walletStmt = db.prepare(
-      'SELECT wallet_id, wallet_address, balance, creation_date FROM fbo_wallets WHERE wallet_id = ?'
+      'SELECT wallet_id, wallet_address, balance, creation_date, currency FROM fbo_wallets WHERE wallet_id = ? AND bank_id = ?'
     );
-    const wallet = walletStmt.get(numericId);
+    const wallet = numericId ? walletStmt.get(numericId, req.bank.id) : null;
     
     if (!wallet) {
       return res.status(404).json({
@@ -217,10 +257,21 @@ router.get('/:walletId/balance', async (req, res) => {
       });
     }
 
+    // Balance is derived from the ledger; the stored balance is only a cached copy
+    const balances = ledger.getWalletBalances(wallet.wallet_id);
+    if (!balances.reconciled) {
+      console.error(`Wallet wallet_${wallet.wallet_id} out of balance: stored ${balances.storedBalance}, ledger ${balances.ledgerBalance}`);
+    }
+
     res.json({
       walletId: `wallet_${wallet.wallet_id}`,
-      balance: wallet.balance,
-      currency: "USDC", // Default currency
+      balance: balances.ledgerBalance,
+      unallocatedBalance: balances.unallocatedBalance,
+      subwalletBalance: balances.subwalletBalance,
+      availableBalance: balances.availableBalance,
+      heldBalance: balances.heldAmount,
+      reconciled: balances.reconciled,
+      currency: wallet.currency || "USDC",
       lastUpdated: new Date()
     });
   } catch (error) {
@@ -231,21 +282,149 @@ router.get('/:walletId/balance', async (req, res) => {
   }
 });
 
+// Deposits issue stablecoin against fiat that has arrived in custody, so only the platform
+// operator books them. The X-Operator-Key header must match PLATFORM_OPERATOR_KEY; when that
+// is not set, deposits are disabled
+function authenticatePlatformOperator(req, res, next) {
+  const operatorKey = process.env.PLATFORM_OPERATOR_KEY;
+  const providedKey = req.headers['x-operator-key'];
+  if (!operatorKey || typeof providedKey !== 'string' || !keysMatch(operatorKey, providedKey)) {
+    return res.status(401).json({
+      error: "Deposits can only be booked by the platform operator (X-Operator-Key header)",
+      code: "OPERATOR_REQUIRED"
+    });
+  }
+  next();
+}
+
+// Compare two keys without leaking timing information (hashing gives equal lengths)
+function keysMatch(expected, provided) {
+  const hash = key => crypto.createHash('sha256').update(key).digest();
+  return crypto.timingSafeEqual(hash(expected), hash(provided));
+}
+
+// Load the bank wallet a deposit is for onto req.depositWallet (system wallets cannot be funded)
+function loadDepositWallet(req, res, next) {
+  const numericId = ledger.parseWalletId(req.params.walletId);
+  const walletStmt = db.prepare('SELECT wallet_id, bank_id FROM fbo_wallets WHERE wallet_id = ? AND bank_id IS NOT NULL');
+  const wallet = numericId ? walletStmt.get(numericId) : null;
+
+  if (!wallet) {
+    return res.status(404).json({
+      error: "Wallet not found"
+    });
+  }
+  req.depositWallet = wallet;
+  next();
+}
+
 /**
  * @swagger
- * /api/wallets/list/{bankName}:
- *   get:
- *     summary: List all wallets for a bank
- *     description: Retrieves all wallets associated with a specific bank
+ * /api/wallets/{walletId}/deposit:
+ *   post:
+ *     summary: Deposit funds into a wallet
+ *     description: |
+ *       Credits stablecoins to a bank wallet through a ledger journal entry (the platform issuance
+ *       wallet is debited). Only the platform operator books deposits, once the bank's funds have
+ *       arrived in custody; banks cannot fund their own wallets.
  *     tags: [Wallets]
+ *     security:
+ *       - OperatorKey: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
- *         name: bankName
+ *         name: walletId
  *         required: true
- *         description: Name of the bank
+ *         description: Unique wallet identifier
  *         schema:
  *           type: string
- *           example: "Nexora Bank"
+ *           example: "wallet_1000"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 250000
+ *               reference:
+ *                 type: string
+ *                 description: Free text reference stored on the journal entry
+ *                 example: "Initial treasury funding"
+ *     responses:
+ *       201:
+ *         description: Deposit recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Deposit recorded successfully"
+ *                 walletId:
+ *                   type: string
+ *                   example: "wallet_1000"
+ *                 amount:
+ *                   type: number
+ *                   example: 250000
+ *                 balance:
+ *                   type: number
+ *                   example: 250000
+ *                 journalEntryId:
+ *                   type: integer
+ *                   example: 42
+ *       400:
+ *         description: Invalid amount
+ *       401:
+ *         description: Missing or wrong operator key (OPERATOR_REQUIRED)
+ *       404:
+ *         description: Wallet not found
+ */
+router.post('/:walletId/deposit',
+  authenticatePlatformOperator, loadDepositWallet, idempotent({ getBankId: req => req.depositWallet.bank_id }),
+  async (req, res) => {
+  const { amount, reference } = req.body;
+  const wallet = req.depositWallet;
+
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({
+      error: "Amount must be a number greater than 0"
+    });
+  }
+
+  try {
+    // Book the deposit: issuance wallet -> this wallet
+    const entryId = ledger.depositToWallet(wallet.wallet_id, amount, reference);
+
+    res.status(201).json({
+      message: "Deposit recorded successfully",
+      walletId: `wallet_${wallet.wallet_id}`,
+      amount: amount,
+      balance: ledger.getLedgerBalance(wallet.wallet_id),
+      journalEntryId: entryId
+    });
+  } catch (error) {
+    console.error('Error recording deposit:', error);
+    res.status(500).json({
+      error: "Failed to record deposit"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/list:
+ *   get:
+ *     summary: List all wallets of the authenticated bank
+ *     description: Retrieves all wallets owned by the bank identified by the API key
+ *     tags: [Wallets]
+ *     security:
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: Bank wallets retrieved successfully
@@ -264,33 +443,50 @@ router.get('/:walletId/balance', async (req, res) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Wallet'
+ *       401:
+ *         description: Invalid or missing API key
+ *
+ * /api/wallets/list/{bankName}:
+ *   get:
+ *     summary: List all wallets for a bank
+ *     description: Same as /api/wallets/list; the bank name must be the name of the authenticated bank
+ *     tags: [Wallets]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bankName
+ *         required: true
+ *         description: Name of the bank
+ *         schema:
+ *           type: string
+ *           example: "Nexora Bank"
+ *     responses:
+ *       200:
+ *         description: Bank wallets retrieved successfully
+ *       401:
+ *         description: Invalid or missing API key
+ *       403:
+ *         description: Bank name does not match the authenticated bank
  */
-router.get('/list/:bankName', async (req, res) => {
+async function listWallets(req, res) {
   const { bankName } = req.params;
+
+  if (bankName !== undefined && bankName !== req.bank.bank_name) {
+    return res.status(403).json({
+      error: "Cannot list wallets of another bank"
+    });
+  }
   
   try {
-    // For now, return all wallets since we don't store bank name in the database
-    // In a real implementation, you'd have a separate table for bank information
-    const walletsStmt = db.prepare(
-      'SELECT wallet_id, wallet_address, balance, creation_date FROM fbo_wallets'
-    );
-    const wallets = walletsStmt.all();
-    
-    const formattedWallets = wallets.map(w => ({
-      id: `wallet_${w.wallet_id}`,
-      bankName: bankName, // Use the requested bank name
-      subsidiaryName: "Main Branch", // Default value
-      currency: "USDC",
-      balance: w.balance,
-      status: "active",
-      createdAt: w.creation_date,
-      publicAddress: w.wallet_address
-    }));
+    // Only the bank's own wallets (platform system wallets have no bank and are never listed)
+    const walletsStmt = db.prepare('SELECT * FROM fbo_wallets WHERE bank_id = ? ORDER BY wallet_id');
+    const wallets = walletsStmt.all(req.bank.id);
     
     res.json({
-      bankName: bankName,
+      bankName: req.bank.bank_name,
       totalWallets: wallets.length,
-      wallets: formattedWallets
+      wallets: wallets.map(w => formatWallet(w, req.bank.bank_name))
     });
   } catch (error) {
     console.error('Error listing wallets:', error);
@@ -298,6 +494,9 @@ router.get('/list/:bankName', async (req, res) => {
       error: "Failed to list wallets"
     });
   }
-});
+}
+
+router.get('/list', authenticateBank, listWallets);
+router.get('/list/:bankName', authenticateBank, listWallets);
 
 module.exports = router;
\ No newline at end of file
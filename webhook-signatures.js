@@ -0,0 +1,155 @@
+/**
+ * WEBHOOK SIGNATURES MODULE
+ *
+ * Signs the webhook requests the API sends to banks and checks them on the receiving
+ * side. The module only uses Node's crypto library, so banks' integrators can copy it
+ * (or require it in their tests) to verify deliveries.
+ *
+ * HEADERS OF EVERY WEBHOOK REQUEST:
+ * - X-Webhook-Id: event ID, unique per delivery (retries of a delivery keep it, so
+ *   receivers can use it to ignore duplicates)
+ * - X-Webhook-Timestamp: Unix time in seconds when the attempt was signed
+ * - X-Webhook-Signature: t=<timestamp>,v1=<signature>[,v1=<signature>]
+ *
+ * SIGNATURE (scheme v1):
+ * - Hex HMAC-SHA256 of the string below, keyed with the webhook's secret_key
+ *
+ *     TIMESTAMP.EVENT_ID.BODY
+ *
+ *   BODY is the exact request body received (verify before parsing the JSON)
+ * - While a rotated secret is in its overlap period the header has one v1 signature per
+ *   secret (newest first); a request is valid when any of them matches
+ *
+ * VERIFYING (verifyWebhookSignature):
+ * - SIGNATURE_MISSING / SIGNATURE_MALFORMED: no header, or not in the format above
+ * - SIGNATURE_EXPIRED: the timestamp is more than 5 minutes (by default) from now, so an
+ *   old request that was captured cannot be replayed later
+ * - SIGNATURE_INVALID: no signature matches the secret(s)
+ *
+ * Author: Development Team
+ * Version: 1.0.0
+ * Last Updated: August 2025
+ */
+
+// Import required libraries and modules
+const crypto = require('crypto'); // HMAC signatures and event IDs
+
+// Signature scheme named in the header; a new scheme gets a new name (v2, ...)
+const SIGNATURE_VERSION = 'v1';
+
+// How far a signature timestamp may be from the receiver's clock
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Create a new event ID (evt_ followed by 32 hex characters).
+ */
+function createEventId() {
+  return `evt_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Sign the content of one webhook request with one secret.
+ *
+ * @param {object} content
+ * @param {string} content.secret - The webhook's secret_key
+ * @param {string|number} content.timestamp - Unix time in seconds
+ * @param {string} content.eventId - X-Webhook-Id
+ * @param {string|Buffer} content.body - Exact request body
+ * @returns {string} Hex signature
+ */
+function signWebhook({ secret, timestamp, eventId, body }) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${eventId}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Build the X-Webhook-Signature header value, signed with every given secret.
+ *
+ * @param {object} content
+ * @param {string[]} content.secrets - Current secret first, then a rotated one still in its overlap
+ * @param {string|number} content.timestamp - Unix time in seconds
+ * @param {string} content.eventId - X-Webhook-Id
+ * @param {string|Buffer} content.body - Exact request body
+ * @returns {string} e.g. "t=1723111200,v1=5f2b..."
+ */
+function buildSignatureHeader({ secrets, timestamp, eventId, body }) {
+  const signatures = secrets.map(secret => `${SIGNATURE_VERSION}=${signWebhook({ secret, timestamp, eventId, body })}`);
+  return [`t=${timestamp}`, ...signatures].join(',');
+}
+
+/**
+ * Split an X-Webhook-Signature header into its timestamp and v1 signatures.
+ *
+ * @returns {object|null} { timestamp, signatures }, or null when the header is malformed
+ */
+function parseSignatureHeader(header) {
+  let timestamp = null;
+  const signatures = [];
+  for (const part of String(header).split(',')) {
+    const [name, value] = part.trim().split('=');
+    if (name === 't' && /^\d+$/.test(value || '')) {
+      timestamp = Number(value);
+    } else if (name === SIGNATURE_VERSION && /^[0-9a-f]{64}$/.test(value || '')) {
+      signatures.push(value);
+    }
+  }
+  return timestamp !== null && signatures.length > 0 ? { timestamp, signatures } : null;
+}
+
+// Compare two hex signatures without leaking timing information
+function signaturesMatch(expected, provided) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const providedBuffer = Buffer.from(provided, 'hex');
+  return expectedBuffer.length === providedBuffer.length && crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+/**
+ * Check a webhook request received from the API.
+ *
+ * @param {object} request
+ * @param {string|string[]} request.secret - The webhook's secret_key (or several, while rotating)
+ * @param {string} request.signatureHeader - X-Webhook-Signature
+ * @param {string} request.eventId - X-Webhook-Id
+ * @param {string|Buffer} request.body - Exact request body received
+ * @param {number} [request.toleranceSeconds] - Allowed clock difference (default 5 minutes)
+ * @param {number} [request.now] - Current Unix time in seconds (for tests)
+ * @returns {object} { valid: true, timestamp } or { valid: false, code }
+ */
+function verifyWebhookSignature({
+  secret, signatureHeader, eventId, body,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Math.floor(Date.now() / 1000)
+}) {
+  if (!signatureHeader || !eventId) {
+    return { valid: false, code: 'SIGNATURE_MISSING' };
+  }
+
+  const parsed = parseSignatureHeader(signatureHeader);
+  if (!parsed) {
+    return { valid: false, code: 'SIGNATURE_MALFORMED' };
+  }
+  if (Math.abs(now - parsed.timestamp) > toleranceSeconds) {
+    return { valid: false, code: 'SIGNATURE_EXPIRED' };
+  }
+
+  const secrets = Array.isArray(secret) ? secret : [secret];
+  const matches = secrets.some(candidate => {
+    const expected = signWebhook({ secret: candidate, timestamp: parsed.timestamp, eventId, body });
+    return parsed.signatures.some(signature => signaturesMatch(expected, signature));
+  });
+  return matches ? { valid: true, timestamp: parsed.timestamp } : { valid: false, code: 'SIGNATURE_INVALID' };
+}
+
+/**
+ * MODULE EXPORTS
+ */
+module.exports = {
+  SIGNATURE_VERSION,
+  DEFAULT_TOLERANCE_SECONDS,
+  createEventId,
+  signWebhook,
+  buildSignatureHeader,
+  parseSignatureHeader,
+  verifyWebhookSignature
+};